@@ -0,0 +1,35 @@
+-- 003_search_run.sql
+-- Search runs: one row per executed search, linking to the itinerary_bundle
+-- rows it produced (ranked), so past searches can be audited and rerun.
+
+PRAGMA foreign_keys = ON;
+
+CREATE TABLE IF NOT EXISTS search_run (
+  id                     INTEGER PRIMARY KEY,
+  origin_spec_raw        TEXT NOT NULL,
+  dest_spec_raw          TEXT NOT NULL,
+  origin_node_ids_json   TEXT,           -- resolved origin node ids
+  dest_node_ids_json     TEXT,           -- resolved destination node ids
+
+  search_mode            TEXT NOT NULL,  -- 'best','pareto','k_best'
+  search_status          TEXT NOT NULL,  -- 'OK','TIME_BUDGET_EXHAUSTED','NO_FEASIBLE_ROUTE'
+  expansions             INTEGER NOT NULL DEFAULT 0,
+  itinerary_count        INTEGER NOT NULL DEFAULT 0,
+
+  search_params_json     TEXT NOT NULL,
+  search_started_at_utc  TEXT NOT NULL,
+  search_finished_at_utc TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_search_run_od
+  ON search_run (origin_spec_raw, dest_spec_raw);
+
+CREATE TABLE IF NOT EXISTS search_run_itinerary (
+  search_run_id          INTEGER NOT NULL REFERENCES search_run(id),
+  itinerary_bundle_id    INTEGER NOT NULL REFERENCES itinerary_bundle(id),
+  rank                   INTEGER NOT NULL,
+  PRIMARY KEY (search_run_id, itinerary_bundle_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_itinerary_bundle_od
+  ON itinerary_bundle (origin_node_id, dest_node_id);
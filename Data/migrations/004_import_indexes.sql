@@ -0,0 +1,14 @@
+-- 004_import_indexes.sql
+-- Lookup indexes for idempotent imports (ext_ref, offer provenance).
+
+CREATE INDEX IF NOT EXISTS idx_location_node_ext_ref
+  ON location_node (ext_ref);
+
+CREATE INDEX IF NOT EXISTS idx_edge_leg_endpoints
+  ON edge_leg (from_node_id, to_node_id, mode);
+
+CREATE INDEX IF NOT EXISTS idx_offer_source
+  ON offer (source_provider, source_ref);
+
+CREATE INDEX IF NOT EXISTS idx_offer_edge_departure
+  ON offer (edge_leg_id, departure_time_utc);
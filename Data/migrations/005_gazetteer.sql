@@ -0,0 +1,34 @@
+-- 005_gazetteer.sql
+-- Offline gazetteer for address geocoding: streets, postcodes, places and
+-- individual addresses with coordinates (loaded from CSV / OSM extracts).
+
+CREATE TABLE IF NOT EXISTS gazetteer_entry (
+  id               INTEGER PRIMARY KEY,
+  ext_ref          TEXT NOT NULL,      -- e.g. 'osm:way/123', stable across reloads
+  kind             TEXT NOT NULL,      -- 'address','street','postcode','place'
+  name             TEXT NOT NULL,      -- display name (street / place / postcode)
+  name_norm        TEXT NOT NULL,      -- normalized name used for matching
+  house_number     TEXT,
+  postcode         TEXT,
+  locality         TEXT,
+  locality_norm    TEXT,
+  region           TEXT,
+  country_code     TEXT,
+  lat              REAL NOT NULL,
+  lon              REAL NOT NULL,
+  importance       REAL NOT NULL DEFAULT 0,  -- 0..1, tie-breaker between matches
+  source           TEXT,
+  updated_at_utc   TEXT NOT NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_gazetteer_ext_ref
+  ON gazetteer_entry (ext_ref);
+
+CREATE INDEX IF NOT EXISTS idx_gazetteer_name_norm
+  ON gazetteer_entry (name_norm);
+
+CREATE INDEX IF NOT EXISTS idx_gazetteer_postcode
+  ON gazetteer_entry (postcode);
+
+CREATE INDEX IF NOT EXISTS idx_gazetteer_locality_norm
+  ON gazetteer_entry (locality_norm);
@@ -0,0 +1,83 @@
+-- 006_graph_change_log.sql
+-- Change log for graph tables, maintained by triggers, so a long-lived
+-- in-memory graph snapshot can apply offer changes incrementally (and fully
+-- reload when nodes or edges change) regardless of which process wrote them.
+-- Re-upserts that only bump updated_at_utc on nodes/edges are not logged.
+
+CREATE TABLE IF NOT EXISTS graph_change_log (
+  id               INTEGER PRIMARY KEY AUTOINCREMENT,  -- never reused: gaps mean pruned rows
+  entity           TEXT NOT NULL,      -- 'offer','edge_leg','location_node'
+  entity_id        INTEGER NOT NULL,
+  changed_at_utc   TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_graph_change_log_changed_at
+  ON graph_change_log (changed_at_utc);
+
+CREATE TRIGGER IF NOT EXISTS trg_offer_insert_log AFTER INSERT ON offer
+BEGIN
+  INSERT INTO graph_change_log (entity, entity_id) VALUES ('offer', NEW.id);
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_offer_update_log AFTER UPDATE ON offer
+BEGIN
+  INSERT INTO graph_change_log (entity, entity_id) VALUES ('offer', NEW.id);
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_offer_delete_log AFTER DELETE ON offer
+BEGIN
+  INSERT INTO graph_change_log (entity, entity_id) VALUES ('offer', OLD.id);
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_edge_leg_insert_log AFTER INSERT ON edge_leg
+BEGIN
+  INSERT INTO graph_change_log (entity, entity_id) VALUES ('edge_leg', NEW.id);
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_edge_leg_update_log AFTER UPDATE ON edge_leg
+WHEN OLD.from_node_id IS NOT NEW.from_node_id
+  OR OLD.to_node_id IS NOT NEW.to_node_id
+  OR OLD.mode IS NOT NEW.mode
+  OR OLD.is_transfer IS NOT NEW.is_transfer
+  OR OLD.carrier_code IS NOT NEW.carrier_code
+  OR OLD.service_code IS NOT NEW.service_code
+  OR OLD.distance_km IS NOT NEW.distance_km
+  OR OLD.duration_min IS NOT NEW.duration_min
+  OR OLD.min_connection_min IS NOT NEW.min_connection_min
+  OR OLD.co_located IS NOT NEW.co_located
+  OR OLD.structure_type IS NOT NEW.structure_type
+BEGIN
+  INSERT INTO graph_change_log (entity, entity_id) VALUES ('edge_leg', NEW.id);
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_edge_leg_delete_log AFTER DELETE ON edge_leg
+BEGIN
+  INSERT INTO graph_change_log (entity, entity_id) VALUES ('edge_leg', OLD.id);
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_location_node_insert_log AFTER INSERT ON location_node
+BEGIN
+  INSERT INTO graph_change_log (entity, entity_id) VALUES ('location_node', NEW.id);
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_location_node_update_log AFTER UPDATE ON location_node
+WHEN OLD.ext_ref IS NOT NEW.ext_ref
+  OR OLD.name IS NOT NEW.name
+  OR OLD.kind IS NOT NEW.kind
+  OR OLD.area_id IS NOT NEW.area_id
+  OR OLD.lat IS NOT NEW.lat
+  OR OLD.lon IS NOT NEW.lon
+  OR OLD.is_hub IS NOT NEW.is_hub
+  OR OLD.mct_air_to_ground_min IS NOT NEW.mct_air_to_ground_min
+  OR OLD.mct_ground_to_air_min IS NOT NEW.mct_ground_to_air_min
+  OR OLD.mct_any_to_any_min IS NOT NEW.mct_any_to_any_min
+  OR OLD.country_code IS NOT NEW.country_code
+  OR OLD.timezone IS NOT NEW.timezone
+BEGIN
+  INSERT INTO graph_change_log (entity, entity_id) VALUES ('location_node', NEW.id);
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_location_node_delete_log AFTER DELETE ON location_node
+BEGIN
+  INSERT INTO graph_change_log (entity, entity_id) VALUES ('location_node', OLD.id);
+END;
@@ -0,0 +1,17 @@
+-- 007_fx_rate.sql
+-- Foreign exchange rates used to compare offers priced in different
+-- currencies. A rate applies from its effective date until the next one for
+-- the same pair.
+
+CREATE TABLE IF NOT EXISTS fx_rate (
+  id               INTEGER PRIMARY KEY,
+  base_currency    TEXT NOT NULL,      -- ISO 4217, e.g. 'USD'
+  quote_currency   TEXT NOT NULL,      -- ISO 4217, e.g. 'EUR'
+  rate             REAL NOT NULL,      -- quote units per 1 base unit
+  effective_date   TEXT NOT NULL,      -- 'YYYY-MM-DD' (UTC)
+  source           TEXT,
+  updated_at_utc   TEXT NOT NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_fx_rate_pair_date
+  ON fx_rate (base_currency, quote_currency, effective_date);
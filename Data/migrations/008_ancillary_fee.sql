@@ -0,0 +1,19 @@
+-- 008_ancillary_fee.sql
+-- Ancillary (baggage) fees added to leg prices during search. A row applies
+-- to legs of its mode and/or carrier ('' matches any); the most specific
+-- match per item wins: carrier + mode, carrier, mode, then the catch-all.
+
+CREATE TABLE IF NOT EXISTS ancillary_fee (
+  id               INTEGER PRIMARY KEY,
+  mode             TEXT NOT NULL DEFAULT '',   -- edge_leg.mode, '' = any
+  carrier_code     TEXT NOT NULL DEFAULT '',   -- edge_leg.carrier_code, '' = any
+  item             TEXT NOT NULL CHECK (item IN ('personal_item', 'carry_on', 'checked')),
+  included_qty     INTEGER NOT NULL DEFAULT 0, -- free allowance per passenger
+  fee_per_item     REAL NOT NULL,              -- per item beyond the allowance
+  currency         TEXT NOT NULL,              -- ISO 4217
+  source           TEXT,
+  updated_at_utc   TEXT NOT NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ancillary_fee_scope_item
+  ON ancillary_fee (mode, carrier_code, item);
@@ -0,0 +1,29 @@
+-- 009_arbitrage.sql
+-- Intermodal vs. direct comparison of a search (see routing/arbitrage.js):
+-- the per-mode baselines of each run, and each stored itinerary's savings
+-- against the chosen baseline, so arbitrage opportunities can be queried.
+
+PRAGMA foreign_keys = ON;
+
+CREATE TABLE IF NOT EXISTS search_run_arbitrage (
+  search_run_id          INTEGER PRIMARY KEY REFERENCES search_run(id),
+  baseline_mode          TEXT NOT NULL,  -- mode of the chosen baseline
+  threshold_pct          REAL NOT NULL,
+  opportunities          INTEGER NOT NULL DEFAULT 0,
+  report_json            TEXT NOT NULL   -- { threshold_pct, baseline, baselines, opportunities }
+);
+
+CREATE TABLE IF NOT EXISTS itinerary_arbitrage (
+  itinerary_bundle_id    INTEGER PRIMARY KEY REFERENCES itinerary_bundle(id),
+  baseline_mode          TEXT NOT NULL,
+  savings_cash           REAL NOT NULL,  -- baseline price - itinerary price
+  savings_pct            REAL,           -- of the baseline price
+  risk_adjusted_savings  REAL NOT NULL,
+  time_delta_min         INTEGER NOT NULL, -- itinerary - baseline duration
+  gen_cost_delta         REAL NOT NULL,
+  is_intermodal          INTEGER NOT NULL CHECK (is_intermodal IN (0, 1)),
+  is_opportunity         INTEGER NOT NULL CHECK (is_opportunity IN (0, 1))
+);
+
+CREATE INDEX IF NOT EXISTS idx_itinerary_arbitrage_opportunity
+  ON itinerary_arbitrage (is_opportunity, savings_pct);
@@ -0,0 +1,78 @@
+-- 010_search_endpoints.sql
+-- Address endpoints are not location_node rows: searches and itineraries
+-- from or to one keep a NULL node id plus the address coordinates, instead
+-- of the per-search temporary (negative) ids that repeat across searches.
+-- Rebuilds itinerary_bundle to make its node ids nullable (run once, see
+-- schema_migration in src/db/migrate.js).
+
+PRAGMA foreign_keys = OFF;
+
+BEGIN;
+
+ALTER TABLE search_run ADD COLUMN origin_lat REAL;  -- address origin only
+ALTER TABLE search_run ADD COLUMN origin_lon REAL;
+ALTER TABLE search_run ADD COLUMN dest_lat REAL;    -- address destination only
+ALTER TABLE search_run ADD COLUMN dest_lon REAL;
+
+UPDATE search_run
+   SET origin_node_ids_json =
+         (SELECT json_group_array(value) FROM json_each(origin_node_ids_json) WHERE value > 0),
+       dest_node_ids_json =
+         (SELECT json_group_array(value) FROM json_each(dest_node_ids_json) WHERE value > 0);
+
+CREATE TABLE itinerary_bundle_new (
+  id                     INTEGER PRIMARY KEY,
+  origin_node_id         INTEGER REFERENCES location_node(id),  -- NULL: address origin
+  dest_node_id           INTEGER REFERENCES location_node(id),  -- NULL: address destination
+  origin_lat             REAL,           -- address origin only
+  origin_lon             REAL,
+  dest_lat               REAL,           -- address destination only
+  dest_lon               REAL,
+
+  origin_spec_raw        TEXT NOT NULL,
+  dest_spec_raw          TEXT NOT NULL,
+
+  legs_json              TEXT NOT NULL,  -- JSON array of legs with offer/edge/nodes
+
+  price_total            REAL NOT NULL,
+  duration_min           INTEGER NOT NULL,
+  num_transfers          INTEGER NOT NULL,
+  main_mode              TEXT,
+
+  time_value_per_hour    REAL NOT NULL,
+  transfer_penalty       REAL NOT NULL,
+  risk_penalties_json    TEXT,
+
+  gen_cost               REAL NOT NULL,
+  search_status          TEXT NOT NULL,  -- 'OK','TIME_BUDGET_EXHAUSTED','NO_FEASIBLE_ROUTE'
+
+  search_params_json     TEXT NOT NULL,
+  search_started_at_utc  TEXT NOT NULL,
+  search_finished_at_utc TEXT NOT NULL
+);
+
+INSERT INTO itinerary_bundle_new (
+  id, origin_node_id, dest_node_id, origin_spec_raw, dest_spec_raw, legs_json,
+  price_total, duration_min, num_transfers, main_mode, time_value_per_hour,
+  transfer_penalty, risk_penalties_json, gen_cost, search_status,
+  search_params_json, search_started_at_utc, search_finished_at_utc
+)
+SELECT
+  id,
+  CASE WHEN origin_node_id > 0 THEN origin_node_id END,
+  CASE WHEN dest_node_id > 0 THEN dest_node_id END,
+  origin_spec_raw, dest_spec_raw, legs_json,
+  price_total, duration_min, num_transfers, main_mode, time_value_per_hour,
+  transfer_penalty, risk_penalties_json, gen_cost, search_status,
+  search_params_json, search_started_at_utc, search_finished_at_utc
+FROM itinerary_bundle;
+
+DROP TABLE itinerary_bundle;
+ALTER TABLE itinerary_bundle_new RENAME TO itinerary_bundle;
+
+CREATE INDEX IF NOT EXISTS idx_itinerary_bundle_od
+  ON itinerary_bundle (origin_node_id, dest_node_id);
+
+COMMIT;
+
+PRAGMA foreign_keys = ON;
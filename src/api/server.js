@@ -0,0 +1,428 @@
+// src/api/server.js
+// Dependency-light HTTP JSON API for door-to-door search (node:http only).
+//
+//   POST /search            { origin, destination, params? } → search result
+//   GET  /searches?origin=&destination=&limit=
+//                           past searches, newest first
+//   GET  /searches/:id      persisted search with ranked itineraries
+//   POST /searches/:id/rerun { params? } → rerun against current data
+//   GET  /itineraries/:id   single persisted itinerary
+//   GET  /places?q=         area/node autocomplete
+//   GET  /health            { ok: true }
+//
+// Errors are JSON: { error: { code, message, ... } }.
+
+import http from "http";
+import { fileURLToPath } from "url";
+import { logDev } from "../routing/config.js";
+import { normalizePlaceSpec, searchPlaces } from "../routing/placeNormalization.js";
+import { rerunSearch, searchItinerariesDoorToDoor } from "../routing/search.js";
+import { parseLocalDateTime } from "../routing/timezone.js";
+import { findSearchRuns, getItineraryBundle, getSearchRun } from "../routing/itineraryStore.js";
+import { startOfferSweeper } from "../routing/offerFreshness.js";
+import { resolveModePreferences } from "../routing/modePreferences.js";
+import { resolvePassengers } from "../routing/passengers.js";
+import { resolveBaggage } from "../routing/ancillaryFees.js";
+import { resolveArbitrageOptions } from "../routing/arbitrage.js";
+import { resolveRiskModel } from "../routing/risk.js";
+import { SearchMode, SearchStatus } from "../routing/types.js";
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_SEARCH_RUNS = 100;
+
+// Search params a client may set. Injected graphs, rate and fee tables and
+// persist are for scripts and benchmarks only.
+const PUBLIC_SEARCH_PARAMS = new Set([
+  "mode",
+  "k",
+  "maxLegOverlap",
+  "distinctMainMode",
+  "departAfterUtc",
+  "departAfterLocal",
+  "departBeforeUtc",
+  "arriveByUtc",
+  "arriveByLocal",
+  "currency",
+  "timeValuePerHour",
+  "transferPenalty",
+  "maxDetourFactor",
+  "maxExpansions",
+  "timeoutMs",
+  "riskModel",
+  "passengers",
+  "baggage",
+  "modePreferences",
+  "arbitrage",
+]);
+
+// Numeric search knobs: allowed range and whether they must be integers.
+// The search budget is capped so one request cannot hold the (single
+// threaded) server for long.
+const NUMERIC_SEARCH_PARAMS = {
+  k: { min: 1, integer: true },
+  maxLegOverlap: { min: 0, max: 1 },
+  timeValuePerHour: { min: 0 },
+  transferPenalty: { min: 0 },
+  maxDetourFactor: { min: 1 },
+  maxExpansions: { min: 1, max: 500000, integer: true },
+  timeoutMs: { min: 1, max: 30000 },
+};
+
+/**
+ * Error carrying an HTTP status + machine-readable code.
+ */
+class ApiError extends Error {
+  constructor(status, code, message, details = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function sendJson(res, status, body) {
+  const json = JSON.stringify(body);
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Content-Length": Buffer.byteLength(json),
+  });
+  res.end(json);
+}
+
+function sendError(res, err) {
+  if (err instanceof ApiError) {
+    return sendJson(res, err.status, {
+      error: { code: err.code, message: err.message, ...err.details },
+    });
+  }
+
+  console.error("Unhandled API error:", err);
+  sendJson(res, 500, {
+    error: { code: "INTERNAL_ERROR", message: "Internal server error" },
+  });
+}
+
+/**
+ * Read and parse a JSON request body.
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new ApiError(413, "PAYLOAD_TOO_LARGE", "Request body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on("end", () => {
+      const raw = Buffer.concat(chunks).toString("utf8");
+      if (!raw.trim()) return resolve({});
+      try {
+        resolve(JSON.parse(raw));
+      } catch {
+        reject(new ApiError(400, "INVALID_JSON", "Request body is not valid JSON"));
+      }
+    });
+
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Read a JSON request body that must be an object, or throw 400.
+ */
+async function readJsonObject(req) {
+  const body = await readJsonBody(req);
+  if (body === null || typeof body !== "object" || Array.isArray(body)) {
+    throw new ApiError(400, "INVALID_BODY", "Request body must be a JSON object");
+  }
+  return body;
+}
+
+/**
+ * Parse a positive integer path id or throw 400.
+ */
+function parseId(raw) {
+  const id = Number(raw);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw new ApiError(400, "INVALID_ID", `Invalid id: ${raw}`);
+  }
+  return id;
+}
+
+/**
+ * Check the search params a client sent, or throw 400.
+ */
+function checkSearchParams(params) {
+  const unknown = Object.keys(params).filter((key) => !PUBLIC_SEARCH_PARAMS.has(key));
+  if (unknown.length > 0) {
+    throw new ApiError(400, "INVALID_PARAMS", `Unknown params: ${unknown.join(", ")}`, {
+      allowed: [...PUBLIC_SEARCH_PARAMS],
+    });
+  }
+
+  if (params.mode != null && !Object.values(SearchMode).includes(params.mode)) {
+    throw new ApiError(
+      400,
+      "INVALID_PARAMS",
+      `"params.mode" must be one of ${Object.values(SearchMode).join(", ")}`
+    );
+  }
+  for (const [field, { min, max = Infinity, integer = false }] of Object.entries(
+    NUMERIC_SEARCH_PARAMS
+  )) {
+    const value = params[field];
+    if (value == null) continue;
+    if (
+      typeof value !== "number" ||
+      !Number.isFinite(value) ||
+      (integer && !Number.isInteger(value)) ||
+      value < min ||
+      value > max
+    ) {
+      const range = max === Infinity ? `>= ${min}` : `between ${min} and ${max}`;
+      throw new ApiError(
+        400,
+        "INVALID_PARAMS",
+        `"params.${field}" must be ${integer ? "an integer" : "a number"} ${range}`
+      );
+    }
+  }
+  if (params.distinctMainMode != null && typeof params.distinctMainMode !== "boolean") {
+    throw new ApiError(400, "INVALID_PARAMS", '"params.distinctMainMode" must be a boolean');
+  }
+  if (params.currency != null && !/^[A-Z]{3}$/.test(params.currency)) {
+    throw new ApiError(400, "INVALID_PARAMS", '"params.currency" must be a 3-letter currency code');
+  }
+  if (params.departAfterLocal != null && !parseLocalDateTime(params.departAfterLocal)) {
+    throw new ApiError(
+      400,
+      "INVALID_PARAMS",
+      '"params.departAfterLocal" must be HH:MM or YYYY-MM-DDTHH:MM (local time at the origin)'
+    );
+  }
+  if (params.arriveByLocal != null && !parseLocalDateTime(params.arriveByLocal)) {
+    throw new ApiError(
+      400,
+      "INVALID_PARAMS",
+      '"params.arriveByLocal" must be HH:MM or YYYY-MM-DDTHH:MM (local time at the destination)'
+    );
+  }
+  for (const field of ["departAfterUtc", "arriveByUtc", "departBeforeUtc"]) {
+    if (
+      params[field] != null &&
+      (typeof params[field] !== "string" || Number.isNaN(Date.parse(params[field])))
+    ) {
+      throw new ApiError(400, "INVALID_PARAMS", `"params.${field}" must be an ISO timestamp`);
+    }
+  }
+  if ((params.arriveByUtc != null || params.arriveByLocal != null) && params.mode === SearchMode.PARETO) {
+    throw new ApiError(400, "INVALID_PARAMS", "Arrive-by search supports the best and k_best modes only");
+  }
+  try {
+    resolveModePreferences(params.modePreferences);
+    resolvePassengers(params.passengers);
+    resolveBaggage(params.baggage);
+    resolveArbitrageOptions(params.arbitrage);
+    resolveRiskModel(params.riskModel);
+  } catch (err) {
+    throw new ApiError(400, "INVALID_PARAMS", err.message);
+  }
+}
+
+/**
+ * Resolve a place spec for one side of the search, or throw 422.
+ */
+async function resolvePlace(field, specRaw) {
+  if (typeof specRaw !== "string" || !specRaw.trim()) {
+    throw new ApiError(400, "MISSING_FIELD", `"${field}" is required`, { field });
+  }
+
+  const spec = await normalizePlaceSpec(specRaw);
+  if (spec.unresolved || spec.nodes.length === 0) {
+    throw new ApiError(422, "UNRESOLVED_PLACE", `Could not resolve ${field}: ${specRaw}`, {
+      field,
+      spec: specRaw,
+      geocode: spec.geocode || null,
+    });
+  }
+
+  return spec;
+}
+
+/**
+ * Search params of a request body, checked (400 when invalid).
+ */
+function searchParamsOf(body) {
+  const { params = {} } = body;
+  if (params === null || typeof params !== "object" || Array.isArray(params)) {
+    throw new ApiError(400, "INVALID_PARAMS", '"params" must be an object');
+  }
+  checkSearchParams(params);
+  return params;
+}
+
+/**
+ * Send a search result, or 504 when the budget ran out before any itinerary.
+ */
+function sendSearchResult(res, result) {
+  if (
+    result.search_status === SearchStatus.TIME_EXHAUSTED &&
+    result.itineraries.length === 0
+  ) {
+    throw new ApiError(504, "SEARCH_TIMEOUT", "Search budget exhausted before any itinerary was found", {
+      search_id: result.search_id,
+      expansions: result.expansions,
+    });
+  }
+
+  sendJson(res, 200, result);
+}
+
+async function handleSearch(req, res) {
+  const body = await readJsonObject(req);
+  const { origin, destination } = body;
+  const params = searchParamsOf(body);
+
+  const originSpec = await resolvePlace("origin", origin);
+  const destSpec = await resolvePlace("destination", destination);
+  for (const [field, spec] of [
+    ["departAfterLocal", originSpec],
+    ["arriveByLocal", destSpec],
+  ]) {
+    if (params[field] != null && !spec.nodes.some((n) => n.timezone)) {
+      throw new ApiError(400, "INVALID_PARAMS", `"params.${field}" needs an endpoint with a known timezone`);
+    }
+  }
+
+  sendSearchResult(res, await searchItinerariesDoorToDoor(originSpec, destSpec, params));
+}
+
+async function handleGetItinerary(res, rawId) {
+  const bundle = await getItineraryBundle(parseId(rawId));
+  if (!bundle) {
+    throw new ApiError(404, "NOT_FOUND", `Itinerary ${rawId} not found`);
+  }
+  sendJson(res, 200, bundle);
+}
+
+async function handleGetSearch(res, rawId) {
+  const run = await getSearchRun(parseId(rawId));
+  if (!run) {
+    throw new ApiError(404, "NOT_FOUND", `Search ${rawId} not found`);
+  }
+  sendJson(res, 200, run);
+}
+
+async function handleFindSearches(res, url) {
+  const limitRaw = url.searchParams.get("limit");
+  const limit = limitRaw == null ? 20 : Number(limitRaw);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_RUNS) {
+    throw new ApiError(
+      400,
+      "INVALID_QUERY",
+      `"limit" must be an integer between 1 and ${MAX_SEARCH_RUNS}`
+    );
+  }
+
+  const runs = await findSearchRuns({
+    origin: url.searchParams.get("origin"),
+    destination: url.searchParams.get("destination"),
+    limit,
+  });
+  sendJson(res, 200, runs);
+}
+
+async function handleRerun(req, res, rawId) {
+  const id = parseId(rawId);
+  const params = searchParamsOf(await readJsonObject(req));
+
+  const result = await rerunSearch(id, params, resolvePlace);
+  if (!result) {
+    throw new ApiError(404, "NOT_FOUND", `Search ${rawId} not found`);
+  }
+  sendSearchResult(res, result);
+}
+
+async function handlePlaces(res, url) {
+  const q = url.searchParams.get("q");
+  if (!q || !q.trim()) {
+    throw new ApiError(400, "MISSING_QUERY", '"q" query parameter is required');
+  }
+  sendJson(res, 200, await searchPlaces(q));
+}
+
+/**
+ * Route a request to its handler.
+ */
+async function route(req, res) {
+  const url = new URL(req.url, "http://localhost");
+  const { pathname } = url;
+  const method = req.method;
+
+  logDev("API", method, pathname);
+
+  if (pathname === "/health") {
+    if (method !== "GET") throw new ApiError(405, "METHOD_NOT_ALLOWED", "Use GET");
+    return sendJson(res, 200, { ok: true });
+  }
+
+  if (pathname === "/search") {
+    if (method !== "POST") throw new ApiError(405, "METHOD_NOT_ALLOWED", "Use POST");
+    return handleSearch(req, res);
+  }
+
+  if (pathname === "/places") {
+    if (method !== "GET") throw new ApiError(405, "METHOD_NOT_ALLOWED", "Use GET");
+    return handlePlaces(res, url);
+  }
+
+  const itineraryMatch = pathname.match(/^\/itineraries\/([^/]+)$/);
+  if (itineraryMatch) {
+    if (method !== "GET") throw new ApiError(405, "METHOD_NOT_ALLOWED", "Use GET");
+    return handleGetItinerary(res, itineraryMatch[1]);
+  }
+
+  if (pathname === "/searches") {
+    if (method !== "GET") throw new ApiError(405, "METHOD_NOT_ALLOWED", "Use GET");
+    return handleFindSearches(res, url);
+  }
+
+  const rerunMatch = pathname.match(/^\/searches\/([^/]+)\/rerun$/);
+  if (rerunMatch) {
+    if (method !== "POST") throw new ApiError(405, "METHOD_NOT_ALLOWED", "Use POST");
+    return handleRerun(req, res, rerunMatch[1]);
+  }
+
+  const searchMatch = pathname.match(/^\/searches\/([^/]+)$/);
+  if (searchMatch) {
+    if (method !== "GET") throw new ApiError(405, "METHOD_NOT_ALLOWED", "Use GET");
+    return handleGetSearch(res, searchMatch[1]);
+  }
+
+  throw new ApiError(404, "NOT_FOUND", `No route for ${method} ${pathname}`);
+}
+
+/**
+ * Create (but do not start) the API server.
+ */
+export function createApiServer() {
+  return http.createServer((req, res) => {
+    route(req, res).catch((err) => sendError(res, err));
+  });
+}
+
+// Run directly: node src/api/server.js
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.PORT) || 8000;
+  createApiServer().listen(port, () => {
+    console.log(`Door-to-door API listening on http://localhost:${port}`);
+  });
+  startOfferSweeper();
+}
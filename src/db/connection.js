@@ -8,10 +8,50 @@ const __dirname = path.dirname(__filename);
 
 /**
  * Returns a sqlite3.Database instance pointing to Data/first_run.db
+ * (or TRAVEL_DB_PATH when set, e.g. a scratch DB for offline tests).
  * You can later generalize this or change the DB name.
  */
 export function openDb() {
-  const dbPath = path.join(__dirname, '..', '..', 'Data', 'first_run.db');
+  const dbPath =
+    process.env.TRAVEL_DB_PATH ||
+    path.join(__dirname, '..', '..', 'Data', 'first_run.db');
   const db = new sqlite3.Database(dbPath);
   return db;
 }
+
+/**
+ * Promise wrappers around the sqlite3 callback API.
+ * dbRun resolves to { lastID, changes }.
+ */
+export function dbRun(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) return reject(err);
+      resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+}
+
+export function dbGet(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => {
+      if (err) return reject(err);
+      resolve(row);
+    });
+  });
+}
+
+export function dbAll(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) return reject(err);
+      resolve(rows || []);
+    });
+  });
+}
+
+export function dbClose(db) {
+  return new Promise((resolve, reject) => {
+    db.close((err) => (err ? reject(err) : resolve()));
+  });
+}
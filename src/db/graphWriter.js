@@ -0,0 +1,229 @@
+// src/db/graphWriter.js
+// Idempotent upserts for graph rows (location_node, edge_leg, offer), shared
+// by provider ingestion and data importers. All functions take an open DB.
+
+import { dbRun, dbGet } from './connection.js';
+
+function nowUtc() {
+  return new Date().toISOString();
+}
+
+/**
+ * Run `fn(db)` inside a transaction.
+ */
+export async function withTransaction(db, fn) {
+  await dbRun(db, 'BEGIN');
+  try {
+    const result = await fn(db);
+    await dbRun(db, 'COMMIT');
+    return result;
+  } catch (err) {
+    await dbRun(db, 'ROLLBACK').catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * Insert or update an area keyed on (name, kind, country_code).
+ * Returns { id, inserted }.
+ */
+export async function upsertArea(db, area) {
+  const existing = await dbGet(
+    db,
+    `SELECT id FROM area
+      WHERE name = ? AND kind = ? AND IFNULL(country_code, '') = IFNULL(?, '')`,
+    [area.name, area.kind, area.country_code ?? null]
+  );
+
+  const values = [
+    area.center_lat,
+    area.center_lon,
+    area.radius_km,
+    area.parent_area_id ?? null,
+  ];
+
+  if (existing) {
+    await dbRun(
+      db,
+      `UPDATE area
+          SET center_lat = ?, center_lon = ?, radius_km = ?,
+              parent_area_id = COALESCE(?, parent_area_id), updated_at_utc = ?
+        WHERE id = ?`,
+      [...values, nowUtc(), existing.id]
+    );
+    return { id: existing.id, inserted: false };
+  }
+
+  const { lastID } = await dbRun(
+    db,
+    `INSERT INTO area (
+       name, kind, country_code, center_lat, center_lon, radius_km,
+       parent_area_id, updated_at_utc
+     ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [area.name, area.kind, area.country_code ?? null, ...values, nowUtc()]
+  );
+  return { id: lastID, inserted: true };
+}
+
+/**
+ * Insert or update a location_node keyed on ext_ref.
+ * Returns { id, inserted }.
+ */
+export async function upsertLocationNode(db, node) {
+  const existing = node.ext_ref
+    ? await dbGet(db, 'SELECT id FROM location_node WHERE ext_ref = ?', [node.ext_ref])
+    : null;
+
+  const values = [
+    node.name,
+    node.kind,
+    node.area_id ?? null,
+    node.lat,
+    node.lon,
+    node.is_hub ?? 0,
+    node.country_code ?? null,
+    node.timezone ?? null,
+  ];
+
+  if (existing) {
+    await dbRun(
+      db,
+      `UPDATE location_node
+          SET name = ?, kind = ?, area_id = COALESCE(?, area_id), lat = ?, lon = ?,
+              is_hub = ?, country_code = COALESCE(?, country_code),
+              timezone = COALESCE(?, timezone), updated_at_utc = ?
+        WHERE id = ?`,
+      [...values, nowUtc(), existing.id]
+    );
+    return { id: existing.id, inserted: false };
+  }
+
+  const { lastID } = await dbRun(
+    db,
+    `INSERT INTO location_node (
+       name, kind, area_id, lat, lon, is_hub, country_code, timezone,
+       ext_ref, updated_at_utc
+     ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [...values, node.ext_ref ?? null, nowUtc()]
+  );
+  return { id: lastID, inserted: true };
+}
+
+/**
+ * Insert or update an edge_leg keyed on
+ * (from_node_id, to_node_id, mode, carrier_code, service_code).
+ * Returns { id, inserted }.
+ */
+export async function upsertEdgeLeg(db, edge) {
+  const key = [
+    edge.from_node_id,
+    edge.to_node_id,
+    edge.mode,
+    edge.carrier_code ?? null,
+    edge.service_code ?? null,
+  ];
+
+  const existing = await dbGet(
+    db,
+    `SELECT id FROM edge_leg
+      WHERE from_node_id = ? AND to_node_id = ? AND mode = ?
+        AND IFNULL(carrier_code, '') = IFNULL(?, '')
+        AND IFNULL(service_code, '') = IFNULL(?, '')`,
+    key
+  );
+
+  const values = [
+    edge.is_transfer ?? 0,
+    edge.distance_km ?? null,
+    edge.duration_min,
+    edge.min_connection_min ?? null,
+    edge.co_located ?? 0,
+    edge.structure_type || 'static',
+  ];
+
+  if (existing) {
+    await dbRun(
+      db,
+      `UPDATE edge_leg
+          SET is_transfer = ?, distance_km = ?, duration_min = ?,
+              min_connection_min = ?, co_located = ?, structure_type = ?,
+              updated_at_utc = ?
+        WHERE id = ?`,
+      [...values, nowUtc(), existing.id]
+    );
+    return { id: existing.id, inserted: false };
+  }
+
+  const { lastID } = await dbRun(
+    db,
+    `INSERT INTO edge_leg (
+       from_node_id, to_node_id, mode, carrier_code, service_code,
+       is_transfer, distance_km, duration_min, min_connection_min, co_located,
+       structure_type, updated_at_utc
+     ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [...key, ...values, nowUtc()]
+  );
+  return { id: lastID, inserted: true };
+}
+
+/**
+ * Insert or update an offer keyed on (source_provider, source_ref).
+ * Re-ingesting refreshes price/times and reactivates the offer.
+ * Returns { id, inserted }.
+ */
+export async function upsertOffer(db, offer) {
+  const existing =
+    offer.source_provider && offer.source_ref
+      ? await dbGet(
+          db,
+          'SELECT id FROM offer WHERE source_provider = ? AND source_ref = ?',
+          [offer.source_provider, offer.source_ref]
+        )
+      : null;
+
+  const retrieved = offer.retrieval_time_utc || nowUtc();
+  const values = [
+    offer.edge_leg_id,
+    offer.departure_time_utc,
+    offer.arrival_time_utc,
+    offer.price_total,
+    offer.currency || 'USD',
+    offer.source_type,
+    offer.api_cache_id ?? null,
+    offer.is_static ?? 0,
+    retrieved,
+    offer.validity_window_hrs ?? null,
+    offer.effective_from_utc ?? null,
+    offer.last_verified_utc ?? retrieved,
+    offer.ttl_hrs ?? null,
+    offer.reliability_score ?? null,
+    offer.meta_json ?? null,
+  ];
+
+  if (existing) {
+    await dbRun(
+      db,
+      `UPDATE offer
+          SET edge_leg_id = ?, departure_time_utc = ?, arrival_time_utc = ?,
+              price_total = ?, currency = ?, source_type = ?, api_cache_id = ?,
+              is_static = ?, retrieval_time_utc = ?, validity_window_hrs = ?,
+              effective_from_utc = ?, last_verified_utc = ?, ttl_hrs = ?,
+              reliability_score = ?, meta_json = ?, is_active = 1
+        WHERE id = ?`,
+      [...values, existing.id]
+    );
+    return { id: existing.id, inserted: false };
+  }
+
+  const { lastID } = await dbRun(
+    db,
+    `INSERT INTO offer (
+       edge_leg_id, departure_time_utc, arrival_time_utc, price_total, currency,
+       source_type, api_cache_id, is_static, retrieval_time_utc,
+       validity_window_hrs, effective_from_utc, last_verified_utc, ttl_hrs,
+       reliability_score, meta_json, source_provider, source_ref
+     ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [...values, offer.source_provider ?? null, offer.source_ref ?? null]
+  );
+  return { id: lastID, inserted: true };
+}
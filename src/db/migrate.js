@@ -2,11 +2,17 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { openDb } from './connection.js';
+import { openDb, dbAll, dbRun } from './connection.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+/**
+ * Apply the migrations in Data/migrations in name order. Applied ones are
+ * recorded in schema_migration and skipped on later runs, so a migration
+ * may rebuild a table; databases migrated before the ledger existed re-run
+ * the (idempotent) earlier files once.
+ */
 async function runMigrations() {
   const db = openDb();
 
@@ -17,6 +23,17 @@ async function runMigrations() {
     process.exit(1);
   }
 
+  await dbRun(
+    db,
+    `CREATE TABLE IF NOT EXISTS schema_migration (
+      name           TEXT PRIMARY KEY,
+      applied_at_utc TEXT NOT NULL
+    )`
+  );
+  const applied = new Set(
+    (await dbAll(db, 'SELECT name FROM schema_migration')).map((row) => row.name)
+  );
+
   const files = fs
     .readdirSync(migrationsDir)
     .filter((f) => f.endsWith('.sql'))
@@ -24,6 +41,8 @@ async function runMigrations() {
 
   console.log('Running migrations:');
   for (const file of files) {
+    if (applied.has(file)) continue;
+
     const fullPath = path.join(migrationsDir, file);
     const sql = fs.readFileSync(fullPath, 'utf8');
     console.log('  ->', file);
@@ -38,6 +57,10 @@ async function runMigrations() {
         }
       });
     });
+    await dbRun(db, 'INSERT INTO schema_migration (name, applied_at_utc) VALUES (?, ?)', [
+      file,
+      new Date().toISOString(),
+    ]);
   }
 
   db.close();
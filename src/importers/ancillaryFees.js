@@ -0,0 +1,91 @@
+// src/importers/ancillaryFees.js
+// Ancillary fee loader: CSV rows → ancillary_fee rows added to leg prices
+// during search (see routing/ancillaryFees.js).
+//
+// fees.csv columns: mode (edge mode, blank = any), carrier (carrier code,
+//                   blank = any), item (personal_item | carry_on | checked),
+//                   included (free items per passenger), fee (per extra
+//                   item), currency
+
+import fs from "fs";
+import { openDb, dbRun, dbClose } from "../db/connection.js";
+import { withTransaction } from "../db/graphWriter.js";
+import { logDev } from "../routing/config.js";
+import { BaggageItem, EdgeMode } from "../routing/types.js";
+import { parseCsv } from "./csv.js";
+
+const CURRENCY_RE = /^[A-Z]{3}$/;
+const ITEMS = new Set(Object.values(BaggageItem));
+const MODES = new Set(Object.values(EdgeMode));
+
+/**
+ * Load ancillary fee CSV text into ancillary_fee. Returns { fees, skipped }.
+ */
+export async function importAncillaryFees(db, csvText, options = {}) {
+  const { source = "csv" } = options;
+  const rows = parseCsv(csvText);
+  const now = new Date().toISOString();
+  let fees = 0;
+  let skipped = 0;
+
+  for (const row of rows) {
+    const mode = (row.mode ?? "").trim().toLowerCase();
+    const carrier = (row.carrier ?? row.carrier_code ?? "").trim().toUpperCase();
+    const item = (row.item ?? "").trim().toLowerCase();
+    const included = Number(row.included ?? row.included_qty ?? 0);
+    const fee = Number(row.fee ?? row.fee_per_item);
+    const currency = (row.currency ?? "").trim().toUpperCase();
+
+    if (
+      (mode && !MODES.has(mode)) ||
+      !ITEMS.has(item) ||
+      !Number.isInteger(included) ||
+      included < 0 ||
+      !(fee >= 0) ||
+      !CURRENCY_RE.test(currency)
+    ) {
+      skipped++;
+      continue;
+    }
+
+    await dbRun(
+      db,
+      `INSERT INTO ancillary_fee (
+         mode, carrier_code, item, included_qty, fee_per_item, currency, source, updated_at_utc
+       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(mode, carrier_code, item) DO UPDATE SET
+         included_qty = excluded.included_qty,
+         fee_per_item = excluded.fee_per_item,
+         currency = excluded.currency,
+         source = excluded.source,
+         updated_at_utc = excluded.updated_at_utc`,
+      [mode, carrier, item, included, fee, currency, source, now]
+    );
+    fees++;
+  }
+
+  return { fees, skipped };
+}
+
+/**
+ * Load one or more ancillary fee CSV files in a single transaction.
+ */
+export async function importAncillaryFeeFiles(paths, options = {}) {
+  const db = openDb();
+
+  try {
+    return await withTransaction(db, async () => {
+      const summary = { fees: 0, skipped: 0 };
+      for (const p of paths) {
+        const { fees, skipped } = await importAncillaryFees(db, fs.readFileSync(p, "utf8"), options);
+        summary.fees += fees;
+        summary.skipped += skipped;
+      }
+
+      logDev("importAncillaryFeeFiles", { paths, ...summary });
+      return summary;
+    });
+  } finally {
+    await dbClose(db);
+  }
+}
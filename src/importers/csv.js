@@ -0,0 +1,67 @@
+// src/importers/csv.js
+// Minimal RFC 4180 CSV parser (quoted fields, escaped quotes, CRLF, BOM).
+
+/**
+ * Parse CSV text into an array of row arrays.
+ */
+export function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  for (; i < text.length; i++) {
+    const c = text[i];
+
+    if (inQuotes) {
+      if (c === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += c;
+      }
+      continue;
+    }
+
+    if (c === '"') {
+      inQuotes = true;
+    } else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((r) => !(r.length === 1 && r[0] === ""));
+}
+
+/**
+ * Parse CSV text with a header row into objects keyed by (trimmed) header.
+ */
+export function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) return [];
+
+  const keys = header.map((h) => h.trim());
+  return rows.map((r) =>
+    Object.fromEntries(keys.map((k, i) => [k, r[i] !== undefined ? r[i].trim() : ""]))
+  );
+}
@@ -0,0 +1,81 @@
+// src/importers/fxRates.js
+// FX rate loader: CSV rows → fx_rate rows used to convert offer prices.
+//
+// rates.csv columns: date (YYYY-MM-DD, effective from), base, quote, rate
+//                    (quote units per 1 base unit)
+
+import fs from "fs";
+import { openDb, dbRun, dbClose } from "../db/connection.js";
+import { withTransaction } from "../db/graphWriter.js";
+import { logDev } from "../routing/config.js";
+import { parseCsv } from "./csv.js";
+
+const CURRENCY_RE = /^[A-Z]{3}$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Load FX rate CSV text into fx_rate. Returns { rates, skipped }.
+ */
+export async function importFxRates(db, csvText, options = {}) {
+  const { source = "csv" } = options;
+  const rows = parseCsv(csvText);
+  const now = new Date().toISOString();
+  let rates = 0;
+  let skipped = 0;
+
+  for (const row of rows) {
+    const date = (row.date ?? row.effective_date ?? "").trim();
+    const base = (row.base ?? row.base_currency ?? "").trim().toUpperCase();
+    const quote = (row.quote ?? row.quote_currency ?? "").trim().toUpperCase();
+    const rate = Number(row.rate);
+
+    if (
+      !DATE_RE.test(date) ||
+      !CURRENCY_RE.test(base) ||
+      !CURRENCY_RE.test(quote) ||
+      base === quote ||
+      !(rate > 0)
+    ) {
+      skipped++;
+      continue;
+    }
+
+    await dbRun(
+      db,
+      `INSERT INTO fx_rate (
+         base_currency, quote_currency, rate, effective_date, source, updated_at_utc
+       ) VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT(base_currency, quote_currency, effective_date) DO UPDATE SET
+         rate = excluded.rate,
+         source = excluded.source,
+         updated_at_utc = excluded.updated_at_utc`,
+      [base, quote, rate, date, source, now]
+    );
+    rates++;
+  }
+
+  return { rates, skipped };
+}
+
+/**
+ * Load one or more FX rate CSV files in a single transaction.
+ */
+export async function importFxRateFiles(paths, options = {}) {
+  const db = openDb();
+
+  try {
+    return await withTransaction(db, async () => {
+      const summary = { rates: 0, skipped: 0 };
+      for (const p of paths) {
+        const { rates, skipped } = await importFxRates(db, fs.readFileSync(p, "utf8"), options);
+        summary.rates += rates;
+        summary.skipped += skipped;
+      }
+
+      logDev("importFxRateFiles", { paths, ...summary });
+      return summary;
+    });
+  } finally {
+    await dbClose(db);
+  }
+}
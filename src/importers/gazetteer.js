@@ -0,0 +1,144 @@
+// src/importers/gazetteer.js
+// Gazetteer loader: CSV rows (e.g. exported from an OSM extract) →
+// gazetteer_entry rows used by the offline geocoder.
+//
+// gazetteer.csv columns: kind, name, lat, lon, house_number?, postcode?,
+//                        locality?, region?, country_code?, importance?,
+//                        ext_ref? (e.g. "osm:node/123")
+
+import crypto from "crypto";
+import fs from "fs";
+import { openDb, dbRun, dbClose } from "../db/connection.js";
+import { withTransaction } from "../db/graphWriter.js";
+import { logDev } from "../routing/config.js";
+import { normalizeText } from "../routing/geocoder.js";
+import { parseCsv } from "./csv.js";
+
+const GAZETTEER_KINDS = new Set(["address", "street", "postcode", "place"]);
+
+function num(value) {
+  const n = Number(value);
+  return value === "" || value == null || !Number.isFinite(n) ? null : n;
+}
+
+function blank(value) {
+  const v = (value || "").trim();
+  return v === "" ? null : v;
+}
+
+/**
+ * Stable ext_ref for rows without one, so reloading the same file updates
+ * rather than duplicates.
+ */
+function syntheticRef(source, entry) {
+  const key = [entry.kind, entry.name_norm, entry.house_number, entry.postcode, entry.locality_norm]
+    .map((v) => v ?? "")
+    .join("|");
+  return `${source}:${crypto.createHash("sha1").update(key).digest("hex").slice(0, 16)}`;
+}
+
+/**
+ * Load gazetteer CSV text into gazetteer_entry. Returns { entries, skipped }.
+ */
+export async function importGazetteer(db, csvText, options = {}) {
+  const { source = "csv" } = options;
+  const rows = parseCsv(csvText);
+  const now = new Date().toISOString();
+  let entries = 0;
+  let skipped = 0;
+
+  for (const row of rows) {
+    const kind = (row.kind || "").trim().toLowerCase();
+    const lat = num(row.lat ?? row.latitude);
+    const lon = num(row.lon ?? row.longitude);
+
+    // Postcode rows may carry the code only in the postcode column.
+    const name = blank(row.name) || (kind === "postcode" ? blank(row.postcode) : null);
+
+    if (!GAZETTEER_KINDS.has(kind) || !name || lat == null || lon == null) {
+      skipped++;
+      continue;
+    }
+
+    const locality = blank(row.locality ?? row.city);
+    const entry = {
+      kind,
+      name,
+      name_norm: normalizeText(name),
+      house_number: blank(row.house_number)?.toLowerCase() ?? null,
+      postcode: blank(row.postcode ?? (kind === "postcode" ? name : null)),
+      locality,
+      locality_norm: locality ? normalizeText(locality) : null,
+      region: blank(row.region ?? row.state),
+      country_code: blank(row.country_code)?.toUpperCase() ?? null,
+      importance: Math.max(0, Math.min(1, num(row.importance) ?? 0)),
+    };
+
+    await dbRun(
+      db,
+      `INSERT INTO gazetteer_entry (
+         ext_ref, kind, name, name_norm, house_number, postcode, locality,
+         locality_norm, region, country_code, lat, lon, importance, source,
+         updated_at_utc
+       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(ext_ref) DO UPDATE SET
+         kind = excluded.kind,
+         name = excluded.name,
+         name_norm = excluded.name_norm,
+         house_number = excluded.house_number,
+         postcode = excluded.postcode,
+         locality = excluded.locality,
+         locality_norm = excluded.locality_norm,
+         region = excluded.region,
+         country_code = excluded.country_code,
+         lat = excluded.lat,
+         lon = excluded.lon,
+         importance = excluded.importance,
+         source = excluded.source,
+         updated_at_utc = excluded.updated_at_utc`,
+      [
+        blank(row.ext_ref) || syntheticRef(source, entry),
+        entry.kind,
+        entry.name,
+        entry.name_norm,
+        entry.house_number,
+        entry.postcode,
+        entry.locality,
+        entry.locality_norm,
+        entry.region,
+        entry.country_code,
+        lat,
+        lon,
+        entry.importance,
+        source,
+        now,
+      ]
+    );
+    entries++;
+  }
+
+  return { entries, skipped };
+}
+
+/**
+ * Load one or more gazetteer CSV files in a single transaction.
+ */
+export async function importGazetteerFiles(paths, options = {}) {
+  const db = openDb();
+
+  try {
+    return await withTransaction(db, async () => {
+      const summary = { entries: 0, skipped: 0 };
+      for (const p of paths) {
+        const { entries, skipped } = await importGazetteer(db, fs.readFileSync(p, "utf8"), options);
+        summary.entries += entries;
+        summary.skipped += skipped;
+      }
+
+      logDev("importGazetteerFiles", { paths, ...summary });
+      return summary;
+    });
+  } finally {
+    await dbClose(db);
+  }
+}
@@ -0,0 +1,364 @@
+// src/importers/gtfs.js
+// GTFS static feed importer (rail, bus, metro, tram).
+//
+// Reads stops, routes, trips, stop_times, calendar and calendar_dates (plus
+// agency for timezones) from a .zip or an extracted directory and writes:
+//   - location_node stations, ext_ref "GTFS:<feedId>:<stop_id>"
+//   - edge_leg hops between consecutive stops of a trip, per route
+//   - dated offer rows for every service day in [startDate, startDate + days)
+// Re-imports are idempotent: nodes upsert on ext_ref, edges on their
+// endpoints/mode/service, offers on (source_provider, source_ref).
+
+import fs from "fs";
+import path from "path";
+import { openDb, dbClose } from "../db/connection.js";
+import {
+  withTransaction,
+  upsertLocationNode,
+  upsertEdgeLeg,
+  upsertOffer,
+} from "../db/graphWriter.js";
+import { logDev } from "../routing/config.js";
+import { haversineKm } from "../routing/spatialIndex.js";
+import { zonedTimeToUtcMs } from "../routing/timezone.js";
+import { EdgeMode, NodeKind, OfferSourceType } from "../routing/types.js";
+import { parseCsv } from "./csv.js";
+import { readZipEntries } from "./zip.js";
+
+const REQUIRED_FILES = ["stops.txt", "routes.txt", "trips.txt", "stop_times.txt"];
+
+/**
+ * Static per-hop fare estimate (GTFS fares are not modelled yet):
+ * price = base_fare + per_km * hop distance.
+ */
+export const DEFAULT_GTFS_FARE_MODEL = {
+  base_fare: 0,
+  per_km: {
+    [EdgeMode.TRAIN]: 0.12,
+    [EdgeMode.BUS]: 0.08,
+    [EdgeMode.METRO]: 0.1,
+    [EdgeMode.TRAM]: 0.1,
+  },
+};
+
+/**
+ * Map a GTFS route_type (basic or extended) to an EdgeMode.
+ * Returns null for modes the graph does not support (ferry, air, ...).
+ */
+export function edgeModeForRouteType(routeType) {
+  const t = Number(routeType);
+
+  if (t === 0 || t === 5 || t === 7 || (t >= 900 && t < 1000)) return EdgeMode.TRAM;
+  if (t === 1 || t === 12 || (t >= 400 && t < 500)) return EdgeMode.METRO;
+  if (t === 2 || (t >= 100 && t < 200)) return EdgeMode.TRAIN;
+  if (t === 3 || t === 11 || (t >= 200 && t < 300) || (t >= 700 && t < 800)) return EdgeMode.BUS;
+
+  return null;
+}
+
+/**
+ * Read the feed's text files from a zip archive or a directory.
+ */
+function readFeedFiles(source) {
+  const stat = fs.statSync(source);
+  const files = new Map();
+
+  if (stat.isDirectory()) {
+    for (const name of fs.readdirSync(source)) {
+      if (name.endsWith(".txt")) {
+        files.set(name, fs.readFileSync(path.join(source, name), "utf8"));
+      }
+    }
+  } else {
+    for (const [name, buf] of readZipEntries(fs.readFileSync(source))) {
+      // Some feeds nest files in a top-level folder.
+      const base = path.posix.basename(name);
+      if (base.endsWith(".txt")) files.set(base, buf.toString("utf8"));
+    }
+  }
+
+  for (const required of REQUIRED_FILES) {
+    if (!files.has(required)) {
+      throw new Error(`GTFS feed ${source} is missing ${required}`);
+    }
+  }
+
+  const table = (name) => (files.has(name) ? parseCsv(files.get(name)) : []);
+
+  return {
+    agency: table("agency.txt"),
+    stops: table("stops.txt"),
+    routes: table("routes.txt"),
+    trips: table("trips.txt"),
+    stopTimes: table("stop_times.txt"),
+    calendar: table("calendar.txt"),
+    calendarDates: table("calendar_dates.txt"),
+  };
+}
+
+/**
+ * "HH:MM:SS" (hours may exceed 24) → seconds after service-day noon-minus-12h.
+ */
+function parseGtfsTime(value) {
+  if (!value) return null;
+  const [h, m, s = "0"] = value.split(":");
+  return Number(h) * 3600 + Number(m) * 60 + Number(s);
+}
+
+/**
+ * "YYYYMMDD" ↔ "YYYY-MM-DD" helpers.
+ */
+function gtfsDate(isoDate) {
+  return isoDate.replaceAll("-", "");
+}
+
+function addDays(isoDate, n) {
+  const d = new Date(`${isoDate}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+/**
+ * Active service_ids per date (ISO) in the window, from calendar +
+ * calendar_dates exceptions (1 = added, 2 = removed).
+ */
+export function activeServicesByDate(calendar, calendarDates, startDate, days) {
+  const byDate = new Map();
+
+  for (let i = 0; i < days; i++) {
+    const date = addDays(startDate, i);
+    const ymd = gtfsDate(date);
+    const weekday = WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+    const active = new Set();
+
+    for (const c of calendar) {
+      if (c.start_date <= ymd && ymd <= c.end_date && c[weekday] === "1") {
+        active.add(c.service_id);
+      }
+    }
+
+    for (const cd of calendarDates) {
+      if (cd.date !== ymd) continue;
+      if (cd.exception_type === "1") active.add(cd.service_id);
+      if (cd.exception_type === "2") active.delete(cd.service_id);
+    }
+
+    byDate.set(date, active);
+  }
+
+  return byDate;
+}
+
+/**
+ * UTC ISO time of a GTFS stop time on a service date. GTFS times count from
+ * "noon minus 12h" local time, which differs from midnight on DST days.
+ */
+function serviceTimeToUtc(date, seconds, timeZone) {
+  const [y, m, d] = date.split("-").map(Number);
+  const noonMs = zonedTimeToUtcMs(timeZone, y, m, d, 12, 0, 0);
+  return new Date(noonMs - 12 * 3600 * 1000 + seconds * 1000).toISOString();
+}
+
+/**
+ * Import a GTFS feed.
+ *
+ * options:
+ *   - feedId (required): namespace for ext_ref / source_provider
+ *   - startDate "YYYY-MM-DD" (required), days (default 7)
+ *   - currency (default "USD"), fareModel (default DEFAULT_GTFS_FARE_MODEL)
+ *   - defaultTimezone: used when neither stop nor agency has one
+ *
+ * Returns counts { nodes, edges, offers, skippedRoutes, skippedTrips }.
+ */
+export async function importGtfsFeed(source, options) {
+  const {
+    feedId,
+    startDate,
+    days = 7,
+    currency = "USD",
+    fareModel = DEFAULT_GTFS_FARE_MODEL,
+    defaultTimezone = "UTC",
+  } = options;
+
+  if (!feedId) throw new Error("importGtfsFeed: feedId is required");
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate || "")) {
+    throw new Error("importGtfsFeed: startDate must be YYYY-MM-DD");
+  }
+
+  const feed = readFeedFiles(source);
+  const provider = `gtfs:${feedId}`;
+
+  const agencyTz = new Map(feed.agency.map((a) => [a.agency_id || "", a.agency_timezone]));
+  const feedTz = feed.agency[0]?.agency_timezone || defaultTimezone;
+
+  // Routes → mode/service/carrier
+  const routes = new Map();
+  let skippedRoutes = 0;
+  for (const r of feed.routes) {
+    const mode = edgeModeForRouteType(r.route_type);
+    if (!mode) {
+      skippedRoutes++;
+      continue;
+    }
+    routes.set(r.route_id, {
+      mode,
+      carrier_code: r.agency_id || feed.agency[0]?.agency_id || feedId,
+      service_code: r.route_short_name || r.route_long_name || r.route_id,
+      timezone: agencyTz.get(r.agency_id || "") || feedTz,
+    });
+  }
+
+  const trips = new Map(feed.trips.map((t) => [t.trip_id, t]));
+
+  // Stop times grouped by trip, in sequence order
+  const stopTimesByTrip = new Map();
+  for (const st of feed.stopTimes) {
+    const list = stopTimesByTrip.get(st.trip_id) || [];
+    list.push(st);
+    stopTimesByTrip.set(st.trip_id, list);
+  }
+  for (const list of stopTimesByTrip.values()) {
+    list.sort((a, b) => Number(a.stop_sequence) - Number(b.stop_sequence));
+  }
+
+  // Stops: platforms collapse onto their parent station
+  const stopsById = new Map(feed.stops.map((s) => [s.stop_id, s]));
+  const stationIdOf = (stopId) => {
+    const stop = stopsById.get(stopId);
+    return stop && stop.parent_station ? stop.parent_station : stopId;
+  };
+
+  // Modes serving each station decide its node kind
+  const modesByStation = new Map();
+  for (const [tripId, list] of stopTimesByTrip) {
+    const route = routes.get(trips.get(tripId)?.route_id);
+    if (!route) continue;
+    for (const st of list) {
+      const id = stationIdOf(st.stop_id);
+      const set = modesByStation.get(id) || new Set();
+      set.add(route.mode);
+      modesByStation.set(id, set);
+    }
+  }
+
+  const servicesByDate = activeServicesByDate(
+    feed.calendar,
+    feed.calendarDates,
+    startDate,
+    days
+  );
+
+  const db = openDb();
+  const nodeIds = new Map();
+  const nodeCoords = new Map();
+  const edgeIds = new Map();
+  let offers = 0;
+  let skippedTrips = 0;
+
+  try {
+    await withTransaction(db, async () => {
+      for (const [stationId, modes] of modesByStation) {
+        const stop = stopsById.get(stationId);
+        if (!stop) continue;
+
+        const kind =
+          modes.size === 1 && modes.has(EdgeMode.BUS) ? NodeKind.BUS_TERMINAL : NodeKind.STATION;
+        const node = {
+          ext_ref: `GTFS:${feedId}:${stationId}`,
+          name: stop.stop_name || stationId,
+          kind,
+          lat: Number(stop.stop_lat),
+          lon: Number(stop.stop_lon),
+          timezone: stop.stop_timezone || feedTz,
+        };
+
+        const { id } = await upsertLocationNode(db, node);
+        nodeIds.set(stationId, id);
+        nodeCoords.set(stationId, node);
+      }
+
+      for (const [tripId, list] of stopTimesByTrip) {
+        const trip = trips.get(tripId);
+        const route = trip && routes.get(trip.route_id);
+        if (!route) {
+          skippedTrips++;
+          continue;
+        }
+
+        const serviceDates = [...servicesByDate]
+          .filter(([, active]) => active.has(trip.service_id))
+          .map(([date]) => date);
+        if (serviceDates.length === 0) continue;
+
+        for (let i = 0; i + 1 < list.length; i++) {
+          const from = list[i];
+          const to = list[i + 1];
+          const fromStation = stationIdOf(from.stop_id);
+          const toStation = stationIdOf(to.stop_id);
+          if (fromStation === toStation) continue;
+
+          const depSec = parseGtfsTime(from.departure_time || from.arrival_time);
+          const arrSec = parseGtfsTime(to.arrival_time || to.departure_time);
+          // Untimed intermediate stops (interpolated) are skipped.
+          if (depSec == null || arrSec == null) continue;
+
+          const a = nodeCoords.get(fromStation);
+          const b = nodeCoords.get(toStation);
+          const distanceKm = haversineKm(a.lat, a.lon, b.lat, b.lon);
+          const durationMin = Math.max(1, Math.round((arrSec - depSec) / 60));
+
+          const edgeKey = `${fromStation}|${toStation}|${trip.route_id}`;
+          if (!edgeIds.has(edgeKey)) {
+            const { id } = await upsertEdgeLeg(db, {
+              from_node_id: nodeIds.get(fromStation),
+              to_node_id: nodeIds.get(toStation),
+              mode: route.mode,
+              carrier_code: route.carrier_code,
+              service_code: route.service_code,
+              distance_km: Math.round(distanceKm * 100) / 100,
+              duration_min: durationMin,
+              structure_type: "static",
+            });
+            edgeIds.set(edgeKey, id);
+          }
+
+          const perKm = fareModel.per_km?.[route.mode] ?? 0;
+          const price = Math.round(((fareModel.base_fare || 0) + perKm * distanceKm) * 100) / 100;
+
+          for (const date of serviceDates) {
+            await upsertOffer(db, {
+              edge_leg_id: edgeIds.get(edgeKey),
+              departure_time_utc: serviceTimeToUtc(date, depSec, route.timezone),
+              arrival_time_utc: serviceTimeToUtc(date, arrSec, route.timezone),
+              price_total: price,
+              currency,
+              source_type: OfferSourceType.MANUAL_STATIC,
+              source_provider: provider,
+              source_ref: `${tripId}:${from.stop_sequence}:${date}`,
+              is_static: 1,
+              meta_json: JSON.stringify({
+                gtfs: { feed_id: feedId, trip_id: tripId, route_id: trip.route_id, service_date: date },
+                price_estimated: true,
+              }),
+            });
+            offers++;
+          }
+        }
+      }
+    });
+  } finally {
+    await dbClose(db);
+  }
+
+  const summary = {
+    nodes: nodeIds.size,
+    edges: edgeIds.size,
+    offers,
+    skippedRoutes,
+    skippedTrips,
+  };
+  logDev("importGtfsFeed", { source, feedId, ...summary });
+  return summary;
+}
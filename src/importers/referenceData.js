@@ -0,0 +1,199 @@
+// src/importers/referenceData.js
+// Reference data importer: cities → area rows, OurAirports-style airports →
+// airport location_node rows (ext_ref "IATA:XXX") linked to their city area,
+// plus an airport_catchment area around every airport.
+//
+// cities.csv columns:   name, country_code, lat, lon, radius_km?, kind?, timezone?
+// airports.csv columns: OurAirports (ident, type, name, latitude_deg,
+//                       longitude_deg, iso_country, municipality, iata_code)
+//                       plus an optional timezone (or tz) column.
+
+import fs from "fs";
+import { openDb, dbAll, dbClose } from "../db/connection.js";
+import { withTransaction, upsertArea, upsertLocationNode } from "../db/graphWriter.js";
+import { logDev } from "../routing/config.js";
+import { haversineKm } from "../routing/spatialIndex.js";
+import { isValidTimeZone } from "../routing/timezone.js";
+import { NodeKind } from "../routing/types.js";
+import { parseCsv } from "./csv.js";
+
+export const DEFAULT_CITY_RADIUS_KM = 25;
+export const DEFAULT_CATCHMENT_RADIUS_KM = 50;
+export const DEFAULT_AIRPORT_TYPES = ["large_airport", "medium_airport"];
+
+const CITY_KINDS = new Set(["city", "metro", "neighborhood"]);
+
+function num(value) {
+  const n = Number(value);
+  return value === "" || value == null || !Number.isFinite(n) ? null : n;
+}
+
+/**
+ * Import cities/metros as area rows. Returns { areas, skipped, timezones }
+ * where timezones maps area id → IANA timezone from the CSV (area rows have
+ * no timezone column; airports inherit it).
+ */
+export async function importCities(db, csvText) {
+  const rows = parseCsv(csvText);
+  const timezones = new Map();
+  let areas = 0;
+  let skipped = 0;
+
+  for (const row of rows) {
+    const lat = num(row.lat ?? row.latitude);
+    const lon = num(row.lon ?? row.longitude);
+    const kind = row.kind || "city";
+
+    if (!row.name || lat == null || lon == null || !CITY_KINDS.has(kind)) {
+      skipped++;
+      continue;
+    }
+
+    const { id } = await upsertArea(db, {
+      name: row.name,
+      kind,
+      country_code: row.country_code || null,
+      center_lat: lat,
+      center_lon: lon,
+      radius_km: num(row.radius_km) ?? DEFAULT_CITY_RADIUS_KM,
+    });
+    areas++;
+
+    if (isValidTimeZone(row.timezone)) timezones.set(id, row.timezone);
+  }
+
+  return { areas, skipped, timezones };
+}
+
+/**
+ * Find the city area an airport serves: same municipality name + country,
+ * else the nearest city whose radius (plus the catchment radius) covers it.
+ */
+function matchCity(cities, airport, catchmentRadiusKm) {
+  const municipality = (airport.municipality || "").toLowerCase();
+  const byName = cities.find(
+    (c) =>
+      municipality &&
+      c.name.toLowerCase() === municipality &&
+      (!c.country_code || !airport.country_code || c.country_code === airport.country_code)
+  );
+  if (byName) return byName;
+
+  let best = null;
+  let bestDist = Infinity;
+  for (const c of cities) {
+    const d = haversineKm(airport.lat, airport.lon, c.center_lat, c.center_lon);
+    if (d <= c.radius_km + catchmentRadiusKm && d < bestDist) {
+      best = c;
+      bestDist = d;
+    }
+  }
+  return best;
+}
+
+/**
+ * Import airports with an IATA code as airport nodes + catchment areas.
+ * Returns { airports, catchments, linked, skipped }.
+ */
+export async function importAirports(db, csvText, options = {}) {
+  const {
+    types = DEFAULT_AIRPORT_TYPES,
+    catchmentRadiusKm = DEFAULT_CATCHMENT_RADIUS_KM,
+    cityTimezones = new Map(),
+  } = options;
+
+  const rows = parseCsv(csvText);
+  const cities = await dbAll(
+    db,
+    "SELECT * FROM area WHERE kind IN ('city', 'metro')"
+  );
+
+  let airports = 0;
+  let linked = 0;
+  let skipped = 0;
+
+  for (const row of rows) {
+    const iata = (row.iata_code || "").trim().toUpperCase();
+    const lat = num(row.latitude_deg ?? row.lat);
+    const lon = num(row.longitude_deg ?? row.lon);
+
+    if (!/^[A-Z]{3}$/.test(iata) || lat == null || lon == null) {
+      skipped++;
+      continue;
+    }
+    if (row.type && types.length > 0 && !types.includes(row.type)) {
+      skipped++;
+      continue;
+    }
+
+    const airport = {
+      iata,
+      name: row.name || iata,
+      lat,
+      lon,
+      country_code: row.iso_country || row.country_code || null,
+      municipality: row.municipality,
+    };
+
+    const city = matchCity(cities, airport, catchmentRadiusKm);
+    if (city) linked++;
+
+    const { id: catchmentId } = await upsertArea(db, {
+      name: `${iata} airport catchment`,
+      kind: "airport_catchment",
+      country_code: airport.country_code,
+      center_lat: lat,
+      center_lon: lon,
+      radius_km: catchmentRadiusKm,
+      parent_area_id: city ? city.id : null,
+    });
+
+    const tz = row.timezone || row.tz;
+    await upsertLocationNode(db, {
+      ext_ref: `IATA:${iata}`,
+      name: airport.name,
+      kind: NodeKind.AIRPORT,
+      area_id: city ? city.id : catchmentId,
+      lat,
+      lon,
+      is_hub: row.type === "large_airport" ? 1 : 0,
+      country_code: airport.country_code,
+      timezone: isValidTimeZone(tz) ? tz : (city && cityTimezones.get(city.id)) || null,
+    });
+    airports++;
+  }
+
+  return { airports, catchments: airports, linked, skipped };
+}
+
+/**
+ * Import cities and/or airports from CSV files in one transaction.
+ */
+export async function importReferenceData({ citiesPath, airportsPath, ...options }) {
+  const db = openDb();
+
+  try {
+    return await withTransaction(db, async () => {
+      const summary = {};
+      let cityTimezones = new Map();
+
+      if (citiesPath) {
+        const cities = await importCities(db, fs.readFileSync(citiesPath, "utf8"));
+        cityTimezones = cities.timezones;
+        summary.cities = { areas: cities.areas, skipped: cities.skipped };
+      }
+
+      if (airportsPath) {
+        summary.airports = await importAirports(db, fs.readFileSync(airportsPath, "utf8"), {
+          ...options,
+          cityTimezones,
+        });
+      }
+
+      logDev("importReferenceData", summary);
+      return summary;
+    });
+  } finally {
+    await dbClose(db);
+  }
+}
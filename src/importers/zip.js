@@ -0,0 +1,65 @@
+// src/importers/zip.js
+// Minimal ZIP reader (stored + deflate entries) for importing feed archives
+// without extra dependencies. ZIP64 and encryption are not supported.
+
+import zlib from "zlib";
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+function findEndOfCentralDirectory(buf) {
+  // EOCD is 22 bytes + up to 64 KiB comment at the end of the file.
+  const min = Math.max(0, buf.length - 22 - 0xffff);
+  for (let i = buf.length - 22; i >= min; i--) {
+    if (buf.readUInt32LE(i) === EOCD_SIGNATURE) return i;
+  }
+  throw new Error("Not a ZIP archive (end of central directory not found)");
+}
+
+/**
+ * Read all file entries of a ZIP archive into Map<name, Buffer>.
+ */
+export function readZipEntries(buf) {
+  const eocd = findEndOfCentralDirectory(buf);
+  const count = buf.readUInt16LE(eocd + 10);
+  let offset = buf.readUInt32LE(eocd + 16);
+
+  const entries = new Map();
+
+  for (let n = 0; n < count; n++) {
+    if (buf.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+      throw new Error("Corrupt ZIP central directory");
+    }
+
+    const method = buf.readUInt16LE(offset + 10);
+    const compressedSize = buf.readUInt32LE(offset + 20);
+    const nameLen = buf.readUInt16LE(offset + 28);
+    const extraLen = buf.readUInt16LE(offset + 30);
+    const commentLen = buf.readUInt16LE(offset + 32);
+    const localOffset = buf.readUInt32LE(offset + 42);
+    const name = buf.toString("utf8", offset + 46, offset + 46 + nameLen);
+
+    offset += 46 + nameLen + extraLen + commentLen;
+
+    if (name.endsWith("/")) continue;
+
+    if (buf.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) {
+      throw new Error(`Corrupt ZIP local header for ${name}`);
+    }
+    const localNameLen = buf.readUInt16LE(localOffset + 26);
+    const localExtraLen = buf.readUInt16LE(localOffset + 28);
+    const dataStart = localOffset + 30 + localNameLen + localExtraLen;
+    const data = buf.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === 0) {
+      entries.set(name, Buffer.from(data));
+    } else if (method === 8) {
+      entries.set(name, zlib.inflateRawSync(data));
+    } else {
+      throw new Error(`Unsupported ZIP compression method ${method} for ${name}`);
+    }
+  }
+
+  return entries;
+}
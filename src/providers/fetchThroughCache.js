@@ -0,0 +1,44 @@
+// src/providers/fetchThroughCache.js
+// Cache-through provider fetch: serve from api_cache when a valid entry exists
+// for (provider, endpoint, canonicalHash(query)), otherwise call the provider
+// and store its raw response.
+//
+// Adapters wrapped by the record/replay harness may set:
+//   - bypassCache: skip the lookup (recording must reach the provider)
+//   - assertRecorded(query): throw before the lookup for unrecorded requests
+
+import { apiCacheLookup, apiCachePut, canonicalHash } from "../routing/apiCache.js";
+import { logDev } from "../routing/config.js";
+
+/**
+ * Fetch a provider response through api_cache.
+ * Resolves to { raw, apiCacheId, cacheHit, paramsHash }.
+ */
+export async function fetchThroughCache(provider, query) {
+  const paramsHash = canonicalHash(query);
+
+  if (provider.assertRecorded) {
+    provider.assertRecorded(query);
+  }
+
+  const entry = provider.bypassCache
+    ? null
+    : await apiCacheLookup(provider.name, provider.endpoint, query);
+  if (entry && entry.valid) {
+    logDev("fetchThroughCache hit", { provider: provider.name, paramsHash });
+    return { raw: entry.response, apiCacheId: entry.id, cacheHit: true, paramsHash };
+  }
+
+  logDev("fetchThroughCache miss", { provider: provider.name, paramsHash });
+
+  const raw = await provider.searchLegs(query);
+  const apiCacheId = await apiCachePut(
+    provider.name,
+    provider.endpoint,
+    query,
+    raw,
+    provider.ttlHours
+  );
+
+  return { raw, apiCacheId, cacheHit: false, paramsHash };
+}
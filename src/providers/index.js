@@ -0,0 +1,124 @@
+// src/providers/index.js
+// Provider pipeline: cache-through fetch → normalize → ingest into
+// location_node / edge_leg / offer, for every enabled provider.
+
+import { openDb, dbClose } from "../db/connection.js";
+import {
+  withTransaction,
+  upsertLocationNode,
+  upsertEdgeLeg,
+  upsertOffer,
+} from "../db/graphWriter.js";
+import { PROVIDER_RECORDING, logDev } from "../routing/config.js";
+import { OfferSourceType } from "../routing/types.js";
+import { fetchThroughCache } from "./fetchThroughCache.js";
+import { getEnabledProviders } from "./registry.js";
+import {
+  applyRecordingMode,
+  cassettePath,
+  ensureCassettePrimed,
+  UnrecordedRequestError,
+} from "./recordReplay.js";
+
+export {
+  registerProvider,
+  getProvider,
+  getEnabledProviders,
+  listProviders,
+} from "./registry.js";
+export { fetchThroughCache } from "./fetchThroughCache.js";
+export {
+  withRecording,
+  withReplay,
+  primeCacheFromCassette,
+  applyRecordingMode,
+  cassettePath,
+  UnrecordedRequestError,
+} from "./recordReplay.js";
+
+/**
+ * Write normalized provider legs into the graph tables.
+ * Returns { nodes, edges, offers } counts of touched rows.
+ */
+export async function ingestNormalizedLegs(legs, { provider, apiCacheId, cacheHit, ttlHours }) {
+  const db = openDb();
+  const retrievedAt = new Date().toISOString();
+  const nodeIds = new Map();
+  const edgeIds = new Set();
+  let offers = 0;
+
+  const nodeId = async (spec) => {
+    if (!nodeIds.has(spec.ext_ref)) {
+      const { id } = await upsertLocationNode(db, spec);
+      nodeIds.set(spec.ext_ref, id);
+    }
+    return nodeIds.get(spec.ext_ref);
+  };
+
+  try {
+    await withTransaction(db, async () => {
+      for (const leg of legs) {
+        const { id: edgeId } = await upsertEdgeLeg(db, {
+          ...leg.edge_leg,
+          from_node_id: await nodeId(leg.from),
+          to_node_id: await nodeId(leg.to),
+        });
+        edgeIds.add(edgeId);
+
+        await upsertOffer(db, {
+          ...leg.offer,
+          edge_leg_id: edgeId,
+          source_type: cacheHit ? OfferSourceType.CACHED : OfferSourceType.API_LIVE,
+          source_provider: provider,
+          api_cache_id: apiCacheId,
+          retrieval_time_utc: retrievedAt,
+          ttl_hrs: ttlHours,
+        });
+        offers++;
+      }
+    });
+  } finally {
+    await dbClose(db);
+  }
+
+  return { nodes: nodeIds.size, edges: edgeIds.size, offers };
+}
+
+/**
+ * Fetch legs for a corridor/date from every enabled provider (or the given
+ * ones) and ingest them. The configured record/replay mode is applied to the
+ * adapters (replay first primes api_cache from the cassette). Returns one
+ * summary per provider; a failing provider is reported without aborting the
+ * others, except that unrecorded requests in replay mode are rethrown.
+ */
+export async function fetchCorridorLegs(
+  query,
+  { providers = getEnabledProviders(), recording = PROVIDER_RECORDING } = {}
+) {
+  const summaries = [];
+
+  if (recording.mode === "replay") {
+    await ensureCassettePrimed(cassettePath(recording.cassette, recording.recordingsDir));
+  }
+
+  for (const provider of applyRecordingMode(providers, recording)) {
+    try {
+      const { raw, apiCacheId, cacheHit } = await fetchThroughCache(provider, query);
+      const legs = provider.normalize(raw, query);
+      const counts = await ingestNormalizedLegs(legs, {
+        provider: provider.name,
+        apiCacheId,
+        cacheHit,
+        ttlHours: provider.ttlHours,
+      });
+
+      summaries.push({ provider: provider.name, cacheHit, apiCacheId, ...counts });
+    } catch (err) {
+      if (err instanceof UnrecordedRequestError) throw err;
+      logDev("fetchCorridorLegs provider failed", { provider: provider.name, err });
+      summaries.push({ provider: provider.name, error: err.message });
+    }
+  }
+
+  return summaries;
+}
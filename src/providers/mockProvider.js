@@ -0,0 +1,101 @@
+// src/providers/mockProvider.js
+// File-backed mock provider so the fetch → cache → ingest → search pipeline
+// runs fully offline.
+//
+// Fixture format (Data/fixtures/mock_provider.json):
+// {
+//   "nodes": { "<code>": { ext_ref, name, kind, lat, lon, timezone, country_code } },
+//   "corridors": [
+//     { "origin": "NYC", "destination": "BOS",
+//       "legs": [{ from, to, mode, carrier_code, service_code, distance_km,
+//                  departure_utc: "HH:MM", duration_min, price, currency }] }
+//   ]
+// }
+// Departure times are applied to the query date.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { logDev } from "../routing/config.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_FIXTURE = path.join(
+  __dirname,
+  "..",
+  "..",
+  "Data",
+  "fixtures",
+  "mock_provider.json"
+);
+
+/**
+ * Create the mock provider adapter.
+ */
+export function createMockProvider(options = {}) {
+  const fixturePath = options.fixturePath || DEFAULT_FIXTURE;
+  let fixture = null;
+
+  const loadFixture = () => {
+    if (!fixture) {
+      fixture = JSON.parse(fs.readFileSync(fixturePath, "utf8"));
+      logDev("mockProvider fixture loaded", { fixturePath });
+    }
+    return fixture;
+  };
+
+  return {
+    name: "mock",
+    endpoint: "legs",
+    ttlHours: options.ttlHours ?? 6,
+
+    /**
+     * Raw response: the matching corridor's legs plus the nodes they use.
+     */
+    async searchLegs(query) {
+      const { nodes, corridors } = loadFixture();
+      const corridor = corridors.find(
+        (c) => c.origin === query.origin && c.destination === query.destination
+      );
+
+      const legs = corridor ? corridor.legs : [];
+      const codes = new Set(legs.flatMap((l) => [l.from, l.to]));
+
+      return {
+        date: query.date,
+        nodes: Object.fromEntries(
+          Object.entries(nodes).filter(([code]) => codes.has(code))
+        ),
+        legs,
+      };
+    },
+
+    normalize(raw) {
+      return raw.legs.map((leg, i) => {
+        const departure = new Date(`${raw.date}T${leg.departure_utc}:00Z`);
+        const arrival = new Date(departure.getTime() + leg.duration_min * 60000);
+
+        return {
+          from: raw.nodes[leg.from],
+          to: raw.nodes[leg.to],
+          edge_leg: {
+            mode: leg.mode,
+            carrier_code: leg.carrier_code ?? null,
+            service_code: leg.service_code ?? null,
+            distance_km: leg.distance_km ?? null,
+            duration_min: leg.duration_min,
+          },
+          offer: {
+            departure_time_utc: departure.toISOString(),
+            arrival_time_utc: arrival.toISOString(),
+            price_total: leg.price,
+            currency: leg.currency || "USD",
+            source_ref: `${raw.date}:${leg.service_code || `${leg.from}-${leg.to}`}:${i}`,
+            reliability_score: leg.reliability_score ?? null,
+          },
+        };
+      });
+    },
+  };
+}
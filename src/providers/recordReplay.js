@@ -0,0 +1,193 @@
+// src/providers/recordReplay.js
+// Record/replay harness for provider responses.
+//
+// A cassette is a JSON file of provider request/response pairs keyed exactly
+// like api_cache rows: provider + endpoint + canonicalHash(params). Recording
+// wraps a live adapter and saves every response; replay wraps it so
+// responses come from the cassette, are stored into api_cache and then served
+// through the normal apiCacheGet path. Unrecorded requests fail loudly.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { apiCachePut, canonicalHash } from "../routing/apiCache.js";
+import { PROVIDER_RECORDING, logDev } from "../routing/config.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_RECORDINGS_DIR = path.join(
+  __dirname,
+  "..",
+  "..",
+  "Data",
+  "fixtures",
+  "recordings"
+);
+
+// Replayed responses never expire while the harness is active.
+const REPLAY_TTL_HOURS = 24 * 365 * 100;
+
+/**
+ * Thrown in replay mode for a request that has no recording.
+ */
+export class UnrecordedRequestError extends Error {
+  constructor(provider, endpoint, params, cassettePath) {
+    super(
+      `No recording for ${provider}/${endpoint} ${JSON.stringify(params)} in ${cassettePath}. ` +
+        "Re-record with PROVIDER_MODE=record."
+    );
+    this.name = "UnrecordedRequestError";
+    this.provider = provider;
+    this.endpoint = endpoint;
+    this.params = params;
+    this.cassettePath = cassettePath;
+  }
+}
+
+/**
+ * Cassette key — same components api_cache uses.
+ */
+export function recordingKey(provider, endpoint, params) {
+  return `${provider}|${endpoint}|${canonicalHash(params)}`;
+}
+
+/**
+ * Resolve a cassette file path from its name.
+ */
+export function cassettePath(cassette, dir = PROVIDER_RECORDING.recordingsDir) {
+  return path.join(dir || DEFAULT_RECORDINGS_DIR, `${cassette}.json`);
+}
+
+/**
+ * Load a cassette file ({ entries: { [key]: { provider, endpoint, params,
+ * response, recorded_at_utc } } }); missing files load as empty.
+ */
+export function loadCassette(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return { entries: {} };
+  }
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+function saveCassette(filePath, cassette) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  // Sorted keys keep diffs of re-recorded fixtures small.
+  const entries = Object.fromEntries(
+    Object.keys(cassette.entries)
+      .sort()
+      .map((k) => [k, cassette.entries[k]])
+  );
+  fs.writeFileSync(filePath, JSON.stringify({ entries }, null, 2) + "\n");
+}
+
+/**
+ * Wrap an adapter so every live response is written to the cassette.
+ * Recording bypasses api_cache so each request actually reaches the provider.
+ */
+export function withRecording(provider, filePath) {
+  const cassette = loadCassette(filePath);
+
+  return {
+    ...provider,
+    bypassCache: true,
+
+    async searchLegs(query) {
+      const response = await provider.searchLegs(query);
+
+      cassette.entries[recordingKey(provider.name, provider.endpoint, query)] = {
+        provider: provider.name,
+        endpoint: provider.endpoint,
+        params: query,
+        response,
+        recorded_at_utc: new Date().toISOString(),
+      };
+      saveCassette(filePath, cassette);
+
+      logDev("recorded provider response", { provider: provider.name, filePath });
+      return response;
+    },
+  };
+}
+
+/**
+ * Wrap an adapter so responses come only from the cassette.
+ * assertRecorded runs before any cache lookup so an unrecorded request can
+ * never be satisfied by a stale api_cache row.
+ */
+export function withReplay(provider, filePath) {
+  const cassette = loadCassette(filePath);
+
+  const lookup = (query) => {
+    const entry = cassette.entries[recordingKey(provider.name, provider.endpoint, query)];
+    if (!entry) {
+      throw new UnrecordedRequestError(provider.name, provider.endpoint, query, filePath);
+    }
+    return entry;
+  };
+
+  return {
+    ...provider,
+    ttlHours: REPLAY_TTL_HOURS,
+
+    assertRecorded(query) {
+      lookup(query);
+    },
+
+    async searchLegs(query) {
+      return lookup(query).response;
+    },
+  };
+}
+
+/**
+ * Store every recording of a cassette into api_cache, so replayed requests
+ * are served by apiCacheGet exactly like cached live responses.
+ */
+export async function primeCacheFromCassette(filePath) {
+  const { entries } = loadCassette(filePath);
+
+  for (const entry of Object.values(entries)) {
+    await apiCachePut(
+      entry.provider,
+      entry.endpoint,
+      entry.params,
+      entry.response,
+      REPLAY_TTL_HOURS
+    );
+  }
+
+  logDev("primeCacheFromCassette", { filePath, count: Object.keys(entries).length });
+  return Object.keys(entries).length;
+}
+
+const primedCassettes = new Map();
+
+/**
+ * primeCacheFromCassette, once per cassette per process.
+ */
+export function ensureCassettePrimed(filePath) {
+  if (!primedCassettes.has(filePath)) {
+    primedCassettes.set(filePath, primeCacheFromCassette(filePath));
+  }
+  return primedCassettes.get(filePath);
+}
+
+/**
+ * Apply the configured record/replay mode to a list of adapters.
+ */
+export function applyRecordingMode(providers, recording = PROVIDER_RECORDING) {
+  const filePath = cassettePath(recording.cassette, recording.recordingsDir);
+
+  switch (recording.mode) {
+    case "live":
+      return providers;
+    case "record":
+      return providers.map((p) => withRecording(p, filePath));
+    case "replay":
+      return providers.map((p) => withReplay(p, filePath));
+    default:
+      throw new Error(`Unknown PROVIDER_MODE "${recording.mode}" (live, record, replay)`);
+  }
+}
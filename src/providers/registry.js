@@ -0,0 +1,67 @@
+// src/providers/registry.js
+// Provider adapter registry.
+//
+// A provider adapter is a plain object:
+// {
+//   name: "mock",                 // api_cache.provider + offer.source_provider
+//   endpoint: "legs",             // api_cache.endpoint
+//   ttlHours: 6,                  // cache lifetime of a response
+//   async searchLegs(query),      // raw, JSON-serializable provider response
+//   normalize(raw, query),        // → [NormalizedLeg]
+// }
+//
+// query: { origin, destination, date: "YYYY-MM-DD" }
+//
+// NormalizedLeg:
+// {
+//   from: { ext_ref, name, kind, lat, lon, timezone?, country_code? },
+//   to:   { ... },
+//   edge_leg: { mode, carrier_code?, service_code?, distance_km?, duration_min,
+//               is_transfer?, min_connection_min? },
+//   offer: { departure_time_utc, arrival_time_utc, price_total, currency,
+//            source_ref, reliability_score?, meta_json? },
+// }
+
+import { PROVIDER_CONFIG, logDev } from "../routing/config.js";
+import { createMockProvider } from "./mockProvider.js";
+
+/**
+ * Factories for providers bundled with the repo, keyed by config name.
+ */
+const providerFactories = new Map([["mock", createMockProvider]]);
+
+/**
+ * Register (or replace) a provider factory: (options) => adapter.
+ */
+export function registerProvider(name, factory) {
+  providerFactories.set(name, factory);
+}
+
+/**
+ * Names of all registered providers.
+ */
+export function listProviders() {
+  return [...providerFactories.keys()];
+}
+
+/**
+ * Instantiate a provider by name with its config block.
+ */
+export function getProvider(name, config = PROVIDER_CONFIG) {
+  const factory = providerFactories.get(name);
+  if (!factory) {
+    throw new Error(
+      `Unknown provider "${name}" (registered: ${listProviders().join(", ")})`
+    );
+  }
+  return factory(config[name] || {});
+}
+
+/**
+ * Instantiate every provider enabled in config, in priority order.
+ */
+export function getEnabledProviders(config = PROVIDER_CONFIG) {
+  const providers = config.enabled.map((name) => getProvider(name, config));
+  logDev("getEnabledProviders", providers.map((p) => p.name));
+  return providers;
+}
@@ -0,0 +1,166 @@
+// src/routing/ancillaryFees.js
+// Baggage and other ancillary fees per leg, from the ancillary_fee table (see
+// importers/ancillaryFees.js) and the party's baggage profile (params.baggage,
+// defaults: DEFAULT_BAGGAGE in types.js).
+//
+// For each item the most specific row for the leg applies (carrier + mode,
+// carrier, mode, catch-all); every passenger pays fee_per_item for each item
+// beyond included_qty. Legs without a matching row carry no fees.
+
+import { openDb, dbAll, dbGet, dbClose } from "../db/connection.js";
+import { logDev } from "./config.js";
+import { offerTimesMs } from "./generalizedCost.js";
+import { BaggageItem, DEFAULT_BAGGAGE } from "./types.js";
+
+const ITEMS = Object.values(BaggageItem);
+
+let cached = null;
+
+/**
+ * Validate params.baggage (items per passenger) and fill in defaults.
+ */
+export function resolveBaggage(input = {}) {
+  const baggage = { ...DEFAULT_BAGGAGE, ...(input || {}) };
+
+  for (const [item, count] of Object.entries(baggage)) {
+    if (!ITEMS.includes(item)) {
+      throw new Error(`Unknown baggage item "${item}"`);
+    }
+    if (!Number.isInteger(count) || count < 0) {
+      throw new Error(`baggage.${item} must be a non-negative integer`);
+    }
+  }
+  return baggage;
+}
+
+/**
+ * Fee table from ancillary_fee rows ({ mode, carrier_code, item,
+ * included_qty, fee_per_item, currency }; '' scopes match any).
+ *
+ * Returns { rulesFor(edge_leg) → [{ item, included_qty, fee_per_item,
+ * currency }] }, one rule per item that has a matching row.
+ */
+export function createFeeTable(rows) {
+  const byScope = new Map(); // "mode|carrier|item" → row
+  for (const row of rows) {
+    byScope.set(`${row.mode || ""}|${row.carrier_code || ""}|${row.item}`, row);
+  }
+
+  const memo = new Map();
+
+  function rulesFor(edgeLeg) {
+    const mode = edgeLeg.mode || "";
+    const carrier = edgeLeg.carrier_code || "";
+    const key = `${mode}|${carrier}`;
+    if (memo.has(key)) return memo.get(key);
+
+    const rules = [];
+    if (byScope.size > 0) {
+      for (const item of ITEMS) {
+        const row =
+          (carrier && byScope.get(`${mode}|${carrier}|${item}`)) ||
+          (carrier && byScope.get(`|${carrier}|${item}`)) ||
+          byScope.get(`${mode}||${item}`) ||
+          byScope.get(`||${item}`);
+        if (row) rules.push(row);
+      }
+    }
+
+    memo.set(key, rules);
+    return rules;
+  }
+
+  return { rulesFor };
+}
+
+/**
+ * Load all ancillary_fee rows into a table.
+ */
+export async function loadFeeTable(db) {
+  const rows = await dbAll(
+    db,
+    "SELECT mode, carrier_code, item, included_qty, fee_per_item, currency FROM ancillary_fee"
+  );
+  return createFeeTable(rows);
+}
+
+/**
+ * Process-wide fee table, reloaded when ancillary_fee changes (row count or
+ * latest update differ from the cached load).
+ */
+export async function getFeeTable() {
+  const db = openDb();
+  try {
+    const { n, latest } = await dbGet(
+      db,
+      "SELECT COUNT(*) AS n, MAX(updated_at_utc) AS latest FROM ancillary_fee"
+    );
+    const fingerprint = `${n}|${latest}`;
+
+    if (!cached || cached.fingerprint !== fingerprint) {
+      cached = { fingerprint, table: await loadFeeTable(db) };
+      logDev("fee table loaded", { fees: n });
+    }
+    return cached.table;
+  } finally {
+    await dbClose(db);
+  }
+}
+
+/**
+ * Fee calculator for a party of `partySize` passengers each bringing
+ * `baggage` (resolveBaggage); amounts are converted with `fx`
+ * (createFxConverter) at the leg's departure.
+ *
+ * Returns { lineItemsOf(leg), amountOf(leg) }:
+ *   lineItemsOf → [{ item, quantity, unit_amount, original_currency, amount }]
+ *                 (amount in the search currency, null when unconvertible)
+ *   amountOf    → total fees in the search currency, null when any fee
+ *                 cannot be converted; cached per offer object
+ */
+export function createFeeCalculator(table, baggage, partySize, fx) {
+  const lineItemsOf = (leg) => {
+    const items = [];
+    for (const rule of table.rulesFor(leg.edge_leg)) {
+      const extraPerPassenger = Math.max(0, baggage[rule.item] - rule.included_qty);
+      if (extraPerPassenger === 0 || rule.fee_per_item === 0) continue;
+
+      const quantity = extraPerPassenger * partySize;
+      items.push({
+        item: rule.item,
+        quantity,
+        unit_amount: rule.fee_per_item,
+        original_currency: rule.currency,
+        amount: fx.convert(
+          quantity * rule.fee_per_item,
+          rule.currency,
+          offerTimesMs(leg.offer).departureMs
+        ),
+      });
+    }
+    return items;
+  };
+
+  const amounts = new WeakMap();
+
+  const amountOf = (leg) => {
+    // Fast path: most modes (and every transfer) carry no fee rows
+    if (table.rulesFor(leg.edge_leg).length === 0) return 0;
+
+    let amount = amounts.get(leg.offer);
+    if (amount === undefined) {
+      amount = 0;
+      for (const line of lineItemsOf(leg)) {
+        if (line.amount == null) {
+          amount = null;
+          break;
+        }
+        amount += line.amount;
+      }
+      amounts.set(leg.offer, amount);
+    }
+    return amount;
+  };
+
+  return { lineItemsOf, amountOf };
+}
@@ -3,18 +3,34 @@ import crypto from "crypto";
 import { openDb } from "../db/connection.js";
 import { logDev } from "./config.js";
 
+/**
+ * Recursively sort object keys so equal params serialize identically.
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.keys(value)
+        .sort()
+        .map((k) => [k, canonicalize(value[k])])
+    );
+  }
+  return value;
+}
+
 /**
  * Create a canonical hash from provider params.
  */
 export function canonicalHash(obj) {
-  const json = JSON.stringify(obj, Object.keys(obj).sort());
+  const json = JSON.stringify(canonicalize(obj));
   return crypto.createHash("sha256").update(json).digest("hex");
 }
 
 /**
- * Try to fetch cached provider data.
+ * Look up a cache entry. Resolves to { id, response, valid } or null.
+ * Expired entries are returned with valid=false (callers decide).
  */
-export async function apiCacheGet(provider, endpoint, params) {
+export async function apiCacheLookup(provider, endpoint, params) {
   return new Promise((resolve, reject) => {
     const db = openDb();
     const hash = canonicalHash(params);
@@ -24,34 +40,48 @@ export async function apiCacheGet(provider, endpoint, params) {
 
     db.get(sql, [provider, endpoint, hash], (err, row) => {
       if (err) {
+        db.close();
         logDev("apiCacheGet error:", err);
         return reject(err);
       }
-      if (row) {
-        const now = Date.now();
-        const expires = Date.parse(row.expires_at_utc);
-        const valid = now < expires;
+      if (!row) {
+        db.close();
+        return resolve(null);
+      }
 
-        logDev("apiCacheGet hit:", { provider, endpoint, valid });
+      const now = Date.now();
+      const expires = Date.parse(row.expires_at_utc);
+      const valid = now < expires;
 
-        // Update last_used + hit_count
-        db.run(
-          "UPDATE api_cache SET last_used_at_utc=?, hit_count=hit_count+1 WHERE id=?",
-          [new Date().toISOString(), row.id]
-        );
+      logDev("apiCacheGet hit:", { provider, endpoint, valid });
 
-        if (valid) {
-          return resolve(JSON.parse(row.response_body_json));
-        }
-      }
+      // Update last_used + hit_count
+      db.run(
+        "UPDATE api_cache SET last_used_at_utc=?, hit_count=hit_count+1 WHERE id=?",
+        [new Date().toISOString(), row.id],
+        () => db.close()
+      );
 
-      resolve(null);
+      resolve({
+        id: row.id,
+        response: JSON.parse(row.response_body_json),
+        valid,
+      });
     });
   });
 }
 
 /**
- * Insert provider response into cache.
+ * Try to fetch cached provider data.
+ */
+export async function apiCacheGet(provider, endpoint, params) {
+  const entry = await apiCacheLookup(provider, endpoint, params);
+  return entry && entry.valid ? entry.response : null;
+}
+
+/**
+ * Insert provider response into cache (replacing an expired entry for the
+ * same provider/endpoint/params). Resolves to the api_cache row id.
  */
 export async function apiCachePut(
   provider,
@@ -79,6 +109,13 @@ export async function apiCachePut(
         last_used_at_utc,
         hit_count
       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0)
+      ON CONFLICT (provider, endpoint, canonical_params_hash) DO UPDATE SET
+        canonical_params_json = excluded.canonical_params_json,
+        response_body_json    = excluded.response_body_json,
+        created_at_utc        = excluded.created_at_utc,
+        expires_at_utc        = excluded.expires_at_utc,
+        last_used_at_utc      = excluded.last_used_at_utc,
+        hit_count             = 0
     `;
 
     db.run(
@@ -87,7 +124,7 @@ export async function apiCachePut(
         provider,
         endpoint,
         hash,
-        JSON.stringify(params),
+        JSON.stringify(canonicalize(params)),
         JSON.stringify(response),
         now.toISOString(),
         expires.toISOString(),
@@ -95,11 +132,22 @@ export async function apiCachePut(
       ],
       function (err) {
         if (err) {
+          db.close();
           logDev("apiCachePut error:", err);
           return reject(err);
         }
-        logDev("apiCachePut stored:", { id: this.lastID });
-        resolve(this.lastID);
+
+        // lastID is not reliable for the UPDATE branch of an upsert.
+        db.get(
+          "SELECT id FROM api_cache WHERE provider=? AND endpoint=? AND canonical_params_hash=?",
+          [provider, endpoint, hash],
+          (getErr, row) => {
+            db.close();
+            if (getErr) return reject(getErr);
+            logDev("apiCachePut stored:", { id: row.id });
+            resolve(row.id);
+          }
+        );
       }
     );
   });
@@ -0,0 +1,131 @@
+// src/routing/arbitrage.js
+// Intermodal vs. direct comparison (options: DEFAULT_ARBITRAGE in types.js).
+//
+// The baseline for a search is the best itinerary riding a single vehicle
+// mode (e.g. the direct flight), with transfer modes allowed only for access
+// and egress. Every itinerary is compared against it; an intermodal one
+// (two or more vehicle modes) is flagged as an arbitrage opportunity when
+// its cash savings, net of the extra risk penalties it carries, reach
+// threshold_pct of the baseline price.
+
+import { DEFAULT_ARBITRAGE, DEFAULT_TRANSFER_RULES, EdgeMode } from "./types.js";
+
+const TRANSFER_MODES = new Set(Object.keys(DEFAULT_TRANSFER_RULES));
+
+export const VEHICLE_MODES = Object.values(EdgeMode).filter((mode) => !TRANSFER_MODES.has(mode));
+
+const round1 = (x) => Math.round(x * 10) / 10;
+const round2 = (x) => Math.round(x * 100) / 100;
+
+/**
+ * Validate params.arbitrage and fill in defaults; false turns the
+ * comparison off.
+ */
+export function resolveArbitrageOptions(input = {}) {
+  if (input === false) return false;
+
+  const options = { ...DEFAULT_ARBITRAGE, ...(input || {}) };
+  if (typeof options.threshold_pct !== "number" || !Number.isFinite(options.threshold_pct)) {
+    throw new Error("arbitrage.threshold_pct must be a number");
+  }
+  if (
+    !Array.isArray(options.baseline_modes) ||
+    options.baseline_modes.some((mode) => !VEHICLE_MODES.includes(mode))
+  ) {
+    throw new Error(`arbitrage.baseline_modes must list vehicle modes (${VEHICLE_MODES.join(", ")})`);
+  }
+  if (!(options.timeout_ms > 0)) {
+    throw new Error("arbitrage.timeout_ms must be positive");
+  }
+  return options;
+}
+
+/**
+ * Vehicle modes an itinerary rides, sorted.
+ */
+export function vehicleModesOf(itinerary) {
+  const modes = new Set(
+    itinerary.legs.filter((leg) => leg.edge_leg.is_transfer !== 1).map((leg) => leg.edge_leg.mode)
+  );
+  return [...modes].sort();
+}
+
+/**
+ * Modes to exclude so a search can only ride `mode` (plus transfers).
+ */
+export function baselineExclusions(mode) {
+  return VEHICLE_MODES.filter((other) => other !== mode);
+}
+
+/**
+ * Baseline entry of the report for a single-mode itinerary.
+ */
+export function baselineSummary(mode, itinerary) {
+  return {
+    mode,
+    price_total: itinerary.price_total,
+    duration_min: itinerary.duration_min,
+    gen_cost: round2(itinerary.gen_cost),
+    risk_total: itinerary.risk_penalties?.total ?? 0,
+    departure_time_utc: itinerary.departure_time_utc,
+    arrival_time_utc: itinerary.arrival_time_utc,
+    carriers: [
+      ...new Set(itinerary.legs.map((leg) => leg.edge_leg.carrier_code).filter(Boolean)),
+    ],
+  };
+}
+
+/**
+ * Comparison of an itinerary against the baseline:
+ *   { baseline_mode, savings_cash, savings_pct, risk_adjusted_savings,
+ *     time_delta_min, gen_cost_delta, is_intermodal, is_opportunity }
+ * Positive savings mean cheaper than the baseline; positive deltas mean
+ * slower / costlier.
+ */
+export function compareWithBaseline(itinerary, baseline, options) {
+  const isIntermodal = vehicleModesOf(itinerary).length >= 2;
+  const savings = baseline.price_total - itinerary.price_total;
+  const extraRisk = (itinerary.risk_penalties?.total ?? 0) - baseline.risk_total;
+  const riskAdjusted = savings - extraRisk;
+  const pctOfBaseline = (amount) =>
+    baseline.price_total > 0 ? (amount / baseline.price_total) * 100 : null;
+
+  return {
+    baseline_mode: baseline.mode,
+    savings_cash: round2(savings),
+    savings_pct: pctOfBaseline(savings) == null ? null : round1(pctOfBaseline(savings)),
+    risk_adjusted_savings: round2(riskAdjusted),
+    time_delta_min: itinerary.duration_min - baseline.duration_min,
+    gen_cost_delta: round2(itinerary.gen_cost - baseline.gen_cost),
+    is_intermodal: isIntermodal,
+    is_opportunity:
+      isIntermodal &&
+      pctOfBaseline(riskAdjusted) != null &&
+      pctOfBaseline(riskAdjusted) >= options.threshold_pct,
+  };
+}
+
+/**
+ * Arbitrage report for a search from its per-mode baselines (mode → summary
+ * or null): picks the baseline with the lowest generalized cost and compares
+ * every itinerary against it (attached as vs_direct).
+ *
+ * Returns { threshold_pct, baseline, baselines, opportunities } or null when
+ * no baseline was found.
+ */
+export function buildArbitrageReport(itineraries, baselines, options) {
+  const found = Object.values(baselines).filter(Boolean);
+  if (found.length === 0) return null;
+
+  const baseline = found.reduce((best, b) => (b.gen_cost < best.gen_cost ? b : best));
+  for (const it of itineraries) {
+    it.vs_direct = compareWithBaseline(it, baseline, options);
+  }
+
+  return {
+    threshold_pct: options.threshold_pct,
+    baseline,
+    baselines,
+    opportunities: itineraries.filter((it) => it.vs_direct.is_opportunity).length,
+  };
+}
@@ -1,7 +1,45 @@
 // src/routing/config.js
 // Global routing configuration + dev-mode logging
 
-export const DEV_MODE = true;
+export let DEV_MODE = true;
+
+/**
+ * Provider adapters used for leg fetching, in priority order.
+ * PROVIDERS (comma-separated) overrides the enabled list; each provider gets
+ * its own options block.
+ */
+export const PROVIDER_CONFIG = {
+  enabled: (process.env.PROVIDERS || "mock")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean),
+  mock: {
+    fixturePath: process.env.MOCK_PROVIDER_FIXTURE || null,
+    ttlHours: 6,
+  },
+};
+
+/**
+ * Provider record/replay harness:
+ *   - mode "live": call providers normally (cache-through)
+ *   - mode "record": always call providers and save request/response pairs
+ *     into the cassette file
+ *   - mode "replay": serve responses from the cassette only; unrecorded
+ *     requests throw
+ * recordingsDir null → Data/fixtures/recordings.
+ */
+export const PROVIDER_RECORDING = {
+  mode: process.env.PROVIDER_MODE || "live",
+  cassette: process.env.PROVIDER_CASSETTE || "default",
+  recordingsDir: process.env.PROVIDER_RECORDINGS_DIR || null,
+};
+
+/**
+ * Toggle dev-mode logging at runtime (e.g. CLI --json output must stay clean).
+ */
+export function setDevMode(enabled) {
+  DEV_MODE = Boolean(enabled);
+}
 
 /**
  * Dev-mode logger (silent in production).
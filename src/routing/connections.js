@@ -0,0 +1,199 @@
+// src/routing/connections.js
+// Connection feasibility between consecutive legs at a node.
+//
+// The minimum connection time (MCT) is picked by mode pair from the node's
+// mct_* columns:
+//   flight → anything      air_to_ground  (deplaning, baggage)
+//   anything → flight      ground_to_air  (check-in, security)
+//   ground leg → transfer  none           (step off onto the street)
+//   same train/bus run     stay_on_board  (split ticket, no MCT)
+//   everything else        any_to_any     (change platforms / vehicles)
+// edge_leg.min_connection_min on the departing edge overrides the node MCT,
+// except when staying on board.
+// A co_located transfer (walkway inside one complex) counts toward the MCT
+// of the following connection instead of adding to it: the MCT is measured
+// from the arrival of the leg before the walk.
+
+import { offerTimesMs } from "./generalizedCost.js";
+import { metaOf } from "./passengers.js";
+import { ConnectionType, DEFAULT_MCT_MIN, DEFAULT_SPLIT_TICKET, EdgeMode } from "./types.js";
+
+const isFlight = (edge) => edge.mode === EdgeMode.FLIGHT;
+const isTransfer = (edge) => edge.is_transfer === 1;
+const isColocatedTransfer = (edge) => isTransfer(edge) && edge.co_located === 1;
+
+/**
+ * Whether a departing edge continues the service of the arriving one: both
+ * on a split-ticket mode (DEFAULT_SPLIT_TICKET) with the same carrier_code
+ * and service_code.
+ */
+export function isSameService(arrivingEdge, departingEdge) {
+  return (
+    Boolean(arrivingEdge.service_code) &&
+    arrivingEdge.service_code === departingEdge.service_code &&
+    arrivingEdge.carrier_code === departingEdge.carrier_code &&
+    arrivingEdge.mode === departingEdge.mode &&
+    DEFAULT_SPLIT_TICKET.modes.includes(departingEdge.mode)
+  );
+}
+
+/**
+ * Vehicle run an offer belongs to ("feed|trip|service date" for GTFS
+ * offers), or null when the offer does not say.
+ */
+export function tripKeyOf(offer) {
+  const gtfs = metaOf(offer).gtfs;
+  return gtfs?.trip_id ? `${gtfs.feed_id}|${gtfs.trip_id}|${gtfs.service_date}` : null;
+}
+
+/**
+ * Whether boarding `departingLeg` after `arrivingLeg` means staying on the
+ * same vehicle: same service, leaving within max_dwell_min of arriving, and
+ * the same run when both offers name theirs (GTFS routes share one
+ * service_code across all their trips).
+ */
+export function isOnBoard(arrivingLeg, departingLeg) {
+  if (!isSameService(arrivingLeg.edge_leg, departingLeg.edge_leg)) return false;
+
+  const arrivingTrip = tripKeyOf(arrivingLeg.offer);
+  const departingTrip = tripKeyOf(departingLeg.offer);
+  if (arrivingTrip && departingTrip && arrivingTrip !== departingTrip) return false;
+
+  const dwellMs = offerTimesMs(departingLeg.offer).departureMs - offerTimesMs(arrivingLeg.offer).arrivalMs;
+  return dwellMs >= 0 && dwellMs <= DEFAULT_SPLIT_TICKET.max_dwell_min * 60000;
+}
+
+/**
+ * Connection type between an arriving and a departing edge.
+ */
+export function connectionType(arrivingEdge, departingEdge) {
+  if (isSameService(arrivingEdge, departingEdge)) return ConnectionType.ON_BOARD;
+  if (isFlight(arrivingEdge)) return ConnectionType.AIR_TO_GROUND;
+  if (isFlight(departingEdge)) return ConnectionType.GROUND_TO_AIR;
+  if (isTransfer(departingEdge)) return ConnectionType.NONE;
+  return ConnectionType.ANY;
+}
+
+/**
+ * Node MCT in minutes for a connection type.
+ */
+export function nodeMctMin(node, type) {
+  switch (type) {
+    case ConnectionType.AIR_TO_GROUND:
+      return node?.mct_air_to_ground_min ?? DEFAULT_MCT_MIN.air_to_ground;
+    case ConnectionType.GROUND_TO_AIR:
+      return node?.mct_ground_to_air_min ?? DEFAULT_MCT_MIN.ground_to_air;
+    case ConnectionType.ANY:
+      return node?.mct_any_to_any_min ?? DEFAULT_MCT_MIN.any_to_any;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * MCT in minutes at `node` between an arriving and a departing edge,
+ * honoring the departing edge's min_connection_min override.
+ */
+export function connectionMctMin(arrivingEdge, departingEdge, node) {
+  const type = connectionType(arrivingEdge, departingEdge);
+  if (type === ConnectionType.ON_BOARD) return 0;
+  return departingEdge.min_connection_min ?? nodeMctMin(node, type);
+}
+
+/**
+ * MCT in minutes at `node` between two concrete legs: as connectionMctMin,
+ * except that another run of the same service needs the regular MCT.
+ */
+export function legConnectionMctMin(arrivingLeg, departingLeg, node) {
+  const arrivingEdge = arrivingLeg.edge_leg;
+  const departingEdge = departingLeg.edge_leg;
+  if (
+    connectionType(arrivingEdge, departingEdge) !== ConnectionType.ON_BOARD ||
+    isOnBoard(arrivingLeg, departingLeg)
+  ) {
+    return connectionMctMin(arrivingEdge, departingEdge, node);
+  }
+  return departingEdge.min_connection_min ?? nodeMctMin(node, ConnectionType.ANY);
+}
+
+/**
+ * The arrival a connection from `state` is measured from: the state's own
+ * leg, or the leg before a co_located transfer. null at the origin.
+ * state: search state with `leg`, `arrivalMs` and `parent`.
+ */
+export function connectionAnchor(state) {
+  if (!state.leg) return null;
+
+  if (isColocatedTransfer(state.leg.edge_leg) && state.parent?.leg) {
+    return { edge: state.parent.leg.edge_leg, arrivalMs: state.parent.arrivalMs };
+  }
+  return { edge: state.leg.edge_leg, arrivalMs: state.arrivalMs };
+}
+
+/**
+ * States in the same class face the same MCT for any departing edge, so
+ * they can be compared by arrival (and anchor arrival) times alone. Arriving
+ * on a split-ticket service gets a class of its own: only those states can
+ * stay on board, and only on their own run when it is known.
+ */
+export function connectionClass(state) {
+  const anchor = connectionAnchor(state);
+  if (!anchor) return "origin";
+  if (isFlight(anchor.edge)) return "air";
+  const { mode, carrier_code, service_code } = anchor.edge;
+  return anchor.edge === state.leg.edge_leg && service_code && DEFAULT_SPLIT_TICKET.modes.includes(mode)
+    ? `service:${mode}|${carrier_code}|${service_code}|${tripKeyOf(state.leg.offer) ?? ""}`
+    : "ground";
+}
+
+/**
+ * Connection requirement for leaving `state` (at `node`) on `departingEdge`.
+ * Without `departingLeg` a same-service edge is assumed to stay on board;
+ * given the leg, another run of the service needs the regular MCT.
+ *
+ * Returns null at the origin, else
+ *   { type, mct_min, anchorArrivalMs, earliestDepartureMs }
+ * where anchorArrivalMs is the arrival the MCT is measured from.
+ */
+export function connectionRequirement(state, node, departingEdge, departingLeg = null) {
+  const anchor = connectionAnchor(state);
+  if (!anchor) return null;
+
+  const anchorArrivalMs = anchor.arrivalMs;
+  let type = connectionType(anchor.edge, departingEdge);
+  let mctMin = connectionMctMin(anchor.edge, departingEdge, node);
+
+  // Walking away from the vehicle (co_located transfer) or boarding another
+  // run of the service means getting off
+  if (
+    type === ConnectionType.ON_BOARD &&
+    (anchor.edge !== state.leg.edge_leg || (departingLeg && !isOnBoard(state.leg, departingLeg)))
+  ) {
+    type = ConnectionType.ANY;
+    mctMin = departingEdge.min_connection_min ?? nodeMctMin(node, type);
+  }
+
+  return {
+    type,
+    mct_min: mctMin,
+    anchorArrivalMs,
+    earliestDepartureMs: Math.max(state.arrivalMs, anchorArrivalMs + mctMin * 60000),
+  };
+}
+
+/**
+ * Connection summary attached to a leg in an itinerary: the MCT required,
+ * the time available between the anchor arrival and this departure, and the
+ * buffer left over (available − required, never negative for a feasible leg).
+ */
+export function describeConnection(requirement, departureMs) {
+  if (!requirement) return null;
+
+  const availableMin = Math.round((departureMs - requirement.anchorArrivalMs) / 60000);
+  return {
+    type: requirement.type,
+    mct_min: requirement.mct_min,
+    available_min: availableMin,
+    buffer_min: availableMin - requirement.mct_min,
+  };
+}
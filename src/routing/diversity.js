@@ -0,0 +1,66 @@
+// src/routing/diversity.js
+// Diversity constraints for K-best itinerary results.
+
+/**
+ * Minutes spent on a leg (departure → arrival).
+ */
+function legMinutes(leg) {
+  return (
+    (Date.parse(leg.offer.arrival_time_utc) - Date.parse(leg.offer.departure_time_utc)) /
+    60000
+  );
+}
+
+/**
+ * Identity of a leg for overlap purposes: the stored offer when there is one,
+ * otherwise (generated transfers) mode + endpoints + departure.
+ */
+export function legKey(leg) {
+  if (leg.offer.id != null) return `offer:${leg.offer.id}`;
+
+  const e = leg.edge_leg;
+  return `${e.mode}:${e.from_node_id}:${e.to_node_id}:${leg.offer.departure_time_utc}`;
+}
+
+/**
+ * Share of two itineraries spent on common legs, weighted by leg duration
+ * and relative to the shorter itinerary (0 = disjoint, 1 = identical).
+ *
+ * Duration weighting keeps a shared 3-hour flight from looking "50% different"
+ * just because the walk to the gate changed.
+ */
+export function legOverlap(a, b) {
+  const keysB = new Set(b.legs.map(legKey));
+
+  const totalA = a.legs.reduce((sum, l) => sum + legMinutes(l), 0);
+  const totalB = b.legs.reduce((sum, l) => sum + legMinutes(l), 0);
+  const shared = a.legs
+    .filter((l) => keysB.has(legKey(l)))
+    .reduce((sum, l) => sum + legMinutes(l), 0);
+
+  const denom = Math.min(totalA, totalB);
+  if (denom <= 0) return shared > 0 || a.legs.length === b.legs.length ? 1 : 0;
+
+  return Math.min(1, shared / denom);
+}
+
+/**
+ * Whether a candidate itinerary is diverse enough relative to those already
+ * accepted:
+ *   - maxLegOverlap: max share of common legs with any accepted itinerary
+ *   - distinctMainMode: reject a main_mode that is already represented
+ */
+export function isDiverseEnough(candidate, accepted, opts = {}) {
+  const { maxLegOverlap = 0.6, distinctMainMode = false } = opts;
+
+  for (const other of accepted) {
+    if (distinctMainMode && other.main_mode === candidate.main_mode) {
+      return false;
+    }
+    if (legOverlap(candidate, other) > maxLegOverlap) {
+      return false;
+    }
+  }
+
+  return true;
+}
@@ -0,0 +1,179 @@
+// src/routing/fx.js
+// Currency conversion for comparing offers priced in different currencies.
+//
+// Rates come from the fx_rate table (see importers/fxRates.js). A pair's rate
+// on a given day is the latest one effective on or before that day; the
+// inverse pair is derived, and pairs without a direct rate are crossed
+// through a shared third currency (e.g. EUR → USD → CAD).
+
+import { openDb, dbAll, dbGet, dbClose } from "../db/connection.js";
+import { logDev } from "./config.js";
+import { offerTimesMs } from "./generalizedCost.js";
+
+export const DEFAULT_CURRENCY = "USD";
+
+const DAY_MS = 86400000;
+
+let cached = null;
+
+/**
+ * Latest entry of a date-sorted series effective at or before dayMs.
+ */
+function rateOnOrBefore(series, dayMs) {
+  let lo = 0;
+  let hi = series.length - 1;
+  let found = null;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (series[mid].dayMs <= dayMs) {
+      found = series[mid];
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found ? found.rate : null;
+}
+
+/**
+ * Rate table from fx_rate rows ({ base_currency, quote_currency, rate,
+ * effective_date }).
+ *
+ * Returns { rateAt(from, to, atMs) → number|null, currencies() }.
+ */
+export function createFxTable(rows) {
+  const series = new Map(); // "BASE/QUOTE" → [{ dayMs, rate }] sorted
+  const neighbors = new Map(); // currency → Set of currencies with a rate
+
+  const add = (from, to, dayMs, rate) => {
+    const key = `${from}/${to}`;
+    if (!series.has(key)) series.set(key, []);
+    series.get(key).push({ dayMs, rate });
+    if (!neighbors.has(from)) neighbors.set(from, new Set());
+    neighbors.get(from).add(to);
+  };
+
+  for (const row of rows) {
+    const dayMs = Date.parse(`${row.effective_date}T00:00:00Z`);
+    if (!(row.rate > 0) || Number.isNaN(dayMs)) continue;
+    add(row.base_currency, row.quote_currency, dayMs, row.rate);
+    add(row.quote_currency, row.base_currency, dayMs, 1 / row.rate);
+  }
+  for (const list of series.values()) list.sort((a, b) => a.dayMs - b.dayMs);
+
+  const direct = (from, to, dayMs) => {
+    const list = series.get(`${from}/${to}`);
+    return list ? rateOnOrBefore(list, dayMs) : null;
+  };
+
+  const memo = new Map();
+
+  /**
+   * Units of `to` per unit of `from` on the UTC day of atMs, or null when no
+   * direct or one-step cross rate is known.
+   */
+  function rateAt(from, to, atMs) {
+    if (from === to) return 1;
+
+    const dayMs = Math.floor(atMs / DAY_MS) * DAY_MS;
+    const key = `${from}/${to}/${dayMs}`;
+    if (memo.has(key)) return memo.get(key);
+
+    let rate = direct(from, to, dayMs);
+    if (rate == null) {
+      for (const via of neighbors.get(from) || []) {
+        const a = direct(from, via, dayMs);
+        const b = a == null ? null : direct(via, to, dayMs);
+        if (b != null) {
+          rate = a * b;
+          break;
+        }
+      }
+    }
+
+    memo.set(key, rate);
+    return rate;
+  }
+
+  return { rateAt, currencies: () => [...neighbors.keys()].sort() };
+}
+
+/**
+ * Load all fx_rate rows into a table.
+ */
+export async function loadFxTable(db) {
+  const rows = await dbAll(
+    db,
+    "SELECT base_currency, quote_currency, rate, effective_date FROM fx_rate"
+  );
+  return createFxTable(rows);
+}
+
+/**
+ * Process-wide rate table, reloaded when fx_rate changes (row count or
+ * latest update differ from the cached load).
+ */
+export async function getFxTable() {
+  const db = openDb();
+  try {
+    const { n, latest } = await dbGet(
+      db,
+      "SELECT COUNT(*) AS n, MAX(updated_at_utc) AS latest FROM fx_rate"
+    );
+    const fingerprint = `${n}|${latest}`;
+
+    if (!cached || cached.fingerprint !== fingerprint) {
+      cached = { fingerprint, table: await loadFxTable(db) };
+      logDev("fx table loaded", { rates: n });
+    }
+    return cached.table;
+  } finally {
+    await dbClose(db);
+  }
+}
+
+/**
+ * Converter of offer prices into `currency`, using the rate on the offer's
+ * departure day. Rates are cached per offer object. originalAmountOf gives
+ * the amount to convert in the offer's currency (default price_total; the
+ * search passes the party price, see passengers.js).
+ *
+ * Returns { currency, rateOf(offer), amountOf(offer), originalAmountOf,
+ *           convert(amount, from, atMs) } — null where the currency cannot be
+ * converted. convert handles amounts not tied to an offer (e.g. fees).
+ */
+export function createFxConverter(
+  table,
+  currency = DEFAULT_CURRENCY,
+  originalAmountOf = (offer) => offer.price_total || 0
+) {
+  const rates = new WeakMap();
+
+  const rateOf = (offer) => {
+    // Fast path: materialized transfers are new objects on every expansion
+    if ((offer.currency || DEFAULT_CURRENCY) === currency) return 1;
+
+    let rate = rates.get(offer);
+    if (rate === undefined) {
+      rate = table.rateAt(
+        offer.currency || DEFAULT_CURRENCY,
+        currency,
+        offerTimesMs(offer).departureMs
+      );
+      rates.set(offer, rate);
+    }
+    return rate;
+  };
+
+  const amountOf = (offer) => {
+    const rate = rateOf(offer);
+    return rate == null ? null : originalAmountOf(offer) * rate;
+  };
+
+  const convert = (amount, from, atMs) => {
+    const rate = table.rateAt(from, currency, atMs);
+    return rate == null ? null : amount * rate;
+  };
+
+  return { currency, rateOf, amountOf, originalAmountOf, convert };
+}
@@ -1,62 +1,109 @@
 // src/routing/generalizedCost.js
 // Generalized cost scoring + pruning utilities for routing search.
 
-import { logDev } from "./config.js";
+import { distanceKm } from "./spatialIndex.js";
+
+const offerTimesCache = new WeakMap();
 
 /**
- * Compute duration between two timestamps in minutes.
+ * Departure/arrival of an offer as epoch millis, parsed once per offer
+ * object (the search evaluates the same stored offers many times).
  */
-function minutesBetween(startUtc, endUtc) {
-  return (Date.parse(endUtc) - Date.parse(startUtc)) / 60000;
+export function offerTimesMs(offer) {
+  let times = offerTimesCache.get(offer);
+  if (!times) {
+    times = {
+      departureMs: Date.parse(offer.departure_time_utc),
+      arrivalMs: Date.parse(offer.arrival_time_utc),
+    };
+    offerTimesCache.set(offer, times);
+  }
+  return times;
 }
 
 /**
  * Compute generalized cost for a NEW leg added to a partial path.
  * partial:
- *   - genCostSoFar
- *   - transfersSoFar
- *   - arrivalTimeUtc
+ *   - genCost
+ *   - transfers (vehicle changes so far)
+ *   - arrivalTimeUtc (arrivalMs, if present, saves re-parsing it)
+ *   - lastVehicleLeg (last non-transfer leg so far, or null)
  *
  * leg:
  *   - edge_leg
  *   - offer
+ *
+ * params.priceOf(offer) gives the offer price in the search currency (see
+ * fx.js); without it price_total is used as is. params.feesOf(leg) adds the
+ * leg's ancillary fees (see ancillaryFees.js). params.riskOf(partial, leg,
+ * cash) gives the leg's risk penalty components (see risk.js), returned as
+ * `risk` (null without it). params.modeMultipliers scales the leg's cash +
+ * time cost by mode (see modePreferences.js).
+ *
+ * newTransfers counts vehicle changes: boarding a vehicle leg after an
+ * earlier one, unless params.staysOnBoard(previousVehicleLeg, leg) says the
+ * traveler stays on the same vehicle (split tickets, see connections.js).
+ * Walks and other transfer legs do not count.
  */
 export function computeLegGeneralizedCost(partial, leg, params) {
   const {
     timeValuePerHour = 20,
     transferPenalty = 6,
-    riskPenalty = 0, // placeholder
+    priceOf = null,
+    feesOf = null,
+    riskOf = null,
+    modeMultipliers = null,
+    staysOnBoard = null,
   } = params;
 
-  const { genCostSoFar, transfersSoFar, arrivalTimeUtc } = partial;
+  const {
+    genCost: genCostSoFar,
+    transfers: transfersSoFar,
+    arrivalTimeUtc,
+    lastVehicleLeg = null,
+  } = partial;
 
   const { edge_leg, offer } = leg;
 
-  const durationMin = minutesBetween(offer.departure_time_utc, offer.arrival_time_utc);
-  const durationHours = durationMin / 60;
+  const { departureMs, arrivalMs } = offerTimesMs(offer);
+  const durationMin = (arrivalMs - departureMs) / 60000;
+
+  // Waiting for a departure mid-journey costs time too; waiting before the
+  // first vehicle leg does not: access transfers are re-timed to leave
+  // later instead (see retimeAccess in search.js).
+  const readyMs = partial.arrivalMs ?? Date.parse(arrivalTimeUtc);
+  const waitMin = lastVehicleLeg ? Math.max(0, (departureMs - readyMs) / 60000) : 0;
+  const durationHours = (durationMin + waitMin) / 60;
 
-  const cash = offer.price_total || 0;
+  const cash =
+    (priceOf ? priceOf(offer) ?? 0 : offer.price_total || 0) + (feesOf ? feesOf(leg) ?? 0 : 0);
 
   // Transfer detection logic.
   const isTransfer = edge_leg.is_transfer === 1;
   const transferPenaltyCost = isTransfer ? transferPenalty : 0;
 
-  // Risk bucket (placeholder — can extend later)
-  const riskCost = riskPenalty;
+  // Misconnect, self-transfer, reliability and price-source risk
+  const risk = riskOf ? riskOf(partial, leg, cash) : null;
+  const riskCost = risk ? risk.total : 0;
+
+  const modeFactor = modeMultipliers?.[edge_leg.mode] ?? 1;
 
   const newGenCost =
     genCostSoFar +
-    cash +
-    timeValuePerHour * durationHours +
+    modeFactor * (cash + timeValuePerHour * durationHours) +
     transferPenaltyCost +
     riskCost;
 
-  const newTransfers = transfersSoFar + (isTransfer ? 1 : 0);
+  const changesVehicle =
+    !isTransfer && lastVehicleLeg !== null && !(staysOnBoard && staysOnBoard(lastVehicleLeg, leg));
+  const newTransfers = transfersSoFar + (changesVehicle ? 1 : 0);
 
   return {
     newGenCost,
     newTransfers,
     legDurationMin: durationMin,
+    waitMin,
+    risk,
   };
 }
 
@@ -64,27 +111,21 @@ export function computeLegGeneralizedCost(partial, leg, params) {
  * Lower-bound estimate for completing the route.
  * Very simple heuristic:
  *   LB = timeValuePerHour * (straight-line-distance / fastModeSpeed)
+ * scaled by params.lowerBoundScale when mode multipliers below 1 apply.
  *
  * You can refine later with:
  *   - known fast modes (HSR, flights)
  *   - cached corridor minima
  */
 export function estimateLowerBound(originNode, destNode, params) {
-  const { timeValuePerHour = 20 } = params;
+  const { timeValuePerHour = 20, lowerBoundScale = 1 } = params;
 
-  // approximate geodesic distance
-  const dx = originNode.lat - destNode.lat;
-  const dy = originNode.lon - destNode.lon;
-  const distKm = Math.sqrt(dx * dx + dy * dy) * 111;
+  const distKm = distanceKm(originNode, destNode);
 
   // assume "fast-mode" speed ~ 700 km/h (flight-level)
   const fastModeHours = distKm / 700;
 
-  const lb = timeValuePerHour * fastModeHours;
-
-  logDev("LB estimate", { distKm, lb });
-
-  return lb;
+  return lowerBoundScale * timeValuePerHour * fastModeHours;
 }
 
 /**
@@ -92,45 +133,31 @@ export function estimateLowerBound(originNode, destNode, params) {
  *   - gen cost + lower bound >= best cost
  *   - max detour
  *   - absurd branches
+ *
+ * partial.originNode is the node the search started from; nextNode is the
+ * node reached by nextLeg.
  */
-export function shouldPrune(partial, nextLeg, bestCost, destNode, params) {
+export function shouldPrune(partial, nextLeg, nextNode, bestCost, destNode, params) {
   const { maxDetourFactor = 2.2, timeValuePerHour = 20 } = params;
 
   const { newGenCost } = computeLegGeneralizedCost(partial, nextLeg, params);
 
   // If cost already exceeds best known → prune.
   if (bestCost !== null && newGenCost >= bestCost) {
-    logDev("prune: cost exceeds best", { newGenCost, bestCost });
     return true;
   }
 
   // Lower-bound pruning
-  const lb = estimateLowerBound(nextLeg.edge_leg, destNode, params);
+  const lb = estimateLowerBound(nextNode, destNode, params);
   if (bestCost !== null && newGenCost + lb >= bestCost) {
-    logDev("prune: LB+cost exceeds best", {
-      newGenCost,
-      lb,
-      bestCost,
-    });
     return true;
   }
 
-  // Detour pruning (approx)
-  // Partial distance approx: treat latitude/longitude deltas as proxy
-  const dx = partial.origin.lat - nextLeg.edge_leg.destination_lat;
-  const dy = partial.origin.lon - nextLeg.edge_leg.destination_lon;
-  const distSoFar = Math.sqrt(dx * dx + dy * dy) * 111;
-
-  const dx2 = partial.origin.lat - destNode.lat;
-  const dy2 = partial.origin.lon - destNode.lon;
-  const directDist = Math.sqrt(dx2 * dx2 + dy2 * dy2) * 111;
+  // Detour pruning: great-circle distance from the origin so far vs direct
+  const distSoFar = distanceKm(partial.originNode, nextNode);
+  const directDist = distanceKm(partial.originNode, destNode);
 
   if (distSoFar > maxDetourFactor * directDist) {
-    logDev("prune: detour > maxDetourFactor", {
-      distSoFar,
-      directDist,
-      factor: maxDetourFactor,
-    });
     return true;
   }
 
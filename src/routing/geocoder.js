@@ -0,0 +1,293 @@
+// src/routing/geocoder.js
+// Offline geocoder backed by the local gazetteer_entry table.
+//
+// Pipeline: normalize → parse (house number, postcode, street, locality) →
+// fetch candidates by postcode / locality / street prefix → fuzzy score →
+// best match with a confidence in [0, 1]. Below minConfidence the result is
+// explicitly "unresolved"; coordinates are never invented.
+
+import { dbAll } from "../db/connection.js";
+import { logDev } from "./config.js";
+
+export const GeocodeStatus = {
+  RESOLVED: "resolved",
+  UNRESOLVED: "unresolved",
+};
+
+export const DEFAULT_MIN_CONFIDENCE = 0.6;
+
+const ABBREVIATIONS = {
+  st: "street",
+  str: "strasse",
+  ave: "avenue",
+  av: "avenue",
+  rd: "road",
+  blvd: "boulevard",
+  dr: "drive",
+  ln: "lane",
+  ct: "court",
+  pl: "place",
+  sq: "square",
+  hwy: "highway",
+  pkwy: "parkway",
+  cir: "circle",
+  n: "north",
+  s: "south",
+  e: "east",
+  w: "west",
+  mt: "mount",
+  ft: "fort",
+};
+
+/**
+ * Normalize free text for matching: lowercase, strip diacritics, expand
+ * common street abbreviations, drop punctuation.
+ */
+export function normalizeText(text) {
+  return (text || "")
+    .toLowerCase()
+    .replace(/ß/g, "ss")
+    .normalize("NFD")
+    .replace(/[̀-ͯ]/g, "")
+    .replace(/([a-z])strasse\b/g, "$1 strasse")
+    .replace(/([a-z])str\b\.?/g, "$1 strasse")
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((token) => ABBREVIATIONS[token] || token)
+    .join(" ");
+}
+
+function localityPrefixes(locality) {
+  const tokens = locality ? locality.split(" ") : [];
+  const variants = [];
+  for (let n = tokens.length; n >= 1; n--) variants.push(tokens.slice(0, n).join(" "));
+  return variants;
+}
+
+const POSTCODE_RE = /\b(\d{5}(?:-\d{4})?|\d{4}|[a-z]{1,2}\d[a-z\d]?\s*\d[a-z]{2})\b/i;
+
+/**
+ * Split an address string into components:
+ * { houseNumber, postcode, street, locality, text }.
+ * Accepts "1 Main St, Springfield 12345" and "Hauptstr. 5, 80331 München".
+ */
+export function parseAddress(text) {
+  const parts = (text || "").split(",").map((p) => p.trim()).filter(Boolean);
+  let postcode = null;
+
+  const stripPostcode = (part) => {
+    const m = part.match(POSTCODE_RE);
+    if (m && !postcode) {
+      postcode = m[1].toUpperCase().replace(/\s+/g, " ");
+      return part.replace(m[0], " ").trim();
+    }
+    return part;
+  };
+
+  // The first part is the street line; postcodes live in later parts.
+  const [streetLine = "", ...rest] = parts;
+  const localityParts = rest.map(stripPostcode).filter(Boolean);
+
+  let houseNumber = null;
+  let street = streetLine;
+  const leading = streetLine.match(/^(\d+[a-z]?)\s+(.+)$/i);
+  const trailing = streetLine.match(/^(.+?)\s+(\d+[a-z]?)$/i);
+  if (leading) {
+    houseNumber = leading[1];
+    street = leading[2];
+  } else if (trailing) {
+    street = trailing[1];
+    houseNumber = trailing[2];
+  }
+
+  if (parts.length === 1 && !houseNumber) {
+    street = stripPostcode(street);
+  }
+
+  const locality = normalizeText(localityParts.join(" "));
+
+  return {
+    houseNumber: houseNumber ? houseNumber.toLowerCase() : null,
+    postcode,
+    street: normalizeText(street),
+    locality,
+    // "springfield il usa" → also try "springfield il", "springfield"
+    localityVariants: localityPrefixes(locality),
+    text: normalizeText(text),
+  };
+}
+
+function trigrams(s) {
+  const padded = `  ${s} `;
+  const grams = new Map();
+  for (let i = 0; i < padded.length - 2; i++) {
+    const g = padded.slice(i, i + 3);
+    grams.set(g, (grams.get(g) || 0) + 1);
+  }
+  return grams;
+}
+
+/**
+ * Trigram Dice similarity in [0, 1] (1 = identical after normalization).
+ */
+export function similarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const ga = trigrams(a);
+  const gb = trigrams(b);
+  let overlap = 0;
+  let total = 0;
+  for (const [g, n] of ga) {
+    overlap += Math.min(n, gb.get(g) || 0);
+    total += n;
+  }
+  for (const n of gb.values()) total += n;
+
+  return (2 * overlap) / total;
+}
+
+/**
+ * Score a gazetteer row against a parsed address. Returns confidence [0, 1].
+ */
+function scoreCandidate(parsed, row) {
+  const localityScore = parsed.locality
+    ? Math.max(
+        ...parsed.localityVariants.map((v) =>
+          Math.max(
+            similarity(v, row.locality_norm || ""),
+            row.kind === "place" ? similarity(v, row.name_norm) : 0
+          )
+        )
+      )
+    : null;
+  const postcodeMatch =
+    parsed.postcode && row.postcode
+      ? parsed.postcode.replace(/\s/g, "") === row.postcode.toUpperCase().replace(/\s/g, "")
+      : null;
+
+  if (row.kind === "postcode") {
+    if (!postcodeMatch) return 0;
+    return 0.7 + 0.1 * (localityScore ?? 0.5);
+  }
+
+  if (row.kind === "place") {
+    // A bare place name may resolve to the place; a street line that only
+    // matched its locality stays below the default threshold.
+    const s = Math.max(similarity(parsed.text, row.name_norm), localityScore ?? 0);
+    const weight = parsed.locality ? 0.45 : 0.65;
+    return weight * s + 0.05 * row.importance;
+  }
+
+  // street / address
+  const streetScore = similarity(parsed.street, row.name_norm);
+  let score = 0.6 * streetScore;
+
+  if (localityScore != null) score += 0.2 * localityScore;
+  else score += 0.1; // no locality given: mild benefit of the doubt
+
+  if (postcodeMatch === true) score += 0.15;
+  else if (postcodeMatch === false) score -= 0.15;
+  else score += 0.05;
+
+  if (row.kind === "address") {
+    score += parsed.houseNumber && row.house_number === parsed.houseNumber ? 0.05 : -0.1;
+  }
+
+  return Math.max(0, Math.min(1, score + 0.02 * row.importance));
+}
+
+/**
+ * Candidate rows for a parsed address: same postcode, same locality, or a
+ * street/place name sharing the first significant token.
+ */
+async function fetchCandidates(db, parsed, limit = 300) {
+  const clauses = [];
+  const args = [];
+
+  if (parsed.postcode) {
+    clauses.push("REPLACE(UPPER(postcode), ' ', '') = ?");
+    args.push(parsed.postcode.replace(/\s/g, ""));
+  }
+  if (parsed.locality) {
+    const marks = parsed.localityVariants.map(() => "?").join(", ");
+    clauses.push(`locality_norm IN (${marks})`);
+    clauses.push(`(kind = 'place' AND name_norm IN (${marks}))`);
+    args.push(...parsed.localityVariants, ...parsed.localityVariants);
+  }
+
+  const token = (parsed.street || parsed.text)
+    .split(" ")
+    .find((t) => t.length >= 3 && !/^\d+$/.test(t));
+  if (token) {
+    clauses.push("name_norm LIKE ?");
+    args.push(`%${token}%`);
+  }
+
+  if (clauses.length === 0) return [];
+
+  return dbAll(
+    db,
+    `SELECT * FROM gazetteer_entry WHERE ${clauses.join(" OR ")} LIMIT ?`,
+    [...args, limit]
+  );
+}
+
+/**
+ * Geocode an address against the gazetteer.
+ *
+ * Returns either
+ *   { status: "resolved", lat, lon, confidence, precision, match }
+ * or
+ *   { status: "unresolved", reason, confidence, best }.
+ */
+export async function geocodeAddress(db, address, opts = {}) {
+  const { minConfidence = DEFAULT_MIN_CONFIDENCE } = opts;
+  const parsed = parseAddress(address);
+
+  if (!parsed.text) {
+    return { status: GeocodeStatus.UNRESOLVED, reason: "empty_address", confidence: 0, best: null };
+  }
+
+  const rows = await fetchCandidates(db, parsed);
+
+  let best = null;
+  let bestScore = 0;
+  for (const row of rows) {
+    const score = scoreCandidate(parsed, row);
+    if (score > bestScore) {
+      best = row;
+      bestScore = score;
+    }
+  }
+
+  const confidence = Math.round(bestScore * 1000) / 1000;
+  logDev("geocodeAddress", { address, parsed, candidates: rows.length, confidence });
+
+  if (!best || bestScore < minConfidence) {
+    return {
+      status: GeocodeStatus.UNRESOLVED,
+      reason: rows.length === 0 ? "no_candidates" : "low_confidence",
+      confidence,
+      best: best ? { name: best.name, locality: best.locality, kind: best.kind } : null,
+    };
+  }
+
+  return {
+    status: GeocodeStatus.RESOLVED,
+    lat: best.lat,
+    lon: best.lon,
+    confidence,
+    precision: best.kind,
+    match: {
+      id: best.id,
+      kind: best.kind,
+      name: best.name,
+      house_number: best.house_number,
+      postcode: best.postcode,
+      locality: best.locality,
+      country_code: best.country_code,
+    },
+  };
+}
@@ -2,70 +2,100 @@
 // Build searchable graph structure from:
 // - DB nodes
 // - DB edges (structural)
-// - DB offers (time windows)
-// - Generated transfers (walk, rideshare, shuttle)
+// - DB offers (time windows), indexed per edge by departure time
+// - Generated transfer templates (walk, rideshare, shuttle), materialized
+//   lazily by the search relative to the traveler's arrival time
+//
+// A graph is treated as immutable once built: offer changes produce a new
+// graph (applyOfferChanges) that shares every untouched edge, and searches
+// attach their endpoints to a per-search overlay (createSearchGraph).
+// graphSnapshot.js keeps the long-lived current graph. Arrive-by searches
+// walk a reversed adjacency (reverseAdjacency), built once per graph.
 
-import { openDb } from "../db/connection.js";
+import { openDb, dbAll, dbClose } from "../db/connection.js";
 import { logDev } from "./config.js";
-import {
-  generateWalkTransfer,
-  generateRideshareTransfer,
-  generateShuttleTransfer,
-} from "./transfers.js";
+import { offerTimesMs } from "./generalizedCost.js";
+import { isOfferValidAt, pendingFrom } from "./offerFreshness.js";
+import { transferRulesFor } from "./modePreferences.js";
+import { NodeKind, DEFAULT_TRANSFER_RULES } from "./types.js";
+import { createTransferTemplate } from "./transfers.js";
+import { createSpatialIndex } from "./spatialIndex.js";
 
 /**
- * Load nodes from DB.
+ * Load nodes, structural edges and the offers valid at nowMs (see
+ * offerFreshness.js) over one connection. pendingFromMs is when the next
+ * not-yet-effective offer becomes valid (Infinity if none).
  */
-async function loadNodes() {
-  const db = openDb();
-  return new Promise((resolve, reject) => {
-    const sql = "SELECT * FROM location_node";
-    db.all(sql, [], (err, rows) => {
-      db.close();
-      if (err) return reject(err);
-      logDev("loadNodes", { count: rows.length });
-      resolve(rows || []);
-    });
-  });
+export async function loadGraphRows(db, nowMs = Date.now()) {
+  const nodes = await dbAll(db, "SELECT * FROM location_node");
+  const edges = await dbAll(db, "SELECT * FROM edge_leg");
+  const offers = [];
+  let pendingFromMs = Infinity;
+
+  for (const offer of await dbAll(db, "SELECT * FROM offer WHERE is_active = 1")) {
+    if (isOfferValidAt(offer, nowMs)) {
+      offers.push(offer);
+    } else {
+      pendingFromMs = Math.min(pendingFromMs, pendingFrom(offer, nowMs));
+    }
+  }
+
+  logDev("loadGraphRows", { nodes: nodes.length, edges: edges.length, offers: offers.length });
+  return { nodes, edges, offers, pendingFromMs };
 }
 
 /**
- * Load structural edges (edge_leg rows) from DB.
+ * Adjacency entry for a structural edge: its timed legs sorted by departure,
+ * with a parallel array of departure times for binary search.
  */
-async function loadStructuralEdges() {
-  const db = openDb();
-  return new Promise((resolve, reject) => {
-    const sql = "SELECT * FROM edge_leg";
-    db.all(sql, [], (err, rows) => {
-      db.close();
-      if (err) return reject(err);
-      logDev("loadStructuralEdges", { count: rows.length });
-      resolve(rows || []);
-    });
-  });
+function createEdgeEntry(edge_leg, offers) {
+  const legs = offers
+    .map((offer) => ({ edge_leg, offer }))
+    .sort((a, b) => offerTimesMs(a.offer).departureMs - offerTimesMs(b.offer).departureMs);
+
+  return {
+    edge_leg,
+    legs,
+    departuresMs: legs.map((leg) => offerTimesMs(leg.offer).departureMs),
+  };
 }
 
 /**
- * Load offers for edges.
+ * Timed legs of an edge entry departing at or after afterMs.
  */
-async function loadOffers() {
-  const db = openDb();
-  return new Promise((resolve, reject) => {
-    const sql = "SELECT * FROM offer";
-    db.all(sql, [], (err, rows) => {
-      db.close();
-      if (err) return reject(err);
-      logDev("loadOffers", { count: rows.length });
-      resolve(rows || []);
-    });
-  });
+export function legsDepartingAfter(entry, afterMs) {
+  const { departuresMs } = entry;
+  let lo = 0;
+  let hi = departuresMs.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (departuresMs[mid] < afterMs) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo === 0 ? entry.legs : entry.legs.slice(lo);
+}
+
+/**
+ * Timed legs of a reversed edge entry arriving at or before byMs.
+ */
+export function legsArrivingBy(entry, byMs) {
+  const { arrivalsMs } = entry;
+  let lo = 0;
+  let hi = arrivalsMs.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (arrivalsMs[mid] <= byMs) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo === arrivalsMs.length ? entry.legs : entry.legs.slice(0, lo);
 }
 
 /**
  * Create adjacency map:
  * {
  *   [node_id]: [
- *     { edge_leg, offer }...
+ *     { edge_leg, legs, departuresMs }...    (structural edge + timed offers)
+ *     { transferMode, fromNode, toNode }...  (transfer templates)
  *   ]
  * }
  */
@@ -76,77 +106,317 @@ function buildAdjacency(nodes, edges, offers) {
   }
 
   // group offers by edge_leg_id
-  const offersByEdge = {};
+  const offersByEdge = new Map();
   for (const off of offers) {
-    const list = offersByEdge[off.edge_leg_id] || [];
+    const list = offersByEdge.get(off.edge_leg_id) || [];
     list.push(off);
-    offersByEdge[off.edge_leg_id] = list;
+    offersByEdge.set(off.edge_leg_id, list);
   }
 
   for (const e of edges) {
-    const list = offersByEdge[e.id] || [];
-
-    // expand each offer into a searchable timed-edge
-    for (const off of list) {
-      adj[e.origin_node_id].push({
-        edge_leg: e,
-        offer: off,
-      });
-    }
+    const out = adj[e.from_node_id];
+    if (!out) continue;
+
+    out.push(createEdgeEntry(e, offersByEdge.get(e.id) || []));
   }
 
   return adj;
 }
 
 /**
- * Insert transfer edges (walk & rideshare) between nodes within radius.
+ * Nodes that get a transfer of the given mode from `node`, per the mode's
+ * rule: the nearest neighbors within radiusKm, plus airports (or, from an
+ * airport, nearby nodes) within airportRadiusKm.
  */
-function addTransferEdges(nodes, adj, radiusKm = 3.0) {
-  for (const a of nodes) {
-    for (const b of nodes) {
-      if (a.id === b.id) continue;
-
-      // simple distance check
-      const dx = a.lat - b.lat;
-      const dy = a.lon - b.lon;
-      const distApprox = Math.sqrt(dx * dx + dy * dy) * 111;
+function transferTargets(index, node, rule) {
+  const notSelf = (other) => other.id !== node.id;
+  const hits = index.nearest(node.lat, node.lon, rule.maxNeighbors, {
+    maxRadiusKm: rule.radiusKm,
+    filter: notSelf,
+  });
 
-      if (distApprox > radiusKm) continue;
+  if (rule.airportRadiusKm) {
+    if (node.kind === NodeKind.AIRPORT) {
+      hits.push(
+        ...index.nearest(node.lat, node.lon, rule.maxAirportNeighbors, {
+          maxRadiusKm: rule.airportRadiusKm,
+          filter: notSelf,
+        })
+      );
+    } else {
+      hits.push(
+        ...index.withinRadius(
+          node.lat,
+          node.lon,
+          rule.airportRadiusKm,
+          (other) => other.kind === NodeKind.AIRPORT && notSelf(other)
+        )
+      );
+    }
+  }
 
-      // generate walk transfer
-      const walk = generateWalkTransfer(a, b);
-      adj[a.id].push(walk);
+  const targets = new Map();
+  for (const { item } of hits) targets.set(item.id, item);
+  return [...targets.values()];
+}
 
-      // generate rideshare
-      const rs = generateRideshareTransfer(a, b);
-      adj[a.id].push(rs);
+/**
+ * Push transfer templates between `node` and its targets for every
+ * transfer mode. direction "out": node → target; "in": target → node.
+ */
+function pushTransferTemplates(adj, index, node, rules, direction = "out") {
+  let count = 0;
 
-      // generate shuttle (optional)
-      const sh = generateShuttleTransfer(a, b);
-      adj[a.id].push(sh);
+  for (const [mode, rule] of Object.entries(rules)) {
+    for (const other of transferTargets(index, node, rule)) {
+      if (direction === "out") {
+        adj[node.id].push(createTransferTemplate(mode, node, other));
+      } else {
+        // Copy on write: the target's list may be shared with other searches.
+        adj[other.id] = [...adj[other.id], createTransferTemplate(mode, other, node)];
+      }
+      count++;
     }
   }
 
-  logDev("addTransferEdges completed");
+  return count;
+}
+
+/**
+ * Insert transfer templates (walk, rideshare, shuttle) from every node to
+ * the nodes its mode rules reach, using the spatial index.
+ * Times are not fixed here; the search materializes each template relative
+ * to the traveler's arrival at the origin node.
+ */
+function addTransferEdges(nodes, adj, index, rules) {
+  let count = 0;
+  for (const node of nodes) {
+    count += pushTransferTemplates(adj, index, node, rules);
+  }
+
+  logDev("addTransferEdges completed", { templates: count });
 }
 
 /**
- * Build the graph used by the routing engine.
+ * Per-search view of a graph: search endpoints can be attached without
+ * touching the shared graph (adjacency lists are looked up through the
+ * prototype chain and replaced, never mutated, by attachEndpointNode).
+ * Views can be wrapped again to reuse the endpoints already attached.
  */
-export async function buildGraph() {
-  const nodes = await loadNodes();
-  const edges = await loadStructuralEdges();
-  const offers = await loadOffers();
+export function createSearchGraph(graph) {
+  return {
+    ...graph,
+    nodes: graph.nodes.slice(),
+    adj: Object.create(graph.adj),
+  };
+}
+
+/**
+ * Attach a search endpoint (e.g. a geocoded address node that is not part of
+ * the stored graph) by adding transfer templates to/from nearby nodes.
+ * `graph` must be a per-search view (createSearchGraph). modePreferences
+ * (resolveModePreferences) drop excluded transfer modes and cap their radii.
+ *
+ * direction:
+ *   - "origin": endpoint → nearby nodes
+ *   - "destination": nearby nodes → endpoint
+ */
+export function attachEndpointNode(graph, node, direction, modePreferences = null) {
+  const { nodes, adj, index, transferRules } = graph;
+
+  if (!adj[node.id]) {
+    adj[node.id] = [];
+    nodes.push(node);
+  }
+
+  // Geocoded addresses carry no timezone; borrow the nearest stored node's
+  if (!node.timezone) {
+    const [hit] = index.nearest(node.lat, node.lon, 1, {
+      maxRadiusKm: 200,
+      filter: (n) => Boolean(n.timezone),
+    });
+    if (hit) node.timezone = hit.item.timezone;
+  }
+
+  const count = pushTransferTemplates(
+    adj,
+    index,
+    node,
+    transferRulesFor(transferRules, modePreferences),
+    direction === "origin" ? "out" : "in"
+  );
+
+  logDev("attachEndpointNode", { nodeId: node.id, direction, templates: count });
+}
 
+/**
+ * Assemble a graph from node, edge and offer rows: adjacency, spatial index
+ * and transfer templates. transferRules override DEFAULT_TRANSFER_RULES per
+ * mode. Also used to build synthetic graphs for benchmarks.
+ *
+ * Returns { version, nodes, adj, edgeById, offerEdgeIds, index, transferRules }.
+ */
+export function assembleGraph({ nodes, edges, offers }, transferRules = {}, version = 1) {
   const adj = buildAdjacency(nodes, edges, offers);
+  const index = createSpatialIndex(nodes);
+  const rules = { ...DEFAULT_TRANSFER_RULES, ...transferRules };
 
   // add transfers
-  addTransferEdges(nodes, adj);
+  addTransferEdges(nodes, adj, index, rules);
 
   logDev("Graph constructed", {
     nodeCount: nodes.length,
     edgeCount: edges.length,
+    offerCount: offers.length,
   });
 
-  return { nodes, adj };
+  return {
+    version,
+    nodes,
+    adj,
+    edgeById: new Map(edges.map((e) => [e.id, e])),
+    offerEdgeIds: new Map(offers.map((o) => [o.id, o.edge_leg_id])),
+    index,
+    transferRules: rules,
+  };
+}
+
+/**
+ * New graph version with offers inserted/updated (`upserts`, offer rows)
+ * and removed (`removals`, offer ids). Only adjacency lists of touched edges
+ * are rebuilt; everything else is shared with the previous version, which
+ * stays valid for searches still using it.
+ */
+export function applyOfferChanges(graph, { upserts = [], removals = [], version = graph.version + 1 }) {
+  const offerEdgeIds = new Map(graph.offerEdgeIds);
+  const touched = new Map(); // edge id → Map(offer id → offer | null)
+
+  const touch = (edgeId, offerId, offer) => {
+    if (!touched.has(edgeId)) touched.set(edgeId, new Map());
+    touched.get(edgeId).set(offerId, offer);
+  };
+
+  for (const offerId of removals) {
+    const edgeId = offerEdgeIds.get(offerId);
+    if (edgeId === undefined) continue;
+    touch(edgeId, offerId, null);
+    offerEdgeIds.delete(offerId);
+  }
+
+  for (const offer of upserts) {
+    const previousEdgeId = offerEdgeIds.get(offer.id);
+    if (previousEdgeId !== undefined && previousEdgeId !== offer.edge_leg_id) {
+      touch(previousEdgeId, offer.id, null);
+    }
+    if (!graph.edgeById.has(offer.edge_leg_id)) continue;
+    touch(offer.edge_leg_id, offer.id, offer);
+    offerEdgeIds.set(offer.id, offer.edge_leg_id);
+  }
+
+  const adj = { ...graph.adj };
+  for (const [edgeId, changes] of touched) {
+    const edge = graph.edgeById.get(edgeId);
+    const list = adj[edge.from_node_id];
+    if (!list) continue;
+
+    const position = list.findIndex((entry) => entry.edge_leg === edge);
+    const kept = position === -1
+      ? []
+      : list[position].legs.map((leg) => leg.offer).filter((o) => !changes.has(o.id));
+    for (const offer of changes.values()) {
+      if (offer) kept.push(offer);
+    }
+
+    const next = list.slice();
+    if (position === -1) next.push(createEdgeEntry(edge, kept));
+    else next[position] = createEdgeEntry(edge, kept);
+    adj[edge.from_node_id] = next;
+  }
+
+  return { ...graph, version, adj, offerEdgeIds };
+}
+
+// Shared adjacency object → its reversed adjacency
+const reverseCache = new WeakMap();
+
+/**
+ * Reversed entry for a structural edge entry: the same legs sorted by
+ * arrival, with a parallel array of arrival times.
+ */
+function createReverseEntry(entry) {
+  const legs = entry.legs
+    .slice()
+    .sort((a, b) => offerTimesMs(a.offer).arrivalMs - offerTimesMs(b.offer).arrivalMs);
+
+  return {
+    edge_leg: entry.edge_leg,
+    legs,
+    arrivalsMs: legs.map((leg) => offerTimesMs(leg.offer).arrivalMs),
+  };
+}
+
+/**
+ * Add the entries of `list` to the reversed lists of their target nodes.
+ * copyOnWrite: replace inherited lists instead of appending to them.
+ */
+function pushReversed(radj, list, copyOnWrite = false) {
+  for (const entry of list) {
+    const target = entry.transferMode ? entry.toNode.id : entry.edge_leg.to_node_id;
+    const reversed = entry.transferMode ? entry : createReverseEntry(entry);
+
+    if (copyOnWrite) {
+      radj[target] = [...(radj[target] || []), reversed];
+    } else {
+      (radj[target] ||= []).push(reversed);
+    }
+  }
+}
+
+/**
+ * Reversed adjacency of a per-search view (createSearchGraph): node id →
+ * entries arriving at that node (reversed structural entries, see
+ * legsArrivingBy, and transfer templates). The part covering the shared
+ * graph is built once per graph; templates attached to this view (or to the
+ * views it was created from) by attachEndpointNode are layered on top.
+ */
+export function reverseAdjacency(graph) {
+  const { adj } = graph;
+  const overlayKeys = new Set();
+  let shared = adj;
+  while (Object.getPrototypeOf(shared) !== Object.prototype) {
+    for (const key of Object.keys(shared)) overlayKeys.add(key);
+    shared = Object.getPrototypeOf(shared);
+  }
+
+  let sharedReversed = reverseCache.get(shared);
+  if (!sharedReversed) {
+    sharedReversed = {};
+    for (const list of Object.values(shared)) pushReversed(sharedReversed, list);
+    reverseCache.set(shared, sharedReversed);
+  }
+
+  const radj = Object.create(sharedReversed);
+  for (const nodeId of overlayKeys) {
+    const inherited = new Set(shared[nodeId] || []);
+    pushReversed(
+      radj,
+      adj[nodeId].filter((entry) => !inherited.has(entry)),
+      true
+    );
+  }
+
+  return radj;
+}
+
+/**
+ * Build a fresh graph from the DB (uncached; see graphSnapshot.js for the
+ * long-lived one used by searches).
+ */
+export async function buildGraph(transferRules = {}) {
+  const db = openDb();
+  try {
+    return assembleGraph(await loadGraphRows(db), transferRules);
+  } finally {
+    await dbClose(db);
+  }
 }
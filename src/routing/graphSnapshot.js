@@ -0,0 +1,175 @@
+// src/routing/graphSnapshot.js
+// Long-lived in-memory graph shared by searches in this process.
+//
+// The first search loads the whole graph once. Every later
+// getGraphSnapshot() reads graph_change_log (filled by DB triggers, so
+// writes from importers and other processes count too) and:
+//   - applies changed/new/deactivated offers incrementally (new version)
+//   - drops offers that departed or expired (TTL / validity window, see
+//     offerFreshness.js) on a periodic sweep (new version)
+//   - fully reloads if nodes or edges changed, the log has a gap, or a
+//     not-yet-effective offer has become valid
+// Each version is immutable; a search keeps the version it started with.
+
+import { openDb, dbAll, dbGet, dbRun, dbClose } from "../db/connection.js";
+import { logDev } from "./config.js";
+import { assembleGraph, applyOfferChanges, loadGraphRows } from "./graph.js";
+import { isOfferValidAt, pendingFrom } from "./offerFreshness.js";
+
+// Change log rows older than this are pruned on full reloads.
+const CHANGE_LOG_RETENTION_DAYS = 7;
+// How often departed/expired offers are swept out of the snapshot.
+const EXPIRY_SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+// Offers are fetched by id in chunks (SQLite variable limit).
+const OFFER_FETCH_CHUNK = 500;
+
+let current = null;
+let lastVersion = 0;
+let pending = null;
+
+/**
+ * Load a complete graph; the change-log watermark is read first so that
+ * writes racing the load are replayed (idempotently) by the next refresh.
+ */
+async function loadFullSnapshot(db, transferRules = {}) {
+  const version = ++lastVersion;
+  const nowMs = Date.now();
+  const { maxId } = await dbGet(db, "SELECT COALESCE(MAX(id), 0) AS maxId FROM graph_change_log");
+  const rows = await loadGraphRows(db, nowMs);
+  const graph = assembleGraph(rows, transferRules, version);
+
+  const cutoff = new Date(nowMs - CHANGE_LOG_RETENTION_DAYS * 86400000).toISOString();
+  await dbRun(db, "DELETE FROM graph_change_log WHERE changed_at_utc < ? AND id <= ?", [
+    cutoff,
+    maxId,
+  ]);
+
+  logDev("graph snapshot loaded", { version, changeLogId: maxId });
+  return {
+    ...graph,
+    changeLogId: maxId,
+    expiredAtMs: nowMs,
+    pendingFromMs: rows.pendingFromMs,
+    loadedAtUtc: new Date(nowMs).toISOString(),
+  };
+}
+
+/**
+ * Ids of offers in the graph that are no longer valid at nowMs.
+ */
+function expiredOfferIds(graph, nowMs) {
+  const ids = [];
+  for (const list of Object.values(graph.adj)) {
+    for (const entry of list) {
+      if (!entry.legs) continue;
+      for (const leg of entry.legs) {
+        if (!isOfferValidAt(leg.offer, nowMs)) ids.push(leg.offer.id);
+      }
+    }
+  }
+  return ids;
+}
+
+async function fetchOffers(db, ids) {
+  const rows = [];
+  for (let i = 0; i < ids.length; i += OFFER_FETCH_CHUNK) {
+    const chunk = ids.slice(i, i + OFFER_FETCH_CHUNK);
+    const marks = chunk.map(() => "?").join(", ");
+    rows.push(...(await dbAll(db, `SELECT * FROM offer WHERE id IN (${marks})`, chunk)));
+  }
+  return rows;
+}
+
+/**
+ * Bring `graph` up to date with the change log. Returns the same object when
+ * nothing changed, otherwise a new version.
+ */
+async function refreshSnapshot(db, graph) {
+  const nowMs = Date.now();
+  const changes = await dbAll(
+    db,
+    "SELECT id, entity, entity_id FROM graph_change_log WHERE id > ? ORDER BY id",
+    [graph.changeLogId]
+  );
+
+  const gap = changes.length > 0 && changes[0].id !== graph.changeLogId + 1;
+  if (gap || changes.some((c) => c.entity !== "offer")) {
+    logDev("graph snapshot: structural change, reloading", { gap });
+    return loadFullSnapshot(db, graph.transferRules);
+  }
+  if (nowMs >= graph.pendingFromMs) {
+    logDev("graph snapshot: offers became effective, reloading");
+    return loadFullSnapshot(db, graph.transferRules);
+  }
+
+  const sweep = nowMs - graph.expiredAtMs >= EXPIRY_SWEEP_INTERVAL_MS;
+  if (changes.length === 0 && !sweep) return graph;
+
+  const changedIds = [...new Set(changes.map((c) => c.entity_id))];
+  const rows = await fetchOffers(db, changedIds);
+  const byId = new Map(rows.map((row) => [row.id, row]));
+
+  const upserts = [];
+  const removals = sweep ? expiredOfferIds(graph, nowMs) : [];
+  let { pendingFromMs } = graph;
+  for (const id of changedIds) {
+    const row = byId.get(id);
+    if (row && isOfferValidAt(row, nowMs)) {
+      upserts.push(row);
+    } else {
+      removals.push(id);
+      if (row) pendingFromMs = Math.min(pendingFromMs, pendingFrom(row, nowMs));
+    }
+  }
+
+  if (upserts.length === 0 && removals.length === 0) {
+    return {
+      ...graph,
+      changeLogId: changes.at(-1)?.id ?? graph.changeLogId,
+      expiredAtMs: nowMs,
+      pendingFromMs,
+    };
+  }
+
+  const next = applyOfferChanges(graph, { upserts, removals, version: ++lastVersion });
+  logDev("graph snapshot refreshed", {
+    version: next.version,
+    upserts: upserts.length,
+    removals: removals.length,
+  });
+
+  return {
+    ...next,
+    changeLogId: changes.at(-1)?.id ?? graph.changeLogId,
+    expiredAtMs: sweep ? nowMs : graph.expiredAtMs,
+    pendingFromMs,
+  };
+}
+
+/**
+ * Current graph snapshot, loaded on first use and refreshed from the change
+ * log on every call. Concurrent callers share one load/refresh.
+ */
+export async function getGraphSnapshot() {
+  if (pending) return pending;
+
+  pending = (async () => {
+    const db = openDb();
+    try {
+      current = current ? await refreshSnapshot(db, current) : await loadFullSnapshot(db);
+      return current;
+    } finally {
+      await dbClose(db);
+      pending = null;
+    }
+  })();
+
+  return pending;
+}
+
+/**
+ * Drop the snapshot; the next getGraphSnapshot() reloads everything.
+ */
+export function invalidateGraphSnapshot() {
+  current = null;
+}
@@ -0,0 +1,254 @@
+// src/routing/itinerary.js
+// Turns terminal search states into itinerary result objects.
+
+import { describeConnection } from "./connections.js";
+import { offerTimesMs } from "./generalizedCost.js";
+import { offerFreshness } from "./offerFreshness.js";
+import { riskBreakdown } from "./risk.js";
+import { localDayNumber, localTime, offsetTransitions } from "./timezone.js";
+
+/**
+ * Minutes between two UTC timestamps.
+ */
+function minutesBetween(startUtc, endUtc) {
+  return Math.round((Date.parse(endUtc) - Date.parse(startUtc)) / 60000);
+}
+
+/**
+ * Main mode of an itinerary: the mode of the longest non-transfer leg,
+ * falling back to the longest leg overall (e.g. walk-only trips).
+ */
+export function mainModeOf(legs) {
+  const candidates = legs.some((l) => l.edge_leg.is_transfer !== 1)
+    ? legs.filter((l) => l.edge_leg.is_transfer !== 1)
+    : legs;
+
+  let best = null;
+  let bestMin = -1;
+  for (const leg of candidates) {
+    const min = minutesBetween(leg.offer.departure_time_utc, leg.offer.arrival_time_utc);
+    if (min > bestMin) {
+      best = leg.edge_leg.mode;
+      bestMin = min;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Compact node description embedded in itinerary legs.
+ */
+function nodeSummary(node) {
+  if (!node) return null;
+  return {
+    id: node.id,
+    ext_ref: node.ext_ref ?? null,
+    name: node.name,
+    kind: node.kind,
+    lat: node.lat,
+    lon: node.lon,
+    timezone: node.timezone ?? null,
+  };
+}
+
+const round2 = (x) => Math.round(x * 100) / 100;
+
+/**
+ * Price of a leg for the whole party: the fare in its original currency and
+ * converted, plus ancillary fee line items and the leg total.
+ * pricing: { fx (createFxConverter; without one amounts are taken as is),
+ *            party (createPartyPricer, adds the fare breakdown),
+ *            fees (createFeeCalculator) }
+ */
+function legPrice(leg, { fx = null, party = null, fees = null }) {
+  const { offer } = leg;
+  const original = fx ? fx.originalAmountOf(offer) : offer.price_total || 0;
+  const originalCurrency = offer.currency || "USD";
+  const rate = fx ? fx.rateOf(offer) : 1;
+  const amount = rate == null ? null : round2(original * rate);
+
+  const ancillaries = (fees ? fees.lineItemsOf(leg) : []).map((line) => ({
+    ...line,
+    amount: line.amount == null ? null : round2(line.amount),
+  }));
+  const feesTotal = ancillaries.reduce((sum, line) => sum + (line.amount || 0), 0);
+
+  return {
+    amount,
+    currency: fx ? fx.currency : originalCurrency,
+    original_amount: round2(original),
+    original_currency: originalCurrency,
+    fx_rate: rate,
+    ...(party && { fares: party.breakdownOf(offer) }),
+    ancillaries,
+    total: amount == null ? null : round2(amount + feesTotal),
+  };
+}
+
+/**
+ * Itinerary cost breakdown in the search currency: fare and ancillary fee
+ * line items per leg with their sums.
+ */
+function costBreakdown(legs) {
+  const lineItems = [];
+  let fares = 0;
+  let ancillaries = 0;
+
+  legs.forEach(({ price }, index) => {
+    lineItems.push({ leg_index: index, kind: "fare", quantity: 1, amount: price.amount });
+    fares += price.amount || 0;
+    for (const line of price.ancillaries) {
+      lineItems.push({ leg_index: index, kind: line.item, quantity: line.quantity, amount: line.amount });
+      ancillaries += line.amount || 0;
+    }
+  });
+
+  return {
+    fares: round2(fares),
+    ancillaries: round2(ancillaries),
+    total: round2(fares + ancillaries),
+    line_items: lineItems,
+  };
+}
+
+/**
+ * Timezone used for one end of a leg: the node's own, else the other end's
+ * (e.g. a walk from an address without one).
+ */
+function legTimezone(leg, side) {
+  const other = side === "from_node" ? "to_node" : "from_node";
+  return leg[side]?.timezone ?? leg[other]?.timezone ?? null;
+}
+
+/**
+ * Local time of an instant in `timeZone`, with its day offset from the
+ * trip's local departure day (`referenceDay`, null when unknown):
+ *   { time, utc_offset, timezone, day_offset }
+ * null without a timezone.
+ */
+function localAt(timeZone, epochMs, referenceDay) {
+  if (!timeZone) return null;
+  return {
+    ...localTime(timeZone, epochMs),
+    day_offset: referenceDay == null ? null : localDayNumber(timeZone, epochMs) - referenceDay,
+  };
+}
+
+/**
+ * Legs of a search state in travel order, following parent pointers. Each
+ * leg after the first carries its connection summary (see connections.js),
+ * and every leg the risk components it was costed with (risk.js), if any.
+ */
+export function pathOf(state) {
+  const legs = [];
+  for (let s = state; s && s.leg; s = s.parent) {
+    legs.push({
+      ...s.leg,
+      ...(s.connection && {
+        connection: describeConnection(s.connection, offerTimesMs(s.leg.offer).departureMs),
+      }),
+      ...(s.risk && { risk: s.risk }),
+    });
+  }
+  return legs.reverse();
+}
+
+/**
+ * Build an itinerary object from a destination state:
+ * {
+ *   legs: [{ edge_leg, offer, from_node, to_node, price, freshness,
+ *            departure_local, arrival_local, dst_transition }],
+ *   departure_time_utc, arrival_time_utc, departure_local, arrival_local,
+ *   dst_transitions, price_total, price_per_person, currency, price_by_currency,
+ *   cost_breakdown, has_stale_prices, duration_min, num_transfers, main_mode,
+ *   gen_cost, risk_penalties
+ * }
+ * Prices are for the whole party (pricing.party, see passengers.js), with
+ * each leg's fare breakdown and baggage fees (pricing.fees, see
+ * ancillaryFees.js). price_total is fares plus fees in the search currency
+ * (pricing.fx, see fx.js); each leg's price shows the original and converted
+ * fare, cost_breakdown itemizes fares and fees, and price_by_currency sums
+ * the original amounts per currency. Each leg's freshness gives the offer's
+ * price age and expiry and flags stale prices (see offerFreshness.js).
+ * risk_penalties breaks down the risk share of gen_cost (risk.js).
+ * num_transfers counts vehicle changes; walks and other transfer legs and
+ * staying on board across split tickets do not count.
+ * Local times are in each node's timezone, with day_offset counting local
+ * days from the trip's departure date (the "+1" on arrival).
+ * dst_transitions lists UTC offset changes in any zone the trip touches
+ * between departure and arrival.
+ */
+export function buildItinerary(state, nodeById = new Map(), pricing = {}) {
+  const { fx = null, party = null } = pricing;
+  const nowMs = Date.now();
+  const path = pathOf(state);
+  const riskPenalties = riskBreakdown(path);
+  const legs = path.map(({ risk, ...leg }) => ({
+    ...leg,
+    from_node: nodeSummary(nodeById.get(leg.edge_leg.from_node_id)),
+    to_node: nodeSummary(nodeById.get(leg.edge_leg.to_node_id)),
+    price: legPrice(leg, pricing),
+    freshness: offerFreshness(leg.offer, nowMs),
+  }));
+  const first = legs[0];
+  const last = legs[legs.length - 1];
+
+  const departure = first ? first.offer.departure_time_utc : state.arrivalTimeUtc;
+  const arrival = last ? last.offer.arrival_time_utc : state.arrivalTimeUtc;
+  const departureMs = Date.parse(departure);
+  const arrivalMs = Date.parse(arrival);
+
+  const originTz = first ? legTimezone(first, "from_node") : null;
+  const destTz = last ? legTimezone(last, "to_node") : null;
+  const referenceDay = originTz ? localDayNumber(originTz, departureMs) : null;
+
+  const zones = new Set(legs.flatMap((l) => [legTimezone(l, "from_node"), legTimezone(l, "to_node")]));
+  zones.delete(null);
+  const dstTransitions = [...zones].flatMap((tz) => offsetTransitions(tz, departureMs, arrivalMs));
+
+  for (const leg of legs) {
+    const { departureMs: legDepMs, arrivalMs: legArrMs } = offerTimesMs(leg.offer);
+    const legZones = [legTimezone(leg, "from_node"), legTimezone(leg, "to_node")];
+
+    leg.departure_local = localAt(legZones[0], legDepMs, referenceDay);
+    leg.arrival_local = localAt(legZones[1], legArrMs, referenceDay);
+    leg.dst_transition = dstTransitions.some((t) => {
+      const atMs = Date.parse(t.at_utc);
+      return legZones.includes(t.timezone) && atMs >= legDepMs && atMs <= legArrMs;
+    });
+  }
+
+  const breakdown = costBreakdown(legs);
+  const priceTotal = breakdown.total;
+  const priceByCurrency = {};
+  const addOriginal = (currency, amount) => {
+    priceByCurrency[currency] = round2((priceByCurrency[currency] || 0) + amount);
+  };
+  for (const { price } of legs) {
+    addOriginal(price.original_currency, price.original_amount);
+    for (const line of price.ancillaries) {
+      addOriginal(line.original_currency, line.quantity * line.unit_amount);
+    }
+  }
+
+  return {
+    legs,
+    departure_time_utc: departure,
+    arrival_time_utc: arrival,
+    departure_local: localAt(originTz, departureMs, referenceDay),
+    arrival_local: localAt(destTz, arrivalMs, referenceDay),
+    dst_transitions: dstTransitions,
+    price_total: round2(priceTotal),
+    price_per_person: round2(priceTotal / (party ? party.size : 1)),
+    currency: fx ? fx.currency : legs[0]?.price.currency ?? "USD",
+    price_by_currency: priceByCurrency,
+    cost_breakdown: breakdown,
+    has_stale_prices: legs.some((l) => l.freshness.stale),
+    duration_min: minutesBetween(departure, arrival),
+    num_transfers: state.transfers,
+    main_mode: mainModeOf(legs),
+    gen_cost: state.genCost,
+    risk_penalties: riskPenalties,
+  };
+}
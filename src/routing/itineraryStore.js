@@ -0,0 +1,377 @@
+// src/routing/itineraryStore.js
+// Persists search results into itinerary_bundle (+ search_run, and the
+// arbitrage comparison when present) and provides lookups of past searches
+// for auditing and reruns.
+
+import { openDb, dbRun, dbGet, dbAll, dbClose } from "../db/connection.js";
+import { logDev } from "./config.js";
+
+const BUNDLE_COLUMNS = `b.*,
+  a.baseline_mode, a.savings_cash, a.savings_pct, a.risk_adjusted_savings,
+  a.time_delta_min, a.gen_cost_delta, a.is_intermodal, a.is_opportunity`;
+
+/**
+ * Parse JSON columns of an itinerary_bundle row (joined with its
+ * itinerary_arbitrage row, see BUNDLE_COLUMNS) and fold the comparison into
+ * vs_direct.
+ */
+function hydrateBundle(row) {
+  if (!row) return null;
+  const {
+    legs_json,
+    risk_penalties_json,
+    search_params_json,
+    baseline_mode,
+    savings_cash,
+    savings_pct,
+    risk_adjusted_savings,
+    time_delta_min,
+    gen_cost_delta,
+    is_intermodal,
+    is_opportunity,
+    ...rest
+  } = row;
+  return {
+    ...rest,
+    legs: JSON.parse(legs_json),
+    risk_penalties: risk_penalties_json ? JSON.parse(risk_penalties_json) : null,
+    search_params: JSON.parse(search_params_json),
+    vs_direct:
+      baseline_mode == null
+        ? null
+        : {
+            baseline_mode,
+            savings_cash,
+            savings_pct,
+            risk_adjusted_savings,
+            time_delta_min,
+            gen_cost_delta,
+            is_intermodal: is_intermodal === 1,
+            is_opportunity: is_opportunity === 1,
+          },
+  };
+}
+
+/**
+ * Parse JSON columns of a search_run row.
+ */
+function hydrateRun(row) {
+  if (!row) return null;
+  const { origin_node_ids_json, dest_node_ids_json, search_params_json, ...rest } = row;
+  return {
+    ...rest,
+    origin_node_ids: JSON.parse(origin_node_ids_json || "[]"),
+    dest_node_ids: JSON.parse(dest_node_ids_json || "[]"),
+    search_params: JSON.parse(search_params_json),
+  };
+}
+
+/**
+ * Stored id of an endpoint node: synthetic address nodes (temporary negative
+ * ids, see search.js) are not location_node rows and are stored as NULL.
+ */
+function storedNodeId(id) {
+  return id != null && id > 0 ? id : null;
+}
+
+/**
+ * Coordinates stored with an address endpoint, { lat, lon } (nulls for
+ * other specs).
+ */
+function addressPoint(spec) {
+  const node = spec.isAddress ? spec.nodes[0] : null;
+  return { lat: node?.lat ?? null, lon: node?.lon ?? null };
+}
+
+/**
+ * Persist a completed search: one search_run row plus one itinerary_bundle
+ * row per returned itinerary (linked with its rank). The arbitrage report
+ * goes to search_run_arbitrage and each itinerary's vs_direct to
+ * itinerary_arbitrage. Address endpoints are stored with a NULL node id and
+ * their coordinates.
+ *
+ * Returns the search_run id.
+ */
+export async function saveSearchResults({
+  originSpec,
+  destSpec,
+  params,
+  result,
+  startedAtUtc,
+  finishedAtUtc,
+}) {
+  const db = openDb();
+  const paramsJson = JSON.stringify(params);
+  const {
+    timeValuePerHour = 20,
+    transferPenalty = 6,
+  } = params;
+  const originPoint = addressPoint(originSpec);
+  const destPoint = addressPoint(destSpec);
+  const storedNodeIds = (spec) =>
+    JSON.stringify(spec.nodes.map((n) => storedNodeId(n.id)).filter((id) => id != null));
+
+  try {
+    await dbRun(db, "BEGIN");
+
+    const { lastID: searchId } = await dbRun(
+      db,
+      `INSERT INTO search_run (
+        origin_spec_raw,
+        dest_spec_raw,
+        origin_node_ids_json,
+        dest_node_ids_json,
+        origin_lat,
+        origin_lon,
+        dest_lat,
+        dest_lon,
+        search_mode,
+        search_status,
+        expansions,
+        itinerary_count,
+        search_params_json,
+        search_started_at_utc,
+        search_finished_at_utc
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        originSpec.raw ?? "",
+        destSpec.raw ?? "",
+        storedNodeIds(originSpec),
+        storedNodeIds(destSpec),
+        originPoint.lat,
+        originPoint.lon,
+        destPoint.lat,
+        destPoint.lon,
+        result.mode,
+        result.search_status,
+        result.expansions,
+        result.itineraries.length,
+        paramsJson,
+        startedAtUtc,
+        finishedAtUtc,
+      ]
+    );
+
+    for (const it of result.itineraries) {
+      const firstLeg = it.legs[0];
+      const lastLeg = it.legs[it.legs.length - 1];
+      const originNodeId = storedNodeId(
+        firstLeg ? firstLeg.edge_leg.from_node_id : originSpec.nodes[0]?.id
+      );
+      const destNodeId = storedNodeId(
+        lastLeg ? lastLeg.edge_leg.to_node_id : destSpec.nodes[0]?.id
+      );
+
+      const { lastID: bundleId } = await dbRun(
+        db,
+        `INSERT INTO itinerary_bundle (
+          origin_node_id,
+          dest_node_id,
+          origin_lat,
+          origin_lon,
+          dest_lat,
+          dest_lon,
+          origin_spec_raw,
+          dest_spec_raw,
+          legs_json,
+          price_total,
+          duration_min,
+          num_transfers,
+          main_mode,
+          time_value_per_hour,
+          transfer_penalty,
+          risk_penalties_json,
+          gen_cost,
+          search_status,
+          search_params_json,
+          search_started_at_utc,
+          search_finished_at_utc
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          originNodeId,
+          destNodeId,
+          originNodeId == null ? originPoint.lat : null,
+          originNodeId == null ? originPoint.lon : null,
+          destNodeId == null ? destPoint.lat : null,
+          destNodeId == null ? destPoint.lon : null,
+          originSpec.raw ?? "",
+          destSpec.raw ?? "",
+          JSON.stringify(it.legs),
+          it.price_total,
+          it.duration_min,
+          it.num_transfers,
+          it.main_mode,
+          timeValuePerHour,
+          transferPenalty,
+          it.risk_penalties ? JSON.stringify(it.risk_penalties) : null,
+          it.gen_cost,
+          result.search_status,
+          paramsJson,
+          startedAtUtc,
+          finishedAtUtc,
+        ]
+      );
+
+      await dbRun(
+        db,
+        "INSERT INTO search_run_itinerary (search_run_id, itinerary_bundle_id, rank) VALUES (?, ?, ?)",
+        [searchId, bundleId, it.rank ?? 1]
+      );
+
+      if (it.vs_direct) {
+        const c = it.vs_direct;
+        await dbRun(
+          db,
+          `INSERT INTO itinerary_arbitrage (
+            itinerary_bundle_id,
+            baseline_mode,
+            savings_cash,
+            savings_pct,
+            risk_adjusted_savings,
+            time_delta_min,
+            gen_cost_delta,
+            is_intermodal,
+            is_opportunity
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            bundleId,
+            c.baseline_mode,
+            c.savings_cash,
+            c.savings_pct,
+            c.risk_adjusted_savings,
+            c.time_delta_min,
+            c.gen_cost_delta,
+            c.is_intermodal ? 1 : 0,
+            c.is_opportunity ? 1 : 0,
+          ]
+        );
+      }
+    }
+
+    if (result.arbitrage) {
+      await dbRun(
+        db,
+        `INSERT INTO search_run_arbitrage (
+          search_run_id, baseline_mode, threshold_pct, opportunities, report_json
+        ) VALUES (?, ?, ?, ?, ?)`,
+        [
+          searchId,
+          result.arbitrage.baseline.mode,
+          result.arbitrage.threshold_pct,
+          result.arbitrage.opportunities,
+          JSON.stringify(result.arbitrage),
+        ]
+      );
+    }
+
+    await dbRun(db, "COMMIT");
+    logDev("saveSearchResults stored:", { searchId, count: result.itineraries.length });
+    return searchId;
+  } catch (err) {
+    logDev("saveSearchResults error:", err);
+    await dbRun(db, "ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    await dbClose(db);
+  }
+}
+
+/**
+ * Fetch a single persisted itinerary by itinerary_bundle id.
+ */
+export async function getItineraryBundle(id) {
+  const db = openDb();
+  try {
+    const row = await dbGet(
+      db,
+      `SELECT ${BUNDLE_COLUMNS}
+         FROM itinerary_bundle b
+         LEFT JOIN itinerary_arbitrage a ON a.itinerary_bundle_id = b.id
+        WHERE b.id = ?`,
+      [id]
+    );
+    return hydrateBundle(row);
+  } finally {
+    await dbClose(db);
+  }
+}
+
+/**
+ * Fetch a past search with its ranked itineraries.
+ */
+export async function getSearchRun(id) {
+  const db = openDb();
+  try {
+    const row = await dbGet(db, "SELECT * FROM search_run WHERE id = ?", [id]);
+    if (!row) return null;
+
+    const bundles = await dbAll(
+      db,
+      `SELECT ${BUNDLE_COLUMNS}, l.rank
+         FROM search_run_itinerary l
+         JOIN itinerary_bundle b ON b.id = l.itinerary_bundle_id
+         LEFT JOIN itinerary_arbitrage a ON a.itinerary_bundle_id = b.id
+        WHERE l.search_run_id = ?
+        ORDER BY l.rank`,
+      [id]
+    );
+    const arbitrage = await dbGet(
+      db,
+      "SELECT report_json FROM search_run_arbitrage WHERE search_run_id = ?",
+      [id]
+    );
+
+    return {
+      ...hydrateRun(row),
+      arbitrage: arbitrage ? JSON.parse(arbitrage.report_json) : null,
+      itineraries: bundles.map(hydrateBundle),
+    };
+  } finally {
+    await dbClose(db);
+  }
+}
+
+/**
+ * List past searches (newest first) by origin/destination.
+ * origin/destination match either the raw spec text (case-insensitive) or,
+ * when numeric, a node id an itinerary of that search started/ended at
+ * (address endpoints have none).
+ */
+export async function findSearchRuns({ origin, destination, limit = 20 } = {}) {
+  const db = openDb();
+
+  const where = [];
+  const args = [];
+
+  const addFilter = (value, specCol, nodeCol) => {
+    if (value == null || value === "") return;
+    if (/^\d+$/.test(String(value))) {
+      where.push(
+        `EXISTS (SELECT 1 FROM search_run_itinerary l
+                   JOIN itinerary_bundle b ON b.id = l.itinerary_bundle_id
+                  WHERE l.search_run_id = r.id AND b.${nodeCol} = ?)`
+      );
+      args.push(Number(value));
+    } else {
+      where.push(`r.${specCol} = ? COLLATE NOCASE`);
+      args.push(String(value).trim());
+    }
+  };
+
+  addFilter(origin, "origin_spec_raw", "origin_node_id");
+  addFilter(destination, "dest_spec_raw", "dest_node_id");
+
+  const sql = `
+    SELECT r.* FROM search_run r
+    ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+    ORDER BY r.search_started_at_utc DESC, r.id DESC
+    LIMIT ?
+  `;
+
+  try {
+    const rows = await dbAll(db, sql, [...args, limit]);
+    return rows.map(hydrateRun);
+  } finally {
+    await dbClose(db);
+  }
+}
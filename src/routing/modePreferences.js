@@ -0,0 +1,185 @@
+// src/routing/modePreferences.js
+// Traveler mode preferences (defaults: DEFAULT_MODE_PREFERENCES in types.js):
+// excluded modes, per-mode cost multipliers and per-mode limits on total
+// distance and number of legs. Modes are EdgeMode values.
+//
+// Exclusions and distance limits also shape the transfer templates generated
+// for search endpoints (transferRulesFor); the search enforces all of them
+// when adding a leg.
+
+import { DEFAULT_MODE_PREFERENCES, EdgeMode } from "./types.js";
+
+const MODES = new Set(Object.values(EdgeMode));
+
+/**
+ * Check that every key of a per-mode table is a mode and every value a
+ * number matching `valid`.
+ */
+function checkModeTable(name, table, valid) {
+  if (table === null || typeof table !== "object" || Array.isArray(table)) {
+    throw new Error(`modePreferences.${name} must be an object keyed by mode`);
+  }
+  for (const [mode, value] of Object.entries(table)) {
+    if (!MODES.has(mode)) {
+      throw new Error(`Unknown mode "${mode}" in modePreferences.${name}`);
+    }
+    if (typeof value !== "number" || !valid(value)) {
+      throw new Error(`Invalid modePreferences.${name}.${mode}: ${value}`);
+    }
+  }
+  return { ...table };
+}
+
+/**
+ * Validate params.modePreferences and fill in defaults. The result is plain
+ * JSON (it is persisted with the search run).
+ */
+export function resolveModePreferences(input = {}) {
+  const prefs = { ...DEFAULT_MODE_PREFERENCES, ...(input || {}) };
+
+  if (!Array.isArray(prefs.exclude)) {
+    throw new Error("modePreferences.exclude must be an array of modes");
+  }
+  for (const mode of prefs.exclude) {
+    if (!MODES.has(mode)) {
+      throw new Error(`Unknown mode "${mode}" in modePreferences.exclude`);
+    }
+  }
+
+  return {
+    exclude: [...new Set(prefs.exclude)].sort(),
+    multipliers: checkModeTable(
+      "multipliers",
+      prefs.multipliers,
+      (x) => x > 0 && Number.isFinite(x)
+    ),
+    max_distance_km: checkModeTable("max_distance_km", prefs.max_distance_km, (x) => x >= 0),
+    max_legs: checkModeTable("max_legs", prefs.max_legs, (x) => Number.isInteger(x) && x >= 0),
+  };
+}
+
+/**
+ * Mode of an adjacency entry (transfer template or structural edge) or leg.
+ */
+export function modeOf(entryOrLeg) {
+  return entryOrLeg.transferMode ?? entryOrLeg.edge_leg.mode;
+}
+
+export function isModeExcluded(prefs, mode) {
+  return prefs.exclude.includes(mode);
+}
+
+/**
+ * Factor on a leg's cash + time cost for its mode.
+ */
+export function modeMultiplier(prefs, mode) {
+  return prefs.multipliers[mode] ?? 1;
+}
+
+/**
+ * Smallest multiplier in effect (at most 1), so lower bounds stay below the
+ * cost of any completion.
+ */
+export function lowerBoundScale(prefs) {
+  return Math.min(1, ...Object.values(prefs.multipliers));
+}
+
+/**
+ * Largest multiplier in effect (at least 1): a wait is paid at the factor of
+ * the leg it waits for, so dominance must not charge it at less.
+ */
+export function waitCostScale(prefs) {
+  return Math.max(1, ...Object.values(prefs.multipliers));
+}
+
+export function hasModeLimits(prefs) {
+  return (
+    Object.keys(prefs.max_distance_km).length > 0 || Object.keys(prefs.max_legs).length > 0
+  );
+}
+
+/**
+ * Whether adding `leg` to a path already holding `pathLegs` stays within the
+ * per-mode distance and leg-count limits.
+ */
+export function withinModeLimits(prefs, leg, pathLegs) {
+  const mode = leg.edge_leg.mode;
+  const maxKm = prefs.max_distance_km[mode];
+  const maxLegs = prefs.max_legs[mode];
+  if (maxKm == null && maxLegs == null) return true;
+
+  let km = leg.edge_leg.distance_km || 0;
+  let count = 1;
+  for (const other of pathLegs) {
+    if (other.edge_leg.mode !== mode) continue;
+    km += other.edge_leg.distance_km || 0;
+    count++;
+  }
+
+  return (maxKm == null || km <= maxKm) && (maxLegs == null || count <= maxLegs);
+}
+
+/**
+ * Per-mode budget used by a path, { mode: { km, legs } } over the limited
+ * modes only, after adding `leg` to a path that had used `usage` (null for
+ * an empty path).
+ */
+export function addModeUsage(prefs, usage, leg) {
+  const mode = leg.edge_leg.mode;
+  if (prefs.max_distance_km[mode] == null && prefs.max_legs[mode] == null) return usage;
+
+  const used = usage?.[mode] ?? { km: 0, legs: 0 };
+  return {
+    ...usage,
+    [mode]: { km: used.km + (leg.edge_leg.distance_km || 0), legs: used.legs + 1 },
+  };
+}
+
+/**
+ * Whether usage `a` leaves at least as much of every limited mode's budget
+ * as usage `b`, so a path with `a` can take every leg one with `b` can.
+ */
+export function usesNoMoreBudget(a, b) {
+  for (const [mode, used] of Object.entries(a ?? {})) {
+    const other = b?.[mode] ?? { km: 0, legs: 0 };
+    if (used.km > other.km || used.legs > other.legs) return false;
+  }
+  return true;
+}
+
+/**
+ * Key of a mode usage, for tables that only compare states with equal usage.
+ */
+export function modeUsageKey(usage) {
+  if (!usage) return "";
+  return Object.keys(usage)
+    .sort()
+    .map((mode) => `${mode}:${usage[mode].km}:${usage[mode].legs}`)
+    .join(",");
+}
+
+/**
+ * Transfer rules (see DEFAULT_TRANSFER_RULES) without excluded modes, with
+ * each mode's radii capped by its distance limit.
+ */
+export function transferRulesFor(rules, prefs) {
+  if (!prefs) return rules;
+
+  const filtered = {};
+  for (const [mode, rule] of Object.entries(rules)) {
+    if (isModeExcluded(prefs, mode) || prefs.max_legs[mode] === 0) continue;
+
+    const maxKm = prefs.max_distance_km[mode];
+    filtered[mode] =
+      maxKm == null
+        ? rule
+        : {
+            ...rule,
+            radiusKm: Math.min(rule.radiusKm, maxKm),
+            ...(rule.airportRadiusKm != null && {
+              airportRadiusKm: Math.min(rule.airportRadiusKm, maxKm),
+            }),
+          };
+  }
+  return filtered;
+}
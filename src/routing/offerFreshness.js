@@ -0,0 +1,139 @@
+// src/routing/offerFreshness.js
+// Offer validity (is_active, effective_from_utc, ttl_hrs,
+// validity_window_hrs, departure) and price freshness, plus the sweeper that
+// deactivates expired offers in the database.
+//
+// An offer is valid from effective_from_utc until the earliest of:
+//   - its departure
+//   - last verification (last_verified_utc, else retrieval_time_utc) + ttl_hrs
+//   - effective_from_utc (else retrieval_time_utc) + validity_window_hrs
+// A valid offer is flagged stale once its price is older than
+// DEFAULT_OFFER_STALE_AFTER_HRS for its source type.
+
+import { openDb, dbRun, dbClose } from "../db/connection.js";
+import { logDev } from "./config.js";
+import { offerTimesMs } from "./generalizedCost.js";
+import { DEFAULT_OFFER_STALE_AFTER_HRS } from "./types.js";
+
+const HOUR_MS = 3600000;
+
+export const DEFAULT_SWEEP_INTERVAL_MS = 15 * 60 * 1000;
+
+const parseOrNull = (utc) => {
+  const ms = utc ? Date.parse(utc) : NaN;
+  return Number.isNaN(ms) ? null : ms;
+};
+
+/**
+ * Validity window of an offer row: { validFromMs, validUntilMs, verifiedMs }.
+ */
+export function offerValidity(offer) {
+  const verifiedMs = parseOrNull(offer.last_verified_utc) ?? parseOrNull(offer.retrieval_time_utc);
+  const effectiveMs = parseOrNull(offer.effective_from_utc);
+
+  let validUntilMs = offerTimesMs(offer).departureMs;
+  if (offer.ttl_hrs != null && verifiedMs != null) {
+    validUntilMs = Math.min(validUntilMs, verifiedMs + offer.ttl_hrs * HOUR_MS);
+  }
+  const windowStartMs = effectiveMs ?? parseOrNull(offer.retrieval_time_utc);
+  if (offer.validity_window_hrs != null && windowStartMs != null) {
+    validUntilMs = Math.min(validUntilMs, windowStartMs + offer.validity_window_hrs * HOUR_MS);
+  }
+
+  return { validFromMs: effectiveMs ?? -Infinity, validUntilMs, verifiedMs };
+}
+
+/**
+ * Whether an offer row can be used at nowMs.
+ */
+export function isOfferValidAt(offer, nowMs) {
+  if (offer.is_active === 0) return false;
+  const { validFromMs, validUntilMs } = offerValidity(offer);
+  return validFromMs <= nowMs && nowMs <= validUntilMs;
+}
+
+/**
+ * When an offer that is not valid at nowMs becomes valid: its
+ * effective_from_utc if still ahead and the offer has not expired by then,
+ * else Infinity.
+ */
+export function pendingFrom(offer, nowMs) {
+  if (offer.is_active === 0) return Infinity;
+  const { validFromMs, validUntilMs } = offerValidity(offer);
+  return validFromMs > nowMs && validFromMs <= validUntilMs ? validFromMs : Infinity;
+}
+
+/**
+ * Freshness annotation for an itinerary leg:
+ *   { source_type, verified_at_utc, age_min, expires_at_utc, stale }
+ * expires_at_utc is null when only the departure bounds the offer.
+ */
+export function offerFreshness(offer, nowMs = Date.now()) {
+  const { validUntilMs, verifiedMs } = offerValidity(offer);
+  const ageMin = verifiedMs == null ? null : Math.max(0, Math.round((nowMs - verifiedMs) / 60000));
+  const staleAfterHrs = offer.is_static ? null : DEFAULT_OFFER_STALE_AFTER_HRS[offer.source_type];
+
+  return {
+    source_type: offer.source_type ?? null,
+    verified_at_utc: verifiedMs == null ? null : new Date(verifiedMs).toISOString(),
+    age_min: ageMin,
+    expires_at_utc:
+      validUntilMs < offerTimesMs(offer).departureMs ? new Date(validUntilMs).toISOString() : null,
+    stale: staleAfterHrs != null && ageMin != null && ageMin > staleAfterHrs * 60,
+  };
+}
+
+/**
+ * Deactivate offers that departed or ran past their TTL / validity window.
+ * The offer triggers log each change, so graph snapshots drop them on their
+ * next refresh. Returns the number of offers deactivated.
+ */
+export async function sweepExpiredOffers(db, nowMs = Date.now()) {
+  const now = new Date(nowMs).toISOString();
+  const { changes } = await dbRun(
+    db,
+    `UPDATE offer SET is_active = 0
+      WHERE is_active = 1
+        AND (
+          julianday(departure_time_utc) < julianday(?)
+          OR (ttl_hrs IS NOT NULL
+              AND julianday(COALESCE(last_verified_utc, retrieval_time_utc)) + ttl_hrs / 24.0
+                  < julianday(?))
+          OR (validity_window_hrs IS NOT NULL
+              AND julianday(COALESCE(effective_from_utc, retrieval_time_utc)) + validity_window_hrs / 24.0
+                  < julianday(?))
+        )`,
+    [now, now, now]
+  );
+
+  logDev("sweepExpiredOffers", { deactivated: changes });
+  return changes;
+}
+
+/**
+ * Run sweepExpiredOffers now and then every intervalMs in the background
+ * (the timer does not keep the process alive). Returns a stop function.
+ */
+export function startOfferSweeper({ intervalMs = DEFAULT_SWEEP_INTERVAL_MS } = {}) {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    const db = openDb();
+    try {
+      await sweepExpiredOffers(db);
+    } catch (err) {
+      console.error("Offer sweep failed:", err.message);
+    } finally {
+      await dbClose(db);
+      running = false;
+    }
+  };
+
+  tick();
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
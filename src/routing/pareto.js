@@ -0,0 +1,156 @@
+// src/routing/pareto.js
+// Multi-criteria label sets for Pareto-optimal itinerary search.
+//
+// Criteria (all minimized):
+//   - price      cash spent so far
+//   - arrival    arrival time at the node (epoch ms)
+//   - transfers  vehicle changes so far
+//   - -departure first departure time; a later start can still yield a
+//                shorter door-to-door duration, so it must not be pruned by
+//                an earlier-departing label.
+
+/**
+ * Criteria vector for a search state.
+ */
+export function labelOf(state) {
+  return {
+    price: state.priceTotal,
+    arrival: state.arrivalMs,
+    transfers: state.transfers,
+    departure: state.firstDepartureMs,
+  };
+}
+
+/**
+ * a dominates b if a is no worse on every criterion and better on at least one.
+ */
+export function labelDominates(a, b) {
+  const noWorse =
+    a.price <= b.price &&
+    a.arrival <= b.arrival &&
+    a.transfers <= b.transfers &&
+    a.departure >= b.departure;
+
+  if (!noWorse) return false;
+
+  return (
+    a.price < b.price ||
+    a.arrival < b.arrival ||
+    a.transfers < b.transfers ||
+    a.departure > b.departure
+  );
+}
+
+/**
+ * Label sets per node. Replaces the single-value dominance map used in
+ * single-objective mode.
+ */
+export function createLabelSets() {
+  const byNode = new Map();
+
+  return {
+    /**
+     * Insert a label for a node unless an existing label dominates or equals it.
+     * Evicts labels the new one dominates. Returns true if inserted.
+     */
+    insert(nodeId, label) {
+      const labels = byNode.get(nodeId) || [];
+
+      for (const existing of labels) {
+        if (labelDominates(existing, label) || sameLabel(existing, label)) {
+          return false;
+        }
+      }
+
+      const kept = labels.filter((existing) => !labelDominates(label, existing));
+      kept.push(label);
+      byNode.set(nodeId, kept);
+      return true;
+    },
+  };
+}
+
+function sameLabel(a, b) {
+  return (
+    a.price === b.price &&
+    a.arrival === b.arrival &&
+    a.transfers === b.transfers &&
+    a.departure === b.departure
+  );
+}
+
+/**
+ * Final itinerary criteria: cash price, door-to-door duration, transfers.
+ */
+function itineraryDominates(a, b) {
+  const noWorse =
+    a.price_total <= b.price_total &&
+    a.duration_min <= b.duration_min &&
+    a.num_transfers <= b.num_transfers;
+
+  if (!noWorse) return false;
+
+  return (
+    a.price_total < b.price_total ||
+    a.duration_min < b.duration_min ||
+    a.num_transfers < b.num_transfers
+  );
+}
+
+/**
+ * Whether any itinerary in the front is at least as good as the given
+ * lower bounds on every criterion (so extending the partial path is pointless).
+ */
+export function frontCovers(front, bounds) {
+  return front.some(
+    (it) =>
+      it.price_total <= bounds.price_total &&
+      it.duration_min <= bounds.duration_min &&
+      it.num_transfers <= bounds.num_transfers
+  );
+}
+
+/**
+ * Add an itinerary to the Pareto front, evicting the ones it dominates.
+ * Returns the new front (unchanged if the itinerary is dominated or a duplicate).
+ */
+export function addToFront(front, itinerary) {
+  for (const existing of front) {
+    if (itineraryDominates(existing, itinerary)) return front;
+    if (
+      existing.price_total === itinerary.price_total &&
+      existing.duration_min === itinerary.duration_min &&
+      existing.num_transfers === itinerary.num_transfers
+    ) {
+      return front;
+    }
+  }
+
+  return [
+    ...front.filter((existing) => !itineraryDominates(itinerary, existing)),
+    itinerary,
+  ];
+}
+
+/**
+ * Rank a Pareto front by generalized cost and tag the extreme points
+ * ("cheapest", "fastest", "fewest_transfers") so they can be shown side by side.
+ */
+export function rankFront(front) {
+  const ranked = [...front].sort((a, b) => a.gen_cost - b.gen_cost);
+  if (ranked.length === 0) return ranked;
+
+  const pickMin = (key) =>
+    ranked.reduce((best, it) => (it[key] < best[key] ? it : best), ranked[0]);
+
+  const tags = new Map(ranked.map((it) => [it, []]));
+  tags.get(pickMin("price_total")).push("cheapest");
+  tags.get(pickMin("duration_min")).push("fastest");
+  tags.get(pickMin("num_transfers")).push("fewest_transfers");
+
+  return ranked.map((it, i) => ({
+    ...it,
+    rank: i + 1,
+    labels: tags.get(it),
+  }));
+}
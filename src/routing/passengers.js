@@ -0,0 +1,136 @@
+// src/routing/passengers.js
+// Party pricing: offer prices for a passenger mix (defaults: DEFAULT_PASSENGERS
+// in types.js).
+//
+// price_total is the adult fare, or the price of one vehicle for offers sold
+// per vehicle. Offers may carry a fare table in meta_json:
+//   {
+//     "fares": { "child": 12.5, "senior": 18, "student": 20,
+//                "cards": { "railcard_16_25": 0.33 } },
+//     "price_basis": "per_vehicle", "seats": 4
+//   }
+// Passenger types without a fare pay the adult fare. A card discount (share
+// of each fare) applies when the party holds that card; the best one wins.
+// Per-vehicle offers (e.g. rideshares) book ceil(party size / seats)
+// vehicles whatever the passenger types.
+
+import { DEFAULT_PASSENGERS, PassengerType } from "./types.js";
+
+const PASSENGER_TYPES = Object.values(PassengerType);
+
+const metaCache = new WeakMap();
+
+/**
+ * Parsed meta_json of an offer ({} when absent or malformed), cached per
+ * offer object.
+ */
+export function metaOf(offer) {
+  if (!offer.meta_json) return {};
+
+  let meta = metaCache.get(offer);
+  if (!meta) {
+    try {
+      meta = JSON.parse(offer.meta_json) || {};
+    } catch {
+      meta = {};
+    }
+    metaCache.set(offer, meta);
+  }
+  return meta;
+}
+
+/**
+ * Validate params.passengers and fill in defaults. The result is plain JSON
+ * (it is persisted with the search run).
+ */
+export function resolvePassengers(input = {}) {
+  const spec = { ...DEFAULT_PASSENGERS, ...(input || {}) };
+
+  for (const key of Object.keys(spec)) {
+    if (key !== "discount_cards" && !PASSENGER_TYPES.includes(key)) {
+      throw new Error(`Unknown passenger type "${key}"`);
+    }
+  }
+  for (const type of PASSENGER_TYPES) {
+    if (!Number.isInteger(spec[type]) || spec[type] < 0) {
+      throw new Error(`passengers.${type} must be a non-negative integer`);
+    }
+  }
+  if (partySize(spec) === 0) {
+    throw new Error("passengers must include at least one traveler");
+  }
+  if (!Array.isArray(spec.discount_cards) || spec.discount_cards.some((c) => typeof c !== "string")) {
+    throw new Error("passengers.discount_cards must be an array of card names");
+  }
+
+  return { ...spec, discount_cards: [...new Set(spec.discount_cards)].sort() };
+}
+
+export function partySize(passengers) {
+  return PASSENGER_TYPES.reduce((n, type) => n + passengers[type], 0);
+}
+
+/**
+ * Pricer for a resolved party. Amounts are in the offer's own currency.
+ *
+ * Returns { size, amountOf(offer), breakdownOf(offer) } where breakdownOf
+ * gives { basis: "per_vehicle", vehicles, unit_amount } or
+ * { basis: "per_person", fares: [{ passenger_type, count, unit_amount,
+ * discount_card }] }.
+ */
+export function createPartyPricer(passengers) {
+  const size = partySize(passengers);
+  const solo = passengers[PassengerType.ADULT] === 1 && size === 1;
+  const cards = passengers.discount_cards;
+
+  const breakdownOf = (offer) => {
+    const meta = metaOf(offer);
+    const base = offer.price_total || 0;
+
+    if (meta.price_basis === "per_vehicle") {
+      const vehicles = Math.ceil(size / (meta.seats || 1));
+      return { basis: "per_vehicle", vehicles, unit_amount: base };
+    }
+
+    const fares = meta.fares || {};
+    let discount = 0;
+    let discountCard = null;
+    for (const card of cards) {
+      const share = fares.cards?.[card] ?? 0;
+      if (share > discount) {
+        discount = share;
+        discountCard = card;
+      }
+    }
+
+    return {
+      basis: "per_person",
+      fares: PASSENGER_TYPES.filter((type) => passengers[type] > 0).map((type) => ({
+        passenger_type: type,
+        count: passengers[type],
+        unit_amount: Math.round((fares[type] ?? base) * (1 - discount) * 100) / 100,
+        discount_card: discountCard,
+      })),
+    };
+  };
+
+  const amounts = new WeakMap();
+
+  const amountOf = (offer) => {
+    // Fast path: one adult without cards pays the listed price
+    if (solo && cards.length === 0) return offer.price_total || 0;
+
+    let amount = amounts.get(offer);
+    if (amount === undefined) {
+      const breakdown = breakdownOf(offer);
+      amount =
+        breakdown.basis === "per_vehicle"
+          ? breakdown.vehicles * breakdown.unit_amount
+          : breakdown.fares.reduce((sum, f) => sum + f.count * f.unit_amount, 0);
+      amounts.set(offer, amount);
+    }
+    return amount;
+  };
+
+  return { size, amountOf, breakdownOf };
+}
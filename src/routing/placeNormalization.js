@@ -1,24 +1,18 @@
 // src/routing/placeNormalization.js
 // Resolves origin/destination user specs into areas, address nodes, hotel sets, etc.
 
-import { openDb } from "../db/connection.js";
+import { openDb, dbAll } from "../db/connection.js";
 import { logDev } from "./config.js";
+import { geocodeAddress, GeocodeStatus } from "./geocoder.js";
+import { boundingBox, haversineKm } from "./spatialIndex.js";
 import { NodeKind } from "./types.js";
 
-/**
- * Synthetic MVP geocoder for an address.
- * In real MVP: call a free geocoder or cached offline tiles.
- */
-function geocodeAddressRaw(addressString) {
-  logDev("geocodeAddressRaw (synthetic)", addressString);
-
-  // Synthetic placeholder using hash → coordinates in US
-  const hash = [...addressString].reduce((a, c) => a + c.charCodeAt(0), 0);
-  const lat = 39.0 + (hash % 100) * 0.001; // 39.000 - 39.099
-  const lon = -86.0 - (hash % 100) * 0.001; // -86.000 - -86.099
-
-  return { lat, lon };
-}
+const AREA_RADIUS_NODE_KINDS = [
+  NodeKind.AIRPORT,
+  NodeKind.STATION,
+  NodeKind.BUS_TERMINAL,
+  NodeKind.HOTEL,
+];
 
 /**
  * Look up area by name (city/region).
@@ -37,34 +31,90 @@ async function lookupAreaByName(db, nameRaw) {
 }
 
 /**
- * Look up nodes belonging to an area.
+ * Look up nodes belonging to an area: nodes assigned to it, plus stations,
+ * terminals, airports and hotels within its radius of the center (e.g. GTFS
+ * stops or airports imported without an area link).
  */
-async function lookupNodesInArea(db, areaId) {
-  return new Promise((resolve, reject) => {
-    const sql = "SELECT * FROM location_node WHERE area_id = ?";
-    db.all(sql, [areaId], (err, rows) => {
-      if (err) return reject(err);
-      logDev("lookupNodesInArea", { areaId, count: rows.length });
-      resolve(rows || []);
-    });
-  });
+async function lookupNodesInArea(db, area) {
+  const hasCircle = area.center_lat != null && area.center_lon != null && area.radius_km > 0;
+  if (!hasCircle) {
+    return dbAll(db, "SELECT * FROM location_node WHERE area_id = ?", [area.id]);
+  }
+
+  const box = boundingBox(area.center_lat, area.center_lon, area.radius_km);
+  const wraps = box.minLon < -180 || box.maxLon > 180;
+  const kinds = AREA_RADIUS_NODE_KINDS.map(() => "?").join(", ");
+
+  const rows = await dbAll(
+    db,
+    `SELECT * FROM location_node
+     WHERE area_id = ?
+        OR (kind IN (${kinds})
+            AND lat BETWEEN ? AND ?
+            ${wraps ? "" : "AND lon BETWEEN ? AND ?"})`,
+    [
+      area.id,
+      ...AREA_RADIUS_NODE_KINDS,
+      box.minLat,
+      box.maxLat,
+      ...(wraps ? [] : [box.minLon, box.maxLon]),
+    ]
+  );
+
+  const nodes = rows.filter(
+    (n) =>
+      n.area_id === area.id ||
+      haversineKm(area.center_lat, area.center_lon, n.lat, n.lon) <= area.radius_km
+  );
+
+  logDev("lookupNodesInArea", { areaId: area.id, count: nodes.length });
+  return nodes;
 }
 
 /**
  * Create an address node.
  * Phase 3 will persist this to DB. Here we return a structure.
  */
-function createAddressNode(address, lat, lon) {
-  logDev("createAddressNode", { address, lat, lon });
+function createAddressNode(address, geocode) {
+  logDev("createAddressNode", { address, geocode });
 
   return {
     id: null, // Not persisted yet
     name: address,
     kind: NodeKind.ADDRESS,
-    lat,
-    lon,
+    lat: geocode.lat,
+    lon: geocode.lon,
     area_id: null,
     is_hub: 0,
+    geocode_confidence: geocode.confidence,
+    geocode_precision: geocode.precision,
+  };
+}
+
+/**
+ * Geocode an address via the gazetteer. Unresolvable addresses come back
+ * flagged `unresolved` with no nodes rather than with made-up coordinates.
+ */
+async function resolveAddress(db, spec, address, extra = {}) {
+  const geocode = await geocodeAddress(db, address);
+
+  if (geocode.status !== GeocodeStatus.RESOLVED) {
+    return {
+      raw: spec,
+      ...extra,
+      address,
+      unresolved: true,
+      geocode,
+      nodes: [],
+    };
+  }
+
+  return {
+    raw: spec,
+    ...extra,
+    address,
+    geocode,
+    nodes: [createAddressNode(address, geocode)],
   };
 }
 
@@ -82,16 +132,21 @@ export async function normalizePlaceSpec(specRaw) {
   const spec = specRaw.trim();
   const db = openDb();
 
+  try {
+    return await resolvePlaceSpec(db, spec);
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Resolve a trimmed place spec using an open DB handle.
+ */
+async function resolvePlaceSpec(db, spec) {
   // (1) Detect addresses explicitly
   if (spec.startsWith("address:")) {
     const addr = spec.replace("address:", "").trim();
-    const { lat, lon } = geocodeAddressRaw(addr);
-
-    return {
-      isAddress: true,
-      address: addr,
-      nodes: [createAddressNode(addr, lat, lon)],
-    };
+    return resolveAddress(db, spec, addr, { isAddress: true });
   }
 
   // (2) Detect simple hotel queries
@@ -106,7 +161,7 @@ export async function normalizePlaceSpec(specRaw) {
 
       if (areas.length > 0) {
         const area = areas[0];
-        const nodes = await lookupNodesInArea(db, area.id);
+        const nodes = await lookupNodesInArea(db, area);
 
         // Filter only nodes that are hotel-kind or addresses that look like hotels
         const hotels = nodes.filter(
@@ -116,6 +171,7 @@ export async function normalizePlaceSpec(specRaw) {
         logDev("normalize hotel query", { spec, area, hotels });
 
         return {
+          raw: spec,
           isHotelQuery: true,
           area,
           nodes: hotels,
@@ -123,35 +179,62 @@ export async function normalizePlaceSpec(specRaw) {
       }
     }
 
-    // Fallback: no area match → synthetic address node
-    const { lat, lon } = geocodeAddressRaw(spec);
-    return {
-      isHotelQuery: true,
-      nodes: [createAddressNode(spec, lat, lon)],
-    };
+    // Fallback: no area match → geocode the target as an address
+    const target = nearIndex !== -1 ? words.slice(nearIndex + 1).join(" ") : spec;
+    return resolveAddress(db, spec, target, { isHotelQuery: true });
   }
 
   // (3) Try area lookup (city / region)
   const areas = await lookupAreaByName(db, spec);
   if (areas.length > 0) {
     const area = areas[0];
-    const nodes = await lookupNodesInArea(db, area.id);
+    const nodes = await lookupNodesInArea(db, area);
 
     logDev("normalize area", { area, nodes });
 
     return {
+      raw: spec,
       isArea: true,
       area,
       nodes,
     };
   }
 
-  // (4) Final fallback — synthetic geocoded address
-  const { lat, lon } = geocodeAddressRaw(spec);
+  // (4) Final fallback — gazetteer geocode
+  return resolveAddress(db, spec, spec, { isAddress: true });
+}
 
-  return {
-    isAddress: true,
-    address: spec,
-    nodes: [createAddressNode(spec, lat, lon)],
-  };
+/**
+ * Free-text place lookup for autocomplete: matching areas and nodes by name.
+ */
+export async function searchPlaces(query, limit = 10) {
+  const q = (query || "").trim();
+  if (!q) return { areas: [], nodes: [] };
+
+  const db = openDb();
+  const like = `%${q}%`;
+
+  const all = (sql, args) =>
+    new Promise((resolve, reject) => {
+      db.all(sql, args, (err, rows) => {
+        if (err) return reject(err);
+        resolve(rows || []);
+      });
+    });
+
+  try {
+    const areas = await all(
+      "SELECT id, name, kind, country_code, center_lat, center_lon, radius_km FROM area WHERE name LIKE ? ORDER BY name LIMIT ?",
+      [like, limit]
+    );
+    const nodes = await all(
+      "SELECT id, ext_ref, name, kind, area_id, lat, lon, timezone FROM location_node WHERE name LIKE ? OR ext_ref LIKE ? ORDER BY is_hub DESC, name LIMIT ?",
+      [like, like, limit]
+    );
+
+    logDev("searchPlaces", { query: q, areas: areas.length, nodes: nodes.length });
+    return { areas, nodes };
+  } finally {
+    db.close();
+  }
 }
@@ -0,0 +1,117 @@
+// src/routing/priorityQueue.js
+// Indexed binary min-heap used as the search frontier.
+//
+// push() returns a handle that stays valid while the item is queued, so a
+// caller can later update() its priority or remove() it (e.g. when a
+// dominating state reaches the same node) in O(log n). Equal priorities pop
+// in insertion order, which keeps searches deterministic.
+
+/**
+ * Create an empty priority queue (lowest priority pops first).
+ *
+ * Returns:
+ *   push(item, priority) → handle
+ *   pop() → item | undefined
+ *   peek() → item | undefined
+ *   update(handle, priority) → boolean
+ *   remove(handle) → boolean
+ *   has(handle) → boolean
+ *   size()
+ */
+export function createPriorityQueue() {
+  const heap = [];
+  let seq = 0;
+
+  const less = (a, b) => a.priority < b.priority || (a.priority === b.priority && a.seq < b.seq);
+
+  function place(entry, index) {
+    heap[index] = entry;
+    entry.index = index;
+  }
+
+  function siftUp(index) {
+    const entry = heap[index];
+    while (index > 0) {
+      const parentIndex = (index - 1) >> 1;
+      const parent = heap[parentIndex];
+      if (!less(entry, parent)) break;
+      place(parent, index);
+      index = parentIndex;
+    }
+    place(entry, index);
+  }
+
+  function siftDown(index) {
+    const entry = heap[index];
+    const n = heap.length;
+    for (;;) {
+      const left = 2 * index + 1;
+      if (left >= n) break;
+
+      const right = left + 1;
+      const child = right < n && less(heap[right], heap[left]) ? right : left;
+      if (!less(heap[child], entry)) break;
+
+      place(heap[child], index);
+      index = child;
+    }
+    place(entry, index);
+  }
+
+  /**
+   * Remove the entry at `index`, filling the hole with the last entry.
+   */
+  function removeAt(index) {
+    const entry = heap[index];
+    const last = heap.pop();
+    entry.index = -1;
+
+    if (last !== entry) {
+      place(last, index);
+      siftDown(index);
+      siftUp(last.index);
+    }
+    return entry;
+  }
+
+  function has(handle) {
+    return handle != null && handle.index >= 0 && heap[handle.index] === handle;
+  }
+
+  return {
+    push(item, priority) {
+      const handle = { item, priority, seq: seq++, index: heap.length };
+      heap.push(handle);
+      siftUp(handle.index);
+      return handle;
+    },
+
+    pop() {
+      return heap.length > 0 ? removeAt(0).item : undefined;
+    },
+
+    peek() {
+      return heap.length > 0 ? heap[0].item : undefined;
+    },
+
+    update(handle, priority) {
+      if (!has(handle)) return false;
+      handle.priority = priority;
+      siftUp(handle.index);
+      siftDown(handle.index);
+      return true;
+    },
+
+    remove(handle) {
+      if (!has(handle)) return false;
+      removeAt(handle.index);
+      return true;
+    },
+
+    has,
+
+    size() {
+      return heap.length;
+    },
+  };
+}
@@ -0,0 +1,360 @@
+// src/routing/reverseSearch.js
+// Arrive-by search: best-first search backward from the destination over the
+// reversed adjacency (graph.reverseAdjacency), labeling nodes with the latest
+// time the traveler can leave them and still arrive by the deadline.
+//
+// A reverse state means "leave nodeId on `leg` at departureMs, then follow
+// `next` to the destination". Its cost is the cash, transfer penalties and
+// risk of the legs from there on plus the value of the time between
+// departureMs and the deadline, so among itineraries arriving in time the
+// ones leaving later are cheaper. As in the forward search, the wait in
+// front of a leg is valued at that leg's mode multiplier. Each pair of
+// consecutive legs must clear the node MCT (connectionMctMin); co_located
+// walks get no credit here, so every path found stays feasible when replayed
+// forward.
+
+import { connectionMctMin, isOnBoard, legConnectionMctMin, tripKeyOf } from "./connections.js";
+import { offerTimesMs } from "./generalizedCost.js";
+import { legsArrivingBy } from "./graph.js";
+import { materializeTransferArrivingBy } from "./transfers.js";
+import { createPriorityQueue } from "./priorityQueue.js";
+import { connectionRisk, legRisk } from "./risk.js";
+import {
+  addModeUsage,
+  hasModeLimits,
+  isModeExcluded,
+  modeMultiplier,
+  modeOf,
+  modeUsageKey,
+  usesNoMoreBudget,
+  withinModeLimits,
+} from "./modePreferences.js";
+import { distanceKm } from "./spatialIndex.js";
+import { DEFAULT_SPLIT_TICKET, EdgeMode } from "./types.js";
+
+const isTransfer = (edge) => edge.is_transfer === 1;
+
+/**
+ * Initial reverse state: be at a destination node by the deadline.
+ */
+function createDeadlineState(node, arriveByMs) {
+  return {
+    nodeId: node.id,
+    departureMs: arriveByMs,
+    genCost: 0,
+    transfers: 0,
+    depth: 0,
+    leg: null, // { edge_leg, offer } leaving this state's node
+    next: null,
+    nextVehicleLeg: null, // first non-transfer leg from here on
+    nextBufferMin: null, // MCT buffer in front of nextVehicleLeg
+    modeUsage: null, // per-mode limit budget used (modePreferences.js)
+    queueHandle: null,
+    departureClass: "destination",
+  };
+}
+
+/**
+ * States whose legs share a departure class accept the same arriving legs
+ * under the same MCT (see connectionType); legs of a split-ticket service
+ * also accept the previous segment of their run with no MCT at all.
+ */
+function departureClass(leg) {
+  if (!leg) return "destination";
+  const { edge_leg } = leg;
+  if (edge_leg.service_code && DEFAULT_SPLIT_TICKET.modes.includes(edge_leg.mode)) {
+    const { mode, carrier_code, service_code } = edge_leg;
+    return `service:${mode}|${carrier_code}|${service_code}|${tripKeyOf(leg.offer) ?? ""}`;
+  }
+  if (edge_leg.min_connection_min != null) return `mct:${edge_leg.min_connection_min}`;
+  if (edge_leg.mode === EdgeMode.FLIGHT) return "air";
+  return isTransfer(edge_leg) ? "transfer" : "ground";
+}
+
+/**
+ * State reached backward from `next` by taking `leg` into it; hopBufferMin
+ * is the MCT buffer in front of next.nextVehicleLeg along this path.
+ */
+function prependState(next, leg, genCost, transfers, hopBufferMin) {
+  const vehicle = !isTransfer(leg.edge_leg);
+
+  return {
+    nodeId: leg.edge_leg.from_node_id,
+    departureMs: offerTimesMs(leg.offer).departureMs,
+    genCost,
+    transfers,
+    depth: next.depth + 1,
+    leg,
+    next,
+    nextVehicleLeg: vehicle ? leg : next.nextVehicleLeg,
+    nextBufferMin: vehicle ? null : hopBufferMin,
+    modeUsage: next.modeUsage,
+    queueHandle: null,
+    departureClass: departureClass(leg),
+  };
+}
+
+/**
+ * Legs from a reverse state to the destination, in travel order.
+ */
+function legsOf(state) {
+  const legs = [];
+  for (let s = state; s.leg; s = s.next) legs.push(s.leg);
+  return legs;
+}
+
+/**
+ * Legs of the rest of a path, in travel order.
+ */
+function* legsForwardFrom(state) {
+  for (let s = state; s.leg; s = s.next) yield s.leg;
+}
+
+/**
+ * Whether the rest of a path already visits a node (k_best stays loopless).
+ */
+function pathVisits(state, nodeId) {
+  for (let s = state; s; s = s.next) {
+    if (s.nodeId === nodeId) return true;
+  }
+  return false;
+}
+
+/**
+ * Mode multiplier on the wait in front of a state's leg (1 at the deadline).
+ */
+function waitMultiplier(state, modePreferences) {
+  return state.leg ? modeMultiplier(modePreferences, state.leg.edge_leg.mode) : 1;
+}
+
+/**
+ * Mirror of forward dominance: a state leaving the same node later dominates
+ * an earlier one if it is no more expensive even after paying for the extra
+ * wait (timeValuePerHour, at its own wait multiplier, no higher than the
+ * other's) — every leg that makes the earlier departure makes the later one
+ * too, provided it has at least as much per-mode limit budget left. Newly
+ * dominated states still queued are dropped.
+ */
+function isDominated(state, dominanceMap, frontier, timeValuePerHour, modePreferences) {
+  const costPerMs = timeValuePerHour / 3600000;
+  const dominates = (a, b) =>
+    a.departureMs >= b.departureMs &&
+    waitMultiplier(a, modePreferences) <= waitMultiplier(b, modePreferences) &&
+    a.genCost +
+      waitMultiplier(a, modePreferences) * costPerMs * (a.departureMs - b.departureMs) <=
+      b.genCost &&
+    usesNoMoreBudget(a.modeUsage, b.modeUsage);
+
+  const key = `${state.nodeId}|${state.departureClass}`;
+  const kept = dominanceMap.get(key) || [];
+  if (kept.some((other) => dominates(other, state))) {
+    return true;
+  }
+
+  const survivors = [];
+  for (const other of kept) {
+    if (dominates(state, other)) frontier.remove(other.queueHandle);
+    else survivors.push(other);
+  }
+  survivors.push(state);
+  dominanceMap.set(key, survivors);
+  return false;
+}
+
+/**
+ * K-best dominance: up to k states per (node, 5-minute departure bucket),
+ * kept apart by per-mode limit budget used.
+ */
+function isDominatedK(state, dominanceMap, k) {
+  const bucket = Math.floor(state.departureMs / (5 * 60 * 1000));
+  const key =
+    `${state.nodeId}:${bucket}|${state.departureClass}` + `|${modeUsageKey(state.modeUsage)}`;
+  const costs = dominanceMap.get(key) || [];
+
+  if (costs.length >= k && costs[k - 1] <= state.genCost) {
+    return true;
+  }
+
+  costs.push(state.genCost);
+  costs.sort((a, b) => a - b);
+  dominanceMap.set(key, costs.slice(0, k));
+  return false;
+}
+
+/**
+ * Legs arriving at `node` in time to leave on `state`, per reversed entry.
+ * Returns { legs, mctMin }.
+ */
+function legsIntoState(entry, state, node) {
+  const arrivingEdge = entry.transferMode
+    ? { mode: entry.transferMode, is_transfer: 1 }
+    : entry.edge_leg;
+  const mctMin = state.leg ? connectionMctMin(arrivingEdge, state.leg.edge_leg, node) : 0;
+  const latestArrivalMs = state.departureMs - mctMin * 60000;
+
+  if (entry.transferMode) {
+    const leg = materializeTransferArrivingBy(entry, latestArrivalMs);
+    return { legs: leg ? [leg] : [], mctMin };
+  }
+  return { legs: legsArrivingBy(entry, latestArrivalMs), mctMin };
+}
+
+/**
+ * Run the arrive-by search.
+ *
+ * ctx:
+ *   radj, nodeById         reversed adjacency and node lookup
+ *   originNodes, destNodes endpoint nodes
+ *   arriveByMs             deadline at the destination
+ *   departAfterMs          no leg may depart earlier
+ *   departBeforeMs         the first leg may depart no later (Infinity: open)
+ *   cashOf, riskModel      leg fare + fees in the search currency (null when
+ *                          unconvertible) and risk model (risk.js)
+ *   modePreferences        resolved mode preferences (modePreferences.js)
+ *   params                 search params (timeValuePerHour, transferPenalty,
+ *                          maxDetourFactor, maxExpansions, timeoutMs)
+ *   k                      results wanted in k_best mode, else null
+ *
+ * onOrigin(nodeId, legs) receives each path reaching an origin node (legs
+ * in travel order) in cost order; returning true stops the search.
+ *
+ * Returns { exhausted, expansions, unconvertibleOffers }.
+ */
+export function searchBackward(ctx, onOrigin) {
+  const {
+    radj,
+    nodeById,
+    originNodes,
+    destNodes,
+    arriveByMs,
+    departAfterMs,
+    departBeforeMs = Infinity,
+    cashOf,
+    riskModel,
+    modePreferences,
+    k,
+  } = ctx;
+  const checkModeLimits = hasModeLimits(modePreferences);
+  const {
+    maxExpansions = 100000,
+    timeoutMs = 5000,
+    timeValuePerHour = 20,
+    transferPenalty = 6,
+    maxDetourFactor = 2.2,
+  } = ctx.params;
+
+  const isKBest = k != null;
+  const originIds = new Set(originNodes.map((n) => n.id));
+  const destAnchor = nodeById.get(destNodes[0].id);
+  const directKm = distanceKm(nodeById.get(originNodes[0].id), destAnchor);
+
+  const frontier = createPriorityQueue();
+  const dominanceMap = new Map();
+  for (const dest of destNodes) {
+    frontier.push(createDeadlineState(dest, arriveByMs), 0);
+  }
+
+  const startTime = Date.now();
+  let expansions = 0;
+  let unconvertibleOffers = 0;
+  const outcome = (exhausted) => ({ exhausted, expansions, unconvertibleOffers });
+
+  while (frontier.size() > 0) {
+    if (Date.now() - startTime > timeoutMs || expansions > maxExpansions) {
+      return outcome(true);
+    }
+
+    const state = frontier.pop();
+    expansions++;
+
+    if (originIds.has(state.nodeId)) {
+      if (onOrigin(state.nodeId, legsOf(state))) return outcome(false);
+      continue;
+    }
+
+    const incoming = radj[state.nodeId] || [];
+    const node = nodeById.get(state.nodeId);
+
+    for (const entry of incoming) {
+      if (isModeExcluded(modePreferences, modeOf(entry))) continue;
+
+      const { legs, mctMin } = legsIntoState(entry, state, node);
+
+      for (const leg of legs) {
+        const prevNode = nodeById.get(leg.edge_leg.from_node_id);
+        if (!prevNode) continue;
+
+        const { departureMs, arrivalMs } = offerTimesMs(leg.offer);
+        if (departureMs < departAfterMs) continue;
+        // A leg out of an origin node is the first leg of its path
+        if (originIds.has(prevNode.id) && departureMs > departBeforeMs) continue;
+
+        // Another run of the same service is a regular connection
+        const legMctMin =
+          mctMin === 0 && state.leg ? legConnectionMctMin(leg, state.leg, node) : mctMin;
+        if (arrivalMs > state.departureMs - legMctMin * 60000) continue;
+        if (isKBest && pathVisits(state, prevNode.id)) continue;
+        if (checkModeLimits && !withinModeLimits(modePreferences, leg, legsForwardFrom(state))) {
+          continue;
+        }
+
+        // Detour pruning, measured from the destination
+        if (distanceKm(destAnchor, prevNode) > maxDetourFactor * directKm) continue;
+
+        const cash = cashOf(leg);
+        if (cash == null) {
+          unconvertibleOffers++;
+          continue;
+        }
+
+        // Buffer in front of the next vehicle leg along this path
+        const hopBufferMin =
+          state.leg && !isTransfer(state.leg.edge_leg)
+            ? (state.departureMs - arrivalMs) / 60000 - legMctMin
+            : state.nextBufferMin;
+
+        let riskCost = legRisk(leg, null, null, cash, riskModel).total;
+        if (!isTransfer(leg.edge_leg) && state.nextVehicleLeg) {
+          const risk = connectionRisk(leg, state.nextVehicleLeg, hopBufferMin, riskModel);
+          riskCost += risk.misconnect + risk.self_transfer;
+        }
+
+        const transfer = isTransfer(leg.edge_leg);
+        const changesVehicle =
+          !transfer && state.nextVehicleLeg !== null && !isOnBoard(leg, state.nextVehicleLeg);
+        const genCost =
+          state.genCost +
+          modeMultiplier(modePreferences, leg.edge_leg.mode) *
+            (cash + timeValuePerHour * ((arrivalMs - departureMs) / 3600000)) +
+          waitMultiplier(state, modePreferences) *
+            timeValuePerHour *
+            ((state.departureMs - arrivalMs) / 3600000) +
+          (transfer ? transferPenalty : 0) +
+          riskCost;
+
+        const newState = prependState(
+          state,
+          leg,
+          genCost,
+          state.transfers + (changesVehicle ? 1 : 0),
+          hopBufferMin
+        );
+        if (checkModeLimits) {
+          newState.modeUsage = addModeUsage(modePreferences, state.modeUsage, leg);
+        }
+
+        if (isKBest) {
+          if (isDominatedK(newState, dominanceMap, k)) continue;
+        } else if (
+          isDominated(newState, dominanceMap, frontier, timeValuePerHour, modePreferences)
+        ) {
+          continue;
+        }
+
+        newState.queueHandle = frontier.push(newState, genCost);
+      }
+    }
+  }
+
+  return outcome(false);
+}
@@ -0,0 +1,174 @@
+// src/routing/risk.js
+// Risk penalties of a leg (model and defaults: DEFAULT_RISK_MODEL in
+// types.js): misconnect probability from the connection buffer over the MCT,
+// self-transfers between separate tickets, offer reliability_score and price
+// uncertainty by source_type. Staying on board for the next split-ticket
+// segment of the same service carries no connection risk.
+
+import { isOnBoard } from "./connections.js";
+import { offerTimesMs } from "./generalizedCost.js";
+import { DEFAULT_RISK_MODEL, EdgeMode, OfferSourceType } from "./types.js";
+
+export const RISK_COMPONENTS = ["misconnect", "self_transfer", "reliability", "price_uncertainty"];
+
+const isTransfer = (edge) => edge.is_transfer === 1;
+
+const isShare = (x) => x >= 0 && x <= 1;
+const isNonNegative = (x) => x >= 0 && Number.isFinite(x);
+
+// Allowed overrides per model key: a number, or a table with known keys
+const RISK_MODEL_FIELDS = {
+  misconnect_base_prob: { keys: [...Object.values(EdgeMode), "default"], valid: isShare },
+  misconnect_decay_min: { valid: (x) => x > 0 && Number.isFinite(x) },
+  misconnect_cost: { keys: Object.keys(DEFAULT_RISK_MODEL.misconnect_cost), valid: isNonNegative },
+  self_transfer_penalty: { valid: isNonNegative },
+  unreliability_cost: { valid: isNonNegative },
+  price_uncertainty: { keys: Object.values(OfferSourceType), valid: isShare },
+};
+
+/**
+ * DEFAULT_RISK_MODEL with `overrides` merged in (nested tables per key).
+ * Throws on unknown keys, a number where a table belongs (or the reverse)
+ * and values out of range (probabilities and price shares in 0..1, costs
+ * non-negative).
+ */
+export function resolveRiskModel(overrides = {}) {
+  if (overrides != null && (typeof overrides !== "object" || Array.isArray(overrides))) {
+    throw new Error("riskModel must be an object");
+  }
+
+  const model = { ...DEFAULT_RISK_MODEL };
+  for (const [key, value] of Object.entries(overrides || {})) {
+    const field = RISK_MODEL_FIELDS[key];
+    if (!field) {
+      throw new Error(`Unknown riskModel key "${key}"`);
+    }
+
+    if (!field.keys) {
+      if (typeof value !== "number" || !field.valid(value)) {
+        throw new Error(`Invalid riskModel.${key}: ${JSON.stringify(value)}`);
+      }
+      model[key] = value;
+      continue;
+    }
+
+    if (value === null || typeof value !== "object" || Array.isArray(value)) {
+      throw new Error(`riskModel.${key} must be an object keyed by ${field.keys.join(", ")}`);
+    }
+    for (const [entry, x] of Object.entries(value)) {
+      if (!field.keys.includes(entry)) {
+        throw new Error(`Unknown key "${entry}" in riskModel.${key}`);
+      }
+      if (typeof x !== "number" || !field.valid(x)) {
+        throw new Error(`Invalid riskModel.${key}.${entry}: ${JSON.stringify(x)}`);
+      }
+    }
+    model[key] = { ...DEFAULT_RISK_MODEL[key], ...value };
+  }
+  return model;
+}
+
+/**
+ * Whether two vehicle legs count as one ticket (the carrier rebooks a missed
+ * connection): both operated by the same carrier.
+ */
+export function isSameTicket(a, b) {
+  const carrier = a.edge_leg.carrier_code;
+  return Boolean(carrier) && carrier === b.edge_leg.carrier_code;
+}
+
+/**
+ * Connection risk of boarding `leg` after `previousVehicleLeg` with
+ * `bufferMin` minutes to spare over the MCT:
+ *   { misconnect, misconnect_prob, self_transfer }
+ */
+export function connectionRisk(previousVehicleLeg, leg, bufferMin, model = DEFAULT_RISK_MODEL) {
+  if (isOnBoard(previousVehicleLeg, leg)) {
+    return { misconnect: 0, misconnect_prob: 0, self_transfer: 0 };
+  }
+
+  const sameTicket = isSameTicket(previousVehicleLeg, leg);
+  const baseProb =
+    model.misconnect_base_prob[previousVehicleLeg.edge_leg.mode] ??
+    model.misconnect_base_prob.default;
+  const misconnectProb = baseProb * Math.exp(-Math.max(0, bufferMin) / model.misconnect_decay_min);
+
+  return {
+    misconnect:
+      misconnectProb *
+      (sameTicket ? model.misconnect_cost.protected : model.misconnect_cost.self_transfer),
+    misconnect_prob: misconnectProb,
+    self_transfer: sameTicket ? 0 : model.self_transfer_penalty,
+  };
+}
+
+/**
+ * Risk penalty components for boarding `leg`:
+ *   previousVehicleLeg  last non-transfer leg of the path so far (or null)
+ *   connection          connection requirement for the leg (connections.js)
+ *   cash                leg price in the search currency
+ *
+ * Returns { misconnect, misconnect_prob, self_transfer, reliability,
+ *           price_uncertainty, total }.
+ */
+export function legRisk(leg, previousVehicleLeg, connection, cash, model = DEFAULT_RISK_MODEL) {
+  const { edge_leg, offer } = leg;
+  let misconnectProb = 0;
+  let misconnect = 0;
+  let selfTransfer = 0;
+
+  // Connecting onto a scheduled vehicle after an earlier one
+  if (!isTransfer(edge_leg) && previousVehicleLeg && connection) {
+    const bufferMin =
+      (offerTimesMs(offer).departureMs - connection.anchorArrivalMs) / 60000 - connection.mct_min;
+    ({
+      misconnect,
+      misconnect_prob: misconnectProb,
+      self_transfer: selfTransfer,
+    } = connectionRisk(previousVehicleLeg, leg, bufferMin, model));
+  }
+
+  const reliability =
+    offer.reliability_score == null
+      ? 0
+      : Math.max(0, 1 - offer.reliability_score) * model.unreliability_cost;
+  const priceUncertainty = (model.price_uncertainty[offer.source_type] ?? 0) * cash;
+
+  return {
+    misconnect,
+    misconnect_prob: misconnectProb,
+    self_transfer: selfTransfer,
+    reliability,
+    price_uncertainty: priceUncertainty,
+    total: misconnect + selfTransfer + reliability + priceUncertainty,
+  };
+}
+
+/**
+ * Per-itinerary breakdown from legs carrying `risk` (see buildItinerary):
+ *   { total, misconnect, self_transfer, reliability, price_uncertainty,
+ *     legs: [{ leg_index, misconnect_prob, ...components, total }] }
+ * Legs without any risk are left out of `legs`.
+ */
+export function riskBreakdown(legs) {
+  const round2 = (x) => Math.round(x * 100) / 100;
+  const breakdown = { total: 0, legs: [] };
+  for (const key of RISK_COMPONENTS) breakdown[key] = 0;
+
+  legs.forEach((leg, index) => {
+    const risk = leg.risk;
+    if (!risk || risk.total === 0) return;
+
+    const entry = { leg_index: index, misconnect_prob: Math.round(risk.misconnect_prob * 1000) / 1000 };
+    for (const key of RISK_COMPONENTS) {
+      entry[key] = round2(risk[key]);
+      breakdown[key] += risk[key];
+    }
+    entry.total = round2(risk.total);
+    breakdown.total += risk.total;
+    breakdown.legs.push(entry);
+  });
+
+  for (const key of ["total", ...RISK_COMPONENTS]) breakdown[key] = round2(breakdown[key]);
+  return breakdown;
+}
@@ -6,54 +6,258 @@
 // - Lower-bound early stopping
 // - Timeout + expansion limit
 // - Area-aware termination
+// - Time-dependent transfers anchored to the traveler's arrival time
+// - Optional Pareto mode (price, duration, transfers) with per-node label sets
+// - Optional K-best mode with a diversity constraint between results
+// - Arrive-by mode: a backward search from the deadline (reverseSearch.js)
+//   whose paths are replayed forward into itineraries
+// - Split tickets: staying on board across segments of one service sold
+//   separately (splitTickets.js)
+//
+// The frontier is an indexed binary heap keyed by generalized cost; states
+// keep a parent pointer and the leg that reached them instead of a copied
+// path, and legs are only materialized into arrays for finished itineraries.
 
 import { logDev } from "./config.js";
-import { computeLegGeneralizedCost, shouldPrune, estimateLowerBound } from "./generalizedCost.js";
-import { buildGraph } from "./graph.js";
+import {
+  computeLegGeneralizedCost,
+  shouldPrune,
+  estimateLowerBound,
+  offerTimesMs,
+} from "./generalizedCost.js";
+import {
+  attachEndpointNode,
+  createSearchGraph,
+  legsDepartingAfter,
+  reverseAdjacency,
+} from "./graph.js";
+import { getGraphSnapshot } from "./graphSnapshot.js";
+import {
+  createTransferTemplate,
+  materializeTransfer,
+  materializeTransferArrivingBy,
+} from "./transfers.js";
+import { buildItinerary } from "./itinerary.js";
+import { createPriorityQueue } from "./priorityQueue.js";
+import {
+  connectionAnchor,
+  connectionClass,
+  connectionMctMin,
+  connectionRequirement,
+  isOnBoard,
+} from "./connections.js";
+import {
+  labelOf,
+  createLabelSets,
+  addToFront,
+  frontCovers,
+  rankFront,
+} from "./pareto.js";
+import { isDiverseEnough } from "./diversity.js";
+import { searchBackward } from "./reverseSearch.js";
+import { splitTicketsOf } from "./splitTickets.js";
+import { saveSearchResults, getSearchRun } from "./itineraryStore.js";
+import { normalizePlaceSpec } from "./placeNormalization.js";
+import { DEFAULT_CURRENCY, createFxConverter, getFxTable } from "./fx.js";
+import { createPartyPricer, resolvePassengers } from "./passengers.js";
+import { createFeeCalculator, getFeeTable, resolveBaggage } from "./ancillaryFees.js";
+import { legRisk, resolveRiskModel } from "./risk.js";
+import {
+  baselineExclusions,
+  baselineSummary,
+  buildArbitrageReport,
+  resolveArbitrageOptions,
+} from "./arbitrage.js";
+import {
+  addModeUsage,
+  hasModeLimits,
+  isModeExcluded,
+  lowerBoundScale,
+  modeOf,
+  modeUsageKey,
+  resolveModePreferences,
+  usesNoMoreBudget,
+  waitCostScale,
+  withinModeLimits,
+} from "./modePreferences.js";
+import { localDateTimeToUtcMs, parseLocalDateTime } from "./timezone.js";
+import { ConnectionType, SearchMode, SearchStatus } from "./types.js";
 
 /**
- * Represent a partial search state.
+ * Initial search state at an origin node.
  */
-function createState(nodeId, arrivalTimeUtc, genCost, transfers, path) {
+function createOriginState(node, departAfterUtc) {
   return {
-    nodeId,
-    arrivalTimeUtc,
+    nodeId: node.id,
+    arrivalTimeUtc: departAfterUtc,
+    arrivalMs: Date.parse(departAfterUtc),
+    genCost: 0,
+    transfers: 0,
+    priceTotal: 0,
+    firstDepartureMs: Infinity,
+    depth: 0,
+    leg: null, // { edge_leg, offer } that reached this state
+    connection: null,
+    risk: null,
+    lastVehicleLeg: null,
+    modeUsage: null, // per-mode limit budget used (modePreferences.js)
+    parent: null,
+    originNode: node,
+    queueHandle: null,
+    anchorArrivalMs: Date.parse(departAfterUtc),
+    connectionClass: "origin",
+  };
+}
+
+/**
+ * State reached from `parent` by taking `leg` under `connection` (the
+ * requirement it was boarded under, see connections.js); `cash` is the leg
+ * price in the search currency and `risk` its risk components (risk.js).
+ */
+function extendState(parent, leg, genCost, transfers, connection, cash, risk) {
+  const { departureMs, arrivalMs } = offerTimesMs(leg.offer);
+
+  const state = {
+    nodeId: leg.edge_leg.to_node_id,
+    arrivalTimeUtc: leg.offer.arrival_time_utc,
+    arrivalMs,
     genCost,
     transfers,
-    path, // [{ edge_leg, offer }]
+    priceTotal: parent.priceTotal + cash,
+    firstDepartureMs:
+      parent.depth === 0
+        ? departureMs
+        : !parent.lastVehicleLeg && leg.edge_leg.is_transfer !== 1 && connection
+          ? // Boarding the first vehicle: access transfers will leave later
+            parent.firstDepartureMs + Math.max(0, departureMs - connection.earliestDepartureMs)
+          : parent.firstDepartureMs,
+    depth: parent.depth + 1,
+    leg,
+    connection,
+    risk,
+    lastVehicleLeg: leg.edge_leg.is_transfer === 1 ? parent.lastVehicleLeg : leg,
+    modeUsage: parent.modeUsage,
+    parent,
+    originNode: parent.originNode,
+    queueHandle: null,
   };
+
+  // Cached for dominance checks
+  state.anchorArrivalMs = connectionAnchor(state).arrivalMs;
+  state.connectionClass = connectionClass(state);
+  return state;
 }
 
 /**
- * Dominance table:
- * For each node + time bucket, store best genCost so far.
+ * Resolve an adjacency entry into concrete legs usable from `state`, honoring
+ * the minimum connection time at `node`:
+ * - transfer templates are materialized to depart once the traveler is ready
+ * - structural edges yield their offers departing after the connection
  *
- * Key format: `${nodeId}:${bucket}`
+ * Returns { legs, connection } (connection is null at the origin).
+ */
+function legsFromEntry(entry, state, node) {
+  const departingEdge = entry.transferMode
+    ? { mode: entry.transferMode, is_transfer: 1 }
+    : entry.edge_leg;
+  const connection = connectionRequirement(state, node, departingEdge);
+  const earliestMs = connection ? connection.earliestDepartureMs : state.arrivalMs;
+
+  const legs = entry.transferMode
+    ? [materializeTransfer(entry, new Date(earliestMs).toISOString())]
+    : legsDepartingAfter(entry, earliestMs);
+
+  return { legs, connection };
+}
+
+/**
+ * Single-objective dominance: an earlier state at the same node dominates a
+ * later one if it is no more expensive even after paying for the wait until
+ * the later arrival (at waitValuePerHour, the time value scaled by the
+ * largest mode multiplier) — it can catch every departure the later state
+ * can. Waiting before the first vehicle leg is free (access
+ * transfers are re-timed instead), so a state that has not ridden a vehicle
+ * yet pays nothing for it and is only dominated by another such state. Only
+ * states of the same connection class (same MCTs, see connections.js) are
+ * compared, and under per-mode limits only a state with at least as much
+ * budget left dominates. Newly dominated states still in the frontier are
+ * dropped from it.
+ *
+ * dominanceMap: `${nodeId}|${connection class}` → non-dominated states
+ */
+function isDominated(state, dominanceMap, frontier, waitValuePerHour) {
+  const costPerMs = waitValuePerHour / 3600000;
+  const waitCost = (a, b) => (a.lastVehicleLeg ? costPerMs * (b.arrivalMs - a.arrivalMs) : 0);
+  const dominates = (a, b) =>
+    a.arrivalMs <= b.arrivalMs &&
+    a.anchorArrivalMs <= b.anchorArrivalMs &&
+    (b.lastVehicleLeg !== null || a.lastVehicleLeg === null) &&
+    a.genCost + waitCost(a, b) <= b.genCost &&
+    usesNoMoreBudget(a.modeUsage, b.modeUsage);
+
+  const key = `${state.nodeId}|${state.connectionClass}`;
+  const kept = dominanceMap.get(key) || [];
+  if (kept.some((other) => dominates(other, state))) {
+    return true;
+  }
+
+  const survivors = [];
+  for (const other of kept) {
+    if (dominates(state, other)) frontier.remove(other.queueHandle);
+    else survivors.push(other);
+  }
+  survivors.push(state);
+  dominanceMap.set(key, survivors);
+  return false;
+}
+
+/**
+ * K-best dominance table key: node + 5-minute arrival bucket.
  */
-function makeDominanceKey(nodeId, arrivalTimeUtc) {
-  const t = Date.parse(arrivalTimeUtc);
-  const bucket = Math.floor(t / (5 * 60 * 1000)); // 5-minute time bucket
+function makeDominanceKey(nodeId, arrivalMs) {
+  const bucket = Math.floor(arrivalMs / (5 * 60 * 1000)); // 5-minute time bucket
   return `${nodeId}:${bucket}`;
 }
 
 /**
- * Check dominance against table:
- * - If a previous state reached same (node, time-bucket) with lower gen cost → prune
+ * K-best dominance: keep up to k states per (node, time-bucket) so that
+ * alternatives to the single best path survive. States that used different
+ * per-mode limit budgets are kept apart.
  */
-function isDominated(state, dominanceMap) {
-  const key = makeDominanceKey(state.nodeId, state.arrivalTimeUtc);
-  const prevBest = dominanceMap.get(key);
+function isDominatedK(state, dominanceMap, k) {
+  const key =
+    `${makeDominanceKey(state.nodeId, state.arrivalMs)}|${state.connectionClass}` +
+    `|${modeUsageKey(state.modeUsage)}`;
+  const costs = dominanceMap.get(key) || [];
 
-  if (prevBest !== undefined && prevBest <= state.genCost) {
-    logDev("Dominance prune:", { key, prevBest, incoming: state.genCost });
+  if (costs.length >= k && costs[k - 1] <= state.genCost) {
     return true;
   }
 
-  // Update the best known cost
-  dominanceMap.set(key, state.genCost);
+  costs.push(state.genCost);
+  costs.sort((a, b) => a - b);
+  dominanceMap.set(key, costs.slice(0, k));
   return false;
 }
 
+/**
+ * Whether a path already visits a node (K-best keeps paths loopless, since
+ * its relaxed dominance would otherwise let walk/rideshare cycles through).
+ */
+function pathVisits(state, nodeId) {
+  for (let s = state; s; s = s.parent) {
+    if (s.nodeId === nodeId) return true;
+  }
+  return false;
+}
+
+/**
+ * Legs of a path so far, from its last leg back to the first.
+ */
+function* legsBackFrom(state) {
+  for (let s = state; s.leg; s = s.parent) yield s.leg;
+}
+
 /**
  * Check if a state is a destination match:
  * - Exact address or hotel → only exact node
@@ -79,8 +283,140 @@ function extractDestinationNodes(destSpec) {
   return destSpec.nodes;
 }
 
+/**
+ * Lower bounds on the final itinerary criteria for a partial state: cash,
+ * duration and transfers can only grow as legs are appended.
+ */
+function paretoBoundsOf(state) {
+  const label = labelOf(state);
+  const durationMin =
+    label.departure === Infinity ? 0 : (label.arrival - label.departure) / 60000;
+
+  return {
+    price_total: label.price,
+    duration_min: Math.round(durationMin),
+    num_transfers: state.transfers,
+  };
+}
+
+/**
+ * Search params as persisted with the run (an injected graph, FX or fee
+ * table is not).
+ */
+function persistableParams(params) {
+  const copy = { ...params };
+  delete copy.graph;
+  delete copy.fxTable;
+  delete copy.feeTable;
+  return copy;
+}
+
+/**
+ * Resolve a local time param ("HH:MM" or "YYYY-MM-DDTHH:MM", wall-clock time
+ * at the endpoint given by `nodes`, e.g. params.departAfterLocal at the
+ * origin) to a UTC timestamp. A bare time resolves to its next occurrence at
+ * or after `referenceUtc`.
+ */
+function resolveLocalTime(name, value, nodes, referenceUtc) {
+  const local = parseLocalDateTime(value);
+  if (!local) {
+    throw new Error(`Invalid ${name} "${value}" (expected HH:MM or YYYY-MM-DDTHH:MM)`);
+  }
+
+  const timeZone = nodes.find((n) => n.timezone)?.timezone;
+  if (!timeZone) {
+    throw new Error(`${name} needs an endpoint with a known timezone`);
+  }
+
+  return new Date(localDateTimeToUtcMs(timeZone, local, Date.parse(referenceUtc))).toISOString();
+}
+
+/**
+ * Parse a UTC timestamp param to an ISO string (null when unset).
+ */
+function resolveUtc(name, value) {
+  if (value == null) return null;
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) {
+    throw new Error(`Invalid ${name} "${value}"`);
+  }
+  return new Date(ms).toISOString();
+}
+
 /**
  * Main search function.
+ *
+ * params.mode:
+ *   - "best" (default): single best itinerary by generalized cost
+ *   - "pareto": every non-dominated itinerary over cash price, door-to-door
+ *     duration and number of transfers (vehicle changes), ranked by
+ *     generalized cost
+ *   - "k_best": up to params.k itineraries in generalized-cost order, skipping
+ *     candidates that share more than params.maxLegOverlap (0..1, duration
+ *     weighted) of their legs with a better result, or — with
+ *     params.distinctMainMode — the same main_mode
+ *
+ * params.departAfterUtc is the earliest departure (default: now);
+ * params.departAfterLocal gives it as local time at the origin instead (see
+ * resolveLocalTime). The resolved instant is returned as depart_after_utc.
+ * params.departBeforeUtc closes the departure window: the first leg must
+ * leave by then (in arrive-by searches too).
+ *
+ * params.arriveByUtc (or params.arriveByLocal, local time at the destination)
+ * switches to an arrive-by search: it runs backward from the deadline
+ * (reverseSearch.js) and returns itineraries arriving by then that leave as
+ * late as their cost allows — time is valued from departure to the deadline.
+ * Supported in best and k_best modes; the found itineraries are costed as
+ * forward ones. The deadline is returned as arrive_by_utc (null otherwise).
+ *
+ * Every completed search is persisted (search_run + itinerary_bundle) unless
+ * params.persist is false.
+ *
+ * Prices are compared in params.currency (default USD): every offer is
+ * converted at the rate on its departure day (fx.js); offers whose currency
+ * cannot be converted are skipped. params.fxTable injects a rate table
+ * (createFxTable) instead of the stored one. timeValuePerHour and
+ * transferPenalty are read in the same currency.
+ *
+ * params.baggage (items per passenger, see ancillaryFees.js) prices baggage
+ * fees from the ancillary_fee table into each leg's cash cost; each leg lists
+ * them as line items. params.feeTable injects a fee table (createFeeTable).
+ *
+ * Risk penalties (risk.js) are added to the generalized cost; params.riskModel
+ * overrides parts of DEFAULT_RISK_MODEL. Each itinerary carries its breakdown
+ * as risk_penalties.
+ *
+ * params.passengers sets the party (counts by passenger type plus discount
+ * cards, see passengers.js; default one adult). Costs and totals price the
+ * whole party, per vehicle where the offer is sold that way; the resolved
+ * party is returned as passengers and saved with the run.
+ *
+ * params.modePreferences excludes modes, weights them and limits their
+ * distance or number of legs (see modePreferences.js); the resolved
+ * preferences are saved with the run.
+ *
+ * Consecutive segments of one train or bus service sold as separate offers
+ * can be combined when cheaper than the through offer: the traveler stays on
+ * board (no MCT, transfer or connection risk, see connections.js). Each
+ * itinerary lists such rides with their tickets as split_tickets
+ * (splitTickets.js).
+ *
+ * Unless params.arbitrage is false, a search that finds itineraries also
+ * runs a best-mode search per baseline mode (arbitrage.js) over the same
+ * endpoints and window, within what is left of timeoutMs. Each itinerary
+ * then carries vs_direct (savings, time and generalized-cost deltas against
+ * the cheapest baseline) and the result an arbitrage report ({ threshold_pct,
+ * baseline, baselines, opportunities }, null when disabled or no baseline
+ * was found).
+ *
+ * The graph comes from the shared in-memory snapshot (graphSnapshot.js); the
+ * search keeps the version it started with (returned as graph_version).
+ * params.graph injects a prebuilt graph (see assembleGraph) instead — used by
+ * benchmarks.
+ *
+ * Returns { search_id, search_status, mode, graph_version, depart_after_utc,
+ *           arrive_by_utc, currency, passengers, best_itinerary, itineraries,
+ *           arbitrage, expansions }.
  */
 export async function searchItinerariesDoorToDoor(
   originSpec,
@@ -93,95 +429,407 @@ export async function searchItinerariesDoorToDoor(
     timeValuePerHour = 20,
     transferPenalty = 6,
     maxDetourFactor = 2.2,
+    departAfterUtc: departAfterUtcParam = new Date().toISOString(),
+    departAfterLocal = null,
+    departBeforeUtc: departBeforeUtcParam = null,
+    arriveByUtc: arriveByUtcParam = null,
+    arriveByLocal = null,
+    mode = SearchMode.BEST,
+    k = 5,
+    maxLegOverlap = 0.6,
+    distinctMainMode = false,
+    persist = true,
+    currency = DEFAULT_CURRENCY,
+    graph: injectedGraph = null,
+    fxTable: injectedFxTable = null,
+    feeTable: injectedFeeTable = null,
   } = params;
 
+  const isPareto = mode === SearchMode.PARETO;
+  const isKBest = mode === SearchMode.K_BEST;
+
   logDev("SEARCH INIT", {
-    originSpec,
-    destSpec,
-    params,
+    originSpec: originSpec.raw,
+    destSpec: destSpec.raw,
+    mode,
+    departAfterUtc: departAfterUtcParam,
+    departAfterLocal,
+    arriveByUtc: arriveByUtcParam,
+    arriveByLocal,
   });
 
-  // Build graph
-  const { nodes, adj } = await buildGraph();
-
-  // Make quick node lookup map
-  const nodeById = new Map(nodes.map((n) => [n.id, n]));
+  // Graph: shared snapshot + per-search overlay for synthetic endpoints
+  const graph = createSearchGraph(injectedGraph || (await getGraphSnapshot()));
+  const { nodes, adj } = graph;
+
+  // Offer prices for the whole party in the traveler's currency, for costs
+  // and totals
+  const passengers = resolvePassengers(params.passengers);
+  const party = createPartyPricer(passengers);
+  const fxTable = injectedFxTable || (await getFxTable());
+  const fx = createFxConverter(fxTable, currency, party.amountOf);
+  const baggage = resolveBaggage(params.baggage);
+  const feeTable = injectedFeeTable || (await getFeeTable());
+  const fees = createFeeCalculator(feeTable, baggage, party.size, fx);
+  const pricing = { fx, party, fees };
+
+  // Fare plus ancillary fees of a leg in the search currency (null when
+  // either cannot be converted)
+  const cashOf = (leg) => {
+    const fare = fx.amountOf(leg.offer);
+    const legFees = fare == null ? null : fees.amountOf(leg);
+    return legFees == null ? null : fare + legFees;
+  };
+  const riskModel = resolveRiskModel(params.riskModel);
+  const modePreferences = resolveModePreferences(params.modePreferences);
+  const checkModeLimits = hasModeLimits(modePreferences);
+  const waitValuePerHour = timeValuePerHour * waitCostScale(modePreferences);
+  const arbitrage = resolveArbitrageOptions(params.arbitrage);
+  const riskOf = (partial, leg, cash) =>
+    legRisk(
+      leg,
+      partial.lastVehicleLeg,
+      connectionRequirement(partial, nodeById.get(partial.nodeId), leg.edge_leg, leg),
+      cash,
+      riskModel
+    );
+  const costParams = {
+    ...params,
+    priceOf: fx.amountOf,
+    feesOf: fees.amountOf,
+    riskOf,
+    modeMultipliers:
+      Object.keys(modePreferences.multipliers).length > 0 ? modePreferences.multipliers : null,
+    lowerBoundScale: lowerBoundScale(modePreferences),
+    staysOnBoard: isOnBoard,
+  };
+  let unconvertibleOffers = 0;
 
   // For origin, we expect exactly 1 synthetic address node OR multiple area/hotel nodes
   const originNodes = originSpec.nodes;
   const destNodes = extractDestinationNodes(destSpec);
 
-  // Initialize frontier (simple priority queue using sort)
-  let frontier = [];
+  // Synthetic nodes (id null) are not persisted yet — give them a temporary
+  // negative ID and connect them to the graph with transfer templates.
+  // Real impl: persist node before search.
+  let syntheticId = 0;
+  for (const orig of originNodes) {
+    if (orig.id == null) {
+      orig.id = --syntheticId;
+      attachEndpointNode(graph, orig, "origin", modePreferences);
+    }
+  }
+  for (const dest of destNodes) {
+    if (dest.id == null) {
+      dest.id = --syntheticId;
+      attachEndpointNode(graph, dest, "destination", modePreferences);
+    }
+  }
 
-  // Initialize dominance map
+  const departAfterUtc =
+    departAfterLocal == null
+      ? resolveUtc("departAfterUtc", departAfterUtcParam)
+      : resolveLocalTime("departAfterLocal", departAfterLocal, originNodes, departAfterUtcParam);
+  const departBeforeUtc = resolveUtc("departBeforeUtc", departBeforeUtcParam);
+  const departBeforeMs = departBeforeUtc == null ? Infinity : Date.parse(departBeforeUtc);
+  const arriveByUtc =
+    arriveByLocal == null
+      ? resolveUtc("arriveByUtc", arriveByUtcParam)
+      : resolveLocalTime("arriveByLocal", arriveByLocal, destNodes, departAfterUtc);
+
+  if (arriveByUtc != null && isPareto) {
+    throw new Error("Arrive-by search supports the best and k_best modes only");
+  }
+
+  // Make quick node lookup map
+  const nodeById = new Map(nodes.map((n) => [n.id, n]));
+  const destAnchor = nodeById.get(destNodes[0].id); // approximate LB to any destination node
+
+  // Frontier: min-heap on generalized cost
+  const frontier = createPriorityQueue();
+
+  // Initialize dominance map (single-objective) / label sets (Pareto)
   const dominanceMap = new Map();
+  const labelSets = createLabelSets();
 
-  // Initialize best solution
+  // Initialize best solution (single-objective) / Pareto front
   let bestCost = null;
   let bestState = null;
+  let front = [];
+  const accepted = [];
+
+  const finish = async (search_status) => {
+    let itineraries = [];
+    if (isPareto) {
+      itineraries = rankFront(front);
+    } else if (isKBest) {
+      // Ranked by the cost each itinerary reports: arrive-by candidates are
+      // accepted in backward-cost order, which their forward replay can change
+      itineraries = [...accepted]
+        .sort((a, b) => a.gen_cost - b.gen_cost)
+        .map((it, i) => ({ ...it, rank: i + 1 }));
+    } else if (bestState) {
+      itineraries = [{ ...itineraryOf(bestState), rank: 1 }];
+    }
+
+    for (const it of itineraries) {
+      it.split_tickets = splitTicketsOf(it, adj, cashOf);
+    }
+
+    const arbitrageReport =
+      arbitrage && itineraries.length > 0 ? await compareWithBaselines(itineraries) : null;
+
+    const elapsedMs = Date.now() - startTime;
+    const result = {
+      search_id: null,
+      search_status,
+      mode,
+      graph_version: graph.version,
+      depart_after_utc: departAfterUtc,
+      arrive_by_utc: arriveByUtc,
+      currency,
+      passengers,
+      best_itinerary: itineraries[0] ?? null,
+      itineraries,
+      arbitrage: arbitrageReport,
+      expansions,
+    };
+
+    logDev("SEARCH DONE", {
+      search_status,
+      expansions,
+      elapsedMs,
+      found: itineraries.length,
+      unconvertibleOffers,
+    });
+
+    if (persist) {
+      result.search_id = await saveSearchResults({
+        originSpec,
+        destSpec,
+        params: {
+          ...persistableParams(params),
+          mode,
+          departAfterUtc,
+          arriveByUtc,
+          modePreferences,
+          passengers,
+          baggage,
+          arbitrage,
+        },
+        result,
+        startedAtUtc,
+        finishedAtUtc: new Date().toISOString(),
+      });
+    }
+
+    return result;
+  };
+
+  // Best single-mode itinerary per baseline mode, over this search's graph
+  // view (endpoints already attached) and resolved window. The baselines
+  // share what is left of timeoutMs (each at most arbitrage.timeout_ms); a
+  // mode with no time left gets no baseline.
+  const compareWithBaselines = async (itineraries) => {
+    const baselines = {};
+    const baselineModes = arbitrage.baseline_modes;
+    for (const [i, baselineMode] of baselineModes.entries()) {
+      const remainingMs = timeoutMs - (Date.now() - startTime);
+      const budgetMs = Math.min(arbitrage.timeout_ms, remainingMs / (baselineModes.length - i));
+      if (budgetMs <= 0) {
+        baselines[baselineMode] = null;
+        continue;
+      }
+
+      const sub = await searchItinerariesDoorToDoor(originSpec, destSpec, {
+        ...params,
+        graph,
+        fxTable,
+        feeTable,
+        mode: SearchMode.BEST,
+        departAfterUtc,
+        departAfterLocal: null,
+        departBeforeUtc,
+        arriveByUtc,
+        arriveByLocal: null,
+        timeoutMs: budgetMs,
+        modePreferences: {
+          ...modePreferences,
+          exclude: [...modePreferences.exclude, ...baselineExclusions(baselineMode)],
+        },
+        arbitrage: false,
+        persist: false,
+      });
+      baselines[baselineMode] = sub.best_itinerary
+        ? baselineSummary(baselineMode, sub.best_itinerary)
+        : null;
+    }
+
+    const report = buildArbitrageReport(itineraries, baselines, arbitrage);
+    logDev("ARBITRAGE", {
+      baseline: report?.baseline.mode ?? null,
+      opportunities: report?.opportunities ?? 0,
+    });
+    return report;
+  };
 
   // Start clock
   const startTime = Date.now();
+  const startedAtUtc = new Date(startTime).toISOString();
 
   // Seed frontier with each possible origin node
   for (const orig of originNodes) {
-    // For synthetic nodes (id null), we allow search but they won't be matched
-    if (orig.id == null) {
-      // Synthetic origin not persisted yet — we attach a fake ID
-      // Real impl: persist node before search.
-      orig.id = -Math.floor(Math.random() * 1000000);
+    frontier.push(createOriginState(orig, departAfterUtc), 0);
+  }
+
+  let expansions = 0;
+
+  // Forward state for a list of legs from an origin, costed as the search
+  // would. With retimeEgress, the transfers after the last vehicle leg
+  // (found arriving just by an arrive-by deadline) are re-timed to leave as
+  // soon as the traveler is ready, as the forward search would have them,
+  // instead of waiting at the station; transfer-only paths keep their times.
+  const replay = (originId, legs, retimeEgress = false) => {
+    const lastVehicleIndex = retimeEgress
+      ? legs.findLastIndex((leg) => leg.edge_leg.is_transfer !== 1)
+      : -1;
+    let state = createOriginState(nodeById.get(originId), departAfterUtc);
+    for (const [i, planned] of legs.entries()) {
+      const node = nodeById.get(state.nodeId);
+      const connection = connectionRequirement(state, node, planned.edge_leg, planned);
+      const leg =
+        lastVehicleIndex >= 0 && i > lastVehicleIndex
+          ? materializeTransfer(
+              createTransferTemplate(
+                planned.edge_leg.mode,
+                node,
+                nodeById.get(planned.edge_leg.to_node_id)
+              ),
+              new Date(connection.earliestDepartureMs).toISOString()
+            )
+          : planned;
+      const { newGenCost, newTransfers, risk } = computeLegGeneralizedCost(state, leg, costParams);
+      state = extendState(state, leg, newGenCost, newTransfers, connection, cashOf(leg), risk);
+    }
+    return state;
+  };
+
+  // Access transfers (the legs before the first vehicle leg) are found
+  // leaving as soon as possible; re-time them backward so they arrive just in
+  // time for it instead of waiting at the station. Access-only paths keep
+  // their last leg fixed. Returns the replayed state (or `state` unchanged).
+  const retimeAccess = (state) => {
+    if (state.depth < 2) return state;
+
+    const legs = [...legsBackFrom(state)].reverse();
+    let boardingIndex = legs.findIndex((leg) => leg.edge_leg.is_transfer !== 1);
+    if (boardingIndex === -1) boardingIndex = legs.length - 1;
+    if (boardingIndex === 0) return state;
+
+    const boarding = legs[boardingIndex];
+    const mctMin = connectionMctMin(
+      legs[boardingIndex - 1].edge_leg,
+      boarding.edge_leg,
+      nodeById.get(boarding.edge_leg.from_node_id)
+    );
+    let latestMs = offerTimesMs(boarding.offer).departureMs - mctMin * 60000;
+
+    const retimed = legs.slice();
+    for (let i = boardingIndex - 1; i >= 0; i--) {
+      const { edge_leg, offer } = legs[i];
+      const leg = materializeTransferArrivingBy(
+        createTransferTemplate(
+          edge_leg.mode,
+          nodeById.get(edge_leg.from_node_id),
+          nodeById.get(edge_leg.to_node_id)
+        ),
+        latestMs
+      );
+      if (!leg || offerTimesMs(leg.offer).departureMs <= offerTimesMs(offer).departureMs) {
+        if (i === boardingIndex - 1) return state; // nothing to gain
+        break;
+      }
+      retimed[i] = leg;
+      latestMs = offerTimesMs(leg.offer).departureMs;
     }
+    if (offerTimesMs(retimed[0].offer).departureMs > departBeforeMs) return state;
+
+    return replay(legs[0].edge_leg.from_node_id, retimed);
+  };
+
+  const itineraryOf = (state) => buildItinerary(retimeAccess(state), nodeById, pricing);
+
+  if (arriveByUtc != null) {
+    const outcome = searchBackward(
+      {
+        radj: reverseAdjacency(graph),
+        nodeById,
+        originNodes,
+        destNodes,
+        arriveByMs: Date.parse(arriveByUtc),
+        departAfterMs: Date.parse(departAfterUtc),
+        departBeforeMs,
+        cashOf,
+        riskModel,
+        modePreferences,
+        params: costParams,
+        k: isKBest ? k : null,
+      },
+      (originId, legs) => {
+        const state = replay(originId, legs, true);
+        if (!isKBest) {
+          bestState = state;
+          return true;
+        }
 
-    const initial = createState(
-      orig.id,
-      new Date().toISOString(),
-      0,
-      0,
-      []
+        const candidate = itineraryOf(state);
+        if (isDiverseEnough(candidate, accepted, { maxLegOverlap, distinctMainMode })) {
+          accepted.push(candidate);
+        }
+        return accepted.length >= k;
+      }
     );
 
-    frontier.push(initial);
+    expansions = outcome.expansions;
+    unconvertibleOffers += outcome.unconvertibleOffers;
+    if (outcome.exhausted) return finish(SearchStatus.TIME_EXHAUSTED);
+    return finish(bestState || accepted.length > 0 ? SearchStatus.OK : SearchStatus.NO_ROUTE);
   }
 
-  let expansions = 0;
-
   // Main loop
-  while (frontier.length > 0) {
+  while (frontier.size() > 0) {
     // Timeout check
     if (Date.now() - startTime > timeoutMs) {
-      return {
-        search_status: "TIME_BUDGET_EXHAUSTED",
-        best_itinerary: bestState,
-        expansions,
-      };
+      return finish(SearchStatus.TIME_EXHAUSTED);
     }
 
     // Expansion budget
     if (expansions > maxExpansions) {
-      return {
-        search_status: "TIME_BUDGET_EXHAUSTED",
-        best_itinerary: bestState,
-        expansions,
-      };
+      return finish(SearchStatus.TIME_EXHAUSTED);
     }
 
-    // Sort frontier by genCost (best-first)
-    frontier.sort((a, b) => a.genCost - b.genCost);
-
-    const state = frontier.shift();
+    const state = frontier.pop();
     expansions++;
 
-    logDev("EXPANDING STATE", {
-      nodeId: state.nodeId,
-      genCost: state.genCost,
-      pathLen: state.path.length,
-    });
-
     // Destination check
+    if (isDestination(state, destSpec) && isPareto) {
+      front = addToFront(front, itineraryOf(state));
+      continue;
+    }
+
+    // Destinations pop in non-decreasing genCost order, so accepting greedily
+    // yields the K cheapest itineraries that satisfy the diversity constraint.
+    if (isDestination(state, destSpec) && isKBest) {
+      const candidate = itineraryOf(state);
+      if (isDiverseEnough(candidate, accepted, { maxLegOverlap, distinctMainMode })) {
+        accepted.push(candidate);
+        if (accepted.length >= k) return finish(SearchStatus.OK);
+      }
+      continue;
+    }
+
     if (isDestination(state, destSpec)) {
       const arrivalCost = state.genCost;
-      logDev("DESTINATION REACHED", { arrivalCost });
 
       if (bestCost === null || arrivalCost < bestCost) {
         bestCost = arrivalCost;
@@ -189,26 +837,13 @@ export async function searchItinerariesDoorToDoor(
       }
 
       // Hybrid early stopping:
-      if (frontier.length > 0) {
+      const next = frontier.peek();
+      if (next) {
         const lbFrontier =
-          frontier[0].genCost +
-          estimateLowerBound(
-            nodeById.get(frontier[0].nodeId),
-            nodeById.get(destNodes[0].id), // approximate LB to any destination node
-            params
-          );
+          next.genCost + estimateLowerBound(nodeById.get(next.nodeId), destAnchor, params);
 
         if (lbFrontier >= bestCost) {
-          logDev("EARLY OPTIMAL TERMINATION", {
-            bestCost,
-            lbFrontier,
-          });
-
-          return {
-            search_status: "OK",
-            best_itinerary: bestState,
-            expansions,
-          };
+          return finish(SearchStatus.OK);
         }
       }
 
@@ -220,40 +855,109 @@ export async function searchItinerariesDoorToDoor(
     const outgoing = adj[state.nodeId] || [];
     if (outgoing.length === 0) continue;
 
-    // Process outgoing legs
-    for (const leg of outgoing) {
-      // Pruning
-      if (shouldPrune(state, leg, bestCost, nodeById.get(destNodes[0].id), params)) {
-        continue;
-      }
+    const fromNode = nodeById.get(state.nodeId);
 
-      // Compute new gen cost
-      const {
-        newGenCost,
-        newTransfers,
-        legDurationMin,
-      } = computeLegGeneralizedCost(state, leg, params);
-
-      // Create new state
-      const newState = createState(
-        leg.edge_leg.destination_node_id,
-        leg.offer.arrival_time_utc,
-        newGenCost,
-        newTransfers,
-        [...state.path, leg]
-      );
+    // Materialize outgoing legs relative to the state's arrival + connection time
+    for (const entry of outgoing) {
+      if (isModeExcluded(modePreferences, modeOf(entry))) continue;
+
+      const { legs, connection: entryConnection } = legsFromEntry(entry, state, fromNode);
+
+      for (const leg of legs) {
+        const nextNode = nodeById.get(leg.edge_leg.to_node_id);
+        if (!nextNode) continue;
+
+        // Another run of the same service is a regular connection
+        const connection =
+          entryConnection?.type === ConnectionType.ON_BOARD
+            ? connectionRequirement(state, fromNode, leg.edge_leg, leg)
+            : entryConnection;
+        if (connection && offerTimesMs(leg.offer).departureMs < connection.earliestDepartureMs) {
+          continue;
+        }
+        if (state.depth === 0 && offerTimesMs(leg.offer).departureMs > departBeforeMs) continue;
+        if (checkModeLimits && !withinModeLimits(modePreferences, leg, legsBackFrom(state))) {
+          continue;
+        }
+        if (isKBest && pathVisits(state, nextNode.id)) continue;
+
+        const cash = cashOf(leg);
+        if (cash == null) {
+          unconvertibleOffers++;
+          continue;
+        }
 
-      // Dominance pruning
-      if (isDominated(newState, dominanceMap)) continue;
+        // Pruning
+        if (
+          shouldPrune(
+            state,
+            leg,
+            nextNode,
+            isPareto || isKBest ? null : bestCost,
+            destAnchor,
+            costParams
+          )
+        ) {
+          continue;
+        }
+
+        // Compute new gen cost
+        const { newGenCost, newTransfers, risk } = computeLegGeneralizedCost(state, leg, costParams);
+
+        // Create new state
+        const newState = extendState(state, leg, newGenCost, newTransfers, connection, cash, risk);
+        if (checkModeLimits) {
+          newState.modeUsage = addModeUsage(modePreferences, state.modeUsage, leg);
+        }
+
+        if (isPareto) {
+          // Already matched or beaten by an itinerary found so far
+          if (frontCovers(front, paretoBoundsOf(newState))) continue;
+
+          // Label-set dominance pruning
+          const labelKey =
+            `${newState.nodeId}|${newState.connectionClass}|${modeUsageKey(newState.modeUsage)}`;
+          if (!labelSets.insert(labelKey, labelOf(newState))) continue;
+        } else if (isKBest) {
+          if (isDominatedK(newState, dominanceMap, k)) continue;
+        } else if (isDominated(newState, dominanceMap, frontier, waitValuePerHour)) {
+          // Dominance pruning
+          continue;
+        }
 
-      frontier.push(newState);
+        newState.queueHandle = frontier.push(newState, newGenCost);
+      }
     }
   }
 
+  if (bestState || (isPareto && front.length > 0) || (isKBest && accepted.length > 0)) {
+    return finish(SearchStatus.OK);
+  }
+
   // No feasible route found
-  return {
-    search_status: "NO_FEASIBLE_ROUTE",
-    best_itinerary: null,
-    expansions,
-  };
+  return finish(SearchStatus.NO_ROUTE);
+}
+
+/**
+ * Rerun a persisted search against the current graph data, re-resolving the
+ * original place specs with resolvePlace(field, specRaw) (default
+ * normalizePlaceSpec). `overrides` are merged over the saved params.
+ *
+ * Returns the new search result, or null when no such search was saved.
+ */
+export async function rerunSearch(
+  searchId,
+  overrides = {},
+  resolvePlace = (field, specRaw) => normalizePlaceSpec(specRaw)
+) {
+  const run = await getSearchRun(searchId);
+  if (!run) return null;
+
+  const originSpec = await resolvePlace("origin", run.origin_spec_raw);
+  const destSpec = await resolvePlace("destination", run.dest_spec_raw);
+
+  return searchItinerariesDoorToDoor(originSpec, destSpec, {
+    ...run.search_params,
+    ...overrides,
+  });
 }
@@ -0,0 +1,132 @@
+// src/routing/spatialIndex.js
+// Great-circle distances and a uniform lat/lon grid index for radius and
+// k-nearest queries over nodes (anything with lat/lon).
+//
+// The grid uses square cells of cellDeg degrees. A query scans only the cells
+// overlapping the query's bounding box, so transfer generation and place
+// lookups stay near-linear instead of comparing every pair of nodes.
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEG_LAT = 111.32;
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+/**
+ * Haversine distance in km.
+ */
+export function haversineKm(lat1, lon1, lat2, lon2) {
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+/**
+ * Haversine distance in km between two objects with lat/lon.
+ */
+export function distanceKm(a, b) {
+  return haversineKm(a.lat, a.lon, b.lat, b.lon);
+}
+
+/**
+ * Bounding box (degrees) containing every point within radiusKm of lat/lon.
+ * Longitudes may fall outside [-180, 180] near the antimeridian; near the
+ * poles the box spans all longitudes. Also used for SQL prefilters.
+ */
+export function boundingBox(lat, lon, radiusKm) {
+  const dLat = radiusKm / KM_PER_DEG_LAT;
+  const minLat = Math.max(-90, lat - dLat);
+  const maxLat = Math.min(90, lat + dLat);
+
+  const cosLat = Math.min(Math.cos(toRad(minLat)), Math.cos(toRad(maxLat)));
+  const dLon = cosLat > 1e-6 ? radiusKm / (KM_PER_DEG_LAT * cosLat) : 180;
+
+  return dLon >= 180
+    ? { minLat, maxLat, minLon: -180, maxLon: 180 }
+    : { minLat, maxLat, minLon: lon - dLon, maxLon: lon + dLon };
+}
+
+/**
+ * Create a grid index over items with lat/lon.
+ *
+ * Returns:
+ *   insert(item)
+ *   withinRadius(lat, lon, radiusKm, filter?) → [{ item, distanceKm }] nearest first
+ *   nearest(lat, lon, k, { maxRadiusKm, filter }) → [{ item, distanceKm }] nearest first
+ *   size()
+ */
+export function createSpatialIndex(items = [], options = {}) {
+  const { cellDeg = 0.1 } = options;
+  const lonCells = Math.ceil(360 / cellDeg);
+  const cells = new Map();
+  let count = 0;
+
+  const rowOf = (lat) => Math.floor((lat + 90) / cellDeg);
+  const colOf = (lon) => {
+    const c = Math.floor((lon + 180) / cellDeg);
+    return ((c % lonCells) + lonCells) % lonCells;
+  };
+  const keyOf = (row, col) => row * lonCells + col;
+
+  function insert(item) {
+    if (!Number.isFinite(item.lat) || !Number.isFinite(item.lon)) return;
+
+    const key = keyOf(rowOf(item.lat), colOf(item.lon));
+    const cell = cells.get(key);
+    if (cell) cell.push(item);
+    else cells.set(key, [item]);
+    count++;
+  }
+
+  function withinRadius(lat, lon, radiusKm, filter = null) {
+    const box = boundingBox(lat, lon, radiusKm);
+    const rowMin = rowOf(box.minLat);
+    const rowMax = rowOf(box.maxLat);
+    const colMin = Math.floor((box.minLon + 180) / cellDeg);
+    const colMax = Math.floor((box.maxLon + 180) / cellDeg);
+
+    // Wide boxes may wrap onto the same column twice.
+    const cols = new Set();
+    for (let c = colMin; c <= colMax && cols.size < lonCells; c++) {
+      cols.add(((c % lonCells) + lonCells) % lonCells);
+    }
+
+    const hits = [];
+    for (let row = rowMin; row <= rowMax; row++) {
+      for (const col of cols) {
+        const cell = cells.get(keyOf(row, col));
+        if (!cell) continue;
+
+        for (const item of cell) {
+          if (filter && !filter(item)) continue;
+          const d = haversineKm(lat, lon, item.lat, item.lon);
+          if (d <= radiusKm) hits.push({ item, distanceKm: d });
+        }
+      }
+    }
+
+    hits.sort((a, b) => a.distanceKm - b.distanceKm);
+    return hits;
+  }
+
+  /**
+   * k nearest items, searching radii that double from one cell width until
+   * k hits are found or maxRadiusKm is reached.
+   */
+  function nearest(lat, lon, k, { maxRadiusKm = 20000, filter = null } = {}) {
+    if (k <= 0 || count === 0) return [];
+
+    let radiusKm = Math.min(maxRadiusKm, cellDeg * KM_PER_DEG_LAT);
+    for (;;) {
+      const hits = withinRadius(lat, lon, radiusKm, filter);
+      if (hits.length >= k || radiusKm >= maxRadiusKm) return hits.slice(0, k);
+      radiusKm = Math.min(maxRadiusKm, radiusKm * 2);
+    }
+  }
+
+  for (const item of items) insert(item);
+
+  return { insert, withinRadius, nearest, size: () => count };
+}
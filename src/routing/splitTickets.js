@@ -0,0 +1,100 @@
+// src/routing/splitTickets.js
+// Split-ticket breakdown of itineraries. Consecutive legs on the same train
+// or bus run where the traveler stays on board (connections.isOnBoard) form
+// one ride; the search finds these because such connections need no MCT and
+// carry no transfer or connection risk. A ride counts as split tickets only
+// when the graph also sells it as one through offer (same service, leaving
+// and arriving with the ride) that costs more: a GTFS trip priced hop by hop
+// is just one ride.
+
+import { isOnBoard, isSameService } from "./connections.js";
+import { offerTimesMs } from "./generalizedCost.js";
+import { legsDepartingAfter } from "./graph.js";
+
+const round2 = (x) => Math.round(x * 100) / 100;
+
+/**
+ * Through offer for a ride from `first` to `last` leg: same service, from
+ * the ride's first to its last station, leaving and arriving with the ride
+ * so it is the same vehicle (null when none).
+ */
+function throughLegOf(adj, first, last) {
+  const { departureMs } = offerTimesMs(first.offer);
+  const { arrivalMs } = offerTimesMs(last.offer);
+
+  for (const entry of adj[first.edge_leg.from_node_id] || []) {
+    if (entry.transferMode) continue;
+    if (entry.edge_leg.to_node_id !== last.edge_leg.to_node_id) continue;
+    if (!isSameService(first.edge_leg, entry.edge_leg)) continue;
+
+    for (const leg of legsDepartingAfter(entry, departureMs)) {
+      const times = offerTimesMs(leg.offer);
+      if (times.departureMs !== departureMs) break;
+      if (times.arrivalMs === arrivalMs) return leg;
+    }
+  }
+  return null;
+}
+
+/**
+ * Index ranges [start, end] of two or more itinerary legs riding one
+ * vehicle.
+ */
+function splitRanges(legs) {
+  const ranges = [];
+  let start = 0;
+  for (let i = 1; i <= legs.length; i++) {
+    if (i < legs.length && isOnBoard(legs[i - 1], legs[i])) continue;
+    if (i - 1 > start) ranges.push([start, i - 1]);
+    start = i;
+  }
+  return ranges;
+}
+
+/**
+ * Split-ticket rides of a built itinerary (see buildItinerary):
+ *   [{ mode, carrier_code, service_code, from_node_id, to_node_id,
+ *      departure_time_utc, arrival_time_utc,
+ *      tickets: [{ leg_index, from_node_id, to_node_id, amount }],
+ *      amount, through_amount, savings }]
+ * Amounts are leg totals in the search currency; through_amount prices the
+ * through offer with `cashOf(leg)` (fare + fees). Rides without a through
+ * offer, or whose through offer cannot be converted or is no dearer, are
+ * left out.
+ */
+export function splitTicketsOf(itinerary, adj, cashOf) {
+  const rides = [];
+  for (const [start, end] of splitRanges(itinerary.legs)) {
+    const legs = itinerary.legs.slice(start, end + 1);
+    const first = legs[0];
+    const last = legs[legs.length - 1];
+
+    const through = throughLegOf(adj, first, last);
+    const throughCash = through ? cashOf(through) : null;
+    if (throughCash == null) continue;
+
+    const tickets = legs.map((leg, i) => ({
+      leg_index: start + i,
+      from_node_id: leg.edge_leg.from_node_id,
+      to_node_id: leg.edge_leg.to_node_id,
+      amount: leg.price.total,
+    }));
+    const amount = round2(tickets.reduce((sum, t) => sum + (t.amount || 0), 0));
+    if (round2(throughCash) <= amount) continue;
+
+    rides.push({
+      mode: first.edge_leg.mode,
+      carrier_code: first.edge_leg.carrier_code,
+      service_code: first.edge_leg.service_code,
+      from_node_id: first.edge_leg.from_node_id,
+      to_node_id: last.edge_leg.to_node_id,
+      departure_time_utc: first.offer.departure_time_utc,
+      arrival_time_utc: last.offer.arrival_time_utc,
+      tickets,
+      amount,
+      through_amount: round2(throughCash),
+      savings: round2(throughCash - amount),
+    });
+  }
+  return rides;
+}
@@ -0,0 +1,187 @@
+// src/routing/timezone.js
+// IANA timezone helpers built on Intl (no tz database dependency).
+
+const formatterCache = new Map();
+
+function formatterFor(timeZone) {
+  let dtf = formatterCache.get(timeZone);
+  if (!dtf) {
+    dtf = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    });
+    formatterCache.set(timeZone, dtf);
+  }
+  return dtf;
+}
+
+/**
+ * Whether a string is a timezone Intl understands.
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Local wall-clock fields of an instant in a timezone.
+ */
+export function localParts(timeZone, epochMs) {
+  const parts = {};
+  for (const { type, value } of formatterFor(timeZone).formatToParts(new Date(epochMs))) {
+    if (type !== "literal") parts[type] = Number(value);
+  }
+  return parts; // { year, month, day, hour, minute, second }
+}
+
+/**
+ * UTC offset (minutes east of UTC) of a timezone at an instant.
+ */
+export function utcOffsetMinutes(timeZone, epochMs) {
+  const p = localParts(timeZone, epochMs);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(epochMs / 1000) * 1000) / 60000);
+}
+
+/**
+ * Convert a local wall-clock time in a timezone to epoch ms.
+ * Nonexistent times (spring-forward gap) resolve forward by the gap;
+ * ambiguous times (fall-back) resolve to the earlier instant.
+ */
+export function zonedTimeToUtcMs(timeZone, year, month, day, hour = 0, minute = 0, second = 0) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  const DAY_MS = 86400000;
+
+  // Candidates under the offsets in effect a day before and after; a
+  // candidate is valid when its own offset is the one it was built with
+  const offsetBefore = utcOffsetMinutes(timeZone, guess - DAY_MS);
+  const offsetAfter = utcOffsetMinutes(timeZone, guess + DAY_MS);
+  const valid = [offsetBefore, offsetAfter]
+    .map((offset) => ({ offset, utc: guess - offset * 60000 }))
+    .filter(({ offset, utc }) => utcOffsetMinutes(timeZone, utc) === offset)
+    .map(({ utc }) => utc);
+
+  if (valid.length > 0) return Math.min(...valid);
+  // In the gap: the old offset lands the same distance past the change
+  return guess - offsetBefore * 60000;
+}
+
+/**
+ * Format an offset in minutes as "+HH:MM" / "-HH:MM".
+ */
+export function formatUtcOffset(offsetMin) {
+  const sign = offsetMin < 0 ? "-" : "+";
+  const abs = Math.abs(offsetMin);
+  const hh = String(Math.floor(abs / 60)).padStart(2, "0");
+  const mm = String(abs % 60).padStart(2, "0");
+  return `${sign}${hh}:${mm}`;
+}
+
+/**
+ * Local calendar day number (days since the epoch) of an instant in a
+ * timezone; differences between two give "+1"-style day changes.
+ */
+export function localDayNumber(timeZone, epochMs) {
+  const p = localParts(timeZone, epochMs);
+  return Math.round(Date.UTC(p.year, p.month - 1, p.day) / 86400000);
+}
+
+/**
+ * Local rendering of an instant: { time: "YYYY-MM-DDTHH:MM", utc_offset, timezone }.
+ */
+export function localTime(timeZone, epochMs) {
+  const p = localParts(timeZone, epochMs);
+  const pad = (n) => String(n).padStart(2, "0");
+  return {
+    time: `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}`,
+    utc_offset: formatUtcOffset(utcOffsetMinutes(timeZone, epochMs)),
+    timezone: timeZone,
+  };
+}
+
+/**
+ * UTC offset changes (DST transitions) of a timezone within [startMs, endMs],
+ * located to the minute: [{ timezone, at_utc, offset_before, offset_after }].
+ * Scans day by day, so windows are expected to span days, not years.
+ */
+export function offsetTransitions(timeZone, startMs, endMs) {
+  const DAY_MS = 86400000;
+  const transitions = [];
+
+  for (let lo = startMs; lo < endMs; lo += DAY_MS) {
+    const hi = Math.min(lo + DAY_MS, endMs);
+    const before = utcOffsetMinutes(timeZone, lo);
+    const after = utcOffsetMinutes(timeZone, hi);
+    if (before === after) continue;
+
+    // Binary search for the first minute with the new offset
+    let a = lo;
+    let b = hi;
+    while (b - a > 60000) {
+      const mid = a + Math.floor((b - a) / 120000) * 60000;
+      if (utcOffsetMinutes(timeZone, mid) === before) a = mid;
+      else b = mid;
+    }
+
+    transitions.push({
+      timezone: timeZone,
+      at_utc: new Date(b).toISOString(),
+      offset_before: formatUtcOffset(before),
+      offset_after: formatUtcOffset(after),
+    });
+  }
+
+  return transitions;
+}
+
+/**
+ * Parse a local wall-clock input, "YYYY-MM-DDTHH:MM" (or with a space) or a
+ * bare "HH:MM". Returns { year?, month?, day?, hour, minute } or null.
+ */
+export function parseLocalDateTime(text) {
+  const m = /^\s*(?:(\d{4})-(\d{2})-(\d{2})[T ])?(\d{1,2}):(\d{2})\s*$/.exec(String(text ?? ""));
+  if (!m) return null;
+
+  const [, year, month, day, hour, minute] = m.map((v) => (v === undefined ? undefined : Number(v)));
+  if (hour > 23 || minute > 59) return null;
+  if (year !== undefined && (month < 1 || month > 12 || day < 1 || day > 31)) return null;
+
+  return year === undefined ? { hour, minute } : { year, month, day, hour, minute };
+}
+
+/**
+ * Epoch ms of a parsed local wall-clock time (parseLocalDateTime) in a
+ * timezone. A bare time resolves to its next occurrence at or after
+ * `referenceMs`.
+ */
+export function localDateTimeToUtcMs(timeZone, local, referenceMs = Date.now()) {
+  if (local.year !== undefined) {
+    return zonedTimeToUtcMs(timeZone, local.year, local.month, local.day, local.hour, local.minute);
+  }
+
+  const ref = localParts(timeZone, referenceMs);
+  let ms = zonedTimeToUtcMs(timeZone, ref.year, ref.month, ref.day, local.hour, local.minute);
+  if (ms < referenceMs) {
+    const next = new Date(Date.UTC(ref.year, ref.month - 1, ref.day + 1));
+    ms = zonedTimeToUtcMs(
+      timeZone,
+      next.getUTCFullYear(),
+      next.getUTCMonth() + 1,
+      next.getUTCDate(),
+      local.hour,
+      local.minute
+    );
+  }
+  return ms;
+}
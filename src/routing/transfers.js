@@ -2,34 +2,34 @@
 // Transfer generation (walk, rideshare, shuttle, public-transit static templates)
 // These create edge_leg + offer structures used by the routing engine.
 // No DB writes yet — Phase 3 will handle persistence.
+//
+// Transfers are time-dependent: every generator takes the earliest time the
+// traveler can start the transfer (usually the arrival of the previous leg
+// plus connection time) and stamps the offer relative to it. The graph only
+// stores transfer templates; the search materializes them lazily.
 
-import { EdgeMode, OfferSourceType, DEFAULT_RIDESHARE_MODEL } from "./types.js";
-import { logDev } from "./config.js";
+import { EdgeMode, OfferSourceType, DEFAULT_RIDESHARE_MODEL, DEFAULT_SHUTTLE_MODEL } from "./types.js";
+import { haversineKm } from "./spatialIndex.js";
+import { localParts, parseLocalDateTime, zonedTimeToUtcMs } from "./timezone.js";
 
 /**
- * Compute haversine distance in km.
+ * Resolve a departure anchor to epoch millis (defaults to now).
  */
-function haversine(lat1, lon1, lat2, lon2) {
-  const R = 6371;
-  const toRad = (d) => (d * Math.PI) / 180;
-  const dLat = toRad(lat2 - lat1);
-  const dLon = toRad(lon2 - lon1);
-
-  const a =
-    Math.sin(dLat / 2) ** 2 +
-    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
-
-  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+function anchorMs(departAfterUtc) {
+  if (departAfterUtc == null) return Date.now();
+  return typeof departAfterUtc === "number"
+    ? departAfterUtc
+    : Date.parse(departAfterUtc);
 }
 
 /**
  * Generate a walking transfer between two nodes.
  * - No price
  * - Duration estimated from distance
- * - Synthetic but valid within static timeline semantics
+ * - Departs as soon as the traveler is ready (departAfterUtc)
  */
-export function generateWalkTransfer(originNode, destNode) {
-  const distanceKm = haversine(
+export function generateWalkTransfer(originNode, destNode, departAfterUtc) {
+  const distanceKm = haversineKm(
     originNode.lat,
     originNode.lon,
     destNode.lat,
@@ -39,18 +39,13 @@ export function generateWalkTransfer(originNode, destNode) {
   // walking speed ~ 5 km/h
   const durationMin = Math.max(3, Math.round((distanceKm / 5) * 60));
 
-  const now = new Date();
-  const arrival = new Date(now.getTime() + durationMin * 60000);
-
-  logDev("generateWalkTransfer", {
-    from: originNode.name,
-    to: destNode.name,
-    distanceKm,
-    durationMin,
-  });
+  const departure = new Date(anchorMs(departAfterUtc));
+  const arrival = new Date(departure.getTime() + durationMin * 60000);
 
   return {
     edge_leg: {
+      from_node_id: originNode.id,
+      to_node_id: destNode.id,
       mode: EdgeMode.WALK,
       is_transfer: 1,
       distance_km: distanceKm,
@@ -59,12 +54,12 @@ export function generateWalkTransfer(originNode, destNode) {
       structure_type: "static",
     },
     offer: {
-      departure_time_utc: now.toISOString(),
+      departure_time_utc: departure.toISOString(),
       arrival_time_utc: arrival.toISOString(),
       price_total: 0,
       currency: "USD",
       source_type: OfferSourceType.MANUAL_STATIC,
-      retrieval_time_utc: now.toISOString(),
+      retrieval_time_utc: new Date().toISOString(),
       is_static: 1,
       validity_window_hrs: 9999,
     },
@@ -72,12 +67,14 @@ export function generateWalkTransfer(originNode, destNode) {
 }
 
 /**
- * Deterministic MVP rideshare cost estimate.
+ * Deterministic MVP rideshare cost estimate, priced per vehicle.
  * Returns synthetic edge_leg + offer objects that the search engine can ingest.
+ * Pickup is assumed immediate once the traveler is ready (departAfterUtc).
  */
 export function generateRideshareTransfer(
   originNode,
   destNode,
+  departAfterUtc,
   opts = DEFAULT_RIDESHARE_MODEL
 ) {
   const {
@@ -86,9 +83,10 @@ export function generateRideshareTransfer(
     per_min,
     avg_speed_kmh,
     surge_coeff,
+    seats,
   } = { ...DEFAULT_RIDESHARE_MODEL, ...opts };
 
-  const distanceKm = haversine(
+  const distanceKm = haversineKm(
     originNode.lat,
     originNode.lon,
     destNode.lat,
@@ -105,19 +103,13 @@ export function generateRideshareTransfer(
 
   price = Math.round(price * 100) / 100;
 
-  const now = new Date();
-  const arrival = new Date(now.getTime() + durationMin * 60000);
-
-  logDev("generateRideshareTransfer", {
-    from: originNode.name,
-    to: destNode.name,
-    distanceKm,
-    durationMin,
-    price,
-  });
+  const departure = new Date(anchorMs(departAfterUtc));
+  const arrival = new Date(departure.getTime() + durationMin * 60000);
 
   return {
     edge_leg: {
+      from_node_id: originNode.id,
+      to_node_id: destNode.id,
       mode: EdgeMode.RIDESHARE,
       is_transfer: 1,
       distance_km: distanceKm,
@@ -126,50 +118,130 @@ export function generateRideshareTransfer(
       structure_type: "dynamic_template",
     },
     offer: {
-      departure_time_utc: now.toISOString(),
+      departure_time_utc: departure.toISOString(),
       arrival_time_utc: arrival.toISOString(),
       price_total: price,
       currency: "USD",
       source_type: OfferSourceType.ESTIMATED_MODEL,
-      retrieval_time_utc: now.toISOString(),
+      retrieval_time_utc: new Date().toISOString(),
       ttl_hrs: 1,
       is_static: 0,
+      meta_json: JSON.stringify({ price_basis: "per_vehicle", seats }),
     },
   };
 }
 
+/**
+ * Minutes after midnight of a "HH:MM" shuttle model field.
+ */
+function clockMinutes(name, value) {
+  const local = parseLocalDateTime(value);
+  if (!local || local.year !== undefined) {
+    throw new Error(`Invalid shuttle ${name} "${value}" (expected HH:MM)`);
+  }
+  return local.hour * 60 + local.minute;
+}
+
+const shuttleWindowCache = new Map();
+
+/**
+ * Shuttle service windows [{ startMs, endMs }] in `zone` for the service
+ * days from the day before `readyMs` to two days after. Cached per
+ * 15-minute bucket: local days start on such a boundary in every timezone.
+ */
+function shuttleWindows(readyMs, firstMin, lastMin, zone) {
+  const key = `${zone}|${firstMin}|${lastMin}|${Math.floor(readyMs / 900000)}`;
+  let windows = shuttleWindowCache.get(key);
+  if (windows) return windows;
+
+  const today = localParts(zone, readyMs);
+  const at = (dayOffset, minutes) => {
+    const day = new Date(Date.UTC(today.year, today.month - 1, today.day + dayOffset));
+    return zonedTimeToUtcMs(
+      zone,
+      day.getUTCFullYear(),
+      day.getUTCMonth() + 1,
+      day.getUTCDate(),
+      Math.floor(minutes / 60),
+      minutes % 60
+    );
+  };
+
+  // Yesterday's window matters when service runs past midnight
+  windows = [];
+  for (let dayOffset = -1; dayOffset <= 2; dayOffset++) {
+    windows.push({
+      startMs: at(dayOffset, firstMin),
+      endMs: at(lastMin < firstMin ? dayOffset + 1 : dayOffset, lastMin),
+    });
+  }
+
+  if (shuttleWindowCache.size > 10000) shuttleWindowCache.clear();
+  shuttleWindowCache.set(key, windows);
+  return windows;
+}
+
+/**
+ * Next scheduled shuttle departure at or after `readyMs`.
+ *
+ * Service runs every `headway_min` minutes from `first_departure_local` to
+ * `last_departure_local`, wall-clock times in `timeZone` (the boarding
+ * node's; UTC when unknown). A window ending before it starts runs past
+ * midnight into the next local day. After the last run the traveler waits
+ * for the first run of the next service day.
+ */
+export function nextShuttleDepartureMs(readyMs, opts = DEFAULT_SHUTTLE_MODEL, timeZone = null) {
+  const { headway_min, first_departure_local, last_departure_local } = {
+    ...DEFAULT_SHUTTLE_MODEL,
+    ...opts,
+  };
+  const firstMin = clockMinutes("first_departure_local", first_departure_local);
+  const lastMin = clockMinutes("last_departure_local", last_departure_local);
+  const headwayMs = headway_min * 60000;
+
+  for (const { startMs, endMs } of shuttleWindows(readyMs, firstMin, lastMin, timeZone || "UTC")) {
+    if (readyMs <= startMs) return startMs;
+    if (readyMs > endMs) continue;
+
+    const nextMs = startMs + Math.ceil((readyMs - startMs) / headwayMs) * headwayMs;
+    if (nextMs <= endMs) return nextMs;
+  }
+  throw new Error("No shuttle run found"); // unreachable: day +2 starts after readyMs
+}
+
 /**
  * Shuttle/public-transit template.
+ * Departs on the next scheduled run (headway + local first/last departure at
+ * the origin node) at or after departAfterUtc.
  * You may extend this later with static GTFS subsets or curated schedules.
  */
 export function generateShuttleTransfer(
   originNode,
   destNode,
-  opts = { flat_price: 12, avg_speed_kmh: 25 }
+  departAfterUtc,
+  opts = DEFAULT_SHUTTLE_MODEL
 ) {
-  const distanceKm = haversine(
+  const model = { ...DEFAULT_SHUTTLE_MODEL, ...opts };
+
+  const distanceKm = haversineKm(
     originNode.lat,
     originNode.lon,
     destNode.lat,
     destNode.lon
   );
-  const durationMin = Math.round((distanceKm / opts.avg_speed_kmh) * 60);
+  const durationMin = Math.round((distanceKm / model.avg_speed_kmh) * 60);
 
-  const now = new Date();
-  const arrival = new Date(now.getTime() + durationMin * 60000);
-
-  const price = opts.flat_price ?? 12;
+  const departure = new Date(
+    nextShuttleDepartureMs(anchorMs(departAfterUtc), model, originNode.timezone)
+  );
+  const arrival = new Date(departure.getTime() + durationMin * 60000);
 
-  logDev("generateShuttleTransfer", {
-    from: originNode.name,
-    to: destNode.name,
-    distanceKm,
-    durationMin,
-    price,
-  });
+  const price = model.flat_price ?? 12;
 
   return {
     edge_leg: {
+      from_node_id: originNode.id,
+      to_node_id: destNode.id,
       mode: EdgeMode.SHUTTLE,
       is_transfer: 1,
       distance_km: distanceKm,
@@ -178,14 +250,90 @@ export function generateShuttleTransfer(
       structure_type: "static",
     },
     offer: {
-      departure_time_utc: now.toISOString(),
+      departure_time_utc: departure.toISOString(),
       arrival_time_utc: arrival.toISOString(),
       price_total: price,
       currency: "USD",
       source_type: OfferSourceType.MANUAL_STATIC,
-      retrieval_time_utc: now.toISOString(),
+      retrieval_time_utc: new Date().toISOString(),
       validity_window_hrs: 24,
       is_static: 1,
+      meta_json: JSON.stringify({ headway_min: model.headway_min }),
     },
   };
 }
+
+/**
+ * Create a transfer template for the graph adjacency.
+ * Templates carry no times; see materializeTransfer.
+ */
+export function createTransferTemplate(mode, fromNode, toNode) {
+  return { transferMode: mode, fromNode, toNode };
+}
+
+/**
+ * Turn a transfer template into a concrete { edge_leg, offer } leg that
+ * departs no earlier than departAfterUtc.
+ */
+export function materializeTransfer(template, departAfterUtc) {
+  const { transferMode, fromNode, toNode } = template;
+
+  switch (transferMode) {
+    case EdgeMode.WALK:
+      return generateWalkTransfer(fromNode, toNode, departAfterUtc);
+    case EdgeMode.RIDESHARE:
+      return generateRideshareTransfer(fromNode, toNode, departAfterUtc);
+    case EdgeMode.SHUTTLE:
+      return generateShuttleTransfer(fromNode, toNode, departAfterUtc);
+    default:
+      throw new Error(`Unsupported transfer mode: ${transferMode}`);
+  }
+}
+
+/**
+ * Turn a transfer template into a concrete leg that arrives no later than
+ * arriveByMs (for arrive-by search), departing as late as the template
+ * allows. Walks and rideshares take a fixed time; for shuttles the start is
+ * stepped back (further each time the same run comes up) until a run
+ * arrives in time, then moved forward again to the latest such run.
+ *
+ * Returns null when no run is found within a few steps.
+ */
+export function materializeTransferArrivingBy(template, arriveByMs) {
+  const arrivalOf = (leg) => Date.parse(leg.offer.arrival_time_utc);
+  const probe = materializeTransfer(template, arriveByMs);
+  let readyMs =
+    arriveByMs - (arrivalOf(probe) - Date.parse(probe.offer.departure_time_utc));
+  let lateMs = null; // a start known to arrive too late
+  let backoffMs = 60000;
+
+  for (let step = 0; step < 20; step++) {
+    const leg = materializeTransfer(template, readyMs);
+    const overshootMs = arrivalOf(leg) - arriveByMs;
+    if (overshootMs <= 0) {
+      if (lateMs == null) return leg;
+
+      // Latest start in (readyMs, lateMs) that still arrives in time
+      let best = leg;
+      let lo = readyMs;
+      let hi = lateMs;
+      while (hi - lo > 60000) {
+        const mid = lo + Math.floor((hi - lo) / 2);
+        const candidate = materializeTransfer(template, mid);
+        if (arrivalOf(candidate) <= arriveByMs) {
+          best = candidate;
+          lo = mid;
+        } else {
+          hi = mid;
+        }
+      }
+      return best;
+    }
+
+    lateMs = readyMs;
+    readyMs -= Math.max(overshootMs, backoffMs);
+    backoffMs *= 2;
+  }
+
+  return null;
+}
@@ -29,17 +29,161 @@ export const NodeKind = {
     ESTIMATED_MODEL: "estimated_model",
   };
   
+  // Age after which a still-valid offer's price is flagged stale, by
+  // source_type (null: never, e.g. timetables and model estimates).
+  export const DEFAULT_OFFER_STALE_AFTER_HRS = {
+    [OfferSourceType.API_LIVE]: 6,
+    [OfferSourceType.CACHED]: 24,
+    [OfferSourceType.MANUAL_STATIC]: null,
+    [OfferSourceType.ESTIMATED_MODEL]: null,
+  };
+  
+  export const PassengerType = {
+    ADULT: "adult",
+    CHILD: "child",
+    SENIOR: "senior",
+    STUDENT: "student",
+  };
+  
+  // Party a search prices for: counts by PassengerType plus discount cards
+  // held (e.g. rail cards); see passengers.js.
+  export const DEFAULT_PASSENGERS = {
+    [PassengerType.ADULT]: 1,
+    [PassengerType.CHILD]: 0,
+    [PassengerType.SENIOR]: 0,
+    [PassengerType.STUDENT]: 0,
+    discount_cards: [],
+  };
+  
+  export const BaggageItem = {
+    PERSONAL_ITEM: "personal_item",
+    CARRY_ON: "carry_on",
+    CHECKED: "checked",
+  };
+  
+  // Bags each passenger brings (params.baggage); fees beyond the carrier's
+  // allowance come from the ancillary_fee table (see ancillaryFees.js).
+  export const DEFAULT_BAGGAGE = {
+    [BaggageItem.PERSONAL_ITEM]: 1,
+    [BaggageItem.CARRY_ON]: 0,
+    [BaggageItem.CHECKED]: 0,
+  };
+  
   export const SearchStatus = {
     OK: "OK",
     TIME_EXHAUSTED: "TIME_BUDGET_EXHAUSTED",
     NO_ROUTE: "NO_FEASIBLE_ROUTE",
   };
   
+  export const SearchMode = {
+    BEST: "best",
+    PARETO: "pareto",
+    K_BEST: "k_best",
+  };
+  
+  export const ConnectionType = {
+    NONE: "none", // stepping off a ground vehicle onto a transfer
+    AIR_TO_GROUND: "air_to_ground",
+    GROUND_TO_AIR: "ground_to_air",
+    ANY: "any_to_any",
+    ON_BOARD: "stay_on_board", // next segment of the same run (split ticket)
+  };
+  
+  // Split tickets: consecutive segments of one train or bus service (same
+  // carrier_code and service_code) bought as separate offers. The traveler
+  // stays on board, so the connection needs no MCT and carries no
+  // misconnect or self-transfer risk, as long as the service leaves again
+  // within max_dwell_min of arriving.
+  export const DEFAULT_SPLIT_TICKET = {
+    modes: [EdgeMode.TRAIN, EdgeMode.BUS],
+    max_dwell_min: 30,
+  };
+  
+  // Node-level MCT fallbacks (schema defaults) for nodes without values,
+  // e.g. geocoded address endpoints.
+  export const DEFAULT_MCT_MIN = {
+    air_to_ground: 30,
+    ground_to_air: 60,
+    any_to_any: 10,
+  };
+  
+  // Risk penalties added to the generalized cost (amounts in the search
+  // currency; see risk.js):
+  //   - misconnect: P(miss) = base probability of the arriving mode decaying
+  //     exponentially with the buffer over the MCT, times the cost of a miss
+  //     (higher on a self-transfer, where no carrier rebooks the traveler)
+  //   - self_transfer: flat cost of connecting between separate tickets
+  //   - reliability: (1 − offer.reliability_score) × unreliability_cost
+  //   - price_uncertainty: share of the leg price by offer.source_type
+  export const DEFAULT_RISK_MODEL = {
+    misconnect_base_prob: {
+      [EdgeMode.FLIGHT]: 0.3,
+      [EdgeMode.TRAIN]: 0.15,
+      [EdgeMode.BUS]: 0.2,
+      default: 0.1,
+    },
+    misconnect_decay_min: 30,
+    misconnect_cost: { protected: 40, self_transfer: 150 },
+    self_transfer_penalty: 8,
+    unreliability_cost: 60,
+    price_uncertainty: {
+      [OfferSourceType.API_LIVE]: 0,
+      [OfferSourceType.CACHED]: 0.05,
+      [OfferSourceType.MANUAL_STATIC]: 0.02,
+      [OfferSourceType.ESTIMATED_MODEL]: 0.15,
+    },
+  };
+  
+  // Traveler mode preferences (params.modePreferences; see modePreferences.js):
+  //   - exclude: modes never used
+  //   - multipliers: factor on a leg's cash + time cost by mode (< 1 prefers,
+  //     > 1 avoids)
+  //   - max_distance_km: total distance per mode over the itinerary
+  //   - max_legs: number of legs per mode
+  export const DEFAULT_MODE_PREFERENCES = {
+    exclude: [],
+    multipliers: {},
+    max_distance_km: {},
+    max_legs: {},
+  };
+  
+  // Intermodal vs. direct comparison (params.arbitrage; see arbitrage.js):
+  // each search also finds the best itinerary using only one of
+  // baseline_modes (plus access transfers), within timeout_ms per mode and
+  // the time left of the search's own timeoutMs, and flags intermodal
+  // itineraries saving at least threshold_pct of the baseline's price after
+  // risk.
+  export const DEFAULT_ARBITRAGE = {
+    threshold_pct: 15,
+    baseline_modes: [EdgeMode.FLIGHT, EdgeMode.TRAIN, EdgeMode.BUS],
+    timeout_ms: 2000,
+  };
+  
   export const DEFAULT_RIDESHARE_MODEL = {
     base_fare: 3.00,
     per_km: 1.25,
     per_min: 0.25,
     avg_speed_kmh: 35,
     surge_coeff: 1.0,
+    seats: 4, // priced per vehicle; larger parties book more vehicles
+  };
+  
+  // Shuttle service window in local time at the boarding node ("HH:MM");
+  // a last departure earlier than the first means service runs past
+  // midnight (e.g. 18:00 to 02:00).
+  export const DEFAULT_SHUTTLE_MODEL = {
+    flat_price: 12,
+    avg_speed_kmh: 25,
+    headway_min: 30,
+    first_departure_local: "05:00",
+    last_departure_local: "23:30",
+  };
+  
+  // Transfer template generation per mode: connect each node to at most
+  // maxNeighbors nodes within radiusKm; airports are reachable from
+  // airportRadiusKm (and reach up to maxAirportNeighbors nodes that far).
+  export const DEFAULT_TRANSFER_RULES = {
+    [EdgeMode.WALK]: { radiusKm: 1, maxNeighbors: 20 },
+    [EdgeMode.RIDESHARE]: { radiusKm: 15, maxNeighbors: 8, airportRadiusKm: 60, maxAirportNeighbors: 40 },
+    [EdgeMode.SHUTTLE]: { radiusKm: 5, maxNeighbors: 4, airportRadiusKm: 40, maxAirportNeighbors: 20 },
   };
-  
\ No newline at end of file
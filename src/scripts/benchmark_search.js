@@ -0,0 +1,209 @@
+// src/scripts/benchmark_search.js
+// Search throughput benchmark on a synthetic rail network injected via
+// params.graph (no DB access). Nodes are scattered over a ~350 km region,
+// each linked to its nearest neighbors with timed departures through the day.
+//
+// Usage:
+//   npm run bench-search -- [--nodes 1500] [--degree 3] [--headway-min 120] \
+//     [--runs 10] [--mode best|pareto|k_best] [--timeout-ms 5000] [--seed 42]
+
+import { parseArgs } from "util";
+import { setDevMode } from "../routing/config.js";
+import { createFeeTable } from "../routing/ancillaryFees.js";
+import { createFxTable } from "../routing/fx.js";
+import { assembleGraph } from "../routing/graph.js";
+import { searchItinerariesDoorToDoor } from "../routing/search.js";
+import { createSpatialIndex, distanceKm } from "../routing/spatialIndex.js";
+import { EdgeMode, NodeKind, SearchMode } from "../routing/types.js";
+
+const BENCH_DATE = "2026-11-02";
+const FIRST_DEPARTURE_MIN = 5 * 60;
+const LAST_DEPARTURE_MIN = 23 * 60;
+const TRAIN_SPEED_KMH = 90;
+
+/**
+ * Deterministic PRNG (mulberry32) so runs are comparable.
+ */
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function isoAt(minuteOfDay) {
+  return new Date(Date.parse(`${BENCH_DATE}T00:00:00Z`) + minuteOfDay * 60000).toISOString();
+}
+
+/**
+ * Synthetic network: { nodes, edges, offers }.
+ */
+function generateNetwork({ nodeCount, degree, headwayMin, random }) {
+  const nodes = [];
+  for (let i = 1; i <= nodeCount; i++) {
+    nodes.push({
+      id: i,
+      name: `Station ${i}`,
+      kind: NodeKind.STATION,
+      lat: 47 + random() * 3,
+      lon: 9 + random() * 5,
+      area_id: null,
+      is_hub: 0,
+    });
+  }
+
+  const index = createSpatialIndex(nodes);
+  const edges = [];
+  const offers = [];
+  const seen = new Set();
+
+  const addEdge = (from, to) => {
+    const key = `${from.id}|${to.id}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+
+    const km = distanceKm(from, to);
+    const edge = {
+      id: edges.length + 1,
+      from_node_id: from.id,
+      to_node_id: to.id,
+      mode: EdgeMode.TRAIN,
+      carrier_code: "BENCH",
+      service_code: key,
+      distance_km: km,
+      duration_min: Math.max(3, Math.round((km / TRAIN_SPEED_KMH) * 60) + 2),
+      is_transfer: 0,
+    };
+    edges.push(edge);
+
+    // Stagger the first departure per edge so connections do not all align.
+    const offset = Math.floor(random() * headwayMin);
+    for (let dep = FIRST_DEPARTURE_MIN + offset; dep <= LAST_DEPARTURE_MIN; dep += headwayMin) {
+      offers.push({
+        id: offers.length + 1,
+        edge_leg_id: edge.id,
+        departure_time_utc: isoAt(dep),
+        arrival_time_utc: isoAt(dep + edge.duration_min),
+        price_total: Math.round((2 + 0.12 * km) * 100) / 100,
+        currency: "EUR",
+      });
+    }
+  };
+
+  for (const node of nodes) {
+    const neighbors = index.nearest(node.lat, node.lon, degree, {
+      filter: (other) => other.id !== node.id,
+    });
+    for (const { item } of neighbors) {
+      addEdge(node, item);
+      addEdge(item, node);
+    }
+  }
+
+  return { nodes, edges, offers };
+}
+
+function pickPairs(nodes, runs, random) {
+  const pairs = [];
+  while (pairs.length < runs) {
+    const a = nodes[Math.floor(random() * nodes.length)];
+    const b = nodes[Math.floor(random() * nodes.length)];
+    if (a.id !== b.id && distanceKm(a, b) >= 80) pairs.push([a, b]);
+  }
+  return pairs;
+}
+
+const nodeSpec = (node) => ({ raw: `bench:${node.id}`, isArea: true, nodes: [node] });
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      nodes: { type: "string" },
+      degree: { type: "string" },
+      "headway-min": { type: "string" },
+      runs: { type: "string" },
+      mode: { type: "string" },
+      "timeout-ms": { type: "string" },
+      seed: { type: "string" },
+      verbose: { type: "boolean" },
+    },
+  });
+
+  const mode = values.mode || SearchMode.BEST;
+  if (!Object.values(SearchMode).includes(mode)) {
+    console.error(`Unknown mode "${mode}" (expected ${Object.values(SearchMode).join(", ")})`);
+    return 1;
+  }
+
+  setDevMode(Boolean(values.verbose));
+
+  const random = createRandom(Number(values.seed ?? 42));
+  const buildStart = Date.now();
+  const network = generateNetwork({
+    nodeCount: Number(values.nodes ?? 1500),
+    degree: Number(values.degree ?? 3),
+    headwayMin: Number(values["headway-min"] ?? 120),
+    random,
+  });
+  const graph = assembleGraph(network);
+  const buildMs = Date.now() - buildStart;
+
+  console.log(
+    `Graph: ${network.nodes.length} nodes, ${network.edges.length} edges, ` +
+      `${network.offers.length} timed edges (built in ${buildMs} ms)`
+  );
+
+  const timeoutMs = Number(values["timeout-ms"] ?? 5000);
+  // Synthetic offers are in EUR, transfers in USD
+  const fxTable = createFxTable([
+    { base_currency: "EUR", quote_currency: "USD", rate: 1.09, effective_date: "2000-01-01" },
+  ]);
+  const feeTable = createFeeTable([]);
+  let totalExpansions = 0;
+  let totalMs = 0;
+
+  for (const [from, to] of pickPairs(network.nodes, Number(values.runs ?? 10), random)) {
+    const start = Date.now();
+    const result = await searchItinerariesDoorToDoor(nodeSpec(from), nodeSpec(to), {
+      graph,
+      fxTable,
+      feeTable,
+      mode,
+      timeoutMs,
+      departAfterUtc: isoAt(6 * 60),
+      arbitrage: false, // measure the main search only
+      persist: false,
+    });
+    const ms = Date.now() - start;
+
+    totalExpansions += result.expansions;
+    totalMs += ms;
+
+    console.log(
+      `${String(from.id).padStart(5)} → ${String(to.id).padEnd(5)} ` +
+        `${Math.round(distanceKm(from, to))} km  ${result.search_status.padEnd(22)} ` +
+        `${String(result.expansions).padStart(7)} exp  ${String(ms).padStart(5)} ms  ` +
+        `${Math.round((result.expansions / Math.max(ms, 1)) * 1000)} exp/s  ` +
+        `${result.itineraries.length} itineraries`
+    );
+  }
+
+  console.log(
+    `Total: ${totalExpansions} expansions in ${totalMs} ms ` +
+      `(${Math.round((totalExpansions / Math.max(totalMs, 1)) * 1000)} exp/s)`
+  );
+  return 0;
+}
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    console.error("Benchmark failed:", err.message);
+    process.exitCode = 1;
+  });
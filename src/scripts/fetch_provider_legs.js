@@ -0,0 +1,60 @@
+// src/scripts/fetch_provider_legs.js
+// Fetch legs for a corridor from the enabled providers (cache-through) and
+// ingest them into the graph tables.
+//
+// Usage:
+//   npm run fetch-legs -- --from NYC --to BOS --date 2026-11-15 [--provider mock]
+
+import { parseArgs } from "util";
+import { setDevMode } from "../routing/config.js";
+import { fetchCorridorLegs, getProvider, getEnabledProviders } from "../providers/index.js";
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      from: { type: "string" },
+      to: { type: "string" },
+      date: { type: "string" },
+      provider: { type: "string", multiple: true },
+      verbose: { type: "boolean" },
+    },
+  });
+
+  if (!values.from || !values.to || !/^\d{4}-\d{2}-\d{2}$/.test(values.date || "")) {
+    console.error("Usage: npm run fetch-legs -- --from <code> --to <code> --date YYYY-MM-DD [--provider <name>]");
+    return 1;
+  }
+
+  setDevMode(Boolean(values.verbose));
+
+  const providers = values.provider
+    ? values.provider.map((name) => getProvider(name))
+    : getEnabledProviders();
+
+  const summaries = await fetchCorridorLegs(
+    { origin: values.from, destination: values.to, date: values.date },
+    { providers }
+  );
+
+  for (const s of summaries) {
+    if (s.error) {
+      console.error(`  ${s.provider}: FAILED — ${s.error}`);
+    } else {
+      console.log(
+        `  ${s.provider}: ${s.offers} offers, ${s.edges} edges, ${s.nodes} nodes ` +
+          `(${s.cacheHit ? "cache hit" : "fetched"}, api_cache #${s.apiCacheId})`
+      );
+    }
+  }
+
+  return summaries.some((s) => s.error) ? 1 : 0;
+}
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    console.error("Fetch failed:", err.message);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,42 @@
+// src/scripts/import_ancillary_fees.js
+// Load ancillary (baggage) fee CSV files priced into legs during search.
+//
+// Usage:
+//   npm run import-ancillary-fees -- --csv Data/fixtures/ancillary/fees.csv \
+//     [--csv more.csv] [--source carrier-sites]
+
+import { parseArgs } from "util";
+import { setDevMode } from "../routing/config.js";
+import { importAncillaryFeeFiles } from "../importers/ancillaryFees.js";
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      csv: { type: "string", multiple: true },
+      source: { type: "string" },
+      verbose: { type: "boolean" },
+    },
+  });
+
+  if (!values.csv || values.csv.length === 0) {
+    console.error(
+      "Usage: npm run import-ancillary-fees -- --csv <file> [--csv <file>] [--source <name>]"
+    );
+    return 1;
+  }
+
+  setDevMode(Boolean(values.verbose));
+
+  const summary = await importAncillaryFeeFiles(values.csv, { source: values.source || "csv" });
+  console.log(`Ancillary fees: ${summary.fees} fees (${summary.skipped} skipped)`);
+  return 0;
+}
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    console.error("Ancillary fee import failed:", err.message);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,40 @@
+// src/scripts/import_fx_rates.js
+// Load FX rate CSV files used to convert offer prices during search.
+//
+// Usage:
+//   npm run import-fx-rates -- --csv Data/fixtures/fx/rates.csv \
+//     [--csv more.csv] [--source ecb]
+
+import { parseArgs } from "util";
+import { setDevMode } from "../routing/config.js";
+import { importFxRateFiles } from "../importers/fxRates.js";
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      csv: { type: "string", multiple: true },
+      source: { type: "string" },
+      verbose: { type: "boolean" },
+    },
+  });
+
+  if (!values.csv || values.csv.length === 0) {
+    console.error("Usage: npm run import-fx-rates -- --csv <file> [--csv <file>] [--source <name>]");
+    return 1;
+  }
+
+  setDevMode(Boolean(values.verbose));
+
+  const summary = await importFxRateFiles(values.csv, { source: values.source || "csv" });
+  console.log(`FX rates: ${summary.rates} rates (${summary.skipped} skipped)`);
+  return 0;
+}
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    console.error("FX rate import failed:", err.message);
+    process.exitCode = 1;
+  });
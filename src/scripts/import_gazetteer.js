@@ -0,0 +1,41 @@
+// src/scripts/import_gazetteer.js
+// Load gazetteer CSV files (addresses, streets, postcodes, places) used by
+// the offline geocoder.
+//
+// Usage:
+//   npm run import-gazetteer -- --csv Data/fixtures/gazetteer/sample.csv \
+//     [--csv more.csv] [--source osm]
+
+import { parseArgs } from "util";
+import { setDevMode } from "../routing/config.js";
+import { importGazetteerFiles } from "../importers/gazetteer.js";
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      csv: { type: "string", multiple: true },
+      source: { type: "string" },
+      verbose: { type: "boolean" },
+    },
+  });
+
+  if (!values.csv || values.csv.length === 0) {
+    console.error("Usage: npm run import-gazetteer -- --csv <file> [--csv <file>] [--source <name>]");
+    return 1;
+  }
+
+  setDevMode(Boolean(values.verbose));
+
+  const summary = await importGazetteerFiles(values.csv, { source: values.source || "csv" });
+  console.log(`Gazetteer: ${summary.entries} entries (${summary.skipped} skipped)`);
+  return 0;
+}
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    console.error("Gazetteer import failed:", err.message);
+    process.exitCode = 1;
+  });
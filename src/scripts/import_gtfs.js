@@ -0,0 +1,56 @@
+// src/scripts/import_gtfs.js
+// Import a GTFS static feed (zip or directory) into the graph tables.
+//
+// Usage:
+//   npm run import-gtfs -- --feed path/to/gtfs.zip --feed-id mvv \
+//     --start 2026-11-01 [--days 7] [--currency EUR] [--default-tz Europe/Berlin]
+
+import { parseArgs } from "util";
+import { setDevMode } from "../routing/config.js";
+import { importGtfsFeed } from "../importers/gtfs.js";
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      feed: { type: "string" },
+      "feed-id": { type: "string" },
+      start: { type: "string" },
+      days: { type: "string", default: "7" },
+      currency: { type: "string", default: "USD" },
+      "default-tz": { type: "string" },
+      verbose: { type: "boolean" },
+    },
+  });
+
+  if (!values.feed || !values["feed-id"] || !values.start) {
+    console.error(
+      "Usage: npm run import-gtfs -- --feed <zip|dir> --feed-id <id> --start YYYY-MM-DD [--days 7] [--currency USD]"
+    );
+    return 1;
+  }
+
+  setDevMode(Boolean(values.verbose));
+
+  const summary = await importGtfsFeed(values.feed, {
+    feedId: values["feed-id"],
+    startDate: values.start,
+    days: Number(values.days),
+    currency: values.currency,
+    defaultTimezone: values["default-tz"],
+  });
+
+  console.log(
+    `Imported ${summary.nodes} stations, ${summary.edges} edges, ${summary.offers} offers ` +
+      `(skipped ${summary.skippedRoutes} unsupported routes, ${summary.skippedTrips} trips)`
+  );
+  return 0;
+}
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    console.error("GTFS import failed:", err.message);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,64 @@
+// src/scripts/import_reference_data.js
+// Import cities (area rows) and airports (airport nodes + catchment areas).
+//
+// Usage:
+//   npm run import-reference -- --cities Data/fixtures/reference/cities.csv \
+//     --airports Data/fixtures/reference/airports.csv [--catchment-km 50] \
+//     [--types large_airport,medium_airport]
+
+import { parseArgs } from "util";
+import { setDevMode } from "../routing/config.js";
+import {
+  importReferenceData,
+  DEFAULT_AIRPORT_TYPES,
+  DEFAULT_CATCHMENT_RADIUS_KM,
+} from "../importers/referenceData.js";
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      cities: { type: "string" },
+      airports: { type: "string" },
+      "catchment-km": { type: "string" },
+      types: { type: "string" },
+      verbose: { type: "boolean" },
+    },
+  });
+
+  if (!values.cities && !values.airports) {
+    console.error("Usage: npm run import-reference -- [--cities <csv>] [--airports <csv>]");
+    return 1;
+  }
+
+  setDevMode(Boolean(values.verbose));
+
+  const summary = await importReferenceData({
+    citiesPath: values.cities,
+    airportsPath: values.airports,
+    catchmentRadiusKm: values["catchment-km"]
+      ? Number(values["catchment-km"])
+      : DEFAULT_CATCHMENT_RADIUS_KM,
+    types: values.types ? values.types.split(",") : DEFAULT_AIRPORT_TYPES,
+  });
+
+  if (summary.cities) {
+    console.log(`Cities: ${summary.cities.areas} areas (${summary.cities.skipped} skipped)`);
+  }
+  if (summary.airports) {
+    const a = summary.airports;
+    console.log(
+      `Airports: ${a.airports} nodes, ${a.catchments} catchment areas, ` +
+        `${a.linked} linked to a city (${a.skipped} skipped)`
+    );
+  }
+  return 0;
+}
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    console.error("Reference import failed:", err.message);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,68 @@
+// src/scripts/record_provider_fixtures.js
+// Record provider responses for the regression corridors into a cassette
+// (Data/fixtures/recordings/<cassette>.json) for offline replay.
+//
+// Usage:
+//   npm run record-fixtures -- --date 2026-11-15 [--cassette corridors] [--provider mock]
+//
+// Replay later with:
+//   PROVIDER_MODE=replay PROVIDER_CASSETTE=corridors npm run fetch-legs -- ...
+
+import { parseArgs } from "util";
+import { PROVIDER_RECORDING, setDevMode } from "../routing/config.js";
+import { fetchCorridorLegs, getProvider, getEnabledProviders } from "../providers/index.js";
+
+// Corridors from the scaffold's regression list, both directions.
+const CORRIDORS = [
+  ["NYC", "BOS"],
+  ["BOS", "NYC"],
+  ["MUC", "VIE"],
+  ["VIE", "MUC"],
+];
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      date: { type: "string" },
+      cassette: { type: "string", default: "corridors" },
+      provider: { type: "string", multiple: true },
+      verbose: { type: "boolean" },
+    },
+  });
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(values.date || "")) {
+    console.error("Usage: npm run record-fixtures -- --date YYYY-MM-DD [--cassette <name>] [--provider <name>]");
+    return 1;
+  }
+
+  setDevMode(Boolean(values.verbose));
+
+  const providers = values.provider
+    ? values.provider.map((name) => getProvider(name))
+    : getEnabledProviders();
+  const recording = { ...PROVIDER_RECORDING, mode: "record", cassette: values.cassette };
+
+  for (const [origin, destination] of CORRIDORS) {
+    const summaries = await fetchCorridorLegs(
+      { origin, destination, date: values.date },
+      { providers, recording }
+    );
+    for (const s of summaries) {
+      console.log(
+        `  ${origin}→${destination} ${s.provider}: ` +
+          (s.error ? `FAILED — ${s.error}` : `${s.offers} offers recorded`)
+      );
+    }
+  }
+
+  return 0;
+}
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    console.error("Recording failed:", err.message);
+    process.exitCode = 1;
+  });
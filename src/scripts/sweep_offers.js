@@ -0,0 +1,39 @@
+// src/scripts/sweep_offers.js
+// Deactivate departed and expired (TTL / validity window) offers once, e.g.
+// from cron. The API server runs the same sweep in the background.
+//
+// Usage:
+//   npm run sweep-offers [-- --verbose]
+
+import { parseArgs } from "util";
+import { openDb, dbClose } from "../db/connection.js";
+import { setDevMode } from "../routing/config.js";
+import { sweepExpiredOffers } from "../routing/offerFreshness.js";
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      verbose: { type: "boolean" },
+    },
+  });
+
+  setDevMode(Boolean(values.verbose));
+
+  const db = openDb();
+  try {
+    const deactivated = await sweepExpiredOffers(db);
+    console.log(`Offers: ${deactivated} expired offer(s) deactivated`);
+  } finally {
+    await dbClose(db);
+  }
+  return 0;
+}
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    console.error("Offer sweep failed:", err.message);
+    process.exitCode = 1;
+  });
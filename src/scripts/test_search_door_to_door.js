@@ -0,0 +1,477 @@
+// src/scripts/test_search_door_to_door.js
+// Door-to-door search CLI.
+//
+// Usage:
+//   npm run search -- --from "address:1 Monument Cir, Indianapolis" --to "Chicago" \
+//     --depart 2026-11-01T08:00Z | --depart-local 08:00 [--depart-before <iso>] \
+//     [--arrive-by <iso> | --arrive-by-local 18:00] [--mode best|pareto|k_best] [--k 5] \
+//     [--time-value 20] [--transfer-penalty 6] [--max-detour 2.2] \
+//     [--exclude-modes flight,rideshare] [--mode-multipliers train=0.8] [--max-walk-km 1.5] \
+//     [--max-mode-legs flight=1] [--adults 2] [--children 1] [--seniors 0] [--students 0] \
+//     [--discount-cards railcard_16_25] [--carry-on 1] [--checked-bags 1] \
+//     [--arbitrage-threshold 15 | --no-arbitrage] [--currency USD] [--timeout-ms 5000] [--no-persist] [--json] [--verbose]
+
+import { parseArgs } from "util";
+import { setDevMode } from "../routing/config.js";
+import { normalizePlaceSpec } from "../routing/placeNormalization.js";
+import { searchItinerariesDoorToDoor } from "../routing/search.js";
+import { parseLocalDateTime } from "../routing/timezone.js";
+import { resolveModePreferences } from "../routing/modePreferences.js";
+import { partySize, resolvePassengers } from "../routing/passengers.js";
+import { resolveBaggage } from "../routing/ancillaryFees.js";
+import { resolveArbitrageOptions } from "../routing/arbitrage.js";
+import { SearchMode } from "../routing/types.js";
+
+const USAGE = `Usage: npm run search -- --from <spec> --to <spec> [options]
+
+Place specs: "address:<street address>", a city/area name, or "hotel near <city>".
+
+Options:
+  --depart <iso>            earliest departure, UTC (default: now)
+  --depart-local <time>     earliest departure as local time at the origin,
+                            HH:MM (next occurrence after --depart/now) or
+                            YYYY-MM-DDTHH:MM
+  --depart-before <iso>     latest departure, UTC (departure window)
+  --arrive-by <iso>         arrive-by search: latest arrival, UTC
+  --arrive-by-local <time>  latest arrival as local time at the destination,
+                            HH:MM or YYYY-MM-DDTHH:MM
+  --mode <mode>             best | pareto | k_best (default: best)
+  --k <n>                   results for k_best (default: 5)
+  --time-value <n>          timeValuePerHour (default: 20)
+  --transfer-penalty <n>    transferPenalty (default: 6)
+  --max-detour <n>          maxDetourFactor (default: 2.2)
+  --exclude-modes <list>    modes never used, e.g. flight,rideshare
+  --mode-multipliers <list> cost factor per mode, e.g. train=0.8,rideshare=1.5
+  --max-walk-km <n>         total walking distance
+  --max-mode-legs <list>    legs allowed per mode, e.g. flight=1
+  --adults, --children, --seniors, --students <n>
+                            party to price for (default: 1 adult)
+  --discount-cards <list>   discount cards held, e.g. railcard_16_25
+  --personal-items, --carry-on, --checked-bags <n>
+                            bags per passenger (default: 1 personal item)
+  --arbitrage-threshold <n> savings (% of the direct baseline) flagged as
+                            arbitrage (default: 15)
+  --no-arbitrage            skip the comparison with direct baselines
+  --currency <code>         currency prices are converted to (default: USD)
+  --timeout-ms <n>          search time budget in ms, direct baselines
+                            included (default: 5000)
+  --no-persist              do not save the search
+  --json                    print the raw result as JSON
+  --verbose                 keep [DEV] logging on
+  --help                    show this help`;
+
+/**
+ * Parse a numeric CLI option (undefined when absent).
+ */
+function numberOption(values, name) {
+  if (values[name] === undefined) return undefined;
+  const n = Number(values[name]);
+  if (!Number.isFinite(n)) {
+    throw new Error(`--${name} must be a number, got "${values[name]}"`);
+  }
+  return n;
+}
+
+/**
+ * Parse a "mode=number,..." CLI option into an object (undefined when absent).
+ */
+function modeTableOption(values, name) {
+  if (values[name] === undefined) return undefined;
+  const table = {};
+  for (const pair of values[name].split(",")) {
+    const [mode, raw] = pair.split("=");
+    const n = Number(raw);
+    if (!mode || !Number.isFinite(n)) {
+      throw new Error(`--${name} must look like mode=number,..., got "${values[name]}"`);
+    }
+    table[mode.trim()] = n;
+  }
+  return table;
+}
+
+/**
+ * Build search params from CLI options, omitting unset ones so the search
+ * defaults apply.
+ */
+function buildParams(values) {
+  const params = {
+    mode: values.mode,
+    k: numberOption(values, "k"),
+    timeValuePerHour: numberOption(values, "time-value"),
+    transferPenalty: numberOption(values, "transfer-penalty"),
+    maxDetourFactor: numberOption(values, "max-detour"),
+    timeoutMs: numberOption(values, "timeout-ms"),
+    currency: values.currency?.toUpperCase(),
+    persist: values["no-persist"] ? false : undefined,
+  };
+
+  if (values.depart !== undefined) {
+    const t = Date.parse(values.depart);
+    if (Number.isNaN(t)) {
+      throw new Error(`--depart is not a valid timestamp: "${values.depart}"`);
+    }
+    params.departAfterUtc = new Date(t).toISOString();
+  }
+
+  for (const [name, key] of [["depart-before", "departBeforeUtc"], ["arrive-by", "arriveByUtc"]]) {
+    if (values[name] === undefined) continue;
+    const t = Date.parse(values[name]);
+    if (Number.isNaN(t)) {
+      throw new Error(`--${name} is not a valid timestamp: "${values[name]}"`);
+    }
+    params[key] = new Date(t).toISOString();
+  }
+
+  if (values["arrive-by-local"] !== undefined) {
+    if (!parseLocalDateTime(values["arrive-by-local"])) {
+      throw new Error(`--arrive-by-local must be HH:MM or YYYY-MM-DDTHH:MM, got "${values["arrive-by-local"]}"`);
+    }
+    params.arriveByLocal = values["arrive-by-local"];
+  }
+
+  if (values["depart-local"] !== undefined) {
+    if (!parseLocalDateTime(values["depart-local"])) {
+      throw new Error(`--depart-local must be HH:MM or YYYY-MM-DDTHH:MM, got "${values["depart-local"]}"`);
+    }
+    params.departAfterLocal = values["depart-local"];
+  }
+
+  const maxWalkKm = numberOption(values, "max-walk-km");
+  const modePreferences = {
+    exclude: values["exclude-modes"]?.split(",").map((m) => m.trim()),
+    multipliers: modeTableOption(values, "mode-multipliers"),
+    max_distance_km: maxWalkKm === undefined ? undefined : { walk: maxWalkKm },
+    max_legs: modeTableOption(values, "max-mode-legs"),
+  };
+  if (Object.values(modePreferences).some((v) => v !== undefined)) {
+    params.modePreferences = resolveModePreferences(
+      Object.fromEntries(Object.entries(modePreferences).filter(([, v]) => v !== undefined))
+    );
+  }
+
+  const party = {
+    adult: numberOption(values, "adults"),
+    child: numberOption(values, "children"),
+    senior: numberOption(values, "seniors"),
+    student: numberOption(values, "students"),
+    discount_cards: values["discount-cards"]?.split(",").map((c) => c.trim()),
+  };
+  if (Object.values(party).some((v) => v !== undefined)) {
+    params.passengers = resolvePassengers(
+      Object.fromEntries(Object.entries(party).filter(([, v]) => v !== undefined))
+    );
+  }
+
+  const bags = {
+    personal_item: numberOption(values, "personal-items"),
+    carry_on: numberOption(values, "carry-on"),
+    checked: numberOption(values, "checked-bags"),
+  };
+  if (Object.values(bags).some((v) => v !== undefined)) {
+    params.baggage = resolveBaggage(
+      Object.fromEntries(Object.entries(bags).filter(([, v]) => v !== undefined))
+    );
+  }
+
+  if (values["no-arbitrage"]) {
+    params.arbitrage = false;
+  } else if (values["arbitrage-threshold"] !== undefined) {
+    params.arbitrage = resolveArbitrageOptions({
+      threshold_pct: numberOption(values, "arbitrage-threshold"),
+    });
+  }
+
+  if (params.currency && !/^[A-Z]{3}$/.test(params.currency)) {
+    throw new Error(`--currency must be a 3-letter currency code, got "${values.currency}"`);
+  }
+
+  if (params.mode && !Object.values(SearchMode).includes(params.mode)) {
+    throw new Error(`--mode must be one of ${Object.values(SearchMode).join(", ")}`);
+  }
+
+  return Object.fromEntries(
+    Object.entries(params).filter(([, v]) => v !== undefined)
+  );
+}
+
+function formatDuration(min) {
+  const h = Math.floor(min / 60);
+  const m = Math.round(min % 60);
+  return h > 0 ? `${h}h${String(m).padStart(2, "0")}m` : `${m}m`;
+}
+
+/**
+ * Local time with its UTC offset and "+1"-style day change when the
+ * itinerary carries one, else the UTC time.
+ */
+function formatTime(utc, local) {
+  if (!local) {
+    return new Date(utc).toISOString().slice(0, 16).replace("T", " ") + "Z";
+  }
+  const days = local.day_offset ? ` ${local.day_offset > 0 ? "+" : ""}${local.day_offset}` : "";
+  return `${local.time.replace("T", " ")} ${local.utc_offset}${days}`;
+}
+
+function formatMoney(amount, currency = "USD") {
+  return `${currency} ${Number(amount || 0).toFixed(2)}`;
+}
+
+/**
+ * Leg price in its original currency, plus the converted amount when the
+ * search currency differs.
+ */
+function formatLegPrice(leg) {
+  const { price, offer } = leg;
+  if (!price) return formatMoney(offer.price_total, offer.currency);
+
+  const vehicles = price.fares?.vehicles > 1 ? ` for ${price.fares.vehicles} vehicles` : "";
+  const original = formatMoney(price.original_amount, price.original_currency) + vehicles;
+  if (price.original_currency === price.currency) return original;
+  return price.amount == null
+    ? `${original} (no ${price.currency} rate)`
+    : `${original} (≈ ${formatMoney(price.amount, price.currency)})`;
+}
+
+/**
+ * "2 adult, 1 child (railcard_16_25)"-style party summary.
+ */
+function formatParty(passengers) {
+  const counts = Object.entries(passengers)
+    .filter(([type, n]) => type !== "discount_cards" && n > 0)
+    .map(([type, n]) => `${n} ${type}`);
+  const cards = passengers.discount_cards.length ? ` (${passengers.discount_cards.join(", ")})` : "";
+  return counts.join(", ") + cards;
+}
+
+function nodeLabel(node, fallbackId) {
+  return node ? node.name : `node ${fallbackId}`;
+}
+
+/**
+ * "saves USD 12.00 (20%), 35m slower, gen cost -4.2 vs direct train"-style
+ * comparison line.
+ */
+function formatVsDirect(c, currency) {
+  const cash =
+    c.savings_cash >= 0
+      ? `saves ${formatMoney(c.savings_cash, currency)}`
+      : `costs ${formatMoney(-c.savings_cash, currency)} more`;
+  const pct = c.savings_pct != null ? ` (${Math.abs(c.savings_pct)}%)` : "";
+  const time =
+    c.time_delta_min === 0
+      ? "same duration"
+      : `${formatDuration(Math.abs(c.time_delta_min))} ${c.time_delta_min > 0 ? "slower" : "faster"}`;
+  const genCost = `gen cost ${c.gen_cost_delta > 0 ? "+" : ""}${c.gen_cost_delta.toFixed(1)}`;
+  return `${cash}${pct}, ${time}, ${genCost} vs direct ${c.baseline_mode}`;
+}
+
+/**
+ * Render one itinerary as a leg-by-leg timeline.
+ */
+function renderItinerary(it) {
+  const lines = [];
+  const labels = [
+    ...(it.labels || []),
+    ...(it.split_tickets?.length ? ["SPLIT TICKET"] : []),
+    ...(it.vs_direct?.is_opportunity ? ["ARBITRAGE"] : []),
+  ];
+  const tags = labels.length ? `  [${labels.join(", ")}]` : "";
+
+  lines.push(
+    `Itinerary ${it.rank ?? 1}: ${formatMoney(it.price_total, it.currency)}` +
+      (it.price_per_person !== it.price_total ? ` (${it.price_per_person.toFixed(2)} per person)` : "") +
+      ` · ${formatDuration(it.duration_min)} · ` +
+      `${it.num_transfers} transfer(s) · main: ${it.main_mode} · gen cost ${it.gen_cost.toFixed(1)}${tags}`
+  );
+
+  const risk = it.risk_penalties;
+  if (risk && risk.total > 0) {
+    const parts = ["misconnect", "self_transfer", "reliability", "price_uncertainty"]
+      .filter((key) => risk[key] > 0)
+      .map((key) => `${key.replace(/_/g, "-")} ${risk[key].toFixed(2)}`);
+    lines.push(`  risk penalties ${risk.total.toFixed(2)} (${parts.join(", ")})`);
+  }
+
+  if (it.vs_direct) {
+    lines.push(`  ${formatVsDirect(it.vs_direct, it.currency)}`);
+  }
+
+  for (const ride of it.split_tickets || []) {
+    lines.push(
+      `  split ticket ${ride.carrier_code} ${ride.service_code}: ${ride.tickets.length} tickets ` +
+        `${formatMoney(ride.amount, it.currency)} vs through ` +
+        `${formatMoney(ride.through_amount, it.currency)} (saves ${ride.savings.toFixed(2)})`
+    );
+  }
+
+  for (const leg of it.legs) {
+    const { edge_leg, offer } = leg;
+    const service = [edge_leg.carrier_code, edge_leg.service_code].filter(Boolean).join(" ");
+    const legMin =
+      (Date.parse(offer.arrival_time_utc) - Date.parse(offer.departure_time_utc)) / 60000;
+    const distance =
+      edge_leg.distance_km != null ? `${edge_leg.distance_km.toFixed(1)} km  ` : "";
+
+    if (leg.connection?.type === "stay_on_board") {
+      lines.push(`      · stay on board: ${formatDuration(leg.connection.available_min)} stop, next ticket`);
+    } else if (leg.connection && leg.connection.type !== "none") {
+      const c = leg.connection;
+      lines.push(
+        `      · connection ${c.type.replace(/_/g, "-")}: ${formatDuration(c.available_min)} ` +
+          `(MCT ${c.mct_min} min, buffer ${c.buffer_min} min)`
+      );
+    }
+    lines.push(
+      `  ${formatTime(offer.departure_time_utc, leg.departure_local)}  ` +
+        nodeLabel(leg.from_node, edge_leg.from_node_id)
+    );
+    lines.push(
+      `      | ${edge_leg.mode.toUpperCase()}${service ? ` ${service}` : ""}  ` +
+        `${distance}${formatDuration(legMin)}  ${formatLegPrice(leg)}` +
+        (leg.freshness?.stale ? `  [stale price, ${formatDuration(leg.freshness.age_min)} old]` : "") +
+        (leg.dst_transition ? "  (crosses a DST change)" : "")
+    );
+    for (const line of leg.price?.ancillaries || []) {
+      lines.push(
+        `      + ${line.item.replace(/_/g, " ")} ×${line.quantity}  ` +
+          formatMoney(line.quantity * line.unit_amount, line.original_currency) +
+          (line.original_currency !== leg.price.currency && line.amount != null
+            ? ` (≈ ${formatMoney(line.amount, leg.price.currency)})`
+            : "")
+      );
+    }
+  }
+
+  const last = it.legs[it.legs.length - 1];
+  if (last) {
+    lines.push(
+      `  ${formatTime(last.offer.arrival_time_utc, last.arrival_local)}  ` +
+        nodeLabel(last.to_node, last.edge_leg.to_node_id)
+    );
+  }
+
+  for (const t of it.dst_transitions || []) {
+    lines.push(
+      `  ! ${t.timezone} changes from UTC${t.offset_before} to UTC${t.offset_after} ` +
+        `at ${formatTime(t.at_utc)} during this trip`
+    );
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Direct baseline of the arbitrage report, with the opportunities found.
+ */
+function formatBaseline(report, currency) {
+  const b = report.baseline;
+  const carriers = b.carriers.length ? ` ${b.carriers.join("/")}` : "";
+  return (
+    `Direct baseline: ${b.mode}${carriers} ${formatMoney(b.price_total, currency)} · ` +
+    `${formatDuration(b.duration_min)} · gen cost ${b.gen_cost.toFixed(1)} — ` +
+    `${report.opportunities} arbitrage opportunit${report.opportunities === 1 ? "y" : "ies"} ` +
+    `(≥ ${report.threshold_pct}% after risk)`
+  );
+}
+
+/**
+ * Render the whole search result for humans.
+ */
+function renderResult(from, to, result) {
+  const header =
+    `${from} → ${to}  [${result.search_status}, mode ${result.mode}, ` +
+    (result.arrive_by_utc ? `arrive by ${formatTime(result.arrive_by_utc)}, ` : "") +
+    `${result.expansions} expansions${result.search_id ? `, search #${result.search_id}` : ""}]` +
+    (result.passengers && partySize(result.passengers) > 1
+      ? `\nParty of ${partySize(result.passengers)}: ${formatParty(result.passengers)}`
+      : "") +
+    (result.arbitrage ? `\n${formatBaseline(result.arbitrage, result.currency)}` : "");
+
+  if (result.itineraries.length === 0) {
+    return `${header}\n\nNo itinerary found.`;
+  }
+
+  return [header, ...result.itineraries.map(renderItinerary)].join("\n\n");
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      from: { type: "string" },
+      to: { type: "string" },
+      depart: { type: "string" },
+      "depart-local": { type: "string" },
+      "depart-before": { type: "string" },
+      "arrive-by": { type: "string" },
+      "arrive-by-local": { type: "string" },
+      mode: { type: "string" },
+      k: { type: "string" },
+      "time-value": { type: "string" },
+      "transfer-penalty": { type: "string" },
+      "max-detour": { type: "string" },
+      "timeout-ms": { type: "string" },
+      "exclude-modes": { type: "string" },
+      "mode-multipliers": { type: "string" },
+      "max-walk-km": { type: "string" },
+      "max-mode-legs": { type: "string" },
+      adults: { type: "string" },
+      children: { type: "string" },
+      seniors: { type: "string" },
+      students: { type: "string" },
+      "discount-cards": { type: "string" },
+      "personal-items": { type: "string" },
+      "carry-on": { type: "string" },
+      "checked-bags": { type: "string" },
+      "arbitrage-threshold": { type: "string" },
+      "no-arbitrage": { type: "boolean" },
+      currency: { type: "string" },
+      "no-persist": { type: "boolean" },
+      json: { type: "boolean" },
+      verbose: { type: "boolean" },
+      help: { type: "boolean" },
+    },
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  if (!values.from || !values.to) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  setDevMode(Boolean(values.verbose));
+
+  const params = buildParams(values);
+
+  const originSpec = await normalizePlaceSpec(values.from);
+  const destSpec = await normalizePlaceSpec(values.to);
+
+  for (const [label, spec] of [["origin", originSpec], ["destination", destSpec]]) {
+    if (spec.unresolved || spec.nodes.length === 0) {
+      console.error(`Could not resolve ${label}: ${spec.raw}`);
+      return 2;
+    }
+  }
+
+  const result = await searchItinerariesDoorToDoor(originSpec, destSpec, params);
+
+  if (values.json) {
+    console.log(JSON.stringify(result, (key, value) => (key === "originNode" ? undefined : value), 2));
+  } else {
+    console.log(renderResult(values.from, values.to, result));
+  }
+
+  return result.itineraries.length > 0 ? 0 : 3;
+}
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    console.error("Search failed:", err.message);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,104 @@
+// test/api.test.js
+// HTTP API: request validation (400), unknown routes and records (404),
+// unresolvable places (422) and a successful search against a seeded DB.
+
+import assert from "node:assert/strict";
+import { before, describe, it } from "node:test";
+import { seedCorridor, startApi, useScratchDb } from "./helpers.js";
+
+useScratchDb();
+const request = await startApi();
+
+before(seedCorridor);
+
+const ROUTE = { origin: "Springfield", destination: "Shelbyville" };
+
+/**
+ * POST /search and check it fails with `status` and error `code`.
+ */
+async function expectSearchError(body, status, code) {
+  const res = await request("POST", "/search", body);
+  assert.equal(res.status, status, JSON.stringify(res.body));
+  assert.equal(res.body.error.code, code);
+  return res.body.error;
+}
+
+describe("POST /search validation", () => {
+  it("rejects bodies that are not JSON objects", async () => {
+    for (const body of ["null", "42", "[]", '"Springfield"']) {
+      await expectSearchError(body, 400, "INVALID_BODY");
+    }
+    await expectSearchError("{not json", 400, "INVALID_JSON");
+  });
+
+  it("rejects the same bodies on rerun", async () => {
+    const res = await request("POST", "/searches/1/rerun", "null");
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error.code, "INVALID_BODY");
+  });
+
+  it("requires origin and destination", async () => {
+    const error = await expectSearchError({ origin: "Springfield" }, 400, "MISSING_FIELD");
+    assert.equal(error.field, "destination");
+  });
+
+  it("rejects unknown and out-of-range params", async () => {
+    const unknown = await expectSearchError(
+      { ...ROUTE, params: { graph: {} } },
+      400,
+      "INVALID_PARAMS"
+    );
+    assert.ok(unknown.allowed.includes("timeoutMs"));
+
+    await expectSearchError({ ...ROUTE, params: [] }, 400, "INVALID_PARAMS");
+    await expectSearchError({ ...ROUTE, params: { k: 0 } }, 400, "INVALID_PARAMS");
+    await expectSearchError({ ...ROUTE, params: { mode: "fastest" } }, 400, "INVALID_PARAMS");
+  });
+
+  it("caps the search budget", async () => {
+    await expectSearchError({ ...ROUTE, params: { timeoutMs: 600000 } }, 400, "INVALID_PARAMS");
+    await expectSearchError(
+      { ...ROUTE, params: { maxExpansions: 1e9 } },
+      400,
+      "INVALID_PARAMS"
+    );
+  });
+
+  it("answers 422 for a place it cannot resolve", async () => {
+    const error = await expectSearchError(
+      { origin: "address:1 Nowhere Lane, Atlantis", destination: "Shelbyville" },
+      422,
+      "UNRESOLVED_PLACE"
+    );
+    assert.equal(error.field, "origin");
+  });
+});
+
+describe("POST /search", () => {
+  it("returns and stores the best itinerary", async () => {
+    const res = await request("POST", "/search", { ...ROUTE, params: { arbitrage: false } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.best_itinerary.price_total, 30);
+    assert.equal(res.body.best_itinerary.main_mode, "train");
+
+    const stored = await request("GET", `/searches/${res.body.search_id}`);
+    assert.equal(stored.status, 200);
+    assert.equal(stored.body.itineraries.length, 1);
+  });
+});
+
+describe("routing", () => {
+  it("answers 404 for unknown routes and records", async () => {
+    assert.equal((await request("GET", "/nowhere")).status, 404);
+    assert.equal((await request("GET", "/itineraries/999999")).status, 404);
+    assert.equal((await request("GET", "/searches/999999")).status, 404);
+  });
+
+  it("answers 400 for a malformed id and 405 for a wrong method", async () => {
+    const badId = await request("GET", "/itineraries/abc");
+    assert.equal(badId.status, 400);
+    assert.equal(badId.body.error.code, "INVALID_ID");
+
+    assert.equal((await request("GET", "/search")).status, 405);
+  });
+});
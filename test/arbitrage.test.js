@@ -0,0 +1,94 @@
+// test/arbitrage.test.js
+// Intermodal vs. direct comparison: single-mode baselines, vs_direct and the
+// opportunity flag, and baselines skipped once the search budget is spent.
+
+import assert from "node:assert/strict";
+import { afterEach, describe, it, mock } from "node:test";
+import { edge, modesOf, offer, search, testGraph } from "./helpers.js";
+
+// A direct train A→C for $100, or a bus to B and a cheaper train from there
+const corridor = () =>
+  testGraph({
+    nodes: [
+      { id: 1, name: "A", kind: "station", lat: 40, lon: -80 },
+      { id: 2, name: "B", kind: "station", lat: 40.5, lon: -80 },
+      { id: 3, name: "C", kind: "station", lat: 41, lon: -80 },
+    ],
+    edges: [edge(1, 1, 3, "train"), edge(2, 1, 2, "bus"), edge(3, 2, 3, "train")],
+    offers: [
+      offer(1, 1, "08:00", "11:00", 100),
+      offer(2, 2, "07:00", "08:00", 20),
+      offer(3, 3, "09:00", "11:00", 30),
+    ],
+  });
+
+const K_BEST = { mode: "k_best", k: 2 };
+
+describe("arbitrage report", () => {
+  it("compares every itinerary against the best single-mode baseline", async () => {
+    const result = await search(corridor(), 1, 3, { ...K_BEST, arbitrage: {} });
+    const report = result.arbitrage;
+
+    assert.equal(report.baseline.mode, "train");
+    assert.equal(report.baseline.price_total, 100);
+    assert.equal(report.baselines.flight, null);
+    assert.equal(report.baselines.bus, null);
+    assert.equal(report.opportunities, 1);
+
+    const intermodal = result.itineraries.find((it) => modesOf(it).length === 2);
+    assert.deepEqual(modesOf(intermodal), ["bus", "train"]);
+    assert.equal(intermodal.vs_direct.savings_cash, 50);
+    assert.equal(intermodal.vs_direct.is_intermodal, true);
+    assert.equal(intermodal.vs_direct.is_opportunity, true);
+    // The self-transfer at B eats into the savings
+    assert.ok(intermodal.vs_direct.risk_adjusted_savings < 50);
+
+    const direct = result.itineraries.find((it) => modesOf(it).length === 1);
+    assert.equal(direct.vs_direct.savings_cash, 0);
+    assert.equal(direct.vs_direct.is_opportunity, false);
+  });
+
+  it("flags opportunities only at threshold_pct of the baseline price", async () => {
+    const result = await search(corridor(), 1, 3, { ...K_BEST, arbitrage: { threshold_pct: 90 } });
+    assert.equal(result.arbitrage.opportunities, 0);
+    assert.ok(result.itineraries.every((it) => !it.vs_direct.is_opportunity));
+  });
+
+  it("is left out when params.arbitrage is false", async () => {
+    const result = await search(corridor(), 1, 3, { ...K_BEST, arbitrage: false });
+    assert.equal(result.arbitrage, null);
+    assert.ok(result.itineraries.every((it) => it.vs_direct == null));
+  });
+});
+
+describe("arbitrage within the search budget", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("skips the baselines once timeoutMs is spent instead of overrunning", async () => {
+    const params = { ...K_BEST, timeoutMs: 5 };
+
+    // Clock reads of the search itself, up to and including its final one
+    const now = Date.now();
+    let reads = 0;
+    mock.method(Date, "now", () => {
+      reads++;
+      return now;
+    });
+    await search(corridor(), 1, 3, { ...params, arbitrage: false });
+    const searchReads = reads;
+
+    // Same search with baselines: the clock stands still until the
+    // itineraries are found, then jumps past the budget
+    reads = 0;
+    Date.now.mock.mockImplementation(() =>
+      ++reads < searchReads ? now : now + params.timeoutMs + 1
+    );
+    const result = await search(corridor(), 1, 3, { ...params, arbitrage: {} });
+
+    assert.equal(result.itineraries.length, 2);
+    assert.equal(result.arbitrage, null);
+    assert.ok(result.itineraries.every((it) => it.vs_direct == null));
+    // One read per skipped baseline mode; no baseline search was started
+    assert.equal(reads, searchReads + 3);
+  });
+});
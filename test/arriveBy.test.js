@@ -0,0 +1,178 @@
+// test/arriveBy.test.js
+// Arrive-by search: backward paths replayed forward under the same MCTs,
+// costed like forward itineraries and ranked by the cost they report; egress
+// transfers re-timed to leave on arrival, and the departure window.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { EdgeMode, SearchStatus } from "../src/routing/types.js";
+import {
+  NO_TRANSFERS,
+  at,
+  departuresOf,
+  edge,
+  modesOf,
+  offer,
+  search,
+  testGraph,
+} from "./helpers.js";
+
+// Flight A → B landing 10:00, then a train B → C at 10:10 or 10:35; the
+// air-to-ground MCT at B is 30 minutes unless the train overrides it
+function flightThenTrain(trainMct = null) {
+  return testGraph({
+    nodes: [
+      { id: 1, name: "A", kind: "airport", lat: 40, lon: -80 },
+      { id: 2, name: "B", kind: "airport", lat: 41, lon: -80 },
+      { id: 3, name: "C", kind: "station", lat: 41.5, lon: -80 },
+    ],
+    edges: [
+      edge(1, 1, 2, "flight"),
+      edge(2, 2, 3, "train", { duration_min: 30, min_connection_min: trainMct }),
+    ],
+    offers: [
+      offer(1, 1, "09:00", "10:00", 100),
+      offer(2, 2, "10:10", "10:40", 10),
+      offer(3, 2, "10:35", "11:05", 10),
+    ],
+  });
+}
+
+describe("arrive-by search", () => {
+  it("takes the train the MCT allows", async () => {
+    const result = await search(flightThenTrain(), 1, 3, { arriveByUtc: at("11:10") });
+    assert.equal(result.search_status, SearchStatus.OK);
+    assert.equal(result.arrive_by_utc, new Date(at("11:10")).toISOString());
+    assert.deepEqual(departuresOf(result.best_itinerary), ["09:00", "10:35"]);
+    assert.deepEqual(result.best_itinerary.legs[1].connection, {
+      type: "air_to_ground",
+      mct_min: 30,
+      available_min: 35,
+      buffer_min: 5,
+    });
+  });
+
+  it("finds nothing when only the train inside the MCT arrives in time", async () => {
+    const result = await search(flightThenTrain(), 1, 3, { arriveByUtc: at("11:00") });
+    assert.equal(result.search_status, SearchStatus.NO_ROUTE);
+    assert.equal(result.best_itinerary, null);
+  });
+
+  it("honors the departing edge's MCT override", async () => {
+    const result = await search(flightThenTrain(5), 1, 3, { arriveByUtc: at("10:50") });
+    assert.equal(result.search_status, SearchStatus.OK);
+    assert.deepEqual(departuresOf(result.best_itinerary), ["09:00", "10:10"]);
+  });
+
+  it("costs the itinerary like the forward search", async () => {
+    const graph = flightThenTrain();
+    const backward = await search(graph, 1, 3, { arriveByUtc: at("11:10") });
+    const forward = await search(graph, 1, 3, { departAfterUtc: at("09:00") });
+    assert.deepEqual(departuresOf(forward.best_itinerary), departuresOf(backward.best_itinerary));
+    assert.equal(backward.best_itinerary.gen_cost, forward.best_itinerary.gen_cost);
+  });
+
+  it("ranks k-best results by the generalized cost they report", async () => {
+    // Several ways from O to D through X or Y at different prices and times
+    const graph = testGraph({
+      nodes: [
+        { id: 1, name: "O", kind: "station", lat: 40, lon: -80 },
+        { id: 2, name: "X", kind: "station", lat: 40.5, lon: -80.1 },
+        { id: 3, name: "Y", kind: "station", lat: 40.5, lon: -79.9 },
+        { id: 4, name: "D", kind: "station", lat: 41, lon: -80 },
+      ],
+      edges: [
+        edge(1, 1, 2, "train"),
+        edge(2, 2, 4, "bus"),
+        edge(3, 1, 3, "bus"),
+        edge(4, 3, 4, "train"),
+        edge(5, 1, 4, "bus"),
+      ],
+      offers: [
+        offer(1, 1, "08:00", "09:00", 12),
+        offer(2, 1, "09:00", "10:00", 18),
+        offer(3, 2, "10:30", "12:00", 9),
+        offer(4, 3, "07:00", "08:30", 6),
+        offer(5, 4, "09:00", "11:30", 14),
+        offer(6, 4, "10:00", "12:30", 8),
+        offer(7, 5, "07:30", "12:15", 30),
+      ],
+    });
+
+    const result = await search(graph, 1, 4, {
+      mode: "k_best",
+      k: 5,
+      maxLegOverlap: 1,
+      arriveByUtc: at("13:00"),
+    });
+    const { itineraries } = result;
+
+    assert.equal(result.search_status, SearchStatus.OK);
+    assert.ok(itineraries.length >= 3);
+    assert.deepEqual(
+      itineraries.map((it) => it.rank),
+      itineraries.map((_, i) => i + 1)
+    );
+    for (let i = 1; i < itineraries.length; i++) {
+      assert.ok(itineraries[i - 1].gen_cost <= itineraries[i].gen_cost);
+    }
+    for (const it of itineraries) {
+      assert.ok(it.arrival_time_utc <= new Date(at("13:00")).toISOString());
+    }
+  });
+});
+
+describe("arrive-by egress and departure window", () => {
+  it("re-times the egress transfer to leave when the bus arrives", async () => {
+    // O → S by bus landing 13:15, then a rideshare S → D (about 5 km)
+    const graph = testGraph(
+      {
+        nodes: [
+          { id: 1, name: "O", kind: "bus_terminal", lat: 40, lon: -80 },
+          { id: 2, name: "S", kind: "bus_terminal", lat: 41, lon: -80 },
+          { id: 3, name: "D", kind: "hotel", lat: 41.05, lon: -80 },
+        ],
+        edges: [edge(1, 1, 2, "bus")],
+        offers: [offer(1, 1, "10:00", "13:15", 20)],
+      },
+      { ...NO_TRANSFERS, [EdgeMode.RIDESHARE]: { radiusKm: 10, maxNeighbors: 5 } }
+    );
+
+    const backward = await search(graph, 1, 3, { arriveByUtc: at("15:00") });
+    const itinerary = backward.best_itinerary;
+    assert.deepEqual(modesOf(itinerary), ["bus", "rideshare"]);
+    assert.ok(departuresOf(itinerary)[1] < "13:30");
+    assert.ok(itinerary.arrival_time_utc < new Date(at("14:00")).toISOString());
+    assert.ok(itinerary.duration_min < 240);
+
+    const forward = await search(graph, 1, 3, { departAfterUtc: at("09:00") });
+    assert.deepEqual(departuresOf(itinerary), departuresOf(forward.best_itinerary));
+    assert.equal(itinerary.gen_cost, forward.best_itinerary.gen_cost);
+  });
+
+  it("keeps the first departure inside the departure window", async () => {
+    const graph = testGraph({
+      nodes: [
+        { id: 1, name: "O", kind: "station", lat: 40, lon: -80 },
+        { id: 2, name: "D", kind: "station", lat: 41, lon: -80 },
+      ],
+      edges: [edge(1, 1, 2, "bus")],
+      offers: [offer(1, 1, "08:00", "09:00", 10), offer(2, 1, "10:00", "11:00", 10)],
+    });
+
+    const open = await search(graph, 1, 2, { arriveByUtc: at("13:00") });
+    assert.deepEqual(departuresOf(open.best_itinerary), ["10:00"]);
+
+    const windowed = await search(graph, 1, 2, {
+      arriveByUtc: at("13:00"),
+      departBeforeUtc: at("09:00"),
+    });
+    assert.deepEqual(departuresOf(windowed.best_itinerary), ["08:00"]);
+
+    const closed = await search(graph, 1, 2, {
+      arriveByUtc: at("13:00"),
+      departBeforeUtc: at("07:00"),
+    });
+    assert.equal(closed.search_status, SearchStatus.NO_ROUTE);
+  });
+});
@@ -0,0 +1,69 @@
+// test/fx.test.js
+// FX rates and conversion, alone and through a search over legs replayed
+// from the recorded provider cassette (Data/fixtures/recordings).
+
+import assert from "node:assert/strict";
+import { before, describe, it } from "node:test";
+import { createFxConverter, createFxTable } from "../src/routing/fx.js";
+import { SearchStatus } from "../src/routing/types.js";
+import { modesOf, replayedGraph, search } from "./helpers.js";
+
+const rates = createFxTable([
+  { base_currency: "EUR", quote_currency: "USD", rate: 1.1, effective_date: "2026-10-01" },
+  { base_currency: "EUR", quote_currency: "USD", rate: 1.2, effective_date: "2026-11-10" },
+  { base_currency: "GBP", quote_currency: "USD", rate: 1.25, effective_date: "2026-10-01" },
+]);
+
+describe("fx", () => {
+  it("uses the latest rate on or before the departure day", () => {
+    assert.equal(rates.rateAt("EUR", "USD", Date.parse("2026-11-09T23:00:00Z")), 1.1);
+    assert.equal(rates.rateAt("EUR", "USD", Date.parse("2026-11-10T00:00:00Z")), 1.2);
+    assert.equal(rates.rateAt("EUR", "USD", Date.parse("2026-09-30T12:00:00Z")), null);
+    assert.equal(rates.rateAt("USD", "EUR", Date.parse("2026-10-05T12:00:00Z")), 1 / 1.1);
+  });
+
+  it("crosses currencies through a common one", () => {
+    assert.equal(rates.rateAt("EUR", "GBP", Date.parse("2026-10-05T12:00:00Z")), 1.1 / 1.25);
+    assert.equal(rates.rateAt("EUR", "JPY", Date.parse("2026-10-05T12:00:00Z")), null);
+  });
+
+  it("converts offers, or gives null when it cannot", () => {
+    const fx = createFxConverter(rates, "USD");
+    const departure = "2026-10-05T12:00:00Z";
+    const eur = { price_total: 100, currency: "EUR", departure_time_utc: departure };
+    const jpy = { price_total: 100, currency: "JPY", departure_time_utc: departure };
+    assert.ok(Math.abs(fx.amountOf(eur) - 110) < 1e-9);
+    assert.equal(fx.amountOf(jpy), null);
+  });
+});
+
+describe("search over replayed EUR offers", () => {
+  let graph;
+  let nodeIds;
+  before(async () => {
+    const query = { origin: "MUC", destination: "VIE", date: "2026-11-15" };
+    ({ graph, nodeIds } = await replayedGraph(query));
+  });
+
+  const trainSearch = (params) =>
+    search(graph, nodeIds.get("MOCK:MUC_HBF"), nodeIds.get("MOCK:VIE_HBF"), {
+      departAfterUtc: "2026-11-15T06:00:00Z",
+      ...params,
+    });
+
+  it("converts the EUR fare into the search currency", async () => {
+    const result = await trainSearch({ fxTable: rates });
+    const itinerary = result.best_itinerary;
+
+    assert.equal(result.search_status, SearchStatus.OK);
+    assert.equal(result.currency, "USD");
+    assert.deepEqual(modesOf(itinerary), ["train"]);
+    // 59.90 EUR at the 2026-11-10 rate
+    assert.equal(itinerary.price_total, 71.88);
+  });
+
+  it("skips offers it cannot convert", async () => {
+    const result = await trainSearch({ fxTable: createFxTable([]) });
+    assert.equal(result.search_status, SearchStatus.NO_ROUTE);
+  });
+});
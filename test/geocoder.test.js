@@ -0,0 +1,109 @@
+// test/geocoder.test.js
+// Offline gazetteer geocoder over Data/fixtures/gazetteer: address parsing
+// and normalization, lookups at address / street / postcode / place
+// precision, and explicit "unresolved" results instead of made-up points.
+
+import assert from "node:assert/strict";
+import { before, describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+import { dbAll, dbClose, openDb } from "../src/db/connection.js";
+import { importGazetteerFiles } from "../src/importers/gazetteer.js";
+import {
+  GeocodeStatus,
+  geocodeAddress,
+  normalizeText,
+  parseAddress,
+} from "../src/routing/geocoder.js";
+import { normalizePlaceSpec } from "../src/routing/placeNormalization.js";
+import { useScratchDb } from "./helpers.js";
+
+useScratchDb();
+
+const SAMPLE = fileURLToPath(new URL("../Data/fixtures/gazetteer/sample.csv", import.meta.url));
+
+async function geocode(address) {
+  const db = openDb();
+  try {
+    return await geocodeAddress(db, address);
+  } finally {
+    await dbClose(db);
+  }
+}
+
+describe("address parsing", () => {
+  it("normalizes case, diacritics and street abbreviations", () => {
+    assert.equal(normalizeText("225 S. Canal St."), "225 south canal street");
+    assert.equal(normalizeText("Hauptstr."), normalizeText("Hauptstraße"));
+    assert.equal(normalizeText("München"), "munchen");
+  });
+
+  it("splits house number, street, postcode and locality", () => {
+    const us = parseAddress("225 S Canal St, Chicago 60606");
+    assert.equal(us.houseNumber, "225");
+    assert.equal(us.street, "south canal street");
+    assert.equal(us.postcode, "60606");
+    assert.equal(us.locality, "chicago");
+
+    const de = parseAddress("Marienplatz 1, 80331 München");
+    assert.equal(de.houseNumber, "1");
+    assert.equal(de.street, "marienplatz");
+    assert.equal(de.postcode, "80331");
+    assert.equal(de.locality, "munchen");
+  });
+});
+
+describe("geocodeAddress", () => {
+  before(async () => {
+    assert.deepEqual(await importGazetteerFiles([SAMPLE]), { entries: 19, skipped: 0 });
+  });
+
+  it("resolves addresses, streets, postcodes and places", async () => {
+    const cases = [
+      ["225 S Canal St, Chicago 60606", "address", "South Canal Street"],
+      ["Marienplatz 1, 80331 München", "address", "Marienplatz"],
+      ["Monument Cir, Indianapolis", "street", "Monument Circle"],
+      ["60606", "postcode", "60606"],
+      ["Chicago", "place", "Chicago"],
+    ];
+    for (const [address, precision, name] of cases) {
+      const result = await geocode(address);
+      assert.equal(result.status, GeocodeStatus.RESOLVED, address);
+      assert.equal(result.precision, precision, address);
+      assert.equal(result.match.name, name, address);
+      assert.ok(result.confidence >= 0.6 && result.confidence <= 1, address);
+    }
+  });
+
+  it("reports unresolved addresses without coordinates", async () => {
+    const unknown = await geocode("1 Nowhere Lane, Atlantis");
+    assert.equal(unknown.status, GeocodeStatus.UNRESOLVED);
+    assert.equal(unknown.lat, undefined);
+
+    const empty = await geocode("  ");
+    assert.equal(empty.reason, "empty_address");
+  });
+
+  it("reloads the gazetteer without duplicating entries", async () => {
+    await importGazetteerFiles([SAMPLE]);
+    const db = openDb();
+    try {
+      const [{ n }] = await dbAll(db, "SELECT COUNT(*) AS n FROM gazetteer_entry");
+      assert.equal(n, 19);
+    } finally {
+      await dbClose(db);
+    }
+  });
+
+  it("turns a geocoded address spec into an address node", async () => {
+    const spec = await normalizePlaceSpec("address:Stephansplatz 1, 1010 Wien");
+    assert.equal(spec.isAddress, true);
+    assert.equal(spec.nodes.length, 1);
+    assert.equal(spec.nodes[0].kind, "address");
+    assert.equal(spec.nodes[0].lat, 48.2085);
+    assert.equal(spec.nodes[0].geocode_precision, "address");
+
+    const unresolved = await normalizePlaceSpec("address:1 Nowhere Lane, Atlantis");
+    assert.equal(unresolved.unresolved, true);
+    assert.deepEqual(unresolved.nodes, []);
+  });
+});
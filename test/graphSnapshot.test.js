@@ -0,0 +1,88 @@
+// test/graphSnapshot.test.js
+// Shared graph snapshot: offer changes written to the DB are applied from
+// the change log as a new version that searches see; node changes reload.
+
+import assert from "node:assert/strict";
+import { before, describe, it } from "node:test";
+import { dbClose, dbRun, openDb } from "../src/db/connection.js";
+import { getGraphSnapshot } from "../src/routing/graphSnapshot.js";
+import { SEED_DAY, insertRows, seedCorridor, startApi, useScratchDb } from "./helpers.js";
+
+useScratchDb();
+const request = await startApi();
+
+async function execSql(sql, args = []) {
+  const db = openDb();
+  try {
+    await dbRun(db, sql, args);
+  } finally {
+    await dbClose(db);
+  }
+}
+
+const searchCorridor = () =>
+  request("POST", "/search", {
+    origin: "Springfield",
+    destination: "Shelbyville",
+    params: { arbitrage: false },
+  });
+
+describe("graph snapshot", () => {
+  before(seedCorridor);
+
+  it("keeps the same version while nothing changes", async () => {
+    const first = await getGraphSnapshot();
+    assert.equal(await getGraphSnapshot(), first);
+
+    const res = await searchCorridor();
+    assert.equal(res.status, 200);
+    assert.equal(res.body.graph_version, first.version);
+    assert.equal(res.body.best_itinerary.price_total, 30);
+  });
+
+  it("applies a changed offer price as a new version", async () => {
+    const stale = await getGraphSnapshot();
+    await execSql("UPDATE offer SET price_total = 25 WHERE id = 1");
+
+    const fresh = await getGraphSnapshot();
+    assert.ok(fresh.version > stale.version);
+    // Applied from the change log, not reloaded
+    assert.equal(fresh.nodes, stale.nodes);
+
+    const res = await searchCorridor();
+    assert.equal(res.body.graph_version, fresh.version);
+    assert.equal(res.body.best_itinerary.price_total, 25);
+  });
+
+  it("picks up new offers and drops deleted ones", async () => {
+    await insertRows("offer", [
+      {
+        id: 2,
+        edge_leg_id: 1,
+        departure_time_utc: `${SEED_DAY}T14:00:00Z`,
+        arrival_time_utc: `${SEED_DAY}T16:00:00Z`,
+        price_total: 12,
+        currency: "USD",
+        source_type: "cached",
+        retrieval_time_utc: new Date().toISOString(),
+      },
+    ]);
+    const added = await searchCorridor();
+    assert.equal(added.body.best_itinerary.price_total, 12);
+
+    await execSql("DELETE FROM offer WHERE id = 2");
+    const removed = await searchCorridor();
+    assert.ok(removed.body.graph_version > added.body.graph_version);
+    assert.equal(removed.body.best_itinerary.price_total, 25);
+  });
+
+  it("reloads the whole graph when a node changes", async () => {
+    const stale = await getGraphSnapshot();
+    await execSql("UPDATE location_node SET name = 'Shelbyville Central' WHERE id = 2");
+
+    const fresh = await getGraphSnapshot();
+    assert.ok(fresh.version > stale.version);
+    assert.notEqual(fresh.nodes, stale.nodes);
+    assert.equal(fresh.nodes.find((n) => n.id === 2).name, "Shelbyville Central");
+  });
+});
@@ -0,0 +1,129 @@
+// test/gtfs.test.js
+// GTFS importer on the sample feed (Data/fixtures/gtfs_sample): service
+// calendars, platforms collapsed onto stations, local times across the
+// end of DST in Europe/Berlin (2026-10-25) and idempotent re-imports.
+
+import assert from "node:assert/strict";
+import { before, describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+import { dbAll, dbClose, openDb } from "../src/db/connection.js";
+import {
+  activeServicesByDate,
+  edgeModeForRouteType,
+  importGtfsFeed,
+} from "../src/importers/gtfs.js";
+import { useScratchDb } from "./helpers.js";
+
+useScratchDb();
+
+const FEED = fileURLToPath(new URL("../Data/fixtures/gtfs_sample", import.meta.url));
+// Saturday before the DST change through the Monday after it
+const OPTIONS = { feedId: "sample", startDate: "2026-10-24", days: 3, currency: "EUR" };
+
+async function selectRows(sql, args = []) {
+  const db = openDb();
+  try {
+    return await dbAll(db, sql, args);
+  } finally {
+    await dbClose(db);
+  }
+}
+
+async function tableCounts() {
+  const [counts] = await selectRows(
+    `SELECT (SELECT COUNT(*) FROM location_node) AS nodes,
+            (SELECT COUNT(*) FROM edge_leg) AS edges,
+            (SELECT COUNT(*) FROM offer) AS offers`
+  );
+  return counts;
+}
+
+describe("activeServicesByDate", () => {
+  it("applies calendar weekdays and calendar_dates exceptions", () => {
+    const calendar = [
+      {
+        service_id: "WK",
+        monday: "1",
+        tuesday: "1",
+        wednesday: "1",
+        thursday: "1",
+        friday: "1",
+        saturday: "0",
+        sunday: "0",
+        start_date: "20260101",
+        end_date: "20261231",
+      },
+    ];
+    const exceptions = [
+      { service_id: "WK", date: "20261101", exception_type: "1" },
+      { service_id: "WK", date: "20261102", exception_type: "2" },
+    ];
+
+    const byDate = activeServicesByDate(calendar, exceptions, "2026-10-31", 4);
+    assert.deepEqual(
+      [...byDate].map(([date, active]) => [date, active.has("WK")]),
+      [
+        ["2026-10-31", false],
+        ["2026-11-01", true],
+        ["2026-11-02", false],
+        ["2026-11-03", true],
+      ]
+    );
+  });
+
+  it("maps basic and extended route types to modes", () => {
+    assert.equal(edgeModeForRouteType("2"), "train");
+    assert.equal(edgeModeForRouteType("3"), "bus");
+    assert.equal(edgeModeForRouteType("900"), "tram");
+    assert.equal(edgeModeForRouteType("4"), null);
+  });
+});
+
+describe("importGtfsFeed", () => {
+  let first;
+  before(async () => {
+    first = await importGtfsFeed(FEED, OPTIONS);
+  });
+
+  it("imports stations, hops and dated offers", async () => {
+    // RE 9 runs on the Monday only, the bus daily; the ferry is skipped
+    assert.deepEqual(first, { nodes: 5, edges: 3, offers: 7, skippedRoutes: 1, skippedTrips: 0 });
+
+    const nodes = await selectRows("SELECT ext_ref, kind FROM location_node ORDER BY ext_ref");
+    assert.deepEqual(
+      nodes.map((n) => `${n.ext_ref} ${n.kind}`),
+      [
+        "GTFS:sample:AUG station",
+        "GTFS:sample:MHBF station",
+        "GTFS:sample:MLAIM bus_terminal",
+        "GTFS:sample:MPAS station",
+        "GTFS:sample:MPAS_BUS bus_terminal",
+      ]
+    );
+  });
+
+  it("converts local departures to UTC across the DST change", async () => {
+    const bus = await selectRows(
+      `SELECT o.departure_time_utc FROM offer o
+         JOIN edge_leg e ON e.id = o.edge_leg_id
+        WHERE e.mode = 'bus'
+        ORDER BY o.departure_time_utc`
+    );
+    // 08:15 Berlin time: CEST (+2) on Saturday, CET (+1) from Sunday
+    assert.deepEqual(
+      bus.map((o) => o.departure_time_utc),
+      ["2026-10-24T06:15:00.000Z", "2026-10-25T07:15:00.000Z", "2026-10-26T07:15:00.000Z"]
+    );
+  });
+
+  it("re-imports without duplicating rows", async () => {
+    const counts = await tableCounts();
+    assert.deepEqual(await importGtfsFeed(FEED, OPTIONS), first);
+    assert.deepEqual(await tableCounts(), counts);
+  });
+
+  it("requires a feed id and a start date", async () => {
+    await assert.rejects(importGtfsFeed(FEED, { startDate: "2026-10-24" }), /feedId/);
+    await assert.rejects(importGtfsFeed(FEED, { feedId: "sample" }), /startDate/);
+  });
+});
@@ -0,0 +1,252 @@
+// test/helpers.js
+// Synthetic graphs and searches for the tests. Endpoints are area specs over
+// graph nodes, FX and fee tables are injected and nothing is persisted, so
+// no database is needed; tests of the stored data, importers and the API
+// get a scratch database (useScratchDb).
+
+import { execFileSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after } from "node:test";
+import { fileURLToPath } from "node:url";
+import { createApiServer } from "../src/api/server.js";
+import { dbClose, dbRun, openDb } from "../src/db/connection.js";
+import { createMockProvider } from "../src/providers/mockProvider.js";
+import { cassettePath, withReplay } from "../src/providers/recordReplay.js";
+import { createFeeTable } from "../src/routing/ancillaryFees.js";
+import { setDevMode } from "../src/routing/config.js";
+import { createFxTable } from "../src/routing/fx.js";
+import { assembleGraph } from "../src/routing/graph.js";
+import { searchItinerariesDoorToDoor } from "../src/routing/search.js";
+import { EdgeMode } from "../src/routing/types.js";
+
+setDevMode(false);
+
+// No transfer templates unless a test asks for them
+export const NO_TRANSFERS = {
+  [EdgeMode.WALK]: { radiusKm: 0, maxNeighbors: 0 },
+  [EdgeMode.RIDESHARE]: { radiusKm: 0, maxNeighbors: 0 },
+  [EdgeMode.SHUTTLE]: { radiusKm: 0, maxNeighbors: 0 },
+};
+
+/**
+ * UTC timestamp of an "HH:MM" time on the test day.
+ */
+export const at = (hhmm, date = "2026-11-01") => `${date}T${hhmm}:00Z`;
+
+/**
+ * Vehicle edge row from node `from` to node `to`.
+ */
+export function edge(id, from, to, mode, extra = {}) {
+  return {
+    id,
+    from_node_id: from,
+    to_node_id: to,
+    mode,
+    is_transfer: 0,
+    duration_min: 60,
+    ...extra,
+  };
+}
+
+/**
+ * Offer row on edge `edgeId` between two "HH:MM" times of the test day.
+ */
+export function offer(id, edgeId, departure, arrival, price, extra = {}) {
+  return {
+    id,
+    edge_leg_id: edgeId,
+    departure_time_utc: at(departure),
+    arrival_time_utc: at(arrival),
+    price_total: price,
+    currency: "USD",
+    ...extra,
+  };
+}
+
+/**
+ * Graph from node, edge and offer rows (no transfers by default).
+ */
+export function testGraph(rows, transferRules = NO_TRANSFERS) {
+  return assembleGraph(rows, transferRules);
+}
+
+/**
+ * Search from node `fromId` to node `toId` of `graph`, departing after 06:00
+ * on the test day unless params say otherwise.
+ */
+export function search(graph, fromId, toId, params = {}) {
+  const spec = (id) => {
+    const node = graph.nodes.find((n) => n.id === id);
+    return { raw: node.name, isArea: true, nodes: [node] };
+  };
+
+  return searchItinerariesDoorToDoor(spec(fromId), spec(toId), {
+    graph,
+    departAfterUtc: at("06:00"),
+    fxTable: createFxTable([]),
+    feeTable: createFeeTable([]),
+    arbitrage: false,
+    persist: false,
+    ...params,
+  });
+}
+
+export const modesOf = (itinerary) => itinerary.legs.map((leg) => leg.edge_leg.mode);
+
+export const departuresOf = (itinerary) =>
+  itinerary.legs.map((leg) => leg.offer.departure_time_utc.slice(11, 16));
+
+/**
+ * Graph of the legs the replayed provider returns for a query.
+ */
+export async function replayedGraph(query) {
+  const provider = withReplay(createMockProvider(), cassettePath("corridors"));
+  const legs = provider.normalize(await provider.searchLegs(query));
+
+  const nodeIds = new Map();
+  const nodes = [];
+  const nodeId = (node) => {
+    if (!nodeIds.has(node.ext_ref)) {
+      nodeIds.set(node.ext_ref, nodes.length + 1);
+      nodes.push({ ...node, id: nodes.length + 1 });
+    }
+    return nodeIds.get(node.ext_ref);
+  };
+
+  const edges = legs.map((leg, i) => ({
+    ...leg.edge_leg,
+    id: i + 1,
+    from_node_id: nodeId(leg.from),
+    to_node_id: nodeId(leg.to),
+    is_transfer: 0,
+  }));
+  const offers = legs.map((leg, i) => ({ ...leg.offer, id: i + 1, edge_leg_id: i + 1 }));
+
+  return { graph: testGraph({ nodes, edges, offers }), nodeIds };
+}
+
+const MIGRATE_SCRIPT = fileURLToPath(new URL("../src/db/migrate.js", import.meta.url));
+
+/**
+ * Point the database (TRAVEL_DB_PATH) at a freshly migrated scratch file for
+ * the rest of the test file; it is removed when the file's tests finish.
+ */
+export function useScratchDb() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "travel-test-"));
+  const dbPath = path.join(dir, "test.db");
+  execFileSync(process.execPath, [MIGRATE_SCRIPT], {
+    env: { ...process.env, TRAVEL_DB_PATH: dbPath },
+    stdio: "ignore",
+  });
+  process.env.TRAVEL_DB_PATH = dbPath;
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dbPath;
+}
+
+/**
+ * Insert rows (objects keyed by column) into a table of the database.
+ */
+export async function insertRows(table, rows) {
+  const db = openDb();
+  try {
+    for (const row of rows) {
+      const columns = Object.keys(row);
+      await dbRun(
+        db,
+        `INSERT INTO ${table} (${columns.join(", ")})
+         VALUES (${columns.map(() => "?").join(", ")})`,
+        Object.values(row)
+      );
+    }
+  } finally {
+    await dbClose(db);
+  }
+}
+
+// Day after today (UTC), so seeded offers are still valid
+export const SEED_DAY = new Date(Date.now() + 86400000).toISOString().slice(0, 10);
+
+/**
+ * Seed two towns with a station each and a $30 train between them at 10:00
+ * on SEED_DAY (edge and offer id 1).
+ */
+export async function seedCorridor() {
+  const now = new Date().toISOString();
+  const towns = [
+    [1, "Springfield", 40],
+    [2, "Shelbyville", 41],
+  ];
+
+  await insertRows(
+    "area",
+    towns.map(([id, name, lat]) => ({
+      id,
+      name,
+      kind: "city",
+      center_lat: lat,
+      center_lon: -89.6,
+      radius_km: 20,
+      updated_at_utc: now,
+    }))
+  );
+  await insertRows(
+    "location_node",
+    towns.map(([id, name, lat]) => ({
+      id,
+      name: `${name} Station`,
+      kind: "station",
+      area_id: id,
+      lat,
+      lon: -89.6,
+      timezone: "America/Chicago",
+      updated_at_utc: now,
+    }))
+  );
+  await insertRows("edge_leg", [
+    {
+      id: 1,
+      from_node_id: 1,
+      to_node_id: 2,
+      mode: "train",
+      distance_km: 111,
+      duration_min: 120,
+      structure_type: "static",
+      updated_at_utc: now,
+    },
+  ]);
+  await insertRows("offer", [
+    {
+      id: 1,
+      edge_leg_id: 1,
+      departure_time_utc: `${SEED_DAY}T10:00:00Z`,
+      arrival_time_utc: `${SEED_DAY}T12:00:00Z`,
+      price_total: 30,
+      currency: "USD",
+      source_type: "cached",
+      retrieval_time_utc: now,
+    },
+  ]);
+}
+
+/**
+ * Start the API on a free port for the rest of the test file (call it at the
+ * top level of the file, where it can register its shutdown). Returns
+ * request(method, path, body?) → { status, body } with the body parsed.
+ */
+export async function startApi() {
+  const server = createApiServer();
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  after(() => new Promise((resolve) => server.close(resolve)));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  return async (method, urlPath, body) => {
+    const res = await fetch(base + urlPath, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: body === undefined ? undefined : typeof body === "string" ? body : JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+  };
+}
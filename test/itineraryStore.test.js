@@ -0,0 +1,167 @@
+// test/itineraryStore.test.js
+// Persisted searches: search_run + itinerary_bundle round trip, address
+// endpoints stored without node ids, and the lookup and rerun endpoints.
+
+import assert from "node:assert/strict";
+import { before, describe, it } from "node:test";
+import { createFeeTable } from "../src/routing/ancillaryFees.js";
+import { createFxTable } from "../src/routing/fx.js";
+import {
+  findSearchRuns,
+  getItineraryBundle,
+  getSearchRun,
+} from "../src/routing/itineraryStore.js";
+import { searchItinerariesDoorToDoor } from "../src/routing/search.js";
+import { EdgeMode, SearchStatus } from "../src/routing/types.js";
+import {
+  NO_TRANSFERS,
+  edge,
+  offer,
+  search,
+  seedCorridor,
+  startApi,
+  testGraph,
+  useScratchDb,
+} from "./helpers.js";
+
+useScratchDb();
+const request = await startApi();
+
+// A station near an address, and a bus from it to D
+const graph = testGraph(
+  {
+    nodes: [
+      { id: 1, name: "Central", kind: "station", lat: 40, lon: -80 },
+      { id: 2, name: "D", kind: "station", lat: 41, lon: -80 },
+    ],
+    edges: [edge(1, 1, 2, "bus")],
+    offers: [offer(1, 1, "09:00", "11:00", 20)],
+  },
+  { ...NO_TRANSFERS, [EdgeMode.WALK]: { radiusKm: 2, maxNeighbors: 5 } }
+);
+
+const ADDRESS = "12 Test Street";
+
+/**
+ * Search from the address to D, saved (a fresh spec each time: the search
+ * assigns the address node its temporary id).
+ */
+function searchFromAddress() {
+  const addressSpec = {
+    raw: ADDRESS,
+    isAddress: true,
+    address: ADDRESS,
+    nodes: [{ id: null, name: ADDRESS, kind: "address", lat: 40.005, lon: -80, area_id: null }],
+  };
+  const dest = graph.nodes.find((n) => n.id === 2);
+  return searchItinerariesDoorToDoor(addressSpec, { raw: "D", isArea: true, nodes: [dest] }, {
+    graph,
+    departAfterUtc: "2026-11-01T06:00:00Z",
+    fxTable: createFxTable([]),
+    feeTable: createFeeTable([]),
+    arbitrage: false,
+  });
+}
+
+describe("search persistence", () => {
+  it("round-trips a search with its ranked itineraries", async () => {
+    const result = await search(graph, 1, 2, { mode: "k_best", persist: true });
+    assert.ok(result.search_id);
+
+    const run = await getSearchRun(result.search_id);
+    assert.equal(run.search_mode, "k_best");
+    assert.equal(run.search_status, SearchStatus.OK);
+    assert.deepEqual(run.origin_node_ids, [1]);
+    assert.deepEqual(run.dest_node_ids, [2]);
+    assert.equal(run.search_params.mode, "k_best");
+    assert.equal(run.itineraries.length, result.itineraries.length);
+
+    const [saved] = run.itineraries;
+    const [found] = result.itineraries;
+    assert.equal(saved.rank, 1);
+    assert.equal(saved.origin_node_id, 1);
+    assert.equal(saved.dest_node_id, 2);
+    assert.equal(saved.gen_cost, found.gen_cost);
+    assert.equal(saved.price_total, found.price_total);
+    assert.deepEqual(saved.legs, JSON.parse(JSON.stringify(found.legs)));
+
+    const { rank, ...bundle } = saved;
+    assert.deepEqual(await getItineraryBundle(saved.id), bundle);
+  });
+
+  it("stores address endpoints with coordinates instead of node ids", async () => {
+    const result = await searchFromAddress();
+    assert.equal(result.search_status, SearchStatus.OK);
+    assert.ok(result.best_itinerary.legs[0].edge_leg.from_node_id < 0);
+
+    const run = await getSearchRun(result.search_id);
+    assert.deepEqual(run.origin_node_ids, []);
+    assert.equal(run.origin_lat, 40.005);
+    assert.equal(run.origin_lon, -80);
+    assert.equal(run.dest_lat, null);
+
+    const [bundle] = run.itineraries;
+    assert.equal(bundle.origin_node_id, null);
+    assert.equal(bundle.origin_lat, 40.005);
+    assert.equal(bundle.dest_node_id, 2);
+    assert.equal(bundle.dest_lat, null);
+  });
+
+  it("finds past searches by spec text or node id, newest first", async () => {
+    const first = await searchFromAddress();
+    const second = await searchFromAddress();
+
+    const byText = await findSearchRuns({ origin: ADDRESS.toUpperCase() });
+    assert.deepEqual(
+      byText.slice(0, 2).map((run) => run.id),
+      [second.search_id, first.search_id]
+    );
+    assert.ok(byText.every((run) => run.origin_spec_raw === ADDRESS));
+
+    const byNode = await findSearchRuns({ origin: "1", destination: "2" });
+    assert.ok(byNode.length > 0);
+    assert.ok(byNode.every((run) => run.origin_spec_raw !== ADDRESS));
+
+    // Temporary ids of address nodes are not stored, so they match nothing
+    assert.deepEqual(await findSearchRuns({ origin: "-1" }), []);
+  });
+});
+
+describe("search lookup API", () => {
+  before(seedCorridor);
+
+  it("lists past searches and reruns one", async () => {
+    const saved = await request("POST", "/search", {
+      origin: "Springfield",
+      destination: "Shelbyville",
+      params: { arbitrage: false },
+    });
+    assert.equal(saved.status, 200);
+
+    const list = await request("GET", "/searches?origin=springfield&limit=5");
+    assert.equal(list.status, 200);
+    assert.equal(list.body[0].id, saved.body.search_id);
+    assert.equal(list.body[0].dest_spec_raw, "Shelbyville");
+
+    const rerun = await request("POST", `/searches/${saved.body.search_id}/rerun`, {
+      params: { k: 2, mode: "k_best" },
+    });
+    assert.equal(rerun.status, 200);
+    assert.notEqual(rerun.body.search_id, saved.body.search_id);
+    assert.equal(rerun.body.mode, "k_best");
+    assert.equal(rerun.body.best_itinerary.price_total, 30);
+  });
+
+  it("answers 404 for an unknown search and 400 for a bad limit", async () => {
+    const missing = await request("POST", "/searches/999999/rerun", {});
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.error.code, "NOT_FOUND");
+
+    const badLimit = await request("GET", "/searches?limit=0");
+    assert.equal(badLimit.status, 400);
+    assert.equal(badLimit.body.error.code, "INVALID_QUERY");
+
+    const wrongMethod = await request("DELETE", "/searches");
+    assert.equal(wrongMethod.status, 405);
+  });
+});
@@ -0,0 +1,96 @@
+// test/kBest.test.js
+// K-best alternatives: ranked by generalized cost and kept diverse by leg
+// overlap (maxLegOverlap) and, optionally, by main mode.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { isDiverseEnough, legOverlap } from "../src/routing/diversity.js";
+import { at, edge, modesOf, offer, search, testGraph } from "./helpers.js";
+
+// A→C: two direct trains, or a bus to B then a train or a slower bus
+const graph = testGraph({
+  nodes: [
+    { id: 1, name: "A", kind: "station", lat: 40, lon: -80 },
+    { id: 2, name: "B", kind: "station", lat: 40.5, lon: -80 },
+    { id: 3, name: "C", kind: "station", lat: 41, lon: -80 },
+  ],
+  edges: [
+    edge(1, 1, 3, "train"),
+    edge(2, 1, 2, "bus"),
+    edge(3, 2, 3, "train"),
+    edge(4, 2, 3, "bus"),
+  ],
+  offers: [
+    offer(1, 1, "08:00", "10:00", 50),
+    offer(2, 1, "08:30", "10:30", 55),
+    offer(3, 2, "07:00", "08:00", 10),
+    offer(4, 3, "09:00", "11:00", 30),
+    offer(5, 4, "08:30", "11:30", 35),
+  ],
+});
+
+const kBest = (params) => search(graph, 1, 3, { mode: "k_best", ...params });
+
+describe("legOverlap", () => {
+  it("weights shared legs by duration against the shorter itinerary", async () => {
+    const { itineraries } = await kBest({ k: 5, maxLegOverlap: 1 });
+    const byModes = (modes) => itineraries.find((it) => modesOf(it).join("+") === modes);
+
+    const busTrain = byModes("bus+train");
+    const busBus = byModes("bus+bus");
+    assert.equal(legOverlap(busTrain, busTrain), 1);
+    // The 1 h bus to B out of the 3 h bus + train
+    assert.equal(legOverlap(busTrain, busBus), 1 / 3);
+    assert.equal(legOverlap(busTrain, byModes("train")), 0);
+  });
+
+  it("rejects candidates too close to an accepted itinerary or sharing its main mode", () => {
+    const itinerary = (id, mode) => ({
+      main_mode: mode,
+      legs: [
+        {
+          edge_leg: { mode, from_node_id: 1, to_node_id: 2 },
+          offer: { id, departure_time_utc: at("08:00"), arrival_time_utc: at("09:00") },
+        },
+      ],
+    });
+    const accepted = [itinerary(1, "bus")];
+    assert.equal(isDiverseEnough(itinerary(1, "bus"), accepted), false);
+    assert.equal(isDiverseEnough(itinerary(2, "bus"), accepted), true);
+    const distinct = { distinctMainMode: true };
+    assert.equal(isDiverseEnough(itinerary(2, "bus"), accepted, distinct), false);
+    assert.equal(isDiverseEnough(itinerary(2, "train"), accepted, distinct), true);
+  });
+});
+
+describe("k_best search", () => {
+  it("returns up to k itineraries ranked by generalized cost", async () => {
+    const { itineraries } = await kBest({ k: 3 });
+    assert.equal(itineraries.length, 3);
+    assert.deepEqual(itineraries.map((it) => it.rank), [1, 2, 3]);
+    for (let i = 1; i < itineraries.length; i++) {
+      assert.ok(itineraries[i - 1].gen_cost <= itineraries[i].gen_cost);
+    }
+  });
+
+  it("keeps every pair within maxLegOverlap", async () => {
+    const loose = await kBest({ k: 4, maxLegOverlap: 0.5 });
+    assert.equal(loose.itineraries.length, 4);
+
+    // Both itineraries via B share the bus, a third of the trip
+    const strict = await kBest({ k: 4, maxLegOverlap: 0.2 });
+    assert.equal(strict.itineraries.length, 3);
+    const viaB = strict.itineraries.filter((it) => modesOf(it)[0] === "bus");
+    assert.equal(viaB.length, 1);
+    for (const a of strict.itineraries) {
+      for (const b of strict.itineraries) {
+        if (a !== b) assert.ok(legOverlap(a, b) <= 0.2);
+      }
+    }
+  });
+
+  it("allows one itinerary per main mode with distinctMainMode", async () => {
+    const { itineraries } = await kBest({ k: 4, distinctMainMode: true });
+    assert.deepEqual(itineraries.map((it) => it.main_mode).sort(), ["bus", "train"]);
+  });
+});
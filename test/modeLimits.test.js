@@ -0,0 +1,117 @@
+// test/modeLimits.test.js
+// Per-mode limits and multipliers against dominance: a cheaper state that
+// has used up a mode's budget must not prune a costlier one that has not,
+// and waits are charged at the multiplier of the leg they wait for.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  addModeUsage,
+  resolveModePreferences,
+  usesNoMoreBudget,
+  waitCostScale,
+} from "../src/routing/modePreferences.js";
+import { SearchStatus } from "../src/routing/types.js";
+import { at, edge, modesOf, offer, search, testGraph } from "./helpers.js";
+
+// O → A by train (cheaper) or bus, then A → D by train only; 100 km each
+const graph = testGraph({
+  nodes: [
+    { id: 1, name: "O", kind: "station", lat: 40, lon: -80 },
+    { id: 2, name: "A", kind: "station", lat: 40.9, lon: -80 },
+    { id: 3, name: "D", kind: "station", lat: 41.8, lon: -80 },
+  ],
+  edges: [
+    edge(1, 1, 2, "train", { distance_km: 100 }),
+    edge(2, 1, 2, "bus", { distance_km: 100 }),
+    edge(3, 2, 3, "train", { distance_km: 100 }),
+  ],
+  offers: [
+    offer(1, 1, "09:00", "10:00", 10),
+    offer(2, 2, "09:00", "10:30", 20),
+    offer(3, 3, "11:00", "12:00", 10),
+  ],
+});
+
+const trainLimit = { max_distance_km: { train: 150 } };
+
+describe("mode limits", () => {
+  it("rides the train both ways without a limit", async () => {
+    const result = await search(graph, 1, 3);
+    assert.equal(result.search_status, SearchStatus.OK);
+    assert.deepEqual(modesOf(result.best_itinerary), ["train", "train"]);
+  });
+
+  for (const [name, params] of [
+    ["best", {}],
+    ["pareto", { mode: "pareto" }],
+    ["k_best", { mode: "k_best" }],
+    ["arrive-by", { arriveByUtc: at("13:00") }],
+  ]) {
+    it(`${name}: keeps the bus state the train budget needs`, async () => {
+      const result = await search(graph, 1, 3, { ...params, modePreferences: trainLimit });
+      assert.equal(result.search_status, SearchStatus.OK);
+      assert.deepEqual(modesOf(result.best_itinerary), ["bus", "train"]);
+    });
+  }
+
+  it("compares budget use mode by mode", () => {
+    const prefs = resolveModePreferences({ max_distance_km: { train: 150 }, max_legs: { bus: 1 } });
+    const train = { edge_leg: { mode: "train", distance_km: 100 } };
+    const bus = { edge_leg: { mode: "bus", distance_km: 100 } };
+    const walk = { edge_leg: { mode: "walk", distance_km: 1 } };
+
+    const byTrain = addModeUsage(prefs, null, train);
+    const byBus = addModeUsage(prefs, null, bus);
+    assert.deepEqual(byTrain, { train: { km: 100, legs: 1 } });
+    assert.equal(addModeUsage(prefs, byTrain, walk), byTrain);
+
+    assert.equal(usesNoMoreBudget(null, byTrain), true);
+    assert.equal(usesNoMoreBudget(byTrain, null), false);
+    assert.equal(usesNoMoreBudget(byTrain, byBus), false);
+    assert.equal(usesNoMoreBudget(byTrain, addModeUsage(prefs, byTrain, bus)), true);
+  });
+});
+
+describe("mode multipliers", () => {
+  // O → X by an early train or a later, cheaper bus, then a tram weighted 3×:
+  // the wait for the tram after the early train costs three times as much
+  const graph = testGraph({
+    nodes: [
+      { id: 1, name: "O", kind: "station", lat: 40, lon: -80 },
+      { id: 2, name: "X", kind: "station", lat: 40.5, lon: -80 },
+      { id: 3, name: "D", kind: "station", lat: 40.6, lon: -80 },
+    ],
+    edges: [edge(1, 1, 2, "train"), edge(2, 1, 2, "bus"), edge(3, 2, 3, "tram")],
+    offers: [
+      offer(1, 1, "06:00", "07:00", 20),
+      offer(2, 2, "06:00", "09:00", 25),
+      offer(3, 3, "09:30", "10:00", 5),
+    ],
+  });
+  const tramWeighted = { multipliers: { tram: 3 } };
+
+  for (const [name, params] of [
+    ["best", {}],
+    ["arrive-by", { arriveByUtc: at("10:30") }],
+  ]) {
+    it(`${name}: keeps the later state a weighted wait makes cheaper`, async () => {
+      const result = await search(graph, 1, 3, { ...params, modePreferences: tramWeighted });
+      const { itineraries } = await search(graph, 1, 3, {
+        mode: "k_best",
+        maxLegOverlap: 1,
+        modePreferences: tramWeighted,
+      });
+
+      assert.deepEqual(modesOf(result.best_itinerary), ["bus", "tram"]);
+      const cheapest = Math.min(...itineraries.map((it) => it.gen_cost));
+      assert.equal(result.best_itinerary.gen_cost, cheapest);
+    });
+  }
+
+  it("scales dominance waits by the largest multiplier, never below 1", () => {
+    assert.equal(waitCostScale(resolveModePreferences({ multipliers: { tram: 3, bus: 0.5 } })), 3);
+    assert.equal(waitCostScale(resolveModePreferences({ multipliers: { bus: 0.5 } })), 1);
+    assert.equal(waitCostScale(resolveModePreferences({})), 1);
+  });
+});
@@ -0,0 +1,123 @@
+// test/offerFreshness.test.js
+// Offer validity (departure, TTL, validity window, effective_from), price
+// staleness, graph loading of valid offers only and the expiry sweep.
+
+import assert from "node:assert/strict";
+import { before, describe, it } from "node:test";
+import { dbAll, dbClose, openDb } from "../src/db/connection.js";
+import { loadGraphRows } from "../src/routing/graph.js";
+import {
+  isOfferValidAt,
+  offerFreshness,
+  pendingFrom,
+  sweepExpiredOffers,
+} from "../src/routing/offerFreshness.js";
+import { SEED_DAY, insertRows, seedCorridor, useScratchDb } from "./helpers.js";
+
+useScratchDb();
+
+const at = (hhmm) => `${SEED_DAY}T${hhmm}:00.000Z`;
+const NOW_MS = Date.parse(at("08:00"));
+
+/**
+ * Live offer row on the seeded edge between two "HH:MM" times of SEED_DAY.
+ */
+function offerRow(id, departure, arrival, extra = {}) {
+  return {
+    id,
+    edge_leg_id: 1,
+    departure_time_utc: at(departure),
+    arrival_time_utc: at(arrival),
+    price_total: 20,
+    currency: "USD",
+    source_type: "api_live",
+    retrieval_time_utc: at("07:00"),
+    ...extra,
+  };
+}
+
+const OFFERS = {
+  departed: offerRow(2, "07:00", "09:00"),
+  ttlExpired: offerRow(3, "10:00", "12:00", { ttl_hrs: 2, retrieval_time_utc: at("05:00") }),
+  reverified: offerRow(4, "10:00", "12:00", {
+    ttl_hrs: 2,
+    retrieval_time_utc: at("05:00"),
+    last_verified_utc: at("07:30"),
+  }),
+  windowClosed: offerRow(5, "10:00", "12:00", {
+    validity_window_hrs: 1,
+    effective_from_utc: at("06:00"),
+  }),
+  notYetEffective: offerRow(6, "11:00", "13:00", { effective_from_utc: at("09:00") }),
+};
+
+describe("offer validity", () => {
+  it("ends at departure, TTL after verification or the validity window", () => {
+    assert.equal(isOfferValidAt(OFFERS.departed, NOW_MS), false);
+    assert.equal(isOfferValidAt(OFFERS.ttlExpired, NOW_MS), false);
+    assert.equal(isOfferValidAt(OFFERS.reverified, NOW_MS), true);
+    assert.equal(isOfferValidAt(OFFERS.windowClosed, NOW_MS), false);
+    assert.equal(isOfferValidAt({ ...OFFERS.reverified, is_active: 0 }, NOW_MS), false);
+  });
+
+  it("starts at effective_from_utc", () => {
+    assert.equal(isOfferValidAt(OFFERS.notYetEffective, NOW_MS), false);
+    assert.equal(pendingFrom(OFFERS.notYetEffective, NOW_MS), Date.parse(at("09:00")));
+    assert.equal(isOfferValidAt(OFFERS.notYetEffective, Date.parse(at("09:00"))), true);
+    assert.equal(pendingFrom(OFFERS.departed, NOW_MS), Infinity);
+  });
+
+  it("flags live prices stale after their source's limit, never static ones", () => {
+    const tomorrow = NOW_MS + 24 * 3600000;
+    const live = offerFreshness(OFFERS.reverified, NOW_MS);
+    assert.equal(live.age_min, 30);
+    assert.equal(live.stale, false);
+    assert.equal(live.expires_at_utc, at("09:30"));
+
+    assert.equal(offerFreshness(OFFERS.reverified, tomorrow).stale, true);
+    assert.equal(offerFreshness({ ...OFFERS.reverified, is_static: 1 }, tomorrow).stale, false);
+    assert.equal(offerFreshness(OFFERS.departed, NOW_MS).expires_at_utc, null);
+  });
+});
+
+describe("offers in the database", () => {
+  before(async () => {
+    await seedCorridor();
+    await insertRows("offer", Object.values(OFFERS));
+  });
+
+  async function withDb(fn) {
+    const db = openDb();
+    try {
+      return await fn(db);
+    } finally {
+      await dbClose(db);
+    }
+  }
+
+  it("loads only offers valid now into the graph", async () => {
+    const rows = await withDb((db) => loadGraphRows(db, NOW_MS));
+    assert.deepEqual(rows.offers.map((o) => o.id).sort(), [1, 4]);
+    assert.equal(rows.pendingFromMs, Date.parse(at("09:00")));
+  });
+
+  it("deactivates expired offers once and logs each change", async () => {
+    assert.equal(await withDb((db) => sweepExpiredOffers(db, NOW_MS)), 3);
+    assert.equal(await withDb((db) => sweepExpiredOffers(db, NOW_MS)), 0);
+
+    const offers = await withDb((db) => dbAll(db, "SELECT id, is_active FROM offer ORDER BY id"));
+    assert.deepEqual(
+      offers.filter((o) => o.is_active === 0).map((o) => o.id),
+      [OFFERS.departed.id, OFFERS.ttlExpired.id, OFFERS.windowClosed.id]
+    );
+
+    const logged = await withDb((db) =>
+      dbAll(
+        db,
+        "SELECT entity_id FROM graph_change_log WHERE entity = 'offer' AND entity_id IN (2, 3, 5)"
+      )
+    );
+    // One insert and one deactivation each
+    assert.equal(logged.length, 6);
+  });
+});
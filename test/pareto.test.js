@@ -0,0 +1,78 @@
+// test/pareto.test.js
+// Pareto mode: the front over price, duration and vehicle changes, its
+// tags, and label dominance.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { labelDominates } from "../src/routing/pareto.js";
+import { SearchStatus } from "../src/routing/types.js";
+import { edge, modesOf, offer, search, testGraph } from "./helpers.js";
+
+// O → D by flight (fast, dear), a slower one (dominated), a direct bus
+// (slow) or train to X then bus (cheapest, but one change)
+const graph = testGraph({
+  nodes: [
+    { id: 1, name: "O", kind: "airport", lat: 40, lon: -80 },
+    { id: 2, name: "X", kind: "station", lat: 40.5, lon: -80 },
+    { id: 3, name: "D", kind: "airport", lat: 41, lon: -80 },
+  ],
+  edges: [
+    edge(1, 1, 3, "flight"),
+    edge(2, 1, 3, "bus"),
+    edge(3, 1, 2, "train"),
+    edge(4, 2, 3, "bus"),
+  ],
+  offers: [
+    offer(1, 1, "09:00", "10:00", 200),
+    offer(2, 1, "09:00", "10:30", 250),
+    offer(3, 2, "09:00", "14:00", 40),
+    offer(4, 3, "09:00", "10:00", 10),
+    offer(5, 4, "10:30", "12:00", 15),
+  ],
+});
+
+describe("pareto front", () => {
+  it("keeps exactly the non-dominated itineraries", async () => {
+    const result = await search(graph, 1, 3, { mode: "pareto" });
+    assert.equal(result.search_status, SearchStatus.OK);
+
+    const front = result.itineraries.map((it) => ({
+      modes: modesOf(it).join(","),
+      price: it.price_total,
+      duration: it.duration_min,
+      transfers: it.num_transfers,
+    }));
+    front.sort((a, b) => a.price - b.price);
+    assert.deepEqual(front, [
+      { modes: "train,bus", price: 25, duration: 180, transfers: 1 },
+      { modes: "bus", price: 40, duration: 300, transfers: 0 },
+      { modes: "flight", price: 200, duration: 60, transfers: 0 },
+    ]);
+  });
+
+  it("ranks by generalized cost and tags the extremes", async () => {
+    const { itineraries } = await search(graph, 1, 3, { mode: "pareto" });
+
+    assert.deepEqual(
+      itineraries.map((it) => it.rank),
+      itineraries.map((_, i) => i + 1)
+    );
+    for (let i = 1; i < itineraries.length; i++) {
+      assert.ok(itineraries[i - 1].gen_cost <= itineraries[i].gen_cost);
+    }
+
+    const tagged = (label) => itineraries.find((it) => it.labels.includes(label));
+    assert.deepEqual(modesOf(tagged("cheapest")), ["train", "bus"]);
+    assert.deepEqual(modesOf(tagged("fastest")), ["flight"]);
+    assert.equal(tagged("fewest_transfers").num_transfers, 0);
+  });
+
+  it("dominates only when no worse on every criterion", () => {
+    const label = { price: 10, arrival: 100, transfers: 1, departure: 50 };
+    assert.equal(labelDominates({ ...label, price: 9 }, label), true);
+    assert.equal(labelDominates(label, label), false);
+    assert.equal(labelDominates({ ...label, price: 9, transfers: 2 }, label), false);
+    // Leaving earlier is worse: a later start can still be shorter overall
+    assert.equal(labelDominates({ ...label, price: 9, departure: 40 }, label), false);
+  });
+});
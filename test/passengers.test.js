@@ -0,0 +1,66 @@
+// test/passengers.test.js
+// Party pricing: fares per traveler type, discount cards, per-vehicle offers
+// and a search priced for the whole party.
+
+import assert from "node:assert/strict";
+import { before, describe, it } from "node:test";
+import { createFxTable } from "../src/routing/fx.js";
+import { createPartyPricer, resolvePassengers } from "../src/routing/passengers.js";
+import { replayedGraph, search } from "./helpers.js";
+
+describe("party pricing", () => {
+  const fares = { fares: { child: 10, cards: { railcard: 0.25 } } };
+  const ticket = { price_total: 40, meta_json: JSON.stringify(fares) };
+
+  it("prices each traveler at their fare", () => {
+    const party = createPartyPricer(resolvePassengers({ adult: 2, child: 1 }));
+    assert.equal(party.size, 3);
+    assert.equal(party.amountOf(ticket), 90);
+  });
+
+  it("applies the best discount card held", () => {
+    const party = createPartyPricer(resolvePassengers({ adult: 1, discount_cards: ["railcard"] }));
+    assert.equal(party.amountOf(ticket), 30);
+  });
+
+  it("books whole vehicles for per-vehicle offers", () => {
+    const ride = {
+      price_total: 35,
+      meta_json: JSON.stringify({ price_basis: "per_vehicle", seats: 4 }),
+    };
+    const party = createPartyPricer(resolvePassengers({ adult: 3, child: 2 }));
+    assert.deepEqual(party.breakdownOf(ride), {
+      basis: "per_vehicle",
+      vehicles: 2,
+      unit_amount: 35,
+    });
+    assert.equal(party.amountOf(ride), 70);
+  });
+
+  it("rejects an empty party", () => {
+    assert.throws(() => resolvePassengers({ adult: 0 }), /at least one traveler/);
+  });
+});
+
+describe("party search", () => {
+  const rates = createFxTable([
+    { base_currency: "EUR", quote_currency: "USD", rate: 1.2, effective_date: "2026-11-10" },
+  ]);
+  let graph;
+  let nodeIds;
+  before(async () => {
+    const query = { origin: "MUC", destination: "VIE", date: "2026-11-15" };
+    ({ graph, nodeIds } = await replayedGraph(query));
+  });
+
+  it("prices the whole party", async () => {
+    const result = await search(graph, nodeIds.get("MOCK:MUC_HBF"), nodeIds.get("MOCK:VIE_HBF"), {
+      departAfterUtc: "2026-11-15T06:00:00Z",
+      fxTable: rates,
+      passengers: { adult: 2 },
+    });
+    // 2 × 59.90 EUR
+    assert.equal(result.best_itinerary.price_total, 143.76);
+    assert.equal(result.passengers.adult, 2);
+  });
+});
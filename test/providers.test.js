@@ -0,0 +1,118 @@
+// test/providers.test.js
+// Provider pipeline: cache-through fetches via api_cache and ingestion of
+// normalized legs into the graph tables (mock provider fixture).
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { dbAll, dbClose, openDb } from "../src/db/connection.js";
+import { createMockProvider } from "../src/providers/mockProvider.js";
+import { fetchCorridorLegs, fetchThroughCache } from "../src/providers/index.js";
+import { SEED_DAY, useScratchDb } from "./helpers.js";
+
+useScratchDb();
+
+const LIVE = { mode: "live", cassette: "default", recordingsDir: null };
+
+/**
+ * Mock provider that counts the requests reaching it.
+ */
+function countingProvider(options) {
+  const provider = createMockProvider(options);
+  const counted = {
+    ...provider,
+    calls: 0,
+    async searchLegs(query) {
+      counted.calls++;
+      return provider.searchLegs(query);
+    },
+  };
+  return counted;
+}
+
+async function selectRows(sql, args = []) {
+  const db = openDb();
+  try {
+    return await dbAll(db, sql, args);
+  } finally {
+    await dbClose(db);
+  }
+}
+
+describe("fetchThroughCache", () => {
+  it("calls the provider once and then serves api_cache", async () => {
+    const provider = countingProvider();
+    const request = { origin: "NYC", destination: "BOS", date: SEED_DAY };
+
+    const miss = await fetchThroughCache(provider, request);
+    assert.equal(miss.cacheHit, false);
+    assert.ok(miss.raw.legs.length > 0);
+
+    // Same params in another key order hash the same
+    const reordered = { date: SEED_DAY, destination: "BOS", origin: "NYC" };
+    const hit = await fetchThroughCache(provider, reordered);
+    assert.equal(hit.cacheHit, true);
+    assert.equal(hit.apiCacheId, miss.apiCacheId);
+    assert.deepEqual(hit.raw, miss.raw);
+    assert.equal(provider.calls, 1);
+
+    const [row] = await selectRows("SELECT hit_count FROM api_cache WHERE id = ?", [
+      miss.apiCacheId,
+    ]);
+    assert.equal(row.hit_count, 1);
+  });
+
+  it("refetches an expired entry into the same row", async () => {
+    const provider = countingProvider({ ttlHours: 0 });
+    const request = { origin: "BOS", destination: "NYC", date: SEED_DAY };
+
+    const first = await fetchThroughCache(provider, request);
+    const second = await fetchThroughCache(provider, request);
+    assert.equal(second.cacheHit, false);
+    assert.equal(second.apiCacheId, first.apiCacheId);
+    assert.equal(provider.calls, 2);
+  });
+});
+
+describe("fetchCorridorLegs", () => {
+  const request = { origin: "MUC", destination: "VIE", date: SEED_DAY };
+
+  it("ingests legs live, then from the cache without duplicating offers", async () => {
+    const provider = countingProvider();
+
+    const [live] = await fetchCorridorLegs(request, { providers: [provider], recording: LIVE });
+    assert.equal(live.provider, "mock");
+    assert.equal(live.cacheHit, false);
+    assert.ok(live.offers > 0);
+
+    const [cached] = await fetchCorridorLegs(request, { providers: [provider], recording: LIVE });
+    assert.equal(cached.cacheHit, true);
+    assert.equal(cached.offers, live.offers);
+    assert.equal(provider.calls, 1);
+
+    const offers = await selectRows(
+      "SELECT source_type, source_provider, api_cache_id FROM offer WHERE api_cache_id = ?",
+      [live.apiCacheId]
+    );
+    assert.equal(offers.length, live.offers);
+    assert.ok(offers.every((o) => o.source_type === "cached" && o.source_provider === "mock"));
+  });
+
+  it("reports a failing provider without dropping the others", async () => {
+    const broken = {
+      ...createMockProvider(),
+      name: "broken",
+      async searchLegs() {
+        throw new Error("upstream unavailable");
+      },
+    };
+
+    const summaries = await fetchCorridorLegs(
+      { origin: "VIE", destination: "MUC", date: SEED_DAY },
+      { providers: [broken, createMockProvider()], recording: LIVE }
+    );
+    assert.deepEqual(summaries[0], { provider: "broken", error: "upstream unavailable" });
+    assert.ok(summaries[1].offers > 0);
+
+    assert.deepEqual(await selectRows("SELECT id FROM api_cache WHERE provider = 'broken'"), []);
+  });
+});
@@ -0,0 +1,109 @@
+// test/recordReplay.test.js
+// Record/replay harness: recording writes provider responses to a cassette,
+// replay serves them through api_cache without reaching the provider and
+// fails loudly for unrecorded requests.
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, describe, it } from "node:test";
+import { apiCachePut } from "../src/routing/apiCache.js";
+import { createMockProvider } from "../src/providers/mockProvider.js";
+import { fetchCorridorLegs, fetchThroughCache } from "../src/providers/index.js";
+import {
+  UnrecordedRequestError,
+  applyRecordingMode,
+  cassettePath,
+  loadCassette,
+  primeCacheFromCassette,
+  recordingKey,
+  withRecording,
+  withReplay,
+} from "../src/providers/recordReplay.js";
+import { useScratchDb } from "./helpers.js";
+
+useScratchDb();
+
+const recordingsDir = fs.mkdtempSync(path.join(os.tmpdir(), "travel-test-"));
+after(() => fs.rmSync(recordingsDir, { recursive: true, force: true }));
+
+// The corridors cassette holds both directions of NYC–BOS and MUC–VIE
+const RECORDED = { origin: "NYC", destination: "BOS", date: "2026-11-15" };
+const UNRECORDED = { origin: "NYC", destination: "BOS", date: "2026-11-16" };
+
+/**
+ * Mock provider that must not be reached.
+ */
+function offlineProvider() {
+  return {
+    ...createMockProvider(),
+    async searchLegs() {
+      throw new Error("provider called during replay");
+    },
+  };
+}
+
+describe("recording", () => {
+  it("saves every live response to the cassette, bypassing api_cache", async () => {
+    const file = cassettePath("recorded", recordingsDir);
+    const recorder = withRecording(createMockProvider(), file);
+
+    const first = await fetchThroughCache(recorder, RECORDED);
+    const second = await fetchThroughCache(recorder, RECORDED);
+    assert.equal(first.cacheHit, false);
+    assert.equal(second.cacheHit, false);
+
+    const { entries } = loadCassette(file);
+    const entry = entries[recordingKey("mock", "legs", RECORDED)];
+    assert.deepEqual(entry.params, RECORDED);
+    assert.deepEqual(entry.response, first.raw);
+  });
+});
+
+describe("replay", () => {
+  const corridors = cassettePath("corridors");
+
+  it("serves recorded responses without calling the provider", async () => {
+    const replayed = await fetchThroughCache(withReplay(offlineProvider(), corridors), RECORDED);
+    const { entries } = loadCassette(corridors);
+    assert.deepEqual(replayed.raw, entries[recordingKey("mock", "legs", RECORDED)].response);
+  });
+
+  it("rejects unrecorded requests even when api_cache has them", async () => {
+    await apiCachePut("mock", "legs", UNRECORDED, { date: UNRECORDED.date, nodes: {}, legs: [] });
+
+    await assert.rejects(
+      fetchThroughCache(withReplay(offlineProvider(), corridors), UNRECORDED),
+      UnrecordedRequestError
+    );
+  });
+
+  it("primes api_cache from the cassette", async () => {
+    assert.equal(await primeCacheFromCassette(corridors), 4);
+  });
+
+  it("runs the provider pipeline from the cassette", async () => {
+    const recording = { mode: "replay", cassette: "corridors", recordingsDir: null };
+    const [summary] = await fetchCorridorLegs(RECORDED, {
+      providers: [offlineProvider()],
+      recording,
+    });
+    assert.equal(summary.cacheHit, true);
+    assert.ok(summary.offers > 0);
+
+    await assert.rejects(
+      fetchCorridorLegs(UNRECORDED, { providers: [offlineProvider()], recording }),
+      UnrecordedRequestError
+    );
+  });
+});
+
+describe("applyRecordingMode", () => {
+  it("rejects unknown modes", () => {
+    assert.throws(
+      () => applyRecordingMode([createMockProvider()], { mode: "rewind", cassette: "x" }),
+      /Unknown PROVIDER_MODE "rewind"/
+    );
+  });
+});
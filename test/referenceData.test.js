@@ -0,0 +1,108 @@
+// test/referenceData.test.js
+// Reference data importer on Data/fixtures/reference: city areas, airports
+// linked to the city they serve (by municipality, else by distance) with
+// its timezone, catchment areas and idempotent re-imports.
+
+import assert from "node:assert/strict";
+import { before, describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+import { dbAll, dbClose, openDb } from "../src/db/connection.js";
+import { importAirports, importReferenceData } from "../src/importers/referenceData.js";
+import { normalizePlaceSpec } from "../src/routing/placeNormalization.js";
+import { useScratchDb } from "./helpers.js";
+
+useScratchDb();
+
+const fixture = (name) =>
+  fileURLToPath(new URL(`../Data/fixtures/reference/${name}`, import.meta.url));
+const PATHS = { citiesPath: fixture("cities.csv"), airportsPath: fixture("airports.csv") };
+
+async function selectRows(sql, args = []) {
+  const db = openDb();
+  try {
+    return await dbAll(db, sql, args);
+  } finally {
+    await dbClose(db);
+  }
+}
+
+const airportNode = async (iata) =>
+  (
+    await selectRows(
+      `SELECT n.*, a.name AS area_name FROM location_node n
+         JOIN area a ON a.id = n.area_id
+        WHERE n.ext_ref = ?`,
+      [`IATA:${iata}`]
+    )
+  )[0];
+
+describe("importReferenceData", () => {
+  let summary;
+  before(async () => {
+    summary = await importReferenceData(PATHS);
+  });
+
+  it("imports cities and airports with an IATA code", () => {
+    assert.deepEqual(summary, {
+      cities: { areas: 6, skipped: 0 },
+      // The small airport without an IATA code is skipped
+      airports: { airports: 9, catchments: 9, linked: 9, skipped: 1 },
+    });
+  });
+
+  it("links airports to their city and its timezone", async () => {
+    const jfk = await airportNode("JFK");
+    assert.equal(jfk.kind, "airport");
+    assert.equal(jfk.area_name, "New York");
+    assert.equal(jfk.timezone, "America/New_York");
+    assert.equal(jfk.is_hub, 1);
+
+    // Newark has no city row: matched to New York by distance
+    assert.equal((await airportNode("EWR")).area_name, "New York");
+    assert.equal((await airportNode("VIE")).timezone, "Europe/Vienna");
+  });
+
+  it("makes airports part of their city for searches", async () => {
+    const chicago = await normalizePlaceSpec("Chicago");
+    assert.deepEqual(chicago.nodes.map((n) => n.ext_ref).sort(), ["IATA:MDW", "IATA:ORD"]);
+  });
+
+  it("re-imports without duplicating rows", async () => {
+    const count = async () =>
+      (
+        await selectRows(
+          `SELECT (SELECT COUNT(*) FROM area) AS areas,
+                  (SELECT COUNT(*) FROM location_node) AS nodes`
+        )
+      )[0];
+
+    const counts = await count();
+    assert.deepEqual(await importReferenceData(PATHS), summary);
+    assert.deepEqual(await count(), counts);
+  });
+});
+
+describe("importAirports", () => {
+  it("gives an airport far from any city its catchment area", async () => {
+    const csv = [
+      "ident,type,name,latitude_deg,longitude_deg,iso_country,municipality,iata_code",
+      "PAOM,medium_airport,Nome Airport,64.5122,-165.445,US,Nome,OME",
+    ].join("\n");
+
+    const db = openDb();
+    try {
+      assert.deepEqual(await importAirports(db, csv), {
+        airports: 1,
+        catchments: 1,
+        linked: 0,
+        skipped: 0,
+      });
+    } finally {
+      await dbClose(db);
+    }
+
+    const nome = await airportNode("OME");
+    assert.equal(nome.area_name, "OME airport catchment");
+    assert.equal(nome.timezone, null);
+  });
+});
@@ -0,0 +1,71 @@
+// test/risk.test.js
+// Risk model overrides (params.riskModel): merging and validation, both
+// directly and through the search API.
+
+import assert from "node:assert/strict";
+import { before, describe, it } from "node:test";
+import { resolveRiskModel } from "../src/routing/risk.js";
+import { DEFAULT_RISK_MODEL } from "../src/routing/types.js";
+import { seedCorridor, startApi, useScratchDb } from "./helpers.js";
+
+useScratchDb();
+const request = await startApi();
+
+const ROUTE = { origin: "Springfield", destination: "Shelbyville" };
+
+describe("resolveRiskModel", () => {
+  it("merges overrides into the defaults per table", () => {
+    const model = resolveRiskModel({
+      misconnect_decay_min: 45,
+      misconnect_base_prob: { flight: 0.5 },
+    });
+    assert.equal(model.misconnect_decay_min, 45);
+    assert.equal(model.misconnect_base_prob.flight, 0.5);
+    assert.equal(model.misconnect_base_prob.train, DEFAULT_RISK_MODEL.misconnect_base_prob.train);
+    assert.deepEqual(model.price_uncertainty, DEFAULT_RISK_MODEL.price_uncertainty);
+  });
+
+  it("rejects unknown keys, wrong shapes and values out of range", () => {
+    assert.throws(() => resolveRiskModel({ misconnect_prob: 0.1 }), /Unknown riskModel key/);
+    assert.throws(() => resolveRiskModel({ price_uncertainty: { guess: 0.1 } }), /Unknown key/);
+    assert.throws(() => resolveRiskModel({ misconnect_base_prob: { bus: -0.1 } }), /Invalid/);
+    assert.throws(() => resolveRiskModel({ price_uncertainty: { cached: 1.5 } }), /Invalid/);
+    assert.throws(() => resolveRiskModel({ misconnect_decay_min: 0 }), /Invalid/);
+    assert.throws(() => resolveRiskModel({ misconnect_cost: 40 }), /must be an object/);
+    assert.throws(() => resolveRiskModel([]), /must be an object/);
+  });
+});
+
+describe("POST /search with riskModel", () => {
+  before(seedCorridor);
+
+  it("answers 400 for a negative probability", async () => {
+    const res = await request("POST", "/search", {
+      ...ROUTE,
+      params: { riskModel: { misconnect_base_prob: { train: -0.2 } } },
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error.code, "INVALID_PARAMS");
+    assert.match(res.body.error.message, /misconnect_base_prob\.train/);
+  });
+
+  it("answers 400 for an unknown key", async () => {
+    const res = await request("POST", "/search", {
+      ...ROUTE,
+      params: { riskModel: { weather_risk: 0.3 } },
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error.code, "INVALID_PARAMS");
+    assert.match(res.body.error.message, /weather_risk/);
+  });
+
+  it("prices risk with the overrides", async () => {
+    const res = await request("POST", "/search", {
+      ...ROUTE,
+      params: { arbitrage: false, riskModel: { price_uncertainty: { cached: 0.5 } } },
+    });
+    assert.equal(res.status, 200);
+    // Half the $30 cached fare
+    assert.equal(res.body.best_itinerary.risk_penalties.price_uncertainty, 15);
+  });
+});
@@ -0,0 +1,119 @@
+// test/spatialIndex.test.js
+// Grid spatial index: radius and k-nearest queries agree with a brute-force
+// scan (including across the antimeridian and near the poles), and transfer
+// templates reach the nearest nodes within each mode's radius.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createSpatialIndex, distanceKm, haversineKm } from "../src/routing/spatialIndex.js";
+import { EdgeMode } from "../src/routing/types.js";
+import { NO_TRANSFERS, testGraph } from "./helpers.js";
+
+/**
+ * Deterministic pseudo-random points (a fixed LCG) in a lat/lon box.
+ */
+function points(count, { lat: [minLat, maxLat], lon: [minLon, maxLon] }) {
+  let seed = 42;
+  const next = () => {
+    seed = (seed * 1103515245 + 12345) % 2 ** 31;
+    return seed / 2 ** 31;
+  };
+  return Array.from({ length: count }, (_, id) => ({
+    id,
+    lat: minLat + next() * (maxLat - minLat),
+    lon: minLon + next() * (maxLon - minLon),
+  }));
+}
+
+const ids = (hits) => hits.map((hit) => hit.item.id);
+
+/**
+ * Ids of the items within radiusKm of the query point, nearest first.
+ */
+function bruteForce(items, lat, lon, radiusKm) {
+  return items
+    .map((item) => ({ item, distanceKm: haversineKm(lat, lon, item.lat, item.lon) }))
+    .filter((hit) => hit.distanceKm <= radiusKm)
+    .sort((a, b) => a.distanceKm - b.distanceKm);
+}
+
+describe("haversineKm", () => {
+  it("measures great-circle distances", () => {
+    assert.equal(haversineKm(40, -80, 40, -80), 0);
+    assert.ok(Math.abs(haversineKm(0, 0, 1, 0) - 111.19) < 0.01);
+    const acrossAntimeridian = distanceKm({ lat: 0, lon: 179.5 }, { lat: 0, lon: -179.5 });
+    assert.ok(Math.abs(acrossAntimeridian - 111.19) < 0.01);
+  });
+});
+
+describe("createSpatialIndex", () => {
+  const items = points(400, { lat: [39, 41], lon: [-81, -79] });
+  const index = createSpatialIndex(items);
+
+  it("finds the same items as a brute-force scan", () => {
+    for (const [lat, lon, radiusKm] of [
+      [40, -80, 5],
+      [40, -80, 30],
+      [39.1, -80.9, 12],
+      [40.5, -79.5, 80],
+    ]) {
+      assert.deepEqual(
+        ids(index.withinRadius(lat, lon, radiusKm)),
+        ids(bruteForce(items, lat, lon, radiusKm))
+      );
+    }
+  });
+
+  it("returns the k nearest within maxRadiusKm", () => {
+    const nearest = index.nearest(40, -80, 7);
+    assert.deepEqual(ids(nearest), ids(bruteForce(items, 40, -80, 500).slice(0, 7)));
+
+    const capped = index.nearest(40, -80, 400, { maxRadiusKm: 10 });
+    assert.deepEqual(ids(capped), ids(bruteForce(items, 40, -80, 10)));
+
+    const odd = index.nearest(40, -80, 3, { filter: (item) => item.id % 2 === 1 });
+    assert.equal(odd.length, 3);
+    assert.ok(odd.every((hit) => hit.item.id % 2 === 1));
+  });
+
+  it("wraps across the antimeridian and covers the poles", () => {
+    const world = createSpatialIndex([
+      { id: 1, lat: 10, lon: 179.95 },
+      { id: 2, lat: 10, lon: -179.95 },
+      { id: 3, lat: 89.95, lon: 0 },
+      { id: 4, lat: 89.95, lon: 180 },
+      { id: 5, lat: Number.NaN, lon: 0 },
+    ]);
+    assert.equal(world.size(), 4);
+    assert.deepEqual(ids(world.withinRadius(10, -179.99, 20)).sort(), [1, 2]);
+    assert.deepEqual(ids(world.withinRadius(90, 0, 10)).sort(), [3, 4]);
+  });
+});
+
+describe("transfer generation", () => {
+  it("links each node to its nearest neighbors within the mode radius", () => {
+    // A row of stations 0.5 km apart, plus one 5 km away
+    const nodes = [0, 1, 2, 3].map((i) => ({
+      id: i + 1,
+      name: `S${i + 1}`,
+      kind: "station",
+      lat: 40 + (i * 0.5) / 111.19,
+      lon: -80,
+    }));
+    nodes.push({ id: 5, name: "Far", kind: "station", lat: 40 + 5 / 111.19, lon: -80 });
+
+    const graph = testGraph({ nodes, edges: [], offers: [] }, {
+      ...NO_TRANSFERS,
+      [EdgeMode.WALK]: { radiusKm: 1.2, maxNeighbors: 2 },
+    });
+    const walkTargets = (id) =>
+      graph.adj[id]
+        .filter((entry) => entry.transferMode === EdgeMode.WALK)
+        .map((entry) => entry.toNode.id)
+        .sort();
+
+    assert.deepEqual(walkTargets(1), [2, 3]);
+    assert.deepEqual(walkTargets(2), [1, 3]);
+    assert.deepEqual(walkTargets(5), []);
+  });
+});
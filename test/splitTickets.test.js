@@ -0,0 +1,118 @@
+// test/splitTickets.test.js
+// Split tickets: staying on board across segments sold separately, reported
+// only against a dearer through offer; GTFS runs told apart by trip.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { ConnectionType, SearchStatus } from "../src/routing/types.js";
+import { departuresOf, edge, offer, search, testGraph } from "./helpers.js";
+
+const nodes = [
+  { id: 1, name: "X", kind: "station", lat: 39.77, lon: -86.16 },
+  { id: 2, name: "Y", kind: "station", lat: 40.42, lon: -86.9 },
+  { id: 3, name: "Z", kind: "station", lat: 41.88, lon: -87.64 },
+];
+const cardinal = { carrier_code: "AMTK", service_code: "CARDINAL" };
+
+// X → Y → Z on one train, sold as two segments and optionally as a through
+// ticket X → Z
+function cardinalGraph(throughPrice) {
+  const edges = [edge(1, 1, 2, "train", cardinal), edge(2, 2, 3, "train", cardinal)];
+  const offers = [offer(1, 1, "11:00", "13:30", 15), offer(2, 2, "13:35", "16:00", 20)];
+  if (throughPrice != null) {
+    edges.push(edge(3, 1, 3, "train", cardinal));
+    offers.push(offer(3, 3, "11:00", "16:00", throughPrice));
+  }
+  return testGraph({ nodes, edges, offers });
+}
+
+describe("split tickets", () => {
+  it("stays on board across the segments when cheaper than the through ticket", async () => {
+    const result = await search(cardinalGraph(50), 1, 3);
+    const itinerary = result.best_itinerary;
+
+    assert.equal(result.search_status, SearchStatus.OK);
+    assert.deepEqual(departuresOf(itinerary), ["11:00", "13:35"]);
+    assert.equal(itinerary.num_transfers, 0);
+    assert.equal(itinerary.legs[1].connection.type, ConnectionType.ON_BOARD);
+    assert.deepEqual(itinerary.split_tickets, [
+      {
+        mode: "train",
+        carrier_code: "AMTK",
+        service_code: "CARDINAL",
+        from_node_id: 1,
+        to_node_id: 3,
+        departure_time_utc: "2026-11-01T11:00:00Z",
+        arrival_time_utc: "2026-11-01T16:00:00Z",
+        tickets: [
+          { leg_index: 0, from_node_id: 1, to_node_id: 2, amount: 15 },
+          { leg_index: 1, from_node_id: 2, to_node_id: 3, amount: 20 },
+        ],
+        amount: 35,
+        through_amount: 50,
+        savings: 15,
+      },
+    ]);
+  });
+
+  it("buys the through ticket when it is cheaper", async () => {
+    const { best_itinerary: itinerary } = await search(cardinalGraph(30), 1, 3);
+    assert.deepEqual(departuresOf(itinerary), ["11:00"]);
+    assert.deepEqual(itinerary.split_tickets, []);
+  });
+
+  it("reports no split without a through offer", async () => {
+    const { best_itinerary: itinerary } = await search(cardinalGraph(null), 1, 3);
+    assert.deepEqual(departuresOf(itinerary), ["11:00", "13:35"]);
+    assert.equal(itinerary.num_transfers, 0);
+    assert.deepEqual(itinerary.split_tickets, []);
+  });
+});
+
+describe("GTFS runs", () => {
+  // Route "RE 9" priced hop by hop: every trip shares the service_code
+  const re9 = { carrier_code: "DB", service_code: "RE 9" };
+  const trip = (tripId) => ({
+    meta_json: JSON.stringify({
+      gtfs: { feed_id: "de", trip_id: tripId, route_id: "re9", service_date: "20261101" },
+    }),
+  });
+  const edges = [edge(1, 1, 2, "train", re9), edge(2, 2, 3, "train", re9)];
+
+  it("stays on its own trip rather than hopping onto the next one", async () => {
+    const graph = testGraph({
+      nodes,
+      edges,
+      offers: [
+        offer(1, 1, "09:00", "09:20", 0.88, trip("t1")),
+        offer(2, 2, "09:22", "09:42", 5.87, trip("t1")),
+        // Another trip of the route, 3 minutes after t1 reaches Y
+        offer(3, 2, "09:23", "09:41", 1, trip("t2")),
+      ],
+    });
+
+    const { best_itinerary: itinerary } = await search(graph, 1, 3);
+    assert.deepEqual(departuresOf(itinerary), ["09:00", "09:22"]);
+    assert.equal(itinerary.legs[1].connection.type, ConnectionType.ON_BOARD);
+    assert.equal(itinerary.num_transfers, 0);
+    assert.deepEqual(itinerary.split_tickets, []);
+  });
+
+  it("changes between trips of a route under the regular MCT", async () => {
+    const graph = testGraph({
+      nodes,
+      edges,
+      offers: [
+        offer(1, 1, "09:00", "09:20", 0.88, trip("t1")),
+        offer(2, 2, "09:23", "09:41", 1, trip("t2")),
+        offer(3, 2, "09:35", "09:55", 1, trip("t3")),
+      ],
+    });
+
+    const { best_itinerary: itinerary } = await search(graph, 1, 3);
+    assert.deepEqual(departuresOf(itinerary), ["09:00", "09:35"]);
+    assert.equal(itinerary.legs[1].connection.type, ConnectionType.ANY);
+    assert.equal(itinerary.num_transfers, 1);
+    assert.deepEqual(itinerary.split_tickets, []);
+  });
+});
@@ -0,0 +1,33 @@
+// test/timezone.test.js
+// Local wall-clock conversion around DST changes.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { localTime, zonedTimeToUtcMs } from "../src/routing/timezone.js";
+
+const iso = (ms) => new Date(ms).toISOString().slice(0, 16);
+
+describe("zonedTimeToUtcMs", () => {
+  it("converts ordinary local times", () => {
+    assert.equal(iso(zonedTimeToUtcMs("America/New_York", 2026, 7, 1, 9, 30)), "2026-07-01T13:30");
+    assert.equal(iso(zonedTimeToUtcMs("Asia/Tokyo", 2026, 7, 1, 9, 30)), "2026-07-01T00:30");
+  });
+
+  it("resolves ambiguous fall-back times to the earlier instant", () => {
+    assert.equal(iso(zonedTimeToUtcMs("America/New_York", 2026, 11, 1, 1, 30)), "2026-11-01T05:30");
+    assert.equal(iso(zonedTimeToUtcMs("Europe/Berlin", 2026, 10, 25, 2, 30)), "2026-10-25T00:30");
+  });
+
+  it("moves nonexistent spring-forward times forward by the gap", () => {
+    const ms = zonedTimeToUtcMs("America/New_York", 2026, 3, 8, 2, 30);
+    assert.equal(iso(ms), "2026-03-08T07:30");
+    assert.equal(localTime("America/New_York", ms).time, "2026-03-08T03:30");
+  });
+
+  it("round-trips the hours next to a change", () => {
+    for (const hour of [0, 1, 3, 4, 5]) {
+      const ms = zonedTimeToUtcMs("America/New_York", 2026, 11, 1, hour, 0);
+      assert.equal(localTime("America/New_York", ms).time, `2026-11-01T0${hour}:00`);
+    }
+  });
+});
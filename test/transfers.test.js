@@ -0,0 +1,76 @@
+// test/transfers.test.js
+// Transfer legs anchored to the traveler's arrival: shuttle service windows
+// in the boarding node's local time, and free waits before the first vehicle.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { nextShuttleDepartureMs } from "../src/routing/transfers.js";
+import { EdgeMode } from "../src/routing/types.js";
+import { NO_TRANSFERS, departuresOf, edge, modesOf, offer, search, testGraph } from "./helpers.js";
+
+const iso = (ms) => new Date(ms).toISOString().slice(0, 16);
+const utc = (text) => Date.parse(`${text}:00Z`);
+const nextRun = (ready, model, zone) => iso(nextShuttleDepartureMs(utc(ready), model, zone));
+
+describe("shuttle service windows", () => {
+  const model = {
+    headway_min: 30,
+    first_departure_local: "05:00",
+    last_departure_local: "23:30",
+  };
+
+  it("runs on the boarding node's local clock", () => {
+    // 23:10 EDT: the 23:30 run, then nothing until 05:00 the next morning
+    assert.equal(nextRun("2026-07-01T03:10", model, "America/New_York"), "2026-07-01T03:30");
+    assert.equal(nextRun("2026-07-01T03:40", model, "America/New_York"), "2026-07-01T09:00");
+  });
+
+  it("starts the day at the local first departure across a DST change", () => {
+    // 03:00 EST on the fall-back day
+    assert.equal(nextRun("2026-11-01T08:00", model, "America/New_York"), "2026-11-01T10:00");
+  });
+
+  it("runs past midnight when the last departure is before the first", () => {
+    const overnight = {
+      headway_min: 60,
+      first_departure_local: "18:00",
+      last_departure_local: "02:00",
+    };
+    // 01:30 JST: the 02:00 run of the previous evening's service
+    assert.equal(nextRun("2026-06-30T16:30", overnight, "Asia/Tokyo"), "2026-06-30T17:00");
+    // 03:00 JST: wait for 18:00
+    assert.equal(nextRun("2026-06-30T18:00", overnight, "Asia/Tokyo"), "2026-07-01T09:00");
+  });
+
+  it("falls back to UTC without a timezone", () => {
+    assert.equal(nextRun("2026-07-01T03:00", model), "2026-07-01T05:00");
+    assert.equal(nextRun("2026-07-01T05:10", model), "2026-07-01T05:30");
+  });
+});
+
+describe("access transfers", () => {
+  // O → S by an early $2 bus or a 2 km walk, then S → D by the 09:00 train
+  const graph = testGraph(
+    {
+      nodes: [
+        { id: 1, name: "O", kind: "station", lat: 40, lon: -80 },
+        { id: 2, name: "S", kind: "station", lat: 40.018, lon: -80 },
+        { id: 3, name: "D", kind: "station", lat: 41, lon: -80 },
+      ],
+      edges: [edge(1, 1, 2, "bus", { distance_km: 2 }), edge(2, 2, 3, "train")],
+      offers: [offer(1, 1, "06:00", "06:05", 2), offer(2, 2, "09:00", "10:00", 30)],
+    },
+    { ...NO_TRANSFERS, [EdgeMode.WALK]: { radiusKm: 3, maxNeighbors: 5 } }
+  );
+
+  for (const mode of ["best", "k_best"]) {
+    it(`${mode}: walks instead of paying to wait at the station`, async () => {
+      const { best_itinerary: itinerary } = await search(graph, 1, 3, { mode });
+      assert.deepEqual(modesOf(itinerary), ["walk", "train"]);
+      // The walk is re-timed to arrive just in time for the train
+      assert.equal(departuresOf(itinerary)[1], "09:00");
+      assert.ok(departuresOf(itinerary)[0] > "08:00");
+      assert.equal(itinerary.gen_cost, 64);
+    });
+  }
+});